@@ -20,6 +20,12 @@ exports.serviceHoursAsPDF = functions.https.onRequest(PDF.hrs);
 
 exports.backupAsPDF = functions.https.onRequest(PDF.backup);
 
+exports.auditLogAsPDF = functions.https.onRequest(PDF.audit);
+
+exports.certificateAsPDF = functions.firestore
+    .document('/partitions/{partition}/users/{user}/certificates/{certificate}')
+    .onCreate(PDF.certificate);
+
 exports.updateSheet = functions.https.onRequest(updateSheet);
 
 // ============================================================================
@@ -28,7 +34,11 @@ exports.updateSheet = functions.https.onRequest(updateSheet);
 
 exports.updateHours = functions.firestore
     .document('/partitions/{partition}/users/{user}/pastAppointments/{appt}')
-    .onCreate(Hours.update);
+    .onWrite(Hours.update);
+
+exports.totalHours = functions.firestore
+    .document('/partitions/{partition}/users/{user}/hoursLedger/{entry}')
+    .onWrite(Hours.total);
 
 exports.roundHours = functions.firestore
     .document('/partitions/{partition}/locations/{location}/pastAppointments' +
@@ -132,6 +142,21 @@ exports.updateAuthClaims = functions.firestore
 
 exports.data = functions.https.onRequest(Data.onRequest);
 
+exports.purgeIdempotencyKeys = functions.pubsub.schedule('every 24 hours')
+    .onRun(Data.purgeIdempotencyKeys);
+
+exports.purgeUndoableActions = functions.pubsub.schedule('every 24 hours')
+    .onRun(Data.purgeUndoableActions);
+
+exports.archivePastAppts = functions.pubsub.schedule('every 1 hours')
+    .onRun(Data.archivePastAppts);
+
+exports.expireStaleRequests = functions.pubsub.schedule('every 24 hours')
+    .onRun(Data.expireStaleRequests);
+
+exports.windDownLocations = functions.pubsub.schedule('every 24 hours')
+    .onRun(Data.windDownLocations);
+
 exports.sms = functions.https.onRequest(SMS.receive());
 
 exports.smsFallback = functions.https.onRequest(SMS.fallback);
@@ -176,6 +201,16 @@ exports.canceledRequestNotification = functions.firestore
         '/{request}')
     .onCreate(Notify.canceledIn);
 
+exports.remindedRequestNotification = functions.firestore
+    .document('/partitions/{partition}/users/{user}/remindedRequestsIn' +
+        '/{request}')
+    .onCreate(Notify.remindedIn);
+
+exports.expiredRequestNotification = functions.firestore
+    .document('/partitions/{partition}/locations/{location}/expiredRequests' +
+        '/{request}')
+    .onCreate(Notify.expired);
+
 exports.modifiedRequestInNotification = functions.firestore
     .document('/partitions/{partition}/users/{user}/modifiedRequestsIn' +
         '/{request}')
@@ -191,11 +226,31 @@ exports.rejectedRequestNotification = functions.firestore
         '/{request}')
     .onCreate(Notify.rejectedOut);
 
+exports.waitlistedRequestNotification = functions.firestore
+    .document('/partitions/{partition}/users/{user}/waitlistedRequestsOut' +
+        '/{request}')
+    .onCreate(Notify.waitlistedOut);
+
 exports.modifiedRequestOutNotification = functions.firestore
     .document('/partitions/{partition}/users/{user}/modifiedRequestsOut' +
         '/{request}')
     .onCreate(Notify.modifiedOut);
 
+// CLOSUREs
+exports.closureNotification = functions.firestore
+    .document('/partitions/{partition}/users/{user}/closureNotices/{notice}')
+    .onCreate(Notify.closure);
+
+// CERTIFICATEs
+exports.certificateNotification = functions.firestore
+    .document('/partitions/{partition}/users/{user}/certificates/{certificate}')
+    .onCreate(Notify.certificate);
+
+// ARCHIVEs
+exports.archiveNotification = functions.firestore
+    .document('/partitions/{partition}/users/{user}/archiveNotices/{notice}')
+    .onCreate(Notify.archive);
+
 // CLOCK-IN/OUTs
 exports.clockInNotification = functions.firestore
     .document('/partitions/{partition}/users/{supervisor}/clockIns/{clockIn}')
@@ -26,8 +26,8 @@ const Utils = require('utils');
  */
 const updateAuth = async (change, context) => {
 
-    // 0) Fetch data and return if the user was deleted. TODO: Remove Firebase
-    // Authentication account if the user document was deleted.
+    // 0) Fetch data and return if the user was deleted (the data API's
+    // `deleteUser` action removes their Firebase Authentication account).
     const profile = change.after.data();
     const uid = context.params.id;
     if (!profile) return console.warn('[WARNING] User (' + uid + ') deleted.');
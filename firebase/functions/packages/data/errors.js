@@ -0,0 +1,51 @@
+/**
+ * Error thrown by our data REST API that is sent back to the client as JSON
+ * (i.e. `{ code: 'invalid-argument', field: 'request.time.day', message: '' }`)
+ * using the HTTP status code that corresponds to it's (machine-readable)
+ * `code`.
+ * @see {@link https://cloud.google.com/apis/design/errors#handling_errors}
+ */
+class DataError extends Error {
+    constructor(code, message, field) {
+        super(message);
+        this.name = 'DataError';
+        this.code = DataError.statuses[code] ? code : 'internal';
+        this.status = DataError.statuses[this.code];
+        if (field) this.field = field;
+    }
+
+    /**
+     * Converts any error (e.g. one thrown by the Firestore SDK) into a
+     * `DataError` so that it can be sent to the client.
+     * @param {Error} err - The error to convert.
+     * @return {DataError} The given error (if it was already a `DataError`) or
+     * an `internal` `DataError` with the same message.
+     */
+    static from(err) {
+        if (err instanceof DataError) return err;
+        return new DataError('internal', err.message || err);
+    }
+
+    toJSON() {
+        const json = {
+            code: this.code,
+            message: this.message,
+        };
+        if (this.field) json.field = this.field;
+        return json;
+    }
+};
+
+DataError.statuses = {
+    'invalid-argument': 400,
+    'failed-precondition': 400,
+    'unauthenticated': 401,
+    'permission-denied': 403,
+    'not-found': 404,
+    'already-exists': 409,
+    'aborted': 409,
+    'resource-exhausted': 429,
+    'internal': 500,
+};
+
+module.exports = DataError;
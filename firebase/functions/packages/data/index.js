@@ -1,12 +1,1212 @@
 const phone = require('phone');
 const to = require('await-to-js').default;
 const admin = require('firebase-admin');
-const assert = require('assert');
+const functions = require('firebase-functions');
 const cors = require('cors')({
     origin: true,
 });
 
 const Stats = require('stats');
+const Hours = require('hours');
+const Utils = require('utils');
+const DataError = require('./errors.js');
+const {
+    validate,
+    validateBatch,
+} = require('./schema.js');
+
+// The maximum number of data actions that can be sent in a single batch.
+const MAX_BATCH_SIZE = new Number((functions.config().data || {})
+    .max_batch_size || 100).valueOf();
+
+// How long (in seconds) we keep the responses of requests that were sent with
+// an `Idempotency-Key` header (defaults to 24 hours).
+const IDEMPOTENCY_WINDOW = new Number((functions.config().data || {})
+    .idempotency_window || 24 * 60 * 60).valueOf();
+
+// How long (in seconds) a request can hold an idempotency key while it's data
+// action is being performed before retries can claim it (defaults to our max
+// function timeout of 9 minutes so that crashed requests don't block retries
+// for the whole `IDEMPOTENCY_WINDOW`).
+const IDEMPOTENCY_LEASE = new Number((functions.config().data || {})
+    .idempotency_lease || 9 * 60).valueOf();
+
+// How long (in seconds) users can undo their destructive data actions (e.g.
+// `cancelAppt` or `rejectRequest`) for (defaults to 30 seconds).
+const UNDO_WINDOW = new Number((functions.config().data || {})
+    .undo_window || 30).valueOf();
+
+// Claims the given idempotency key for the given user and action (resolving w/
+// the stored `response` and `statusCode` if it was already used or `undefined`
+// if the action should be performed).
+const claimIdempotencyKey = async (key, user, action) => {
+    if (!/^[\w-]{8,128}$/.test(key)) throw new DataError('invalid-argument',
+        'Idempotency key (' + key + ') must be 8 to 128 letters, numbers, ' +
+        'dashes or underscores.', 'Idempotency-Key');
+    const ref = global.db.collection('idempotencyKeys').doc(key);
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists && doc.data().expires.toDate() > new Date()) {
+            const stored = doc.data();
+            if (stored.uid !== user.uid || stored.action !== action)
+                throw new DataError('invalid-argument', 'Idempotency key (' +
+                    key + ') was already used for a different action.',
+                    'Idempotency-Key');
+            if (stored.status === 'unreplayable')
+                throw new DataError('failed-precondition', 'Request with ' +
+                    'idempotency key (' + key + ') was already performed (but ' +
+                    'it\'s response could not be stored).', 'Idempotency-Key');
+            if (stored.status === 'resolved') return {
+                response: stored.response,
+                statusCode: stored.statusCode || 200,
+            };
+            if (stored.leaseExpires.toDate() > new Date())
+                throw new DataError('aborted', 'Request with idempotency key ' +
+                    '(' + key + ') is still being processed.',
+                    'Idempotency-Key');
+        }
+        transaction.set(ref, {
+            uid: user.uid,
+            action: action,
+            status: 'pending',
+            timestamp: new Date(),
+            leaseExpires: new Date(Date.now() + IDEMPOTENCY_LEASE * 1000),
+            expires: new Date(Date.now() + IDEMPOTENCY_WINDOW * 1000),
+        });
+    });
+};
+
+// Stores the given result under the given idempotency key so that retries
+// replay it (keys whose results can't be stored are marked as `unreplayable` so
+// that retries are rejected instead).
+const resolveIdempotencyKey = async (key, result, statusCode = 200) => {
+    const ref = global.db.collection('idempotencyKeys').doc(key);
+    const response = JSON.stringify(result) || '';
+    const [err] = await to(ref.update({
+        status: 'resolved',
+        statusCode: statusCode,
+        response: response,
+    }));
+    if (err) {
+        console.error('[ERROR] Could not store response for idempotency key (' +
+            key + ') b/c of ' + err.message);
+        await ref.update({
+            status: 'unreplayable',
+        });
+    }
+    return response;
+};
+
+// Releases the given idempotency key (after an action failed w/out performing
+// anything) so that clients can retry w/ the same key.
+const releaseIdempotencyKey = (key) => {
+    return global.db.collection('idempotencyKeys').doc(key).delete();
+};
+
+// Sends the given error (as a `DataError`) w/ the HTTP status code of it's
+// `code`.
+const sendError = (res, err) => {
+    err = DataError.from(err);
+    return res.status(err.status).json({
+        error: err,
+    });
+};
+
+// Tracks the given data action in our supervisor dashboard stats.
+const trackDataAction = async (user, action, data, result, isTest) => {
+    if (!Stats.dataAction[action]) return console.warn('[WARNING] Data ' +
+        'action (' + action + ') not yet tracked.');
+    return Stats.dataAction[action](user, data, result, isTest);
+};
+
+// Tracks the given failed data action in our supervisor dashboard stats.
+const trackFailedDataAction = async (user, action, data, err, isTest) => {
+    if (!Stats.failedDataAction[action]) return console.warn('[WARNING] ' +
+        'Failed data action (' + action + ') not yet tracked.');
+    return Stats.failedDataAction[action](user, data, err, isTest);
+};
+
+// Performs the given batch of actions (in order) through the same `DataProxy`
+// checks as single actions. `best-effort` batches perform every action while
+// `check-first` batches check every action first and abort on the first failure
+// (w/out rolling back the actions that were already performed).
+const actBatch = async (user, token, batch, isTest) => {
+    validateBatch(batch);
+    if (batch.actions.length > MAX_BATCH_SIZE) throw new DataError(
+        'invalid-argument', 'Batches can only contain up to ' +
+        MAX_BATCH_SIZE + ' actions.', 'actions');
+    const checkFirst = batch.mode === 'check-first';
+    const results = batch.actions.map(item => ({
+        action: item.action,
+        status: 'aborted',
+    }));
+    const proxy = (item, index) => {
+        if (item.action === 'batch') throw new DataError('invalid-argument',
+            'Batches cannot be nested.', 'actions[' + index + '].action');
+        return new DataProxy(user, token, item.action, item.data);
+    };
+    const fail = (index, err) => {
+        err = DataError.from(err);
+        results[index].status = 'error';
+        results[index].error = err;
+        return err;
+    };
+    if (checkFirst) { // Check every action before performing any of them
+        var error;
+        for (var i = 0; i < batch.actions.length; i++) {
+            const [err] = await to(Promise.resolve().then(() => proxy(batch
+                .actions[i], i).act(true)));
+            if (err && !error) error = fail(i, err);
+            else if (err) fail(i, err);
+        }
+        if (error) return {
+            results: results,
+            error: error,
+        };
+    }
+    for (var i = 0; i < batch.actions.length; i++) {
+        const item = batch.actions[i];
+        const [err, result] = await to(Promise.resolve().then(() => proxy(
+            item, i).act()));
+        if (err) {
+            console.error('Error while processing batched ' + item.action +
+                ' action from ' + user.name + ' (' + user.uid + '):', err);
+            await trackFailedDataAction(user, item.action, item.data, err,
+                isTest);
+            if (!checkFirst) {
+                fail(i, err);
+                continue;
+            }
+            return {
+                results: results,
+                error: fail(i, err),
+            };
+        }
+        results[i].status = 'ok';
+        results[i].result = result;
+        await trackDataAction(user, item.action, item.data, result, isTest);
+    }
+    return {
+        results: results,
+    };
+};
+
+// Returns the refs of every copy (i.e. each attendee's and the location's) of
+// the given appt.
+const getApptRefs = (db, appt, id, collection = 'appointments') => appt
+    .attendees.map(a => db.collection('users').doc(a.uid)
+        .collection(collection).doc(id)).concat([
+        db.collection('locations').doc(appt.location.id)
+        .collection(collection).doc(id),
+    ]);
+
+// Returns the ref of the waitlist of the given tutor's weekly timeslot (stored
+// under it's location w/ an ID derived from the tutor and time so each timeslot
+// only has one).
+const getWaitlistRef = (db, waitlist) => db.collection('locations')
+    .doc(waitlist.location.id).collection('waitlists').doc([
+        waitlist.tutor.uid,
+        waitlist.time.day,
+        waitlist.time.from,
+        waitlist.time.to,
+    ].join('_'));
+
+// Returns the given user's availability timeslot at the given location and time
+// (or `undefined`).
+const getTimeslot = (user, location, time) => (((user.availability || {})[
+    location.name] || {})[time.day] || []).find(t => t.open === time.from &&
+    t.close === time.to);
+
+// The timezone of locations that haven't set their own `timezone`.
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+// Returns the data of the given location (by `id` or `name`) or `{}` if it
+// doesn't exist.
+const getLocationData = async (db, location) => {
+    const id = location.id || (await to(Data.getLocationIdFromName(location
+        .name)))[1];
+    const doc = id ? await db.collection('locations').doc(id).get() :
+        undefined;
+    return (doc && doc.exists ? doc.data() : {}) || {};
+};
+
+const getTimezone = async (db, location) => (await getLocationData(db,
+    location)).timezone || DEFAULT_TIMEZONE;
+
+// Returns the closure (if any) that the location is closed for on the given
+// `YYYY-MM-DD` date.
+const getClosure = (location, date) => (location.closures || []).find(c =>
+    c.from <= date && date <= (c.to || c.from));
+
+// Returns every `YYYY-MM-DD` date from `from` to `to` (inclusive and capped at
+// a year).
+const getDates = (from, to) => {
+    const dates = [];
+    const date = new Date(from + 'T00:00:00Z');
+    while (date.toISOString().slice(0, 10) <= to && dates.length < 366) {
+        dates.push(date.toISOString().slice(0, 10));
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return dates;
+};
+
+// Notifies the attendees of the location's appts that fall on any of it's new
+// closures (via `closureNotices` docs w/ the appt, `closure` and missed
+// `dates`) and resolves w/ the number of notices sent.
+const sendClosureNotices = async (db, id, location, previous = {}) => {
+    const today = Data.getDateString(new Date(), location.timezone ||
+        DEFAULT_TIMEZONE);
+    const closures = (location.closures || []).filter(c => (c.to ||
+        c.from) >= today && !(previous.closures || []).find(p => p.name ===
+        c.name && p.from === c.from && p.to === c.to));
+    if (!closures.length) return 0;
+    const appts = (await db.collection('locations').doc(id)
+        .collection('appointments').get()).docs;
+    const notices = [];
+    appts.forEach(doc => closures.forEach(closure => {
+        const dates = getDates(closure.from < today ? today : closure.from,
+            closure.to || closure.from).filter(date => Data.getOccurrence(doc
+            .data(), date));
+        if (!dates.length) return;
+        doc.data().attendees.forEach(a => notices.push([db.collection('users')
+            .doc(a.uid).collection('closureNotices').doc().path, {
+                for: doc.data(),
+                id: doc.id,
+                closure: closure,
+                dates: dates,
+                timestamp: new Date(),
+            },
+        ]));
+    }));
+    await setDocs(notices);
+    return notices.length;
+};
+
+// Returns the `Date` of the given clock time (e.g. `3:45 PM`) on the given
+// `YYYY-MM-DD` date in the given timezone (periods w/out clock times start at
+// midnight).
+const getScheduledDate = (date, time, timezone = DEFAULT_TIMEZONE) => {
+    var utc = new Date(date + ' ' + time + ' UTC');
+    if (isNaN(utc.valueOf())) utc = new Date(date + 'T00:00:00Z');
+    const offset = new Date(utc.toLocaleString('en-US', {
+        timeZone: 'UTC',
+    })) - new Date(utc.toLocaleString('en-US', {
+        timeZone: timezone,
+    }));
+    return new Date(utc.valueOf() + offset);
+};
+
+// Returns the minutes after midnight of the given clock time (or `undefined` if
+// it isn't one).
+const getMinutes = (time) => {
+    const match = /^(\d{1,2}):(\d{2})\s*([AP]M)$/i.exec((time || '').trim());
+    if (match) return (Number(match[1]) % 12 + (match[3].toUpperCase() ===
+        'PM' ? 12 : 0)) * 60 + Number(match[2]);
+};
+
+// Returns whether the given times overlap (periods are resolved w/ the
+// location's bell schedule and only compared by name if we don't know when they
+// start or end).
+const timesOverlap = (a, b, location) => {
+    if (a.day !== b.day) return false;
+    if (a.date && b.date && a.date !== b.date) return false;
+    const range = (t) => [
+        Utils.resolveTime(t, location).from,
+        Utils.resolveTime(t, location).to,
+    ].map(getMinutes);
+    const [aFrom, aTo] = range(a);
+    const [bFrom, bTo] = range(b);
+    if ([aFrom, aTo, bFrom, bTo].some(m => m === undefined))
+        return a.from === b.from || a.to === b.to;
+    return aFrom < bTo && bFrom < aTo;
+};
+
+// Returns the given users' appts (other than the one w/ the given `id`) that
+// overlap the given time (each w/ the `user` it conflicts for, it's `id`,
+// `appt` and `time`).
+const getConflicts = async (db, users, time, location, id) => {
+    const locationData = await getLocationData(db, location);
+    const conflicts = [];
+    await Promise.all(users.map(async (user) => (await db.collection('users')
+        .doc(user.uid).collection('appointments').get()).forEach((appt) => {
+        if (appt.id === id || conflicts.find(c => c.id === appt.id)) return;
+        const other = time.date ? Data.getOccurrence(appt.data(), time.date) :
+            appt.data().time;
+        if (other && timesOverlap(time, other, locationData)) conflicts.push({
+            user: user,
+            id: appt.id,
+            appt: appt.data(),
+            time: other,
+        });
+    })));
+    return conflicts;
+};
+
+const getConflictMessage = (conflict) => conflict.user.name + ' already has ' +
+    'an appointment for ' + conflict.appt.for.subject + ' with ' + conflict
+    .appt.attendees.filter(a => a.uid !== conflict.user.uid).map(a => a.name)
+    .join(' and ') + ' on ' + (conflict.time.date || conflict.time.day + 's') +
+    ' from ' + conflict.time.from + ' to ' + conflict.time.to + '.';
+
+// Returns the hours the given time takes up (or `0` if we don't know when it
+// starts or ends).
+const getHours = (time, location) => {
+    const resolved = Utils.resolveTime(time, location);
+    const from = getMinutes(resolved.from);
+    const to = getMinutes(resolved.to);
+    if (from === undefined || to === undefined || to < from) return 0;
+    return (to - from) / 60;
+};
+
+// Returns the given tutor's weekly `sessions`, weekly `hours` and distinct
+// `pupils` (counting one-off appts within the next week).
+const getTutorLoad = async (db, uid) => {
+    const today = Data.getDateString();
+    const weekFromToday = Data.getDateString(new Date(Date.now() + 6 * 864e5));
+    const appts = (await db.collection('users').doc(uid)
+        .collection('appointments').get()).docs.map(d => d.data()).filter(
+        a => a.for.toUser.uid === uid && (!a.time.date || (a.time.date >=
+            today && a.time.date <= weekFromToday)));
+    const locations = {};
+    appts.forEach(a => locations[a.location.id || a.location.name] =
+        getLocationData(db, a.location));
+    const load = {
+        sessions: appts.length,
+        hours: 0,
+        pupils: [],
+    };
+    await Promise.all(appts.map(async (appt) => {
+        load.hours += getHours(appt.time, await locations[appt.location.id ||
+            appt.location.name]);
+        appt.attendees.forEach((attendee) => {
+            if (attendee.uid !== uid && load.pupils.indexOf(attendee.uid) < 0)
+                load.pupils.push(attendee.uid);
+        });
+    }));
+    return load;
+};
+
+// Throws a `resource-exhausted` error if the given request would push it's
+// tutor past their capacity limits.
+const validateCapacity = async (db, request, location) => {
+    const doc = await db.collection('users').doc(request.toUser.uid).get();
+    const limits = (doc.exists ? doc.data().limits : null) || {};
+    const exceeds = (key, val) => typeof limits[key] === 'number' &&
+        val > limits[key];
+    if (!Object.keys(limits).some(key => typeof limits[key] === 'number'))
+        return;
+    const load = await getTutorLoad(db, request.toUser.uid);
+    const full = (message) => {
+        throw new DataError('resource-exhausted', request.toUser.name +
+            ' can only tutor ' + message + '.', 'request.toUser');
+    };
+    if (exceeds('sessions', load.sessions + 1))
+        full(limits.sessions + ' sessions per week');
+    if (exceeds('hours', load.hours + getHours(request.time, location)))
+        full(limits.hours + ' hours per week');
+    if (load.pupils.indexOf(request.fromUser.uid) < 0 &&
+        exceeds('pupils', load.pupils.length + 1))
+        full(limits.pupils + ' different pupils');
+};
+
+// How long (by default) requests can go unanswered before we remind their
+// tutor about them and before we automatically reject them.
+const STALE_REQUEST_DEFAULTS = {
+    remind: '3 Days',
+    expire: '14 Days',
+};
+
+// The bot that performs our scheduled (i.e. automatic) data actions.
+const OPERATOR = {
+    name: 'Operator',
+    uid: 'operator',
+    email: 'help@tutorbook.app',
+};
+
+// Moves the partition's passed (but never clocked) one-off appts to
+// `pastAppointments` as `unclocked` past appts (that don't count towards
+// service hours).
+const archivePastAppts = async (db) => {
+    const locations = (await db.collection('locations').get()).docs;
+    const archived = await Promise.all(locations.map(async (location) => {
+        const timezone = location.data().timezone || DEFAULT_TIMEZONE;
+        const today = Data.getDateString(new Date(), timezone);
+        const appts = (await location.ref.collection('appointments')
+            .where('time.date', '<', today).get()).docs;
+        return Promise.all(appts.map(async (doc) => {
+            const appt = doc.data();
+            const time = Utils.resolveTime(appt.time, location.data());
+            const [active, clockIn] = await Promise.all([
+                location.ref.collection('activeAppointments').doc(doc.id).get(),
+                location.ref.collection('clockIns').doc(doc.id).get(),
+            ]);
+            if (active.exists || clockIn.exists) return console.log('[DEBUG] ' +
+                'Not archiving appt (' + doc.id + ') that is still being ' +
+                'clocked.');
+            const pastApptID = location.ref.collection('pastAppointments')
+                .doc().id;
+            const pastAppt = Data.combineMaps(appt, {
+                unclocked: true,
+                clockIn: {
+                    sentTimestamp: getScheduledDate(time.date, time.from,
+                        timezone),
+                    sentBy: OPERATOR,
+                },
+                clockOut: {
+                    sentTimestamp: getScheduledDate(time.date, time.to,
+                        timezone),
+                    sentBy: OPERATOR,
+                },
+            });
+            const batch = admin.firestore().batch();
+            getApptRefs(db, appt, doc.id).forEach(ref => batch.delete(ref));
+            getApptRefs(db, appt, pastApptID, 'pastAppointments').forEach(ref =>
+                batch.set(ref, pastAppt));
+            await batch.commit();
+            return doc.id;
+        }));
+    }));
+    return [].concat.apply([], archived).filter(id => !!id).length;
+};
+
+// Replaces the given request's `requestsIn` and `requestsOut` docs w/ a
+// `rejectedRequestsOut` doc (that notifies the pupil).
+const rejectRequest = (db, request, id, rejection) => {
+    const requestIn = db.collection("users").doc(request.toUser.uid)
+        .collection('requestsIn')
+        .doc(id);
+    const requestOut = db.collection('users').doc(request.fromUser.uid)
+        .collection('requestsOut')
+        .doc(id);
+    const rejectedRequestOut = db.collection('users')
+        .doc(request.fromUser.uid)
+        .collection('rejectedRequestsOut')
+        .doc(id);
+
+    const batch = admin.firestore().batch();
+    if (request.payment.type === 'Paid') {
+        // Delete the authPayment docs as well
+        const authPayments = [
+            db.collection('users').doc(request.fromUser.uid)
+            .collection('authPayments')
+            .doc(id),
+            db.collection('users').doc(request.toUser.uid)
+            .collection('authPayments')
+            .doc(id),
+        ];
+        authPayments.forEach(authPayment => batch.delete(authPayment));
+    }
+
+    batch.set(rejectedRequestOut, Object.assign({
+        for: request,
+        rejectedTimestamp: new Date(),
+    }, rejection));
+    batch.delete(requestOut);
+    batch.delete(requestIn);
+    return batch.commit();
+};
+
+// Returns the days in the given stale request threshold (e.g. `3` from `3 Days`
+// or `Infinity` for `Never`).
+const getDays = (threshold) => threshold === 'Never' ? Infinity : new Number(
+    threshold.split(' ')[0]).valueOf();
+
+// Reminds tutors about the partition's stale requests and rejects those that
+// are too stale (telling supervisors so they can rematch the pupil) using each
+// location's `config.requests` thresholds.
+const expireStaleRequests = async (db) => {
+    const now = new Date();
+    const configs = {};
+    (await db.collection('locations').get()).docs.forEach(doc => configs[
+        doc.id] = Object.assign({}, STALE_REQUEST_DEFAULTS, (doc.data()
+        .config || {}).requests));
+    // Only requests that are at least as old as the shortest threshold can be
+    // stale (so we don't have to read every request on every run).
+    const min = Math.min.apply(Math, [STALE_REQUEST_DEFAULTS].concat(Object
+        .values(configs)).map(c => Math.min(getDays(c.remind),
+        getDays(c.expire))));
+    if (min === Infinity) return {
+        reminded: 0,
+        rejected: 0,
+    };
+    const cutoff = new Date(now.valueOf() - min * 24 * 60 * 60 * 1000);
+    const requests = (await admin.firestore().collectionGroup('requestsIn')
+        .where('timestamp', '<=', cutoff).get()).docs.filter(doc => doc.ref
+        .path.startsWith(db.path + '/')); // Skip other partitions' requests
+    const statuses = await Promise.all(requests.map(async (doc) => {
+        const request = doc.data();
+        const config = configs[request.location.id] || STALE_REQUEST_DEFAULTS;
+        const days = (now.valueOf() - request.timestamp.toDate().valueOf()) /
+            (24 * 60 * 60 * 1000);
+        if (days >= getDays(config.expire)) {
+            const reason = request.toUser.name + ' did not respond within ' +
+                config.expire.toLowerCase() + '.';
+            await rejectRequest(db, request, doc.id, {
+                rejectedBy: OPERATOR,
+                reason: reason,
+            });
+            if (request.location.id) await db.collection('locations')
+                .doc(request.location.id).collection('expiredRequests')
+                .doc(doc.id).set({
+                    for: request,
+                    expiredTimestamp: now,
+                    reason: reason,
+                });
+            return 'rejected';
+        }
+        if (days < getDays(config.remind) || request.remindedTimestamp)
+            return;
+        const batch = admin.firestore().batch();
+        batch.update(doc.ref, {
+            remindedTimestamp: now,
+        });
+        batch.set(doc.ref.parent.parent.collection('remindedRequestsIn')
+            .doc(doc.id), {
+                for: request,
+                remindedTimestamp: now,
+                expire: config.expire,
+            });
+        await batch.commit();
+        return 'reminded';
+    }));
+    return {
+        reminded: statuses.filter(s => s === 'reminded').length,
+        rejected: statuses.filter(s => s === 'rejected').length,
+    };
+};
+
+// Notifies the attendees of the archived location's appts (via `archiveNotices`
+// docs w/ the appt, `location` and `until` date) and resolves w/ the number of
+// notices sent.
+const sendArchiveNotices = async (db, id, location) => {
+    const appts = (await db.collection('locations').doc(id)
+        .collection('appointments').get()).docs;
+    const notices = [];
+    appts.forEach(doc => doc.data().attendees.forEach(a => notices.push([db
+        .collection('users').doc(a.uid).collection('archiveNotices').doc()
+        .path, {
+            for: doc.data(),
+            id: doc.id,
+            location: {
+                id: id,
+                name: location.name,
+            },
+            until: location.archived.until,
+            timestamp: new Date(),
+        },
+    ])));
+    await setDocs(notices);
+    return notices.length;
+};
+
+// Cancels all of the archived location's remaining appts (their attendees were
+// already sent archive notices).
+const windDownLocation = async (db, location) => {
+    const appts = (await location.ref.collection('appointments').get()).docs;
+    await Promise.all(appts.map(async (doc) => {
+        const appt = doc.data();
+        const batch = admin.firestore().batch();
+        if (appt.for.payment.type === 'Paid') appt.attendees.forEach(a => batch
+            .delete(db.collection('users').doc(a.uid)
+                .collection('authPayments').doc(doc.id)));
+        appt.attendees.map(a => db.collection('users').doc(a.uid))
+            .concat([location.ref]).forEach(ref => batch.set(ref
+                .collection('canceledAppointments').doc(doc.id), {
+                    canceledBy: location.data().archived.by || OPERATOR,
+                    canceledTimestamp: new Date(),
+                    for: appt,
+                }));
+        getApptRefs(db, appt, doc.id).forEach(ref => batch.delete(ref));
+        await batch.commit();
+        await Promise.all(appt.attendees.map(a => Data
+            .updateUserAvailability(a.uid, db)));
+    }));
+    return appts.length;
+};
+
+// Winds down the partition's archived locations whose `archived.until` date has
+// passed.
+const windDownLocations = async (db) => {
+    const locations = (await db.collection('locations').get()).docs.filter(
+        l => l.data().archived && l.data().archived.until < Data.getDateString(
+            new Date(), l.data().timezone || DEFAULT_TIMEZONE));
+    const counts = await Promise.all(locations.map(l => windDownLocation(db,
+        l)));
+    return counts.reduce((total, count) => total + count, 0);
+};
+
+// Returns the concise user (stored in requests, appts and chats) of the given
+// profile.
+const getConciseUser = (user) => {
+    return {
+        name: user.name,
+        email: user.email,
+        id: user.id,
+        uid: user.uid,
+        photo: user.photo || 'https://tutorbook.app/app/img/' +
+            ((user.gender === 'Female') ? 'female.png' : 'male.png'),
+        type: user.type,
+        grade: user.grade || 'Sophomore',
+        gender: user.gender || 'Male',
+        hourlyCharge: (user.payments && user.payments.hourlyCharge) ?
+            user.payments.hourlyCharge : 0,
+        payments: user.payments || {
+            hourlyCharge: 0,
+            type: 'Free',
+        },
+        proxy: user.proxy || [],
+    };
+};
+
+// Updates (or creates) the given group appt's chat so it includes every
+// attendee.
+const updateGroupChat = (transaction, ref, chat, appt) => {
+    const update = {
+        chatters: appt.attendees,
+        chatterUIDs: appt.attendees.map(a => a.uid),
+        chatterEmails: appt.attendees.map(a => a.email),
+    };
+    if (chat.exists) return transaction.update(ref, update);
+    transaction.set(ref, Object.assign(update, {
+        lastMessage: {
+            message: 'No messages so far. Click to send the first one.',
+            sentBy: global.app.conciseUser,
+            timestamp: new Date(),
+        },
+        location: appt.location,
+        createdBy: global.app.conciseUser,
+        name: appt.for.subject + ' group session',
+        photo: appt.for.toUser.photo || '',
+    }));
+};
+
+// Returns the paths of the given user's docs (i.e. their profile, their Stripe
+// docs and all of those docs' subcollections).
+const getUserDocPaths = async (db, uid) => {
+    const paths = [];
+    await Promise.all(['users', 'stripeCustomers', 'stripeAccounts'].map(
+        async (collection) => {
+            const ref = db.collection(collection).doc(uid);
+            if ((await ref.get()).exists) paths.push(ref.path);
+            for (const subcollection of await ref.listCollections())
+                (await subcollection.get()).forEach(d => paths.push(d.ref
+                    .path));
+        }));
+    return paths;
+};
+
+// Returns everything that deleting the given user touches (past appts are kept
+// for the location's and other attendees' service hours).
+const getUserDeletion = async (db, uid) => {
+    const ref = db.collection('users').doc(uid);
+    const doc = await ref.get();
+    if (!doc.exists) throw new DataError('not-found', 'User (' + uid + ') ' +
+        'did not exist.', 'uid');
+    const get = async (collection, key) => (await ref.collection(collection)
+        .get()).docs.map(d => ({
+        id: d.id,
+        [key]: d.data(),
+    }));
+    const appts = (await get('appointments', 'appt')).map(a => Object.assign(
+        a, {
+            leave: a.appt.for.toUser.uid !== uid && a.appt.attendees.length >
+                2,
+        }));
+    const chats = (await db.collection('chats').where('chatterUIDs',
+        'array-contains', uid).get()).docs.map(d => ({
+        id: d.id,
+        leave: d.data().chatterUIDs.length > 2,
+    }));
+    return {
+        user: getConciseUser(doc.data()),
+        appts: appts,
+        requestsIn: await get('requestsIn', 'request'),
+        requestsOut: await get('requestsOut', 'request'),
+        chats: chats,
+        docs: await getUserDocPaths(db, uid),
+    };
+};
+
+// Converts the given Firestore data into plain JSON (e.g. `Timestamp`s into ISO
+// strings and refs into their paths).
+const serialize = (val) => {
+    if (val === null || typeof val !== 'object') return val;
+    if (val instanceof Date) return val.toISOString();
+    if (typeof val.toDate === 'function') return val.toDate().toISOString();
+    if (val.firestore && typeof val.path === 'string') return val.path;
+    if (val instanceof Array) return val.map(serialize);
+    const json = {};
+    Object.entries(val).forEach(([key, v]) => json[key] = serialize(v));
+    return json;
+};
+
+// Returns the given doc's `data` and it's `subcollections` (keyed by name and
+// then doc ID).
+const getDocTree = async (ref) => {
+    const doc = await ref.get();
+    const subcollections = {};
+    for (const subcollection of await ref.listCollections()) {
+        subcollections[subcollection.id] = {};
+        (await subcollection.get()).forEach(d => subcollections[subcollection
+            .id][d.id] = serialize(d.data()));
+    }
+    return {
+        data: doc.exists ? serialize(doc.data()) : undefined,
+        subcollections: subcollections,
+    };
+};
+
+const getUserExportSummary = (archive) => {
+    const user = archive.profile;
+    const count = (docs) => Object.keys(docs || {}).length;
+    const hrs = (secs) => ((secs || 0) / 3600).toFixed(2);
+    const subcollections = Object.entries(archive.subcollections).map(
+        ([name, docs]) => '- ' + name.replace(/([A-Z])/g, ' $1')
+        .toLowerCase() + ': ' + count(docs));
+    return [
+        'Tutorbook data export for ' + user.name + ' <' + user.email + '>',
+        'Exported on ' + archive.exportedTimestamp + ' by ' + archive
+        .exportedBy.name,
+        '',
+        'Profile: ' + (user.type || 'No type') + (user.grade ? ' (' + user
+            .grade + ')' : '') + ' at the ' + (user.location ||
+            'no location'),
+        'Service hours: ' + hrs(archive.hours.secondsTutored) + ' hours ' +
+        'tutored and ' + hrs(archive.hours.secondsPupiled) + ' hours as a ' +
+        'pupil (' + count(archive.subcollections.pastAppointments) + ' past ' +
+        'appointments)',
+        'Payments: ' + Object.values(archive.payments).reduce((total, p) =>
+            total + Object.values(p.subcollections).reduce((t, docs) => t +
+                count(docs), 0), 0) + ' Stripe records',
+        'Chats: ' + archive.chats.length + ' (' + archive.chats.reduce(
+            (total, c) => total + count(c.messages), 0) + ' messages)',
+        '',
+        'Requests, appointments and notifications:',
+    ].concat(subcollections).join('\n');
+};
+
+// Returns everything we store about the given user (their profile,
+// subcollections, Stripe docs, chats and service hours) as a JSON-safe archive.
+const getUserExport = async (db, uid) => {
+    const user = await getDocTree(db.collection('users').doc(uid));
+    if (!user.data) throw new DataError('not-found', 'User (' + uid + ') did ' +
+        'not exist.', 'uid');
+    const payments = {};
+    for (const collection of ['stripeCustomers', 'stripeAccounts'])
+        payments[collection] = await getDocTree(db.collection(collection)
+            .doc(uid));
+    const chats = await Promise.all((await db.collection('chats').where(
+        'chatterUIDs', 'array-contains', uid).get()).docs.map(async (d) => {
+        const chat = await getDocTree(d.ref);
+        return {
+            id: d.id,
+            chat: chat.data,
+            messages: chat.subcollections.messages || {},
+        };
+    }));
+    const archive = {
+        exportedTimestamp: new Date().toISOString(),
+        exportedBy: global.app.conciseUser,
+        profile: user.data,
+        subcollections: user.subcollections,
+        payments: payments,
+        chats: chats,
+        hours: {
+            secondsTutored: user.data.secondsTutored || 0,
+            secondsPupiled: user.data.secondsPupiled || 0,
+            pastAppointments: user.subcollections.pastAppointments || {},
+        },
+    };
+    archive.summary = getUserExportSummary(archive);
+    return archive;
+};
+
+const deleteDocs = async (paths) => {
+    for (var i = 0; i < paths.length; i += 500) {
+        const batch = admin.firestore().batch();
+        paths.slice(i, i + 500).forEach(p => batch.delete(admin.firestore()
+            .doc(p)));
+        await batch.commit();
+    }
+};
+
+const setDocs = async (docs) => {
+    for (var i = 0; i < docs.length; i += 500) {
+        const batch = admin.firestore().batch();
+        docs.slice(i, i + 500).forEach(([p, data]) => batch.set(admin
+            .firestore().doc(p), data));
+        await batch.commit();
+    }
+};
+
+// Rewrites the merged user's embedded copies (concise users, UIDs and emails)
+// in the given data to the user they were merged into (keeping only the first
+// copy in arrays that end up w/ two).
+const rewriteUser = (val, from, into) => {
+    if (val === from.uid) return into.uid;
+    if (from.email && val === from.email) return into.email;
+    if (val instanceof Array) {
+        const items = val.map(v => rewriteUser(v, from, into));
+        const isInto = (v) => v === into.uid || (v && v.uid === into.uid);
+        return items.filter((v, i) => !isInto(v) || items.findIndex(isInto) ===
+            i);
+    }
+    if (!val || typeof val !== 'object' || val.constructor !== Object)
+        return val; // Don't touch Timestamps, references, etc.
+    if (val.uid === from.uid) return Data.combineMaps(val, into);
+    const rewritten = {};
+    Object.entries(val).forEach(([key, v]) => rewritten[key] = rewriteUser(v,
+        from, into));
+    return rewritten;
+};
+
+// Returns everything that merging the given duplicate user into another touches
+// (the `moves` of their docs, the docs that embed them and are `rewrites` and
+// the service `hours` that are moved).
+const getUserMerge = async (db, from, into) => {
+    if (from === into) throw new DataError('invalid-argument', 'Cannot merge ' +
+        'a user (' + from + ') into themself.', 'into');
+    const fromRef = db.collection('users').doc(from);
+    const intoRef = db.collection('users').doc(into);
+    const [fromDoc, intoDoc] = await Promise.all([fromRef.get(), intoRef
+        .get()
+    ]);
+    if (!fromDoc.exists) throw new DataError('not-found', 'User (' + from +
+        ') did not exist.', 'from');
+    if (!intoDoc.exists) throw new DataError('not-found', 'User (' + into +
+        ') did not exist.', 'into');
+    const moves = [];
+    const related = [];
+    const move = async (doc, to) => moves.push({
+        from: doc.ref.path,
+        to: to.path,
+        conflict: (await to.get()).exists,
+    });
+    const relate = (doc) => { // The other copies of appts and requests
+        const val = doc.data();
+        const collection = doc.ref.parent.id;
+        if (val.attendees && val.location && val.location.id) related.push(
+            ...getApptRefs(db, val, doc.id, collection));
+        if (!val.fromUser || !val.toUser) return;
+        const other = val.fromUser.uid === from ? val.toUser : val.fromUser;
+        related.push(db.collection('users').doc(other.uid).collection(
+            /Out$/.test(collection) ? collection.replace(/Out$/, 'In') :
+            collection.replace(/In$/, 'Out')).doc(doc.id));
+        if (val.location && val.location.id) related.push(db.collection(
+            'locations').doc(val.location.id).collection(collection)
+            .doc(doc.id));
+    };
+    for (const subcollection of await fromRef.listCollections())
+        for (const doc of (await subcollection.get()).docs) {
+            await move(doc, intoRef.collection(subcollection.id).doc(doc.id));
+            relate(doc);
+        }
+    for (const collection of ['stripeCustomers', 'stripeAccounts']) {
+        const ref = db.collection(collection).doc(from);
+        const doc = await ref.get();
+        if (doc.exists) await move(doc, db.collection(collection).doc(into));
+        for (const subcollection of await ref.listCollections())
+            for (const d of (await subcollection.get()).docs)
+                await move(d, db.collection(collection).doc(into)
+                    .collection(subcollection.id).doc(d.id));
+    }
+    const rewrites = [];
+    const mentions = (doc) => doc.exists && JSON.stringify(doc.data())
+        .indexOf('"' + from + '"') >= 0;
+    const rewrite = (doc) => {
+        if (!mentions(doc) || rewrites.indexOf(doc.ref.path) >= 0) return;
+        if (doc.ref.path.startsWith(fromRef.path + '/')) return; // Moved
+        rewrites.push(doc.ref.path);
+    };
+    for (const ref of related) rewrite(await ref.get());
+    for (const chat of (await db.collection('chats').where('chatterUIDs',
+            'array-contains', from).get()).docs) {
+        rewrite(chat);
+        (await chat.ref.collection('messages').get()).forEach(rewrite);
+    }
+    (await db.collection('users').where('proxy', 'array-contains', from)
+        .get()).forEach(rewrite);
+    return {
+        from: getConciseUser(fromDoc.data()),
+        into: getConciseUser(intoDoc.data()),
+        moves: moves,
+        rewrites: rewrites,
+        hours: {
+            secondsTutored: fromDoc.data().secondsTutored || 0,
+            secondsPupiled: fromDoc.data().secondsPupiled || 0,
+        },
+    };
+};
+
+// Returns the refs of the (known) docs that the given action targets.
+const getAuditRefs = (db, user, action, data, res) => {
+    res = res || {};
+    const doc = (...path) => path.every(p => p) ? db.doc(path.join('/')) :
+        undefined;
+    const loc = (location, collection, id) => doc('locations', location.id,
+        collection, id);
+    const requests = (r, id) => [
+        doc('users', r.toUser.uid, 'requestsIn', id),
+        doc('users', r.fromUser.uid, 'requestsOut', id),
+    ];
+    const payments = (p, id, collection) => [
+        doc('users', user.uid, 'requestedPayments', id),
+        doc('users', p.to.uid, collection, id),
+        doc('users', p.from.uid, collection, id),
+    ];
+    const timeRequest = (collection = 'timeRequests', id = data.id) => [
+        loc(data.request.appt.location, collection, id),
+    ];
+    const clocking = (c, collection) => [
+        loc(data[c].for.location, c + 's', data.id),
+        loc(data[c].for.location, 'activeAppointments', data.id),
+    ].concat(collection ? [loc(data[c].for.location, collection, res.id)] :
+        []);
+    const appt = (collection = 'appointments', id = data.id) => [
+        loc(data.appt.location, collection, id),
+    ];
+    const refs = {
+        createLocation: () => [doc('locations', res.id || data.id)],
+        updateLocation: () => [doc('locations', data.id)],
+        deleteLocation: () => [doc('locations', data.id)],
+        archiveLocation: () => [doc('locations', data.id)],
+        purgeLocation: () => [doc('locations', data.id)],
+        createUser: () => [data.uid ? doc('users', data.uid) :
+            doc('usersByEmail', data.id || data.email)
+        ],
+        deleteUser: () => [
+            doc('users', data.uid),
+            doc('deletedUsers', data.uid),
+        ],
+        adjustHours: () => [
+            doc('users', data.uid),
+            doc('users', data.uid, 'hoursLedger', res.id),
+        ],
+        rebuildHours: () => [doc('users', data.uid)],
+        applyHoursRounding: () => [doc('locations', data.id)],
+        mergeUsers: () => [
+            doc('users', data.from),
+            doc('users', data.into),
+            doc('mergedUsers', data.from),
+        ],
+        newTimeRequest: () => timeRequest('timeRequests', res.id),
+        modifyTimeRequest: () => timeRequest(),
+        approveTimeRequest: () => timeRequest()
+            .concat(timeRequest('approvedTimeRequests'))
+            .concat(timeRequest('pastAppointments', res.id)),
+        rejectTimeRequest: () => timeRequest()
+            .concat(timeRequest('rejectedTimeRequests')),
+        newRequest: () => requests(data.request, res.id),
+        requestPaymentFor: () => data.appt.attendees.map(a => doc('users',
+            a.uid, 'requestedPayments', data.id)),
+        approvePayment: () => payments(data.approvedPayment, data.id,
+            'approvedPayments'),
+        denyPayment: () => payments(data.deniedPayment, data.id,
+            'deniedPayments'),
+        instantClockIn: () => appt('activeAppointments'),
+        instantClockOut: () => appt('activeAppointments')
+            .concat(appt('pastAppointments', res.id)),
+        rejectClockIn: () => clocking('clockIn', 'rejectedClockIns'),
+        approveClockIn: () => clocking('clockIn'),
+        rejectClockOut: () => clocking('clockOut', 'rejectedClockOuts'),
+        approveClockOut: () => clocking('clockOut', 'pastAppointments'),
+        clockIn: () => appt('clockIns'),
+        clockOut: () => appt('clockOuts'),
+        approveRequest: () => requests(data.request, data.id)
+            .concat([loc(data.request.location, 'appointments', data.id)]),
+        modifyAppt: () => appt(),
+        newPastAppt: () => appt('pastAppointments', res.id),
+        modifyPastAppt: () => appt('pastAppointments'),
+        deletePastAppt: () => appt('pastAppointments'),
+        cancelAppt: () => appt(),
+        cancelApptOccurrence: () => appt(),
+        modifyApptOccurrence: () => appt(),
+        joinAppt: () => appt(),
+        leaveAppt: () => appt(),
+        joinWaitlist: () => [getWaitlistRef(db, data.waitlist)],
+        leaveWaitlist: () => [getWaitlistRef(db, data.waitlist)],
+        reorderWaitlist: () => [getWaitlistRef(db, data.waitlist)],
+        rejectRequest: () => requests(data.request, data.id),
+        cancelRequest: () => requests(data.request, data.id),
+        modifyRequest: () => requests(data.request, data.id),
+        undoAction: () => (res.restored || []).map(path => admin.firestore()
+            .doc(path)),
+    };
+    return (refs[action] ? refs[action]() : []).filter(ref => ref);
+};
+
+// Returns the changed `fields` between the given doc data (w/ their `before`
+// and `after` values unless they're redacted).
+const getAuditChange = (before, after, redact = false) => {
+    const fields = Object.keys(Object.assign({}, before, after)).filter(f =>
+        JSON.stringify((before || {})[f]) !== JSON.stringify((after || {})[f]));
+    const pick = (doc) => doc ? redact ? {} : fields.reduce((values, field) => {
+        if (doc[field] !== undefined) values[field] = doc[field];
+        return values;
+    }, {}) : null;
+    return {
+        fields: fields,
+        before: pick(before),
+        after: pick(after),
+    };
+};
+
+// Actions whose audit log entries only record which fields changed (what was
+// deleted or moved is kept in their `deletedUsers` or `mergedUsers` tombstones
+// instead).
+const REDACTED_AUDIT_ACTIONS = ['deleteUser', 'mergeUsers'];
+
+// Returns the ID of the location whose audit log the given action is recorded
+// in (i.e. the location of the data it targets or of the user performing it).
+const getAuditLocationId = async (user, action, data, res) => {
+    if (action === 'purgeLocation') return; // It's audit log was purged
+    if (action.endsWith('Location')) return (res || {}).id || data.id;
+    if (action === 'applyHoursRounding') return data.id;
+    const location = [
+        data.appt,
+        data.request ? data.request.appt || data.request : undefined,
+        data.waitlist,
+        data.clockIn ? data.clockIn.for : undefined,
+        data.clockOut ? data.clockOut.for : undefined,
+    ].filter(d => d && d.location).map(d => d.location)[0];
+    if (location && location.id) return location.id;
+    if (location) return (await to(Data.getLocationIdFromName(location
+        .name)))[1];
+    if (user.locations && user.locations.length) return user.locations[0];
+    if (user.location) return (await to(Data.getLocationIdFromName(user
+        .location)))[1];
+};
+
+const getDocData = (refs) => Promise.all(refs.map(async (ref) => [
+    ref.path,
+    (await ref.get()).data() || null,
+]));
+
+// Performs the given action and records it (w/ the before and after values of
+// the docs it targets) in it's location's append-only `auditLogs` (or the
+// partition's if it isn't tied to a location).
+const audit = async (user, action, data, perform) => {
+    const db = global.db;
+    const get = getDocData;
+    const before = new Map(await get(getAuditRefs(db, user, action, data)));
+    const [err, res] = await to(Promise.resolve().then(() => perform()));
+    const refs = getAuditRefs(db, user, action, data, res);
+    const after = new Map(await get(refs));
+    const redact = REDACTED_AUDIT_ACTIONS.indexOf(action) >= 0;
+    const entry = {
+        actor: getConciseUser(user),
+        action: action,
+        targets: refs.map(ref => ref.id)
+            .filter((id, index, ids) => ids.indexOf(id) === index),
+        changes: Array.from(after.entries()).map(([path, doc]) => Object
+            .assign({
+                path: path,
+            }, getAuditChange(before.get(path) || null, doc, redact)))
+            .filter(change => change.fields.length),
+        timestamp: new Date(),
+        partition: db.id,
+        redacted: redact,
+    };
+    if (err) entry.error = DataError.from(err).toJSON();
+    const locationId = await getAuditLocationId(user, action, data, res);
+    const [auditErr] = await to((locationId ? db.collection('locations')
+        .doc(locationId) : db).collection('auditLogs').doc().set(entry));
+    if (auditErr) console.error('[ERROR] Could not record ' + action +
+        ' action from ' + user.name + ' (' + user.uid + ') in audit log b/c ' +
+        'of ' + auditErr.message);
+    if (err) throw err;
+    return res;
+};
+
+// Returns whether the given action can be undone (paid lessons can't be as
+// canceling them releases the pupil's authorized payment).
+const isUndoable = (action, data) => {
+    if (action === 'deletePastAppt') return true;
+    if (['cancelAppt', 'rejectRequest', 'cancelRequest'].indexOf(action) < 0)
+        return false;
+    return (data.appt ? data.appt.for : data.request).payment.type !== 'Paid';
+};
+
+// Returns the refs of every doc that the given (undoable) action creates,
+// changes or deletes.
+const getUndoRefs = (db, action, data, res) => {
+    res = res || {};
+    const doc = (...path) => db.doc(path.join('/'));
+    const requests = (r, id) => [
+        doc('users', r.toUser.uid, 'requestsIn', id),
+        doc('users', r.fromUser.uid, 'requestsOut', id),
+    ];
+    const canceledAppts = (appt, id) => appt.attendees.map(a => doc('users',
+        a.uid, 'canceledAppointments', id)).concat([doc('locations', appt
+        .location.id, 'canceledAppointments', id)]);
+    const waitlist = (a) => a.time.date ? [] : [getWaitlistRef(db, {
+        tutor: a.for.toUser,
+        location: a.location,
+        time: a.time,
+    })];
+    const waitlisted = (w) => w ? requests(w.request, w.id).concat([
+        doc('users', w.request.fromUser.uid, 'waitlistedRequestsOut', w.id),
+    ]) : [];
+    const refs = {
+        cancelAppt: () => getApptRefs(db, data.appt, data.id)
+            .concat(canceledAppts(data.appt, data.id))
+            .concat(waitlist(data.appt))
+            .concat(waitlisted(res.waitlisted)),
+        rejectRequest: () => requests(data.request, data.id).concat([
+            doc('users', data.request.fromUser.uid, 'rejectedRequestsOut',
+                data.id),
+        ]),
+        cancelRequest: () => requests(data.request, data.id).concat([
+            doc('users', data.request.toUser.uid, 'canceledRequestsIn',
+                data.id),
+            doc('users', data.request.fromUser.uid, 'canceledRequestsOut',
+                data.id),
+        ]),
+        deletePastAppt: () => getApptRefs(db, data.appt, data.id,
+            'pastAppointments'),
+    };
+    return refs[action]();
+};
+
+// Performs the given action and (if it can be undone) stores the docs it
+// changes in the user's `undoableActions` so that they can undo it w/
+// `undoAction` within our `UNDO_WINDOW`.
+const undoable = async (user, action, data, perform) => {
+    if (!isUndoable(action, data)) return perform();
+    const db = global.db;
+    const before = new Map(await getDocData(getUndoRefs(db, action, data)));
+    const res = await perform();
+    const ref = db.collection('users').doc(user.uid)
+        .collection('undoableActions').doc();
+    const expires = new Date(Date.now() + UNDO_WINDOW * 1000);
+    // The action was already performed so failing here would let clients
+    // retry (and perform) it again; it just can't be undone.
+    const [err] = await to(getDocData(getUndoRefs(db, action, data, res))
+        .then(after => ref.set({
+            action: action,
+            docs: after.map(([path, doc]) => ({
+                path: path,
+                data: before.get(path) || null,
+                exists: !!doc,
+            })),
+            users: action === 'cancelAppt' ? data.appt.attendees
+                .map(a => a.uid) : [],
+            timestamp: new Date(),
+            expires: expires,
+        })));
+    if (err) {
+        console.error('[ERROR] Could not record undoable ' + action +
+            ' action from ' + user.name + ' (' + user.uid + ') b/c of ' +
+            err.message);
+        return res;
+    }
+    return Object.assign({}, res, {
+        undo: {
+            id: ref.id,
+            expires: expires,
+        },
+    });
+};
 
 /**
  * Recieves a user, an action, and (optional) data. Performs requested action
@@ -14,11 +1214,13 @@ const Stats = require('stats');
  */
 class DataProxy {
     constructor(user, token, action, data) {
-        assert(token.email === user.email);
-        assert(token.uid === user.uid);
+        if (token.email !== user.email || token.uid !== user.uid)
+            throw new DataError('unauthenticated', 'Token did not belong to ' +
+                'user (' + user.uid + ').', 'token');
         ['name', 'email', 'id', 'type', 'uid'].forEach((attr) => {
             if (!user[attr] || user[attr] === '')
-                throw new Error('User did not have a valid ' + attr + '.');
+                throw new DataError('failed-precondition', 'User did not ' +
+                    'have a valid ' + attr + '.', 'user.' + attr);
         });
         ['photo', 'grade', 'gender', 'payments', 'proxy'].forEach((attr) => {
             if (!user[attr] || user[attr] === '')
@@ -27,24 +1229,7 @@ class DataProxy {
         });
         global.app = {
             user: user,
-            conciseUser: {
-                name: user.name,
-                email: user.email,
-                id: user.id,
-                uid: user.uid,
-                photo: user.photo || 'https://tutorbook.app/app/img/' +
-                    ((user.gender === 'Female') ? 'female.png' : 'male.png'),
-                type: user.type,
-                grade: user.grade || 'Sophomore',
-                gender: user.gender || 'Male',
-                hourlyCharge: (user.payments && user.payments.hourlyCharge) ?
-                    user.payments.hourlyCharge : 0,
-                payments: user.payments || {
-                    hourlyCharge: 0,
-                    type: 'Free',
-                },
-                proxy: user.proxy || [],
-            },
+            conciseUser: getConciseUser(user),
         };
         this.action = action;
         this.data = data;
@@ -52,163 +1237,333 @@ class DataProxy {
         this.user = user;
     }
 
-    async act() {
+    /**
+     * Performs the data action (after validating it's payload and checking that
+     * the user is allowed to perform it).
+     * @param {bool} [dryRun=false] - Whether to only validate and check the
+     * data action (without actually performing it). Used to check every action
+     * in a `check-first` batch before performing any of them.
+     * @return {Promise<Object>} Promise that resolves with the data action's
+     * result (or `undefined` for dry runs).
+     */
+    async act(dryRun = false) {
         const action = this.action;
         const data = this.data;
         const token = this.token;
         const user = this.user;
-        const exists = async (collec, id, c = 'users', i = user.uid) => {
+        const perform = dryRun ? new Proxy(Data, { // Checks but doesn't act
+            get: () => () => undefined,
+        }) : new Proxy(Data, { // Records every action in our audit log
+            get: (target, prop) => (...args) => audit(user, action, data,
+                () => undoable(user, action, data, () => target[prop](
+                    ...args))),
+        });
+        const read = dryRun ? perform : Data; // Unaudited previews and exports
+        const attends = (appt) => appt.attendees.map(a => a.uid)
+            .indexOf(token.uid) >= 0;
+        // Users can act for themselves or for any of the given users that list
+        // them as a `proxy` (e.g. parents acting for their linked children).
+        // Requests and appointments acted upon by proxies record who acted.
+        var proxyFor; // The user that a proxy is acting for
+        const actsFor = async (users) => {
+            const uids = users.map(u => u.uid);
+            if (uids.indexOf(token.uid) >= 0) return true;
+            const docs = await Promise.all(uids.map(uid => global.db
+                .collection('users').doc(uid).get()));
+            const doc = docs.find(d => d.exists && (d.data().proxy || [])
+                .indexOf(token.uid) >= 0);
+            if (!doc) return false;
+            proxyFor = doc.id;
+            ['request', 'appt'].filter(key => data[key]).forEach(key =>
+                data[key].proxiedBy = global.app.conciseUser);
+            return true;
+        };
+        const actingAs = (uid) => [token.uid, proxyFor].indexOf(uid) >= 0;
+        // Supervisors can only act on users at (one of) their locations.
+        const supervises = async (uid) => {
+            if (!token.supervisor) return false;
+            const doc = await global.db.collection('users').doc(uid).get();
+            if (!doc.exists) return true; // Let the action report it missing
+            const names = (await Promise.all(token.locations.map(id => global
+                .db.collection('locations').doc(id).get()))).filter(l => l
+                .exists).map(l => l.data().name);
+            return [doc.data().location].concat(doc.data().locations || [])
+                .some(name => names.indexOf(name) >= 0);
+        };
+        const permit = (allowed) => {
+            if (!allowed) throw new DataError('permission-denied', user.name +
+                ' (' + user.uid + ') is not allowed to perform ' + action +
+                ' actions on this data.');
+        };
+        // Only supervisors and the tutor (or their proxies) can book over
+        // existing appointments (pupils can't double-book their tutors).
+        const checkConflicts = async (users, time, location, id, field) => {
+            const conflicts = await getConflicts(global.db, users, time,
+                location, id);
+            const tutor = (data.request || data.appt.for).toUser;
+            const ignore = data.ignoreConflicts && (token.supervisor ||
+                actingAs(tutor.uid));
+            if (conflicts.length && !ignore)
+                throw new DataError('already-exists', getConflictMessage(
+                    conflicts[0]), field);
+            return conflicts;
+        };
+        const warn = async (conflicts, res) => conflicts.length ? Object
+            .assign({}, await res, {
+                conflicts: conflicts,
+            }) : res;
+        const exists = async (collec, id, c = 'users', i = proxyFor ||
+            user.uid) => {
             const doc = await global.db.collection(c).doc(i).collection(collec)
                 .doc(id).get();
             console.log('[DEBUG] Does ' + c + ' doc (' + i + ') have a(n) ' +
                 collec + ' doc (' + id + ')?', (doc.exists) ? 'Yes.' : 'No, ' +
                 'erroring.');
-            assert(doc.exists);
+            if (!doc.exists) throw new DataError('not-found', c + ' doc (' + i +
+                ') did not have a(n) ' + collec + ' doc (' + id + ').', 'id');
         };
+        validate(action, data);
         switch (action) {
             case 'createLocation':
-                assert(token.supervisor);
-                return Data.createLocation(data.location, data.id);
+                permit(token.supervisor);
+                return perform.createLocation(data.location, data.id);
             case 'updateLocation':
-                assert(token.supervisor && token.locations.indexOf(data.id) >=
+                permit(token.supervisor && token.locations.indexOf(data.id) >=
+                    0);
+                return perform.updateLocation(data.location, data.id);
+            case 'archiveLocation':
+                permit(token.supervisor && token.locations.indexOf(data.id) >=
                     0);
-                return Data.updateLocation(data.location, data.id);
-            case 'deleteLocation':
-                assert(token.supervisor && token.locations.indexOf(data.id) >=
+                return perform.archiveLocation(data.id, data.until);
+            case 'deleteLocation': // Locations are archived (not deleted)
+                permit(token.supervisor && token.locations.indexOf(data.id) >=
                     0);
-                return Data.deleteLocation(data.id);
+                return perform.archiveLocation(data.id);
+            case 'purgeLocation':
+                permit(token.supervisor && token.locations.indexOf(data.id) >=
+                    0);
+                return perform.purgeLocation(data.id);
             case 'createProxyUser':
-                assert(token.supervisor);
-                return Data.createProxyUser(data.user);
+                permit(token.supervisor);
+                return perform.createProxyUser(data.user);
             case 'createUser':
-                assert(token.uid === data.uid || token.supervisor);
-                return Data.createUser(data);
+                permit(token.uid === data.uid || token.supervisor);
+                return perform.createUser(data);
+            case 'exportUser':
+                permit(await actsFor([{
+                    uid: data.uid,
+                }]) || await supervises(data.uid));
+                return read.exportUser(data.uid);
+            case 'previewUserDeletion':
+                permit(await actsFor([{
+                    uid: data.uid,
+                }]) || await supervises(data.uid));
+                return read.previewUserDeletion(data.uid);
+            case 'deleteUser':
+                permit(await actsFor([{
+                    uid: data.uid,
+                }]) || await supervises(data.uid));
+                return perform.deleteUser(data.uid);
+            case 'previewUserMerge':
+                permit(await supervises(data.from) &&
+                    await supervises(data.into));
+                return read.previewUserMerge(data.from, data.into);
+            case 'mergeUsers':
+                permit(await supervises(data.from) &&
+                    await supervises(data.into));
+                return perform.mergeUsers(data.from, data.into);
+            case 'adjustHours':
+                permit(await supervises(data.uid));
+                return perform.adjustHours(data.uid, data.seconds, data.reason,
+                    data.role);
+            case 'rebuildHours':
+                permit(await supervises(data.uid));
+                return perform.rebuildHours(data.uid);
+            case 'previewHoursRounding':
+                permit(token.supervisor && token.locations.indexOf(data.id) >=
+                    0);
+                return read.previewHoursRounding(data.id, data.rules, data
+                    .from, data.to);
+            case 'applyHoursRounding':
+                permit(token.supervisor && token.locations.indexOf(data.id) >=
+                    0);
+                return perform.applyHoursRounding(data.id, data.rules, data
+                    .from, data.to);
             case 'newTimeRequest':
-                assert(user.type === 'Tutor' && user.payments.type === 'Free');
-                return Data.newTimeRequest(data.request);
+                permit(user.type === 'Tutor' && user.payments.type === 'Free');
+                return perform.newTimeRequest(data.request);
             case 'modifyTimeRequest':
-                assert(token.supervisor);
-                return Data.modifyTimeRequest(data.request, data.id);
+                permit(token.supervisor);
+                return perform.modifyTimeRequest(data.request, data.id);
             case 'approveTimeRequest':
-                assert(token.supervisor);
-                return Data.approveTimeRequest(data.request, data.id);
+                permit(token.supervisor);
+                return perform.approveTimeRequest(data.request, data.id);
             case 'rejectTimeRequest':
-                assert(token.supervisor);
-                return Data.rejectTimeRequest(data.request, data.id);
+                permit(token.supervisor);
+                return perform.rejectTimeRequest(data.request, data.id);
             case 'newRequest':
-                assert(token.uid === data.request.fromUser.uid ||
+                permit(await actsFor([data.request.fromUser]) ||
                     token.supervisor);
-                return Data.newRequest(data.request, data.payment);
+                return warn(await checkConflicts([
+                    data.request.fromUser,
+                    data.request.toUser,
+                ], data.request.time, data.request.location, undefined,
+                    'request.time'), perform.newRequest(data.request,
+                    data.payment));
             case 'requestPayout':
-                assert(user.type === 'Tutor' && user.payments.type === 'Paid');
-                return Data.requestPayout();
+                permit(user.type === 'Tutor' && user.payments.type === 'Paid');
+                return perform.requestPayout();
             case 'requestPaymentFor':
-                assert([
-                        data.appt.attendees[0].uid,
-                        data.appt.attendees[1].uid,
-                    ].indexOf(token.uid) >= 0 &&
+                permit(attends(data.appt) &&
                     user.type === 'Tutor' &&
                     user.payments.type === 'Paid' &&
                     data.appt.for.payment.type === 'Paid'
                 );
                 await exists('appointments', data.id);
-                return Data.requestPaymentFor(data.appt, data.id);
+                return perform.requestPaymentFor(data.appt, data.id);
             case 'approvePayment':
-                assert(user.type === 'Pupil');
+                permit(user.type === 'Pupil');
                 await exists('appointments', data.id);
-                return Data.approvePayment(data.approvedPayment, data.id);
+                return perform.approvePayment(data.approvedPayment, data.id);
             case 'denyPayment':
-                assert(user.type === 'Pupil');
+                permit(user.type === 'Pupil');
                 await exists('appointments', data.id);
-                return Data.denyPayment(data.deniedPayment, data.id);
+                return perform.denyPayment(data.deniedPayment, data.id);
             case 'instantClockIn':
-                assert(token.supervisor);
-                return Data.instantClockIn(data.appt, data.id);
+                permit(token.supervisor);
+                return perform.instantClockIn(data.appt, data.id);
             case 'instantClockOut':
-                assert(token.supervisor);
-                return Data.instantClockOut(data.appt, data.id);
+                permit(token.supervisor);
+                return perform.instantClockOut(data.appt, data.id);
             case 'rejectClockIn':
-                assert(token.supervisor);
+                permit(token.supervisor);
                 await exists('clockIns', data.id, 'locations', data.clockIn.for
                     .location.id);
-                return Data.rejectClockIn(data.clockIn, data.id);
+                return perform.rejectClockIn(data.clockIn, data.id);
             case 'approveClockIn':
-                assert(token.supervisor);
+                permit(token.supervisor);
                 await exists('clockIns', data.id, 'locations', data.clockIn.for
                     .location.id);
-                return Data.approveClockIn(data.clockIn, data.id);
+                return perform.approveClockIn(data.clockIn, data.id);
             case 'rejectClockOut':
-                assert(token.supervisor);
+                permit(token.supervisor);
                 await exists('clockOuts', data.id, 'locations', data.clockOut
                     .for.location.id);
-                return Data.rejectClockOut(data.clockOut, data.id);
+                return perform.rejectClockOut(data.clockOut, data.id);
             case 'approveClockOut':
-                assert(token.supervisor);
+                permit(token.supervisor);
                 await exists('clockOuts', data.id, 'locations', data.clockOut
                     .for.location.id);
-                return Data.approveClockOut(data.clockOut, data.id);
+                return perform.approveClockOut(data.clockOut, data.id);
             case 'clockIn':
-                assert(user.type === 'Tutor' || token.supervisor);
+                permit(user.type === 'Tutor' || token.supervisor);
                 if (!token.supervisor) await exists('appointments', data.id);
-                return Data.clockIn(data.appt, data.id, data.proof);
+                return perform.clockIn(data.appt, data.id, data.proof);
             case 'clockOut':
-                assert(user.type === 'Tutor' || token.supervisor);
+                permit(user.type === 'Tutor' || token.supervisor);
                 if (!token.supervisor) await exists('activeAppointments', data.id);
-                return Data.clockOut(data.appt, data.id, data.proof);
+                return perform.clockOut(data.appt, data.id, data.proof);
             case 'approveRequest':
-                assert(token.uid === data.request.toUser.uid ||
+                permit(await actsFor([data.request.toUser]) ||
                     token.supervisor);
                 if (!token.supervisor) await exists('requestsIn', data.id);
-                return Data.approveRequest(data.request, data.id);
+                return warn(await checkConflicts([
+                    data.request.fromUser,
+                    data.request.toUser,
+                ], data.request.time, data.request.location, data.id,
+                    'request.time'), perform.approveRequest(data.request,
+                    data.id));
             case 'modifyAppt':
-                assert([
-                    data.appt.attendees[0].uid,
-                    data.appt.attendees[1].uid
-                ].indexOf(token.uid) >= 0 || token.supervisor);
+                permit(await actsFor(data.appt.attendees) ||
+                    token.supervisor);
                 if (!token.supervisor) await exists('appointments', data.id);
-                return Data.modifyAppt(data.appt, data.id);
+                return warn(await checkConflicts(data.appt.attendees, data
+                    .appt.time, data.appt.location, data.id, 'appt.time'),
+                    perform.modifyAppt(data.appt, data.id));
             case 'newPastAppt':
-                assert(token.supervisor);
-                return Data.newPastAppt(data.appt);
+                permit(token.supervisor);
+                return perform.newPastAppt(data.appt);
             case 'modifyPastAppt':
-                assert(token.supervisor);
-                return Data.modifyPastAppt(data.appt, data.id);
+                permit(token.supervisor);
+                return perform.modifyPastAppt(data.appt, data.id);
             case 'deletePastAppt':
-                assert([
-                    data.appt.attendees[0].uid,
-                    data.appt.attendees[1].uid
-                ].indexOf(token.uid) >= 0 || token.supervisor);
+                permit(await actsFor(data.appt.attendees) ||
+                    token.supervisor);
                 if (!token.supervisor) await exists('pastAppointments', data.id);
-                return Data.deletePastAppt(data.appt, data.id);
+                return perform.deletePastAppt(data.appt, data.id);
             case 'cancelAppt':
-                assert([
-                    data.appt.attendees[0].uid,
-                    data.appt.attendees[1].uid
-                ].indexOf(token.uid) >= 0 || token.supervisor);
+                permit(await actsFor(data.appt.attendees) ||
+                    token.supervisor);
+                if (!token.supervisor) await exists('appointments', data.id);
+                return perform.cancelAppt(data.appt, data.id);
+            case 'cancelApptOccurrence':
+                permit(await actsFor(data.appt.attendees) ||
+                    token.supervisor);
+                if (!token.supervisor) await exists('appointments', data.id);
+                return perform.cancelApptOccurrence(data.appt, data.id,
+                    data.date);
+            case 'modifyApptOccurrence':
+                permit(await actsFor(data.appt.attendees) ||
+                    token.supervisor);
                 if (!token.supervisor) await exists('appointments', data.id);
-                return Data.cancelAppt(data.appt, data.id);
+                return warn(await checkConflicts(data.appt.attendees, Data
+                    .getMovedTime(data.time), data.appt.location, data.id,
+                    'time'), perform.modifyApptOccurrence(data.appt, data.id,
+                    data.date, data.time));
+            case 'joinAppt':
+                permit(await actsFor([data.attendee]) || (token.supervisor &&
+                    token.locations.indexOf(data.appt.location.id) >= 0));
+                return perform.joinAppt(data.appt, data.id, data.attendee);
+            case 'leaveAppt':
+                permit(await actsFor([data.attendee]) || (token.supervisor &&
+                    token.locations.indexOf(data.appt.location.id) >= 0));
+                return perform.leaveAppt(data.appt, data.id, data.attendee);
+            case 'joinWaitlist':
+                permit(await actsFor([data.pupil]) || (token.supervisor &&
+                    token.locations.indexOf(data.waitlist.location.id) >= 0));
+                return perform.joinWaitlist(data.waitlist, data.pupil,
+                    data.subject);
+            case 'leaveWaitlist':
+                permit(await actsFor([data.pupil]) || (token.supervisor &&
+                    token.locations.indexOf(data.waitlist.location.id) >= 0));
+                return perform.leaveWaitlist(data.waitlist, data.pupil);
+            case 'reorderWaitlist':
+                permit(token.supervisor && token.locations.indexOf(data
+                    .waitlist.location.id) >= 0);
+                return perform.reorderWaitlist(data.waitlist, data.order);
             case 'rejectRequest':
-                assert(token.uid === data.request.toUser.uid ||
+                permit(await actsFor([data.request.toUser]) ||
                     token.supervisor);
                 if (!token.supervisor) await exists('requestsIn', data.id);
-                return Data.rejectRequest(data.request, data.id);
+                return perform.rejectRequest(data.request, data.id);
             case 'cancelRequest':
-                assert(token.uid === data.request.fromUser.uid ||
+                permit(await actsFor([data.request.fromUser]) ||
                     token.supervisor);
                 if (!token.supervisor) await exists('requestsOut', data.id);
-                return Data.cancelRequest(data.request, data.id);
+                return perform.cancelRequest(data.request, data.id);
             case 'modifyRequest':
-                assert([
-                    data.request.fromUser.uid,
-                    data.request.toUser.uid,
-                ].indexOf(token.uid) >= 0 || token.supervisor);
-                if (token.uid === data.request.fromUser.uid)
-                    await exists('requestsOut', data.id);
-                if (token.uid === data.request.toUser.uid)
-                    await exists('requestsIn', data.id);
-                return Data.modifyRequest(data.request, data.id);
+                permit(await actsFor([
+                    data.request.fromUser,
+                    data.request.toUser,
+                ]) || token.supervisor);
+                if (actingAs(data.request.fromUser.uid))
+                    await exists('requestsOut', data.id, 'users', data.request
+                        .fromUser.uid);
+                if (actingAs(data.request.toUser.uid))
+                    await exists('requestsIn', data.id, 'users', data.request
+                        .toUser.uid);
+                return warn(await checkConflicts([
+                    data.request.fromUser,
+                    data.request.toUser,
+                ], data.request.time, data.request.location, data.id,
+                    'request.time'), perform.modifyRequest(data.request,
+                    data.id));
+            case 'undoAction':
+                await exists('undoableActions', data.id);
+                return perform.undoAction(data.id);
             default:
-                throw new Error('Data action (' + action + ') does not exist.');
+                throw new DataError('invalid-argument', 'Data action (' +
+                    action + ') does not exist.', 'action');
         };
     }
 };
@@ -259,13 +1614,15 @@ class Data {
         const statRef = locationRef.collection('recentActions').doc(id);
         const rejectedRef = locationRef.collection('rejectedTimeRequests')
             .doc(id);
-        request = (await originalRef.get()).data();
-        await originalRef.delete();
-        await statRef.delete();
-        await rejectedRef.set(Data.combineMaps(request, {
-            rejectedBy: global.app.conciseUser,
-            rejectedTimestamp: new Date(),
-        }));
+        return admin.firestore().runTransaction(async (transaction) => {
+            request = (await transaction.get(originalRef)).data();
+            transaction.delete(originalRef);
+            transaction.delete(statRef);
+            transaction.set(rejectedRef, Data.combineMaps(request, {
+                rejectedBy: global.app.conciseUser,
+                rejectedTimestamp: new Date(),
+            }));
+        });
     }
 
     static async approveTimeRequest(request, id) {
@@ -275,33 +1632,37 @@ class Data {
         const statRef = locationRef.collection('recentActions').doc(id);
         const approvedRef = locationRef.collection('approvedTimeRequests')
             .doc(id);
-        const appts = [locationRef.collection('pastAppointments').doc()];
-        request = (await originalRef.get()).data();
-        request.appt.attendees.forEach(attendee => {
-            const ref = global.db.collection('users').doc(attendee.uid);
-            appts.push(ref.collection('pastAppointments').doc(appts[0].id));
-        });
-        const pastAppt = Object.assign(request.appt, {
-            clockIn: Object.assign(request.appt.clockIn, {
-                approvedBy: global.app.conciseUser,
-                approvedTimestamp: new Date(),
-            }),
-            clockOut: Object.assign(request.appt.clockOut, {
+        const pastApptRef = locationRef.collection('pastAppointments').doc();
+        return admin.firestore().runTransaction(async (transaction) => {
+            request = (await transaction.get(originalRef)).data();
+            const appts = [pastApptRef];
+            request.appt.attendees.forEach(attendee => {
+                const ref = global.db.collection('users').doc(attendee.uid);
+                appts.push(ref.collection('pastAppointments')
+                    .doc(pastApptRef.id));
+            });
+            const pastAppt = Object.assign(request.appt, {
+                clockIn: Object.assign(request.appt.clockIn, {
+                    approvedBy: global.app.conciseUser,
+                    approvedTimestamp: new Date(),
+                }),
+                clockOut: Object.assign(request.appt.clockOut, {
+                    approvedBy: global.app.conciseUser,
+                    approvedTimestamp: new Date(),
+                }),
+            });
+            transaction.delete(originalRef);
+            transaction.delete(statRef);
+            transaction.set(approvedRef, Data.combineMaps(request, {
                 approvedBy: global.app.conciseUser,
                 approvedTimestamp: new Date(),
-            }),
+            }));
+            appts.forEach(apptRef => transaction.set(apptRef, pastAppt));
+            return {
+                appt: pastAppt,
+                id: pastApptRef.id,
+            };
         });
-        await originalRef.delete();
-        await statRef.delete();
-        await approvedRef.set(Data.combineMaps(request, {
-            approvedBy: global.app.conciseUser,
-            approvedTimestamp: new Date(),
-        }));
-        for (const apptRef of appts) await apptRef.set(pastAppt);
-        return {
-            appt: pastAppt,
-            id: appts[0].id,
-        };
     }
 
     static requestPayout() {
@@ -311,16 +1672,18 @@ class Data {
             });
     }
 
-    static requestPaymentFor(appt, id) {
-        const user = Data.getOther(appt.attendees);
-        return global.db.collection('users').doc(user.uid)
-            .collection('requestedPayments').doc(id).set({
-                from: Data.getOther(appt.attendees),
-                to: global.app.conciseUser,
-                amount: appt.for.payment.amount,
-                for: appt,
-                timestamp: new Date(),
-            });
+    static requestPaymentFor(appt, id) { // Requests payment from each pupil
+        const batch = admin.firestore().batch();
+        appt.attendees.filter(a => a.uid !== global.app.user.uid).forEach(a =>
+            batch.set(global.db.collection('users').doc(a.uid)
+                .collection('requestedPayments').doc(id), {
+                    from: a,
+                    to: global.app.conciseUser,
+                    amount: appt.for.payment.amount,
+                    for: appt,
+                    timestamp: new Date(),
+                }));
+        return batch.commit();
     }
 
     static async approvePayment(approvedPayment, id) {
@@ -334,18 +1697,18 @@ class Data {
         const requestedPayment = db.collection('users')
             .doc(global.app.user.uid)
             .collection('requestedPayments').doc(id);
-        await requestedPayment.delete();
-        return payments.forEach(async (payment) => {
-            await payment.set(approvedPayment);
-        });
+        const batch = admin.firestore().batch();
+        batch.delete(requestedPayment);
+        payments.forEach(payment => batch.set(payment, approvedPayment));
+        return batch.commit();
     }
 
     static async denyPayment(deniedPayment, id) {
         const db = global.db;
         const payments = [
-            db.collection('users').doc(approvedPayment.appt.attendees[0].uid)
+            db.collection('users').doc(deniedPayment.to.uid)
             .collection('deniedPayments').doc(id),
-            db.collection('users').doc(approvedPayment.appt.attendees[1].uid)
+            db.collection('users').doc(deniedPayment.from.uid)
             .collection('deniedPayments').doc(id),
         ];
         const approvedPaymentRef = db.collection('users')
@@ -355,7 +1718,7 @@ class Data {
         payments.forEach(async (payment) => {
             await payment.set({
                 for: deniedPayment,
-                deniedBy: that.conciseUser,
+                deniedBy: global.app.conciseUser,
                 deniedTimestamp: new Date(),
             });
         });
@@ -390,20 +1753,317 @@ class Data {
         }
     }
 
-    static deleteUser(id) {
-        if (!id) {
-            throw new Error('Could not delete user b/c id was undefined.');
-        } else if (id.indexOf('@') >= 0) {
-            console.warn('[WARNING] Using an email as a user ID is ' +
-                'deprecated.');
-            return global.db.collection('usersByEmail').doc(id).delete();
-        } else {
-            return global.db.collection('users').doc(id).delete();
+    /**
+     * Previews everything that deleting the given user touches.
+     * @param {string} uid - The user's ID.
+     * @return {Promise<Object>} Promise that resolves with the preview (see
+     * `getUserDeletion`).
+     */
+    static previewUserDeletion(uid) {
+        return getUserDeletion(global.db, uid);
+    }
+
+    /**
+     * Exports everything that we store about the given user as a JSON archive
+     * in Cloud Storage (that can be downloaded for a week via a signed URL).
+     * @param {string} uid - The user's ID.
+     * @return {Promise<Object>} Promise that resolves with the archive's
+     * download `url` (and when it `expires`) and it's human-readable
+     * `summary`.
+     */
+    static async exportUser(uid) {
+        const archive = await getUserExport(global.db, uid);
+        const file = admin.storage().bucket().file('exports/' + global.db.id +
+            '/' + uid + '/' + archive.exportedTimestamp + '.json');
+        await file.save(JSON.stringify(archive, null, 2), {
+            contentType: 'application/json',
+            metadata: {
+                contentDisposition: 'attachment; filename="tutorbook-' + uid +
+                    '.json"',
+            },
+        });
+        const expires = new Date(Date.now() + 7 * 864e5);
+        const [url] = await file.getSignedUrl({
+            action: 'read',
+            expires: expires,
+        });
+        return {
+            url: url,
+            expires: expires,
+            summary: archive.summary,
+        };
+    }
+
+    /**
+     * Deletes the given user and everything that belongs to them by:
+     * 1) Canceling (or leaving) their appointments, rejecting their incoming
+     *    requests and canceling their outgoing requests (which notifies the
+     *    other attendees, tutors and pupils).
+     * 2) Deleting (or leaving) their chats.
+     * 3) Deleting their user document, their Stripe documents, every
+     *    document in their subcollections and their data exports (our
+     *    Algolia triggers then remove them, their appointments and their
+     *    chats from search).
+     * 4) Removing their Firebase Authentication account.
+     * 5) Recording a tombstone (in `deletedUsers`) of what was deleted.
+     * @param {string} uid - The user's ID.
+     * @return {Promise<Object>} Promise that resolves with the tombstone.
+     */
+    static async deleteUser(uid) {
+        const db = global.db;
+        const deletion = await getUserDeletion(db, uid);
+        const user = deletion.user;
+        const cascade = async (promise, description) => {
+            const [err] = await to(promise);
+            if (err) console.error('[ERROR] Could not ' + description + ' ' +
+                'while deleting user (' + uid + ') b/c of ' + err.message);
+        };
+        for (const a of deletion.appts) await cascade(a.leave ? Data
+            .leaveAppt(a.appt, a.id, user) : Data.cancelAppt(a.appt, a.id),
+            'cancel appt (' + a.id + ')');
+        for (const r of deletion.requestsIn) await cascade(Data.rejectRequest(
+            r.request, r.id), 'reject request (' + r.id + ')');
+        for (const r of deletion.requestsOut) await cascade(Data.cancelRequest(
+            r.request, r.id), 'cancel request (' + r.id + ')');
+        for (const c of deletion.chats) {
+            const ref = db.collection('chats').doc(c.id);
+            if (!c.leave) {
+                await cascade(deleteDocs((await ref.collection('messages')
+                    .get()).docs.map(d => d.ref.path).concat([ref.path])),
+                    'delete chat (' + c.id + ')');
+                continue;
+            }
+            const chat = (await ref.get()).data();
+            await cascade(ref.update({
+                chatters: chat.chatters.filter(u => u.uid !== uid),
+                chatterUIDs: chat.chatterUIDs.filter(id => id !== uid),
+                chatterEmails: (chat.chatterEmails || []).filter(e => e !==
+                    user.email),
+            }), 'leave chat (' + c.id + ')');
+        }
+        const docs = await getUserDocPaths(db, uid); // Includes notifications
+        await deleteDocs(docs);
+        await cascade(admin.storage().bucket().deleteFiles({
+            prefix: 'exports/' + db.id + '/' + uid + '/',
+        }), 'delete data exports');
+        if (db.id !== 'test') { // Auth accounts are shared by every partition
+            const [err] = await to(admin.auth().deleteUser(uid));
+            if (err && err.code !== 'auth/user-not-found') console.error(
+                '[ERROR] Could not remove user (' + uid + ') Firebase ' +
+                'Authentication account b/c of ' + err.message);
+        }
+        const tombstone = {
+            user: user,
+            deletedBy: app.conciseUser,
+            deletedTimestamp: new Date(),
+            appts: deletion.appts.map(a => a.id),
+            requests: deletion.requestsIn.concat(deletion.requestsOut)
+                .map(r => r.id),
+            chats: deletion.chats.map(c => c.id),
+            docs: docs,
+        };
+        await db.collection('deletedUsers').doc(uid).set(tombstone);
+        return tombstone;
+    }
+
+    /**
+     * Reports everything that merging the given (duplicate) user into another
+     * user touches without moving anything (i.e. a dry run of `mergeUsers`).
+     * @param {string} from - The ID of the (duplicate) user to merge.
+     * @param {string} into - The ID of the user to merge them into.
+     * @return {Promise<Object>} Promise that resolves with the report (see
+     * `getUserMerge`).
+     */
+    static previewUserMerge(from, into) {
+        return getUserMerge(global.db, from, into);
+    }
+
+    /**
+     * Merges the given (duplicate) user into another user by:
+     * 1) Moving their appointments, requests, past appointments and every
+     *    other subcollection document and their Stripe payment records to the
+     *    other user.
+     * 2) Rewriting the embedded copies of them (e.g. in the other attendees'
+     *    appointments, their chats and messages and their proxied users) to
+     *    refer to the other user.
+     * 3) Adding their subjects and proxies to the other user's profile (the
+     *    other user's profile wins any other conflicts). Their service hours
+     *    are recomputed from their (moved) hours ledger.
+     * 4) Deleting their own documents and Firebase Authentication account.
+     * 5) Recording a tombstone (in `mergedUsers`) of what was merged.
+     * @param {string} from - The ID of the (duplicate) user to merge.
+     * @param {string} into - The ID of the user to merge them into.
+     * @return {Promise<Object>} Promise that resolves with the tombstone.
+     * @throws {DataError} A `failed-precondition` error (w/out merging
+     * anything) if the other user already has any of the merged user's
+     * documents (e.g. if they both attend the same appointment).
+     */
+    static async mergeUsers(from, into) {
+        const db = global.db;
+        const merge = await getUserMerge(db, from, into);
+        const conflicts = merge.moves.filter(m => m.conflict);
+        if (conflicts.length) throw new DataError('failed-precondition',
+            'Cannot merge users b/c ' + conflicts.length + ' of their ' +
+            'documents (e.g. ' + conflicts[0].to + ') already exist for the ' +
+            'user (' + into + ') that they would be merged into.', 'into');
+        const data = async (path) => (await admin.firestore().doc(path).get())
+            .data();
+        const fromData = await data(db.collection('users').doc(from).path);
+        const profile = Data.combineMaps(fromData, await data(db
+            .collection('users').doc(into).path));
+        const union = (a = [], b = []) => a.concat(b.filter(i => a.indexOf(i) <
+            0));
+        profile.subjects = union(profile.subjects, fromData.subjects);
+        profile.proxy = union(profile.proxy, fromData.proxy).filter(uid =>
+            [from, into].indexOf(uid) < 0);
+        const user = getConciseUser(profile);
+        const rewrite = (val) => rewriteUser(val, {
+            uid: from,
+            email: fromData.email,
+        }, user);
+        const writes = [];
+        for (const m of merge.moves)
+            writes.push([m.to, rewrite(await data(m.from))]);
+        for (const path of merge.rewrites)
+            writes.push([path, rewrite(await data(path))]);
+        writes.push([db.collection('users').doc(into).path, profile]);
+        await setDocs(writes);
+        await deleteDocs(await getUserDocPaths(db, from));
+        if (db.id !== 'test') { // Auth accounts are shared by every partition
+            const [err] = await to(admin.auth().deleteUser(from));
+            if (err && err.code !== 'auth/user-not-found') console.error(
+                '[ERROR] Could not remove merged user (' + from + ') ' +
+                'Firebase Authentication account b/c of ' + err.message);
         }
+        await Data.updateUserAvailability(into, db);
+        const tombstone = {
+            from: merge.from,
+            into: user,
+            mergedBy: app.conciseUser,
+            mergedTimestamp: new Date(),
+            moves: merge.moves,
+            rewrites: merge.rewrites,
+            hours: merge.hours,
+        };
+        await db.collection('mergedUsers').doc(from).set(tombstone);
+        return tombstone;
+    }
+
+    /**
+     * Adds a manual adjustment (e.g. for hours that were never clocked) to the
+     * given user's hours ledger (which then triggers their service hour totals
+     * to be recomputed).
+     * @param {string} uid - The user's ID.
+     * @param {number} seconds - The (possibly negative) number of seconds to
+     * adjust their service hours by.
+     * @param {string} reason - Why their service hours are being adjusted.
+     * @param {string} [role] - The service hour total (`Tutor` or `Pupil`) to
+     * adjust (defaults to the total of the user's type).
+     * @return {Promise<Object>} Promise that resolves with the ledger entry's
+     * `id` and data.
+     */
+    static async adjustHours(uid, seconds, reason, role) {
+        const ref = global.db.collection('users').doc(uid);
+        const doc = await ref.get();
+        if (!doc.exists) throw new DataError('not-found', 'User (' + uid +
+            ') did not exist.', 'uid');
+        const entry = {
+            type: 'adjustment',
+            role: role || (doc.data().type === 'Tutor' ? 'Tutor' : 'Pupil'),
+            seconds: seconds,
+            reason: reason,
+            by: app.conciseUser,
+            timestamp: new Date(),
+        };
+        const entryRef = await ref.collection('hoursLedger').add(entry);
+        return {
+            id: entryRef.id,
+            entry: entry,
+        };
+    }
+
+    /**
+     * Rebuilds the given user's hours ledger from their past appointments
+     * (keeping any manual adjustments) and recomputes their service hours.
+     * @param {string} uid - The user's ID.
+     * @return {Promise<Object>} Promise that resolves with the number of
+     * (appointment) ledger `entries`, the number of stale entries that were
+     * `removed` and the user's recomputed `secondsTutored` and
+     * `secondsPupiled`.
+     */
+    static async rebuildHours(uid) {
+        if (!(await global.db.collection('users').doc(uid).get()).exists)
+            throw new DataError('not-found', 'User (' + uid + ') did not ' +
+                'exist.', 'uid');
+        return Hours.rebuild(global.db, uid);
+    }
+
+    /**
+     * Previews how the given service hour rounding rules would change each
+     * tutor's service hours (from the given location's past appointments
+     * within the given date range) without changing anything.
+     * @param {string} id - The location's Firestore document ID.
+     * @param {Object} [rules] - The proposed `rounding`, `threshold` and
+     * `timeThreshold` (omitted rules default to the location's current rules).
+     * @param {string} [from] - The first `YYYY-MM-DD` date of the range.
+     * @param {string} [to] - The last `YYYY-MM-DD` date of the range.
+     * @return {Promise<Object>} Promise that resolves with the proposed
+     * `rules`, the number of past `appts` in range (and how many of them would
+     * be `changed`) and each of those `tutors`' `current` and `proposed`
+     * seconds tutored.
+     */
+    static async previewHoursRounding(id, rules, from, to) {
+        await Data.validateRoundingRange(id, from, to);
+        return Hours.preview(global.db, id, rules, from, to);
+    }
+
+    /**
+     * Saves the given service hour rounding rules (if any) and then re-rounds
+     * the given location's past appointments within the given date range
+     * (rebuilding the service hours of each of their attendees).
+     * @param {string} id - The location's Firestore document ID.
+     * @param {Object} [rules] - The new `rounding`, `threshold` and
+     * `timeThreshold` (omit them to re-apply the location's current rules).
+     * @param {string} [from] - The first `YYYY-MM-DD` date of the range.
+     * @param {string} [to] - The last `YYYY-MM-DD` date of the range.
+     * @return {Promise<Object>} Promise that resolves with the applied `rules`,
+     * the number of past `appts` in range (and how many of them were
+     * `changed`) and the recomputed service hours of the affected `users`.
+     */
+    static async applyHoursRounding(id, rules, from, to) {
+        const location = await Data.validateRoundingRange(id, from, to);
+        if (rules) await global.db.collection('locations').doc(id).update({
+            'config.hrs': Data.combineMaps((location.config || {}).hrs || {},
+                rules),
+        });
+        return Hours.reround(global.db, id, from, to);
+    }
+
+    /**
+     * Ensures that the given location exists and that the given date range
+     * (of past appointments to re-round) doesn't end before it starts.
+     * @param {string} id - The location's Firestore document ID.
+     * @param {string} [from] - The first `YYYY-MM-DD` date of the range.
+     * @param {string} [to] - The last `YYYY-MM-DD` date of the range.
+     * @return {Promise<Object>} Promise that resolves with the location's data.
+     * @throws {DataError} If the location doesn't exist or if the range is
+     * invalid.
+     */
+    static async validateRoundingRange(id, from, to) {
+        const doc = await global.db.collection('locations').doc(id).get();
+        if (!doc.exists) throw new DataError('not-found', 'Location (' + id +
+            ') did not exist.', 'id');
+        if (from && to && to < from) throw new DataError('invalid-argument',
+            'Date range cannot end (' + to + ') before it starts (' + from +
+            ').', 'to');
+        return doc.data();
     }
 
     static async createLocation(location, id) {
         location = Data.trimObject(location);
+        Data.validateTimezone(location.timezone, 'location.timezone');
+        Data.validateBellSchedule(location, 'location');
+        Data.validateClosures(location.closures, 'location.closures');
         const ref = id ? global.db.collection('locations').doc(id) : global.db
             .collection('locations').doc();
         if ((await ref.get()).exists) console.warn('[WARNING] Location (' + id +
@@ -419,21 +2079,88 @@ class Data {
         console.log('[DEBUG] Location before trimming:', location);
         location = Data.trimObject(location);
         console.log('[DEBUG] Location after trimming:', location);
+        Data.validateTimezone(location.timezone, 'location.timezone');
+        Data.validateClosures(location.closures, 'location.closures');
         const ref = global.db.collection('locations').doc(id);
+        const previous = (await ref.get()).data() || {};
+        Data.validateBellSchedule(Data.combineMaps(previous, location),
+            'location');
         await ref.update(location);
+        const updated = (await ref.get()).data();
+        await sendClosureNotices(global.db, id, updated, previous);
         return {
             id: id,
-            location: (await ref.get()).data(),
+            location: updated,
         };
     }
 
-    static async deleteLocation(id) {
-        const ref = global.db.collection('locations').doc(id);
-        const location = (await ref.get()).data();
-        await ref.delete();
+    /**
+     * Archives the given location (instead of deleting it) so that it's past
+     * appointments and service hours stay reportable. Archived locations don't
+     * accept new requests and are hidden from search. The attendees of their
+     * remaining appointments are sent notice and those appointments are
+     * canceled once the location's last day (`until`) has passed.
+     * @param {string} id - The location's Firestore document ID.
+     * @param {string} [until] - The location's last `YYYY-MM-DD` day (omit it
+     * to cancel the location's remaining appointments right away).
+     * @return {Promise<Object>} Promise that resolves with the location's `id`,
+     * archived data and the number of `canceled` appointments.
+     */
+    static async archiveLocation(id, until) {
+        const db = global.db;
+        const ref = db.collection('locations').doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) throw new DataError('not-found', 'Location (' + id +
+            ') did not exist.', 'id');
+        const today = Data.getDateString(new Date(), doc.data().timezone ||
+            DEFAULT_TIMEZONE);
+        if (until && until < today) throw new DataError('invalid-argument',
+            'Cannot archive locations as of a day that already passed.',
+            'until');
+        const archived = {
+            by: app.conciseUser,
+            timestamp: new Date(),
+            until: until || today,
+        };
+        await ref.update({
+            archived: archived,
+        });
+        const location = Data.combineMaps(doc.data(), {
+            archived: archived,
+        });
+        await sendArchiveNotices(db, id, location);
         return {
             id: id,
             location: location,
+            canceled: until ? 0 : await windDownLocation(db, await ref.get()),
+        };
+    }
+
+    /**
+     * Permanently deletes the given archived location (and every document in
+     * it's subcollections). Locations have to be archived (and wound down)
+     * before they can be purged.
+     * @param {string} id - The location's Firestore document ID.
+     * @return {Promise<Object>} Promise that resolves with the location's `id`
+     * and (purged) data.
+     */
+    static async purgeLocation(id) {
+        const ref = global.db.collection('locations').doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) throw new DataError('not-found', 'Location (' + id +
+            ') did not exist.', 'id');
+        if (!doc.data().archived) throw new DataError('failed-precondition',
+            'Locations must be archived before they can be purged.', 'id');
+        if (!(await ref.collection('appointments').limit(1).get()).empty)
+            throw new DataError('failed-precondition', doc.data().name + ' is' +
+                ' still winding down it\'s appointments.', 'id');
+        const paths = [ref.path];
+        for (const subcollection of await ref.listCollections())
+            (await subcollection.get()).forEach(d => paths.push(d.ref.path));
+        await deleteDocs(paths);
+        return {
+            id: id,
+            location: doc.data(),
         };
     }
 
@@ -478,105 +2205,80 @@ class Data {
             sentTimestamp: new Date(),
             sentBy: global.app.conciseUser,
         };
-        const activeAppts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('users').doc(appt.attendees[1].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('locations').doc(appt.location.id)
-            .collection('activeAppointments')
-            .doc(id),
-        ];
-
-        // Tedious work arounds for infinite reference loops
-        appt = (await db.collection('users').doc(appt.attendees[0].uid)
-            .collection('appointments').doc(id).get()).data();
-        clockIn.for = Data.cloneMap(appt);
-        appt.clockIn = Data.combineMaps(clockIn, {
-            approvedTimestamp: new Date(),
-            approvedBy: global.app.conciseUser,
+        const apptRef = db.collection('locations').doc(appt.location.id)
+            .collection('appointments').doc(id);
+        const location = await getLocationData(db, appt.location);
+        return admin.firestore().runTransaction(async (transaction) => {
+            // Tedious work arounds for infinite reference loops
+            appt = (await transaction.get(apptRef)).data();
+            Data.validateOccurrence(appt, id, location);
+            const activeAppts = getApptRefs(db, appt, id,
+                'activeAppointments');
+            clockIn.for = Data.cloneMap(appt);
+            appt.clockIn = Data.combineMaps(clockIn, {
+                approvedTimestamp: new Date(),
+                approvedBy: global.app.conciseUser,
+            });
+            activeAppts.forEach(ref => transaction.set(ref, appt));
+            return {
+                clockIn: clockIn,
+                appt: appt,
+                id: id,
+            };
         });
-        for (var i = 0; i < activeAppts.length; i++) {
-            await activeAppts[i].set(appt);
-        }
-        return {
-            clockIn: clockIn,
-            appt: appt,
-            id: id,
-        };
     }
 
     static async rejectClockIn(clockIn, id) {
         const db = global.db;
         const ref = db.collection('locations').doc(clockIn.for.location.id)
             .collection('clockIns').doc(id);
-        clockIn = (await ref.get()).data(); // Don't trust the client (and this
-        // will use the actual Timestamp() object for clockIn.sentTimestamp).
-        const rejectedClockIn = admin.firestore().doc(clockIn.rejectedRef);
-        const rejectedClockInData = Data.combineMaps(clockIn, {
-            rejectedTimestamp: new Date(),
-            rejectedBy: global.app.conciseUser,
+        return admin.firestore().runTransaction(async (transaction) => {
+            // Don't trust the client (and this will use the actual Timestamp()
+            // object for clockIn.sentTimestamp).
+            clockIn = (await transaction.get(ref)).data();
+            const rejectedClockIn = admin.firestore().doc(clockIn.rejectedRef);
+            const rejectedClockInData = Data.combineMaps(clockIn, {
+                rejectedTimestamp: new Date(),
+                rejectedBy: global.app.conciseUser,
+            });
+            transaction.delete(ref);
+            transaction.set(rejectedClockIn, rejectedClockInData);
+            return {
+                clockIn: rejectedClockInData,
+                id: rejectedClockIn.id,
+            };
         });
-        await ref.delete();
-        await rejectedClockIn.set(rejectedClockInData);
-        return {
-            clockIn: rejectedClockInData,
-            id: rejectedClockIn.id,
-        };
     }
 
     static async approveClockIn(clockIn, id) {
         const db = global.db;
         const ref = db.collection('locations').doc(clockIn.for.location.id)
             .collection('clockIns').doc(id);
-        clockIn = (await ref.get()).data(); // Don't trust the client (and this
-        // will use the actual Timestamp() object for clockIn.sentTimestamp).
-        const approvedClockIn = admin.firestore().doc(clockIn.approvedRef);
-        const activeAppts = [
-            db.collection('users').doc(clockIn.for.attendees[0].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('users').doc(clockIn.for.attendees[1].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('locations').doc(clockIn.for.location.id)
-            .collection('activeAppointments')
-            .doc(id),
-        ];
-        await ref.delete();
-        await approvedClockIn.set(Data.combineMaps(clockIn, {
-            approvedTimestamp: new Date(),
-            approvedBy: global.app.conciseUser,
-        }));
-        // Tedious work around of the infinite loop
-        const activeApptData = Data.cloneMap(clockIn.for);
-        activeApptData.clockIn = Data.combineMaps(clockIn, {
-            approvedTimestamp: new Date(),
-            approvedBy: global.app.conciseUser,
+        return admin.firestore().runTransaction(async (transaction) => {
+            // Don't trust the client (and this will use the actual Timestamp()
+            // object for clockIn.sentTimestamp).
+            clockIn = (await transaction.get(ref)).data();
+            const approvedClockIn = admin.firestore().doc(clockIn.approvedRef);
+            const activeAppts = getApptRefs(db, clockIn.for, id,
+                'activeAppointments');
+            transaction.delete(ref);
+            transaction.set(approvedClockIn, Data.combineMaps(clockIn, {
+                approvedTimestamp: new Date(),
+                approvedBy: global.app.conciseUser,
+            }));
+            // Tedious work around of the infinite loop
+            const activeApptData = Data.cloneMap(clockIn.for);
+            activeApptData.clockIn = Data.combineMaps(clockIn, {
+                approvedTimestamp: new Date(),
+                approvedBy: global.app.conciseUser,
+            });
+            activeAppts.forEach(activeAppt => transaction.set(activeAppt,
+                activeApptData));
+            return {
+                appt: activeApptData,
+                id: id,
+            };
         });
-        for (var i = 0; i < activeAppts.length; i++) {
-            var activeAppt = activeAppts[i];
-            await activeAppt.set(activeApptData);
-        }
-        return {
-            appt: activeApptData,
-            id: id,
-        };
-    }
-
-    static getOther(notThisUser, attendees) { // Don't create dependency loops
-        if (!notThisUser.uid && notThisUser.length) {
-            if (notThisUser[0].uid === global.app.user.uid) {
-                return notThisUser[1];
-            }
-            return notThisUser[0];
-        }
-        if (attendees[0].uid === notThisUser.uid) {
-            return attendees[1];
-        }
-        return attendees[0];
     }
 
     static async instantClockOut(appt, id) {
@@ -585,51 +2287,33 @@ class Data {
             sentTimestamp: new Date(),
             sentBy: global.app.conciseUser,
         };
-        const activeAppts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('users').doc(appt.attendees[1].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('locations').doc(appt.location.id)
-            .collection('activeAppointments')
-            .doc(id),
-        ];
+        const activeApptRef = db.collection('locations').doc(appt.location.id)
+            .collection('activeAppointments').doc(id);
+        const pastApptID = db.collection('locations').doc(appt.location.id)
+            .collection('pastAppointments').doc().id;
 
-        appt = (await activeAppts[0].get()).data();
-        appt.clockOut = Data.cloneMap(clockOut); // Avoid infinite ref loop
-        clockOut.for = Data.cloneMap(appt);
+        return admin.firestore().runTransaction(async (transaction) => {
+            appt = (await transaction.get(activeApptRef)).data();
+            appt.clockOut = Data.cloneMap(clockOut); // Avoid infinite ref loop
+            clockOut.for = Data.cloneMap(appt);
 
-        const pastAppts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('pastAppointments')
-            .doc(),
-        ];
-        const pastApptID = pastAppts[0].id;
-        pastAppts.push(
-            db.collection('users').doc(appt.attendees[1].uid)
-            .collection('pastAppointments')
-            .doc(pastApptID),
-        );
-        pastAppts.push(
-            db.collection('locations').doc(appt.location.id)
-            .collection('pastAppointments')
-            .doc(pastApptID),
-        );
+            // Each attendee gets their own past appt (and service hours)
+            const activeAppts = getApptRefs(db, appt, id,
+                'activeAppointments');
+            const pastAppts = getApptRefs(db, appt, pastApptID,
+                'pastAppointments');
 
-        // Actually mess with docs
-        for (var i = 0; i < activeAppts.length; i++) {
-            await activeAppts[i].delete();
-        }
-        for (var i = 0; i < pastAppts.length; i++) {
-            await pastAppts[i].set(appt);
-        }
-        return {
-            clockOut: clockOut,
-            appt: appt,
-            id: pastApptID,
-        };
+            // Actually mess with docs
+            activeAppts.forEach(ref => transaction.delete(ref));
+            pastAppts.forEach(ref => transaction.set(ref, appt));
+            if (appt.time.date) getApptRefs(db, appt, id).forEach(ref =>
+                transaction.delete(ref)); // One-off appts are now over
+            return {
+                clockOut: clockOut,
+                appt: appt,
+                id: pastApptID,
+            };
+        });
     }
 
     static async rejectClockOut(clockOutData, id) {
@@ -637,34 +2321,27 @@ class Data {
         const db = global.db;
         const clockOut = db.collection('locations').doc(clockOutData.for
             .location.id).collection('clockOuts').doc(id);
-        clockOutData = (await clockOut.get()).data(); // Don't trust client
-        const rejectedClockOutData = Data.combineMaps(clockOutData, {
-            rejectedTimestamp: new Date(),
-            rejectedBy: global.app.conciseUser,
-        });
-        const appt = Data.cloneMap(rejectedClockOutData.for);
-        const rejectedClockOut = admin.firestore().doc(clockOutData.rejectedRef);
-        const activeAppts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('users').doc(appt.attendees[1].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('locations').doc(appt.location.id)
-            .collection('activeAppointments')
-            .doc(id),
-        ];
-        // Actually mess with docs
-        await clockOut.delete();
-        await rejectedClockOut.set(rejectedClockOutData);
-        for (var i = 0; i < activeAppts.length; i++) {
-            await activeAppts[i].delete();
-        }
-        return {
-            clockOut: rejectedClockOutData,
-            id: rejectedClockOut.id,
-        };
+        return admin.firestore().runTransaction(async (transaction) => {
+            // Don't trust the client
+            clockOutData = (await transaction.get(clockOut)).data();
+            const rejectedClockOutData = Data.combineMaps(clockOutData, {
+                rejectedTimestamp: new Date(),
+                rejectedBy: global.app.conciseUser,
+            });
+            const appt = Data.cloneMap(rejectedClockOutData.for);
+            const rejectedClockOut = admin.firestore()
+                .doc(clockOutData.rejectedRef);
+            const activeAppts = getApptRefs(db, appt, id,
+                'activeAppointments');
+            // Actually mess with docs
+            transaction.delete(clockOut);
+            transaction.set(rejectedClockOut, rejectedClockOutData);
+            activeAppts.forEach(ref => transaction.delete(ref));
+            return {
+                clockOut: rejectedClockOutData,
+                id: rejectedClockOut.id,
+            };
+        });
     }
 
     static async approveClockOut(clockOutData, id) {
@@ -672,56 +2349,38 @@ class Data {
         const db = global.db;
         const clockOut = db.collection('locations').doc(clockOutData.for
             .location.id).collection('clockOuts').doc(id);
-        clockOutData = (await clockOut.get()).data(); // Don't trust client
-        const approvedClockOutData = Data.combineMaps(clockOutData, {
-            approvedTimestamp: new Date(),
-            approvedBy: global.app.conciseUser,
-        });
-        const appt = Data.cloneMap(approvedClockOutData.for);
-        appt.clockOut = Data.cloneMap(approvedClockOutData);
+        const pastApptID = db.collection('locations').doc(clockOutData.for
+            .location.id).collection('pastAppointments').doc().id;
+        return admin.firestore().runTransaction(async (transaction) => {
+            // Don't trust the client
+            clockOutData = (await transaction.get(clockOut)).data();
+            const approvedClockOutData = Data.combineMaps(clockOutData, {
+                approvedTimestamp: new Date(),
+                approvedBy: global.app.conciseUser,
+            });
+            const appt = Data.cloneMap(approvedClockOutData.for);
+            appt.clockOut = Data.cloneMap(approvedClockOutData);
 
-        const approvedClockOut = admin.firestore().doc(clockOutData.approvedRef);
-        const activeAppts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('users').doc(appt.attendees[1].uid)
-            .collection('activeAppointments')
-            .doc(id),
-            db.collection('locations').doc(appt.location.id)
-            .collection('activeAppointments')
-            .doc(id),
-        ];
-        const pastAppts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('pastAppointments')
-            .doc(),
-        ];
-        const pastApptID = pastAppts[0].id;
-        pastAppts.push(
-            db.collection('users').doc(appt.attendees[1].uid)
-            .collection('pastAppointments')
-            .doc(pastApptID),
-        );
-        pastAppts.push(
-            db.collection('locations').doc(appt.location.id)
-            .collection('pastAppointments')
-            .doc(pastApptID),
-        );
+            const approvedClockOut = admin.firestore()
+                .doc(clockOutData.approvedRef);
+            // Each attendee gets their own past appt (and service hours)
+            const activeAppts = getApptRefs(db, appt, id,
+                'activeAppointments');
+            const pastAppts = getApptRefs(db, appt, pastApptID,
+                'pastAppointments');
 
-        // Actually mess with docs
-        await clockOut.delete();
-        await approvedClockOut.set(approvedClockOutData);
-        for (var i = 0; i < activeAppts.length; i++) {
-            await activeAppts[i].delete();
-        }
-        for (var i = 0; i < pastAppts.length; i++) {
-            await pastAppts[i].set(appt);
-        }
-        return {
-            appt: appt,
-            id: pastApptID,
-        };
+            // Actually mess with docs
+            transaction.delete(clockOut);
+            transaction.set(approvedClockOut, approvedClockOutData);
+            activeAppts.forEach(ref => transaction.delete(ref));
+            pastAppts.forEach(ref => transaction.set(ref, appt));
+            if (appt.time.date) getApptRefs(db, appt, id).forEach(ref =>
+                transaction.delete(ref)); // One-off appts are now over
+            return {
+                appt: appt,
+                id: pastApptID,
+            };
+        });
     }
 
     static combineMaps(mapA, mapB) { // Avoid dependency loops with Utils
@@ -744,6 +2403,216 @@ class Data {
         return clone;
     }
 
+    /**
+     * Gets the `YYYY-MM-DD` date string (that we use to key appointment
+     * exceptions) of the given date in the given location's timezone.
+     * @param {Date} [date=new Date()] - The date to get the string of.
+     * @param {string} [timezone=DEFAULT_TIMEZONE] - The location's timezone.
+     * @return {string} The date string (e.g. `2020-03-05`).
+     */
+    static getDateString(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+        const [month, day, year] = date.toLocaleDateString('en-US', {
+            timeZone: timezone,
+        }).split('/');
+        return year + '-' + ('0' + month).slice(-2) + '-' +
+            ('0' + day).slice(-2);
+    }
+
+    /**
+     * Gets the weekday of the given `YYYY-MM-DD` date string.
+     * @param {string} date - The date string (e.g. `2020-03-05`).
+     * @return {string} The weekday (e.g. `Thursday`).
+     */
+    static getDay(date) {
+        return Data.days[new Date(date + 'T00:00:00Z').getUTCDay()];
+    }
+
+    /**
+     * Gets the time of the given appointment's occurrence on the given date
+     * (respecting any cancel-once or move-once exceptions). One-off
+     * appointments (i.e. those w/ a `time.date`) only occur on that date.
+     * @param {Object} appt - The weekly (or one-off) appointment.
+     * @param {string} date - The `YYYY-MM-DD` date string.
+     * @return {(Object|undefined)} The occurrence's time (i.e. `{ day, from,
+     * to }`) or `undefined` if the appointment doesn't occur on that date.
+     */
+    static getOccurrence(appt, date) {
+        if (appt.time.date) return appt.time.date === date ? appt.time :
+            undefined;
+        const exceptions = appt.exceptions || {};
+        const moved = Object.values(exceptions).find(exception =>
+            exception.moved && exception.moved.date === date);
+        if (moved) return {
+            day: Data.getDay(date),
+            from: moved.moved.from,
+            to: moved.moved.to,
+        };
+        if (exceptions[date] || appt.time.day !== Data.getDay(date)) return;
+        return appt.time;
+    }
+
+    /**
+     * Ensures that today's occurrence of the given appointment wasn't canceled
+     * or moved to a different date and that it's location isn't closed today
+     * (so tutors can't clock into it).
+     * @param {Object} appt - The weekly appointment being clocked into.
+     * @param {string} id - The appointment's Firestore document ID.
+     * @param {Object} location - The data of the appointment's location (whose
+     * timezone determines what "today" is).
+     * @throws {DataError} A `failed-precondition` error if today's occurrence
+     * was canceled or moved, if it's a one-off appointment that doesn't occur
+     * today or if the location is closed today.
+     */
+    static validateOccurrence(appt, id, location) {
+        const today = Data.getDateString(new Date(), location.timezone ||
+            DEFAULT_TIMEZONE);
+        const closure = getClosure(location, today);
+        if (closure) throw new DataError('failed-precondition', (location
+            .name || 'Location') + ' is closed today for ' + closure.name +
+            '.', 'id');
+        if (appt.time.date && appt.time.date !== today)
+            throw new DataError('failed-precondition', 'Appointment (' + id +
+                ') only occurs on ' + appt.time.date + '.', 'id');
+        const exception = (appt.exceptions || {})[today];
+        if (!exception || Data.getOccurrence(appt, today)) return;
+        throw new DataError('failed-precondition', 'Today\'s occurrence of ' +
+            'appointment (' + id + ') was ' + (exception.canceled ?
+                'canceled.' : 'moved to ' + exception.moved.date + '.'), 'id');
+    }
+
+    // Returns the one-off time (i.e. `{ day, from, to, date }`) that an
+    // occurrence is moved to by a `modifyApptOccurrence` action.
+    static getMovedTime(time) {
+        return {
+            day: Data.getDay(time.date),
+            from: time.from,
+            to: time.to,
+            date: time.date,
+        };
+    }
+
+    /**
+     * Ensures that the given (request or appointment) time's periods (if any)
+     * are on it's location's bell schedule and that it's `date` (if it's a
+     * one-off time) is upcoming and falls on the time's `day`.
+     * @param {Object} time - The time (i.e. `{ day, from, to, date }`).
+     * @param {string} field - The path to the time (e.g. `request.time`) that
+     * is reported as the offending `field` if the time is invalid.
+     * @param {Object} location - The data of the time's location (whose
+     * timezone determines which dates have already passed).
+     * @throws {DataError} An `invalid-argument` error if the time is invalid.
+     */
+    static validateTime(time, field, location) {
+        const periods = Utils.getPeriods(location, time);
+        const resolved = Utils.resolveTime(time, location);
+        if (periods.length) ['from', 'to'].forEach(key => {
+            if (getMinutes(resolved[key]) === undefined)
+                throw new DataError('invalid-argument', time[key] + ' is not ' +
+                    'on ' + (location.name || 'the location') + '\'s ' +
+                    time.day + ' bell schedule.', field + '.' + key);
+        });
+        if (!time.date) return;
+        if (time.date < Data.getDateString(new Date(), location.timezone ||
+                DEFAULT_TIMEZONE))
+            throw new DataError('invalid-argument', 'Cannot schedule ' +
+                'sessions in the past.', field + '.date');
+        if (Data.getDay(time.date) !== time.day)
+            throw new DataError('invalid-argument', time.date + ' is not a ' +
+                time.day + '.', field + '.day');
+    }
+
+    /**
+     * Ensures that the given location isn't archived (archived locations don't
+     * accept new requests).
+     * @param {Object} location - The location's data.
+     * @param {string} field - The path to the location (e.g.
+     * `request.location`) that is reported as the offending `field`.
+     * @throws {DataError} A `failed-precondition` error if the location is
+     * archived.
+     */
+    static validateLocation(location, field) {
+        if (location.archived) throw new DataError('failed-precondition',
+            location.name + ' is archived and no longer accepts requests.',
+            field);
+    }
+
+    /**
+     * Ensures that the given location timezone (if any) is a valid IANA
+     * timezone (e.g. `America/New_York`).
+     * @param {string} [timezone] - The timezone.
+     * @param {string} field - The path to the timezone (e.g.
+     * `location.timezone`) that is reported as the offending `field`.
+     * @throws {DataError} An `invalid-argument` error if the timezone is
+     * invalid.
+     */
+    static validateTimezone(timezone, field) {
+        if (timezone === undefined) return;
+        try {
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+            });
+        } catch (err) {
+            throw new DataError('invalid-argument', 'Timezone (' + timezone +
+                ') is not a valid IANA timezone (e.g. America/New_York).',
+                field);
+        }
+    }
+
+    /**
+     * Ensures that the given location's bell schedules (i.e. it's regular
+     * `periods` and it's named alternate `schedules`) only contain periods
+     * that end after they start and that it's `rotation` and `alternates` only
+     * refer to schedules that exist.
+     * @param {Object} location - The location's data.
+     * @param {string} field - The path to the location (e.g. `location`) that
+     * prefixes the offending `field`.
+     * @throws {DataError} An `invalid-argument` error if a bell schedule is
+     * invalid.
+     */
+    static validateBellSchedule(location, field) {
+        const schedules = location.schedules || {};
+        const validatePeriods = (periods, path) => {
+            if (!(periods instanceof Array)) throw new DataError(
+                'invalid-argument', path + ' must be a(n) array.', path);
+            periods.forEach((p = {}, i) => {
+                const [from, to] = [getMinutes(p.from), getMinutes(p.to)];
+                if (from === undefined || to === undefined || from >= to)
+                    throw new DataError('invalid-argument', (p.name ||
+                        'Period') + ' must start before it ends.', path +
+                        '[' + i + ']');
+            });
+        };
+        const validateSchedule = (schedule, path) => {
+            if (!schedules[schedule]) throw new DataError('invalid-argument',
+                'Bell schedule (' + schedule + ') does not exist.', path);
+        };
+        validatePeriods(location.periods || [], field + '.periods');
+        Object.entries(schedules).forEach(([name, periods]) => validatePeriods(
+            periods, field + '.schedules.' + name));
+        Object.entries(location.rotation || {}).forEach(([day, schedule]) =>
+            validateSchedule(schedule, field + '.rotation.' + day));
+        Object.entries(location.alternates || {}).forEach(([date, schedule]) =>
+            validateSchedule(schedule, field + '.alternates.' + date));
+    }
+
+    /**
+     * Ensures that the given location closures (if any) end on or after they
+     * start.
+     * @param {Object[]} [closures] - The closures (each w/ a `name`, a `from`
+     * date and an optional `to` date).
+     * @param {string} field - The path to the closures (e.g.
+     * `location.closures`) that prefixes the offending `field`.
+     * @throws {DataError} An `invalid-argument` error if a closure is invalid.
+     */
+    static validateClosures(closures = [], field) {
+        closures.forEach((closure, index) => {
+            if (closure.to && closure.to < closure.from)
+                throw new DataError('invalid-argument', closure.name + ' must' +
+                    ' end on or after it starts.', field + '[' + index +
+                    '].to');
+        });
+    }
+
     static async getLocationIdFromName(name) {
         const doc = (await global.db.collection('locations')
             .where('name', '==', name).limit(1).get()).docs[0];
@@ -766,8 +2635,7 @@ class Data {
         const ref = locationRef.collection('clockIns').doc(id);
         const approvedRef = locationRef.collection('approvedClockIns').doc();
         const rejectedRef = locationRef.collection('rejectedClockIns').doc();
-        const apptRef = db.collection('users').doc(appt.attendees[0].uid)
-            .collection('appointments').doc(id);
+        const apptRef = locationRef.collection('appointments').doc(id);
 
         const clockIn = {
             sentTimestamp: new Date(),
@@ -777,13 +2645,19 @@ class Data {
             proof,
         };
 
-        appt = (await apptRef.get()).data(); // Don't trust the client
-        appt.clockIn = Data.cloneMap(clockIn);
-        clockIn.for = Data.cloneMap(appt);
+        const location = await getLocationData(db, appt.location);
+        await admin.firestore().runTransaction(async (transaction) => {
+            appt = (await transaction.get(apptRef)).data(); // Don't trust
+            // the client
+            Data.validateOccurrence(appt, id, location);
+            appt.clockIn = Data.cloneMap(clockIn);
+            clockIn.for = Data.cloneMap(appt);
 
-        await ref.set(clockIn);
-        await db.collection('users').doc(global.app.user.uid).update({
-            clockedIn: true
+            transaction.set(ref, clockIn);
+            transaction.update(db.collection('users')
+                .doc(global.app.user.uid), {
+                clockedIn: true,
+            });
         });
         return {
             recipient: {
@@ -801,8 +2675,7 @@ class Data {
         const ref = locationRef.collection('clockOuts').doc(id);
         const approvedRef = locationRef.collection('approvedClockOuts').doc();
         const rejectedRef = locationRef.collection('rejectedClockOuts').doc();
-        const apptRef = db.collection('users').doc(appt.attendees[0].uid)
-            .collection('activeAppointments').doc(id);
+        const apptRef = locationRef.collection('activeAppointments').doc(id);
 
         const clockOut = {
             sentTimestamp: new Date(),
@@ -812,13 +2685,17 @@ class Data {
             proof: proof,
         };
 
-        appt = (await apptRef.get()).data(); // Don't trust the client
-        appt.clockOut = Data.cloneMap(clockOut);
-        clockOut.for = Data.cloneMap(appt);
+        await admin.firestore().runTransaction(async (transaction) => {
+            appt = (await transaction.get(apptRef)).data(); // Don't trust
+            // the client
+            appt.clockOut = Data.cloneMap(clockOut);
+            clockOut.for = Data.cloneMap(appt);
 
-        await ref.set(clockOut);
-        await db.collection('users').doc(global.app.user.uid).update({
-            clockedOut: true
+            transaction.set(ref, clockOut);
+            transaction.update(db.collection('users')
+                .doc(global.app.user.uid), {
+                clockedOut: true,
+            });
         });
         return {
             recipient: {
@@ -833,9 +2710,9 @@ class Data {
     // Adds a 'booked' field to every availability window on the given user by:
     // 1) Getting the user's appointments
     // 2) Changing 'booked' to false for every appointment's time field
-    static async updateUserAvailability(uid) {
+    static async updateUserAvailability(uid, db = global.db) {
         try {
-            const doc = await global.db.collection('users').doc(uid).get();
+            const doc = await db.collection('users').doc(uid).get();
             // Availability is stored in Firestore as:
             // 'Gunn Academic Center': {
             //   'Monday': [
@@ -848,6 +2725,14 @@ class Data {
             //       open: 'A Period',
             //       close: 'A Period',
             //       booked: true,
+            //       free: ['2020-03-09'], // Occurrence canceled or moved
+            //     },
+            //     {
+            //       open: '3:45 PM',
+            //       close: '4:45 PM',
+            //       booked: false,
+            //       bookedOn: ['2020-03-09'], // Occurrence moved here (or
+            //       // a one-off appt is scheduled on that date)
             //     },
             //   ],
             // },
@@ -855,6 +2740,7 @@ class Data {
             const bookedAvailability = {};
             appts.forEach((apptDoc) => {
                 const appt = apptDoc.data();
+                if (appt.time.date) return; // Doesn't book weekly timeslots
                 if (!bookedAvailability[appt.location.name])
                     bookedAvailability[appt.location.name] = {};
                 if (!bookedAvailability[appt.location.name][appt.time.day])
@@ -894,8 +2780,38 @@ class Data {
                     });
                 });
             });
+            // Note the (upcoming) dates when a booked timeslot is free b/c
+            // that single occurrence was canceled or moved (and the dates
+            // when a timeslot is booked b/c an occurrence was moved to it).
+            const today = Data.getDateString();
+            const note = (location, day, from, to, key, date) => {
+                const timeslot = ((bookedAvailability[location] || {})[day] ||
+                    []).find(t => t.open === from && t.close === to);
+                if (!timeslot) return;
+                if (!timeslot[key]) timeslot[key] = [];
+                if (timeslot[key].indexOf(date) < 0) timeslot[key].push(date);
+            };
+            appts.forEach((apptDoc) => {
+                const appt = apptDoc.data();
+                if (appt.time.date) return appt.time.date >= today ? note(
+                    appt.location.name, appt.time.day, appt.time.from,
+                    appt.time.to, 'bookedOn', appt.time.date) : null;
+                Object.entries(appt.exceptions || {}).forEach(([date, e]) => {
+                    if (date >= today) note(appt.location.name, appt.time.day,
+                        appt.time.from, appt.time.to, 'free', date);
+                    if (e.moved && e.moved.date >= today) note(
+                        appt.location.name, Data.getDay(e.moved.date),
+                        e.moved.from, e.moved.to, 'bookedOn', e.moved.date);
+                });
+            });
+            const load = await getTutorLoad(db, uid);
             return doc.ref.update({
                 availability: bookedAvailability,
+                load: { // Shown in search results (w/ the tutor's `limits`)
+                    sessions: load.sessions,
+                    hours: load.hours,
+                    pupils: load.pupils.length,
+                },
             });
         } catch (err) {
             console.error('[ERROR] Could not update user (' + uid + ') ' +
@@ -915,10 +2831,10 @@ class Data {
             .doc(request.fromUser.uid)
             .collection('approvedRequestsOut')
             .doc(id);
-        // NOTE: The appts must be processed in this order due to the way that
-        // the Firestore rules are setup (i.e. first we check if there is an
-        // approvedRequestOut doc, then we check if there is an appt doc
-        // already created).
+        const location = await getLocationData(db, request.location);
+        Data.validateLocation(location, 'request.location');
+        Data.validateTime(request.time, 'request.time', location);
+        await validateCapacity(db, request, location);
         if (!request.location.id) request.location.id =
             await Data.getLocationIdFromName(request.location.name);
         const appts = [
@@ -940,21 +2856,20 @@ class Data {
             timestamp: new Date(),
         };
 
-        var [err, res] = await to(approvedRequestOut.set({
+        // NOTE: All of these writes are committed atomically so that we never
+        // leave behind half-approved requests or orphaned appointments.
+        const batch = admin.firestore().batch();
+        batch.set(approvedRequestOut, {
             for: request,
             approvedBy: app.conciseUser,
             approvedTimestamp: new Date(),
-        }));
-        if (err) throw new Error('Error while adding approvedRequestOut:', err);
-        [err, res] = await to(requestOut.delete());
-        if (err) throw new Error('Error while deleting requestOut:', err);
-        [err, res] = await to(requestIn.delete());
-        if (err) throw new Error('Error while deleting requestIn:', err);
-        for (var i = 0; i < appts.length; i++) {
-            var appt = appts[i];
-            [err, res] = await to(appt.set(apptData));
-            if (err) throw new Error('Error while creating appt doc:', err);
-        }
+        });
+        batch.delete(requestOut);
+        batch.delete(requestIn);
+        appts.forEach(appt => batch.set(appt, apptData));
+        const [err, res] = await to(batch.commit());
+        if (err) throw new Error('Error while approving request: ' +
+            err.message);
         Data.updateUserAvailability(request.fromUser.uid);
         Data.updateUserAvailability(request.toUser.uid);
         return {
@@ -981,16 +2896,12 @@ class Data {
         });
         appt = Data.trimObject(appt);
         const db = global.db;
-        const appts = [
-            db.collection('users').doc(appt.attendees[0].uid)
-            .collection('pastAppointments').doc(),
-        ];
-        const id = appts[0].id;
-        appts.push(db.collection('users').doc(appt.attendees[1].uid)
-            .collection('pastAppointments').doc(id));
-        appts.push(db.collection('locations').doc(appt.location.id)
-            .collection('pastAppointments').doc(id));
-        await Promise.all(appts.map(doc => doc.set(appt)));
+        const id = db.collection('locations').doc(appt.location.id)
+            .collection('pastAppointments').doc().id;
+        const appts = getApptRefs(db, appt, id, 'pastAppointments');
+        const batch = admin.firestore().batch();
+        appts.forEach(doc => batch.set(doc, appt));
+        await batch.commit();
         return {
             appt: appt,
             id: id,
@@ -1024,20 +2935,10 @@ class Data {
         console.log('[DEBUG] Trimming past appt data...');
         apptData = Data.trimObject(apptData);
         console.log('[DEBUG] Trimmed past appt data.');
-        const appts = [
-            db.collection('users').doc(apptData.attendees[0].uid)
-            .collection('pastAppointments')
-            .doc(id),
-            db.collection('users').doc(apptData.attendees[1].uid)
-            .collection('pastAppointments')
-            .doc(id),
-            db.collection('locations').doc(apptData.location.id)
-            .collection('pastAppointments')
-            .doc(id),
-        ];
-        await Promise.all(appts.map((appt) => {
-            return appt.update(apptData);
-        }));
+        const appts = getApptRefs(db, apptData, id, 'pastAppointments');
+        const batch = admin.firestore().batch();
+        appts.forEach(appt => batch.update(appt, apptData));
+        await batch.commit();
         return {
             appt: apptData,
             id: id,
@@ -1047,153 +2948,498 @@ class Data {
     static async modifyAppt(apptData, id) {
         const db = global.db;
         apptData = Data.trimObject(apptData);
-        const appts = [
-            db.collection('users').doc(apptData.attendees[0].uid)
-            .collection('appointments')
-            .doc(id),
-            db.collection('users').doc(apptData.attendees[1].uid)
-            .collection('appointments')
-            .doc(id),
-            db.collection('locations').doc(apptData.location.id)
-            .collection('appointments')
-            .doc(id),
-        ];
-        const modifiedAppts = [];
-        if (apptData.attendees[0].uid !== app.user.uid) {
-            modifiedAppts.push(db.collection('users')
-                .doc(apptData.attendees[0].uid)
-                .collection('modifiedAppointments').doc(id));
-        }
-        if (apptData.attendees[1].uid !== app.user.uid) {
-            modifiedAppts.push(db.collection('users')
-                .doc(apptData.attendees[1].uid)
+        delete apptData.exceptions; // Only changed via occurrence actions
+        Data.validateTime(apptData.time, 'appt.time', await getLocationData(
+            db, apptData.location));
+        if (apptData.capacity < apptData.attendees.length)
+            throw new DataError('invalid-argument', 'Appointment capacity ' +
+                'cannot be less than it\'s number of attendees (' +
+                apptData.attendees.length + ').', 'appt.capacity');
+        const appts = getApptRefs(db, apptData, id);
+        const modifiedAppts = apptData.attendees
+            .filter(a => a.uid !== app.user.uid)
+            .map(a => db.collection('users').doc(a.uid)
                 .collection('modifiedAppointments').doc(id));
-        }
         if (app.user.locations &&
             app.user.locations.indexOf(apptData.location.id) < 0) {
             modifiedAppts.push(db.collection('locations').doc(apptData.location.id)
                 .collection('modifiedAppointments').doc(id));
         }
 
-        for (var i = 0; i < modifiedAppts.length; i++) {
-            var modifiedAppt = modifiedAppts[i];
-            await modifiedAppt.set({
-                modifiedBy: app.conciseUser,
-                modifiedTimestamp: new Date(),
-                for: apptData,
-            });
-        }
-        for (var i = 0; i < appts.length; i++) {
-            var appt = appts[i];
-            await appt.update(apptData);
-        }
+        const batch = admin.firestore().batch();
+        modifiedAppts.forEach(modifiedAppt => batch.set(modifiedAppt, {
+            modifiedBy: app.conciseUser,
+            modifiedTimestamp: new Date(),
+            for: apptData,
+        }));
+        appts.forEach(appt => batch.update(appt, apptData));
+        await batch.commit();
     }
 
-    static deletePastAppt(apptData, id) {
+    static async deletePastAppt(apptData, id) {
         const db = global.db;
-        const appts = [
-            db.collection('users').doc(apptData.attendees[0].uid)
-            .collection('pastAppointments')
-            .doc(id),
-            db.collection('users').doc(apptData.attendees[1].uid)
-            .collection('pastAppointments')
-            .doc(id),
-            db.collection('locations').doc(apptData.location.id)
-            .collection('pastAppointments')
-            .doc(id),
-        ];
-        return appts.forEach(async (appt) => {
-            await appt.delete();
-        });
+        const appts = getApptRefs(db, apptData, id, 'pastAppointments');
+        const batch = admin.firestore().batch();
+        appts.forEach(appt => batch.delete(appt));
+        await batch.commit();
+        return {
+            appt: apptData,
+            id: id,
+        };
     }
 
     static async cancelAppt(apptData, id) {
         const db = global.db;
-        const appts = [
-            db.collection('users').doc(apptData.attendees[0].uid)
-            .collection('appointments')
-            .doc(id),
-            db.collection('users').doc(apptData.attendees[1].uid)
-            .collection('appointments')
-            .doc(id),
-            db.collection('locations').doc(apptData.location.id)
-            .collection('appointments')
-            .doc(id),
-        ];
-        const canceledAppts = [];
-        if (apptData.attendees[0].uid !== app.user.uid) {
-            canceledAppts.push(db.collection('users')
-                .doc(apptData.attendees[0].uid)
-                .collection('canceledAppointments').doc(id));
-        }
-        if (apptData.attendees[1].uid !== app.user.uid) {
-            canceledAppts.push(db.collection('users')
-                .doc(apptData.attendees[1].uid)
+        const appts = getApptRefs(db, apptData, id);
+        const canceledAppts = apptData.attendees
+            .filter(a => a.uid !== app.user.uid)
+            .map(a => db.collection('users').doc(a.uid)
                 .collection('canceledAppointments').doc(id));
-        }
         canceledAppts.push(db.collection('locations').doc(apptData.location.id)
             .collection('canceledAppointments').doc(id));
 
+        const batch = admin.firestore().batch();
         if (apptData.for.payment.type === 'Paid') {
             // Delete the authPayment docs as well
-            const authPayments = [
-                db.collection('users').doc(apptData.attendees[0].uid)
-                .collection('authPayments')
-                .doc(id),
-                db.collection('users').doc(apptData.attendees[1].uid)
-                .collection('authPayments')
-                .doc(id),
-            ];
-            authPayments.forEach(async (authPayment) => {
-                await authPayment.delete();
-            });
+            const authPayments = apptData.attendees.map(a => db
+                .collection('users').doc(a.uid)
+                .collection('authPayments').doc(id));
+            authPayments.forEach(authPayment => batch.delete(authPayment));
         }
 
-        await Promise.all(canceledAppts.map((appt) => appt.set({
+        canceledAppts.forEach(appt => batch.set(appt, {
             canceledBy: app.conciseUser,
             canceledTimestamp: new Date(),
             for: apptData,
-        })));
-        await Promise.all(appts.map((appt) => appt.delete()));
+        }));
+        appts.forEach(appt => batch.delete(appt));
+        await batch.commit();
+
+        await Promise.all(apptData.attendees.map(a => Data
+            .updateUserAvailability(a.uid)));
+        const [err, res] = await to(Data.popWaitlist(apptData));
+        if (err) console.error('[ERROR] Could not pop waitlist for canceled ' +
+            'appt (' + id + ') b/c of ' + err.message);
+        return {
+            appt: apptData,
+            id: id,
+            waitlisted: res, // The request sent from the appt's waitlist
+        };
+    }
 
-        apptData.attendees.forEach(a => Data.updateUserAvailability(a.uid));
+    static cancelApptOccurrence(apptData, id, date) {
+        return Data.addApptException(apptData, id, date, {
+            canceled: true,
+        });
     }
 
-    static async rejectRequest(request, id) {
+    static async modifyApptOccurrence(apptData, id, date, time) {
+        const location = await getLocationData(global.db, apptData.location);
+        Data.validateTime(Data.getMovedTime(time), 'time', location);
+        const closure = getClosure(location, time.date);
+        if (closure) throw new DataError('failed-precondition', (location
+            .name || 'Location') + ' is closed on ' + time.date + ' for ' +
+            closure.name + '.', 'time.date');
+        return Data.addApptException(apptData, id, date, {
+            moved: {
+                date: time.date,
+                from: time.from,
+                to: time.to,
+            },
+        });
+    }
+
+    /**
+     * Adds a cancel-once or move-once exception to every copy of the given
+     * weekly appointment (without changing the rest of the series). The
+     * appointment's `movedTo` lists the dates that it's occurrences were moved
+     * to (so reminders can query for them along with the appointment's day).
+     * @param {Object} apptData - The weekly appointment.
+     * @param {string} id - The appointment's Firestore document ID.
+     * @param {string} date - The `YYYY-MM-DD` date of the occurrence to change.
+     * @param {Object} exception - The exception (i.e. `{ canceled: true }` or
+     * `{ moved: { date, from, to } }`).
+     * @return {Promise<Object>} Promise that resolves with the updated
+     * appointment data and ID.
+     */
+    static async addApptException(apptData, id, date, exception) {
         const db = global.db;
-        const requestIn = db.collection("users").doc(request.toUser.uid)
-            .collection('requestsIn')
-            .doc(id);
-        const requestOut = db.collection('users').doc(request.fromUser.uid)
-            .collection('requestsOut')
-            .doc(id);
-        const rejectedRequestOut = db.collection('users')
-            .doc(request.fromUser.uid)
-            .collection('rejectedRequestsOut')
-            .doc(id);
+        const today = Data.getDateString(new Date(), await getTimezone(db,
+            apptData.location));
+        const apptRef = db.collection('locations').doc(apptData.location.id)
+            .collection('appointments').doc(id);
+        const res = await admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(apptRef);
+            if (!doc.exists) throw new DataError('not-found', 'Appointment (' +
+                id + ') did not exist.', 'id');
+            const appt = doc.data(); // Don't trust the client
+            if (appt.time.date) throw new DataError('failed-precondition',
+                'Appointment (' + id + ') only occurs once (modify or ' +
+                'cancel it instead).', 'id');
+            if (Data.getDay(date) !== appt.time.day)
+                throw new DataError('invalid-argument', 'Appointment (' + id +
+                    ') does not occur on ' + date + '.', 'date');
+            if (date < today || (exception.moved && exception.moved.date <
+                    today)) throw new DataError('invalid-argument', 'Cannot ' +
+                'change past occurrences of appointments.', 'date');
+            appt.exceptions = appt.exceptions || {};
+            appt.exceptions[date] = Data.combineMaps(exception, {
+                by: global.app.conciseUser,
+                timestamp: new Date(),
+            });
+            const appts = getApptRefs(db, appt, id);
+            const modifiedAppts = appt.attendees
+                .filter(a => a.uid !== global.app.user.uid)
+                .map(a => db.collection('users').doc(a.uid)
+                    .collection('modifiedAppointments').doc(id));
+            appt.movedTo = Object.values(appt.exceptions).filter(e => e.moved)
+                .map(e => e.moved.date);
+            appts.forEach(ref => t.update(ref, {
+                exceptions: appt.exceptions,
+                movedTo: appt.movedTo,
+            }));
+            modifiedAppts.forEach(ref => t.set(ref, {
+                modifiedBy: global.app.conciseUser,
+                modifiedTimestamp: new Date(),
+                for: appt,
+            }));
+            return {
+                appt: appt,
+                id: id,
+            };
+        });
+        await Promise.all(res.appt.attendees.map(a =>
+            Data.updateUserAvailability(a.uid)));
+        return res;
+    }
 
-        if (request.payment.type === 'Paid') {
-            // Delete the authPayment docs as well
-            const authPayments = [
-                db.collection('users').doc(request.fromUser.uid)
-                .collection('authPayments')
-                .doc(id),
-                db.collection('users').doc(request.toUser.uid)
-                .collection('authPayments')
-                .doc(id),
-            ];
-            authPayments.forEach(async (authPayment) => {
-                await authPayment.delete();
+    /**
+     * Adds the given pupil to a group appointment (as long as the appointment
+     * hasn't already reached it's capacity and the pupil is at it's location)
+     * and to it's group chat.
+     * @param {Object} apptData - The group appointment to join.
+     * @param {string} id - The appointment's Firestore document ID.
+     * @param {Object} attendee - The (concise) pupil joining the appointment.
+     * @return {Promise<Object>} Promise that resolves with the updated
+     * appointment data and ID.
+     */
+    static async joinAppt(apptData, id, attendee) {
+        const db = global.db;
+        const [err, profile] = await to(Data.getUser(attendee.uid));
+        if (err) throw new DataError('not-found', 'Attendee (' + attendee.uid +
+            ') did not exist.', 'attendee');
+        const user = getConciseUser(profile);
+        if (user.type !== 'Pupil') throw new DataError('failed-precondition',
+            'Only pupils can join appointments.', 'attendee');
+        const locations = [profile.location].concat(profile.locations || []);
+        const apptRef = db.collection('locations').doc(apptData.location.id)
+            .collection('appointments').doc(id);
+        const chatRef = db.collection('chats').doc(id);
+        const res = await admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(apptRef);
+            const chat = await t.get(chatRef);
+            if (!doc.exists) throw new DataError('not-found', 'Appointment (' +
+                id + ') did not exist.', 'id');
+            const appt = doc.data(); // Don't trust the client
+            const capacity = appt.capacity || 2;
+            if (appt.attendees.find(a => a.uid === user.uid))
+                throw new DataError('already-exists', user.name + ' already ' +
+                    'attends appointment (' + id + ').', 'attendee');
+            if (locations.indexOf(appt.location.name) < 0)
+                throw new DataError('permission-denied', user.name +
+                    ' isn\'t at appointment (' + id + ')\'s location (' + appt
+                    .location.name + ').', 'attendee');
+            if (appt.attendees.length >= capacity)
+                throw new DataError('failed-precondition', 'Appointment (' +
+                    id + ') is already full (it can only have ' + capacity +
+                    ' attendees).', 'id');
+            const appts = getApptRefs(db, appt, id);
+            appt.attendees = appt.attendees.concat([user]);
+            appts.forEach(ref => t.update(ref, {
+                attendees: appt.attendees,
+            }));
+            t.set(db.collection('users').doc(user.uid)
+                .collection('appointments').doc(id), appt);
+            appt.attendees
+                .filter(a => a.uid !== global.app.user.uid)
+                .forEach(a => t.set(db.collection('users').doc(a.uid)
+                    .collection('modifiedAppointments').doc(id), {
+                        modifiedBy: global.app.conciseUser,
+                        modifiedTimestamp: new Date(),
+                        for: appt,
+                    }));
+            updateGroupChat(t, chatRef, chat, appt);
+            return {
+                appt: appt,
+                id: id,
+            };
+        });
+        await Data.updateUserAvailability(user.uid);
+        return res;
+    }
+
+    /**
+     * Removes the given pupil from a group appointment (and it's group chat).
+     * Tutors can't leave their own appointments and appointments always keep
+     * at least two attendees (i.e. cancel the appointment instead).
+     * @param {Object} apptData - The group appointment to leave.
+     * @param {string} id - The appointment's Firestore document ID.
+     * @param {Object} attendee - The (concise) pupil leaving the appointment.
+     * @return {Promise<Object>} Promise that resolves with the updated
+     * appointment data and ID.
+     */
+    static async leaveAppt(apptData, id, attendee) {
+        const db = global.db;
+        const apptRef = db.collection('locations').doc(apptData.location.id)
+            .collection('appointments').doc(id);
+        const chatRef = db.collection('chats').doc(id);
+        const res = await admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(apptRef);
+            const chat = await t.get(chatRef);
+            if (!doc.exists) throw new DataError('not-found', 'Appointment (' +
+                id + ') did not exist.', 'id');
+            const appt = doc.data(); // Don't trust the client
+            if (!appt.attendees.find(a => a.uid === attendee.uid))
+                throw new DataError('not-found', attendee.name + ' does not ' +
+                    'attend appointment (' + id + ').', 'attendee');
+            if (appt.for.toUser.uid === attendee.uid ||
+                appt.attendees.length <= 2) throw new DataError(
+                'failed-precondition', attendee.name + ' cannot leave ' +
+                'appointment (' + id + ') (cancel it instead).', 'attendee');
+            appt.attendees = appt.attendees.filter(a => a.uid !== attendee.uid);
+            t.delete(db.collection('users').doc(attendee.uid)
+                .collection('appointments').doc(id));
+            getApptRefs(db, appt, id).forEach(ref => t.update(ref, {
+                attendees: appt.attendees,
+            }));
+            appt.attendees
+                .filter(a => a.uid !== global.app.user.uid)
+                .forEach(a => t.set(db.collection('users').doc(a.uid)
+                    .collection('modifiedAppointments').doc(id), {
+                        modifiedBy: global.app.conciseUser,
+                        modifiedTimestamp: new Date(),
+                        for: appt,
+                    }));
+            if (attendee.uid !== global.app.user.uid) t.set(db
+                .collection('users').doc(attendee.uid)
+                .collection('canceledAppointments').doc(id), {
+                    canceledBy: global.app.conciseUser,
+                    canceledTimestamp: new Date(),
+                    for: appt,
+                });
+            if (chat.exists) updateGroupChat(t, chatRef, chat, appt);
+            return {
+                appt: appt,
+                id: id,
+            };
+        });
+        await Data.updateUserAvailability(attendee.uid);
+        return res;
+    }
+
+    /**
+     * Adds the given pupil to the end of the waitlist of a tutor's booked
+     * weekly timeslot. When that timeslot frees up (i.e. when it's appointment
+     * is canceled), the first waitlisted pupil is sent a request for it.
+     * @param {Object} waitlistData - The waitlist's `tutor`, `location` and
+     * (weekly) `time`.
+     * @param {Object} pupil - The (concise) pupil joining the waitlist.
+     * @param {string} subject - The subject the pupil wants tutoring for.
+     * @return {Promise<Object>} Promise that resolves with the updated
+     * waitlist data, it's ID and the pupil's (1-based) position in it.
+     */
+    static async joinWaitlist(waitlistData, pupil, subject) {
+        const db = global.db;
+        const user = getConciseUser(await Data.getUser(pupil.uid));
+        const tutorData = await Data.getUser(waitlistData.tutor.uid);
+        const tutor = getConciseUser(tutorData);
+        if (user.type !== 'Pupil') throw new DataError('failed-precondition',
+            'Only pupils can join waitlists.', 'pupil');
+        const timeslot = getTimeslot(tutorData, waitlistData.location,
+            waitlistData.time);
+        if (!timeslot) throw new DataError('not-found', tutor.name + ' is ' +
+            'not available on ' + waitlistData.time.day + 's from ' +
+            waitlistData.time.from + ' to ' + waitlistData.time.to +
+            ' at the ' + waitlistData.location.name + '.', 'waitlist.time');
+        if (!timeslot.booked) throw new DataError('failed-precondition',
+            tutor.name + ' is not booked at that time (send them a request ' +
+            'instead).', 'waitlist.time');
+        const ref = getWaitlistRef(db, waitlistData);
+        return admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            const pupils = doc.exists ? doc.data().pupils : [];
+            if (pupils.find(p => p.uid === user.uid))
+                throw new DataError('already-exists', user.name + ' is ' +
+                    'already on waitlist (' + ref.id + ').', 'pupil');
+            pupils.push(Object.assign(user, {
+                subject: subject,
+                joinedTimestamp: new Date(),
+            }));
+            const waitlist = {
+                tutor: tutor,
+                location: waitlistData.location,
+                time: {
+                    day: waitlistData.time.day,
+                    from: waitlistData.time.from,
+                    to: waitlistData.time.to,
+                },
+                pupils: pupils,
+            };
+            t.set(ref, waitlist);
+            return {
+                waitlist: waitlist,
+                id: ref.id,
+                position: pupils.length,
+            };
+        });
+    }
+
+    static async leaveWaitlist(waitlistData, pupil) {
+        const ref = getWaitlistRef(global.db, waitlistData);
+        return admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            const waitlist = doc.exists ? doc.data() : {
+                pupils: [],
+            };
+            if (!waitlist.pupils.find(p => p.uid === pupil.uid))
+                throw new DataError('not-found', pupil.name + ' is not on ' +
+                    'waitlist (' + ref.id + ').', 'pupil');
+            waitlist.pupils = waitlist.pupils.filter(p => p.uid !== pupil.uid);
+            waitlist.pupils.length ? t.update(ref, {
+                pupils: waitlist.pupils,
+            }) : t.delete(ref);
+            return {
+                waitlist: waitlist,
+                id: ref.id,
+            };
+        });
+    }
+
+    /**
+     * Reorders a waitlist's pupils (i.e. so supervisors can prioritize pupils
+     * who need tutoring the most).
+     * @param {Object} waitlistData - The waitlist's `tutor`, `location` and
+     * (weekly) `time`.
+     * @param {Array<string>} order - The UIDs of every one of the waitlist's
+     * pupils in their new order.
+     * @return {Promise<Object>} Promise that resolves with the reordered
+     * waitlist data and it's ID.
+     */
+    static async reorderWaitlist(waitlistData, order) {
+        const ref = getWaitlistRef(global.db, waitlistData);
+        return admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (!doc.exists) throw new DataError('not-found', 'Waitlist (' +
+                ref.id + ') did not exist.', 'waitlist');
+            const waitlist = doc.data(); // Don't trust the client
+            if (order.length !== waitlist.pupils.length || waitlist.pupils
+                .find(p => order.indexOf(p.uid) < 0))
+                throw new DataError('invalid-argument', 'Order must contain ' +
+                    'the UID of every pupil on waitlist (' + ref.id + ') ' +
+                    'exactly once.', 'order');
+            waitlist.pupils = order.map(uid => waitlist.pupils
+                .find(p => p.uid === uid));
+            t.update(ref, {
+                pupils: waitlist.pupils,
+            });
+            return {
+                waitlist: waitlist,
+                id: ref.id,
+            };
+        });
+    }
+
+    /**
+     * Sends a request (on behalf of the first waitlisted pupil) for the given
+     * canceled appointment's timeslot if it is no longer booked. That request
+     * is validated (and checked for conflicts) before the pupil is removed
+     * from the waitlist (and they're put back if it still can't be sent).
+     * @param {Object} apptData - The canceled appointment.
+     * @return {Promise<Object>} Promise that resolves with the new request
+     * (or `undefined` if there weren't any waitlisted pupils).
+     * @throws {DataError} If the request to the first waitlisted pupil can't
+     * be sent (they're kept at the front of the waitlist).
+     */
+    static async popWaitlist(apptData) {
+        if (apptData.time.date) return; // Doesn't book weekly timeslots
+        const db = global.db;
+        const tutor = await Data.getUser(apptData.for.toUser.uid);
+        const timeslot = getTimeslot(tutor, apptData.location, apptData.time);
+        if (!timeslot || timeslot.booked) return;
+        const ref = getWaitlistRef(db, {
+            tutor: tutor,
+            location: apptData.location,
+            time: apptData.time,
+        });
+        const doc = await ref.get();
+        if (!doc.exists || !doc.data().pupils.length) return;
+        const waitlist = doc.data();
+        const first = waitlist.pupils[0];
+        const pupil = Data.cloneMap(first);
+        delete pupil.subject;
+        delete pupil.joinedTimestamp;
+        const request = {
+            fromUser: pupil,
+            toUser: waitlist.tutor,
+            subject: first.subject,
+            time: waitlist.time,
+            location: waitlist.location,
+            message: 'Sent automatically from ' + pupil.name.split(' ')[0] +
+                '\'s spot on your waitlist.',
+            payment: apptData.for.payment,
+            timestamp: new Date(),
+        };
+        const location = await getLocationData(db, request.location);
+        Data.validateLocation(location, 'request.location');
+        Data.validateTime(request.time, 'request.time', location);
+        await validateCapacity(db, request, location);
+        const conflicts = await getConflicts(db, [
+            request.fromUser,
+            request.toUser,
+        ], request.time, request.location);
+        if (conflicts.length) throw new DataError('already-exists',
+            getConflictMessage(conflicts[0]), 'request.time');
+        const popped = await admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (!doc.exists || !doc.data().pupils.length ||
+                doc.data().pupils[0].uid !== pupil.uid) return false;
+            const pupils = doc.data().pupils.slice(1);
+            pupils.length ? t.update(ref, {
+                pupils: pupils,
+            }) : t.delete(ref);
+            return true;
+        });
+        if (!popped) return; // The waitlist changed while we were validating
+        console.log('[DEBUG] Sending ' + pupil.name + ' (' + pupil.uid + ') ' +
+            'a request from waitlist (' + ref.id + ')...');
+        const [err, res] = await to(Data.newRequest(request));
+        if (err) {
+            await admin.firestore().runTransaction(async (t) => {
+                const doc = await t.get(ref);
+                t.set(ref, Object.assign({}, waitlist, {
+                    pupils: [first].concat(doc.exists ? doc.data().pupils :
+                        []),
+                }));
             });
+            throw err;
         }
+        await db.collection('users').doc(pupil.uid)
+            .collection('waitlistedRequestsOut').doc(res.id).set({
+                for: res.request,
+                joinedTimestamp: first.joinedTimestamp,
+                sentTimestamp: new Date(),
+            });
+        return res;
+    }
 
-        await rejectedRequestOut.set({
-            for: request,
+    static async rejectRequest(request, id) {
+        await rejectRequest(global.db, request, id, {
             rejectedBy: app.conciseUser,
-            rejectedTimestamp: new Date(),
         });
-        await requestOut.delete();
-        await requestIn.delete();
+        return {
+            request: request,
+            id: id,
+        };
     }
 
     static async cancelRequest(request, id) {
@@ -1205,6 +3451,7 @@ class Data {
             .collection('requestsOut')
             .doc(id);
 
+        const batch = admin.firestore().batch();
         if (request.payment.type === 'Paid') {
             // Delete the authPayment docs as well
             const authPayments = [
@@ -1215,9 +3462,7 @@ class Data {
                 .collection('authPayments')
                 .doc(id),
             ];
-            authPayments.forEach(async (authPayment) => {
-                await authPayment.delete();
-            });
+            authPayments.forEach(authPayment => batch.delete(authPayment));
         }
 
         const canceledRequests = [];
@@ -1231,20 +3476,26 @@ class Data {
                 .collection('canceledRequestsOut').doc(id));
         }
 
-        canceledRequests.forEach(async (canceledRequest) => {
-            await canceledRequest.set({
-                canceledBy: app.conciseUser,
-                canceledTimestamp: new Date(),
-                for: request,
-            });
-        });
-        await requestOut.delete();
-        await requestIn.delete();
+        canceledRequests.forEach(canceledRequest => batch.set(canceledRequest, {
+            canceledBy: app.conciseUser,
+            canceledTimestamp: new Date(),
+            for: request,
+        }));
+        batch.delete(requestOut);
+        batch.delete(requestIn);
+        await batch.commit();
+        return {
+            request: request,
+            id: id,
+        };
     }
 
     static async modifyRequest(request, id) {
         const db = global.db;
         request = Data.trimObject(request);
+        const location = await getLocationData(db, request.location);
+        Data.validateLocation(location, 'request.location');
+        Data.validateTime(request.time, 'request.time', location);
         const requestIn = db.collection("users").doc(request.toUser.uid)
             .collection('requestsIn')
             .doc(id);
@@ -1265,15 +3516,59 @@ class Data {
                 .collection('modifiedRequestsIn')
                 .doc(id));
         }
-        modifiedRequests.forEach(async (modifiedRequest) => {
-            await modifiedRequest.set({
-                for: request,
-                modifiedBy: app.conciseUser,
-                modifiedTimestamp: new Date(),
+        const batch = admin.firestore().batch();
+        modifiedRequests.forEach(modifiedRequest => batch.set(modifiedRequest, {
+            for: request,
+            modifiedBy: app.conciseUser,
+            modifiedTimestamp: new Date(),
+        }));
+        batch.update(requestOut, request);
+        batch.update(requestIn, request);
+        await batch.commit();
+    }
+
+    /**
+     * Undoes the given undoable action (e.g. a canceled appointment or a
+     * rejected request) by restoring every document it changed (and then
+     * updating the availability of the users whose appointments were
+     * restored).
+     * @param {string} id - The undoable action's Firestore document ID (i.e.
+     * the `undo.id` returned by the data action).
+     * @return {Promise<Object>} Promise that resolves with the undone `action`
+     * and the paths of the `restored` documents.
+     */
+    static async undoAction(id) {
+        const ref = global.db.collection('users').doc(app.user.uid)
+            .collection('undoableActions').doc(id);
+        const undo = await admin.firestore().runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (!doc.exists) throw new DataError('not-found', 'Undoable ' +
+                'action (' + id + ') did not exist.', 'id');
+            const undo = doc.data();
+            if (undo.expires.toDate() <= new Date())
+                throw new DataError('failed-precondition', 'The ' + undo
+                    .action + ' action (' + id + ') can no longer be undone.',
+                    'id');
+            const refs = undo.docs.map(d => admin.firestore().doc(d.path));
+            (await t.getAll(...refs)).forEach((doc, index) => {
+                if (doc.exists !== undo.docs[index].exists)
+                    throw new DataError('aborted', 'Document (' + doc.ref
+                        .path + ') changed after the ' + undo.action +
+                        ' action, so it can no longer be undone.', 'id');
             });
+            undo.docs.forEach((d, index) => d.data ? t.set(refs[index],
+                Object.assign(d.data, {
+                    restoredTimestamp: new Date(),
+                })) : t.delete(refs[index]));
+            t.delete(ref);
+            return undo;
         });
-        await requestOut.update(request);
-        await requestIn.update(request);
+        await Promise.all(undo.users.map(uid => Data
+            .updateUserAvailability(uid)));
+        return {
+            action: undo.action,
+            restored: undo.docs.filter(d => d.data).map(d => d.path),
+        };
     }
 
     static trimObject(ob) {
@@ -1324,6 +3619,10 @@ class Data {
         console.log('[DEBUG] Subject before trimming:', request.subject);
         request = Data.trimObject(request);
         console.log('[DEBUG] Subject after trimming:', request.subject);
+        const location = await getLocationData(db, request.location);
+        Data.validateLocation(location, 'request.location');
+        Data.validateTime(request.time, 'request.time', location);
+        await validateCapacity(db, request, location);
         const requestIn = db.collection('users').doc(request.toUser.uid)
             .collection('requestsIn')
             .doc();
@@ -1332,47 +3631,45 @@ class Data {
             .doc(requestIn.id);
 
         // Add request documents for both users
-        await requestOut.set(request);
-        await requestIn.set(request);
+        const batch = admin.firestore().batch();
+        batch.set(requestOut, request);
+        batch.set(requestIn, request);
         // Add payment document for server to process
         if (payment && request.payment && request.payment.type === 'Paid') {
             switch (payment.method) {
                 case 'PayPal':
                     // Authorize payment for capture (after the tutor clocks
                     // out and the pupil approves payment).
-                    await global.db.collection('users')
+                    batch.set(global.db.collection('users')
                         .doc(request.fromUser.uid)
                         .collection('authPayments')
-                        .doc(requestIn.id)
-                        .set(payment);
-                    await global.db.collection('users')
+                        .doc(requestIn.id), payment);
+                    batch.set(global.db.collection('users')
                         .doc(request.toUser.uid)
                         .collection('authPayments')
-                        .doc(requestIn.id)
-                        .set(payment);
+                        .doc(requestIn.id), payment);
                     break;
                 case 'Stripe':
                     // Authorize payment for capture (after the tutor clocks
                     // out and the pupil approves payment).
-                    await global.db.collection('users')
+                    batch.set(global.db.collection('users')
                         .doc(request.fromUser.uid)
                         .collection('sentPayments')
-                        .doc(requestIn.id)
-                        .set(payment);
+                        .doc(requestIn.id), payment);
                     break;
                 default:
                     console.warn('[WARNING] Invalid payment method (' + payment
                         .method + '). Defaulting to Stripe...');
                     // Authorize payment for capture (after the tutor clocks
                     // out and the pupil approves payment).
-                    await global.db.collection('users')
+                    batch.set(global.db.collection('users')
                         .doc(request.fromUser.uid)
                         .collection('sentPayments')
-                        .doc(requestIn.id)
-                        .set(payment);
+                        .doc(requestIn.id), payment);
                     break; // Not necessary (see: https://bit.ly/2AILLZj)
             };
         }
+        await batch.commit();
         return {
             request: request,
             payment: payment,
@@ -1503,56 +3800,6 @@ Data.emptyProfile = {
     location: (global.app) ? global.app.location.name : 'Gunn Academic Center',
 };
 
-Data.gunnSchedule = {
-    // TODO: Actually populate this with the right daily schedule
-    Monday: [
-        'A Period',
-        'B Period',
-        'C Period',
-        'F Period',
-    ],
-    Tuesday: [
-        'D Period',
-        'Flex',
-        'E Period',
-        'A Period',
-        'G Period',
-    ],
-    Wednesday: [
-        'B Period',
-        'C Period',
-        'D Period',
-        'F Period',
-    ],
-    Thursday: [
-        'E Period',
-        'Flex',
-        'B Period',
-        'A Period',
-        'G Period',
-    ],
-    Friday: [
-        'C Period',
-        'D Period',
-        'E Period',
-        'F Period',
-        'G Period',
-    ],
-    Saturday: ['No school'],
-    Sunday: ['No school'],
-};
-
-Data.periods = [
-    'A Period',
-    'B Period',
-    'C Period',
-    'D Period',
-    'E Period',
-    'F Period',
-    'G Period',
-    'Flex',
-];
-
 Data.locations = ['Gunn Academic Center', 'Paly Peer Tutoring Center'];
 
 Data.addresses = {
@@ -1919,49 +4166,140 @@ module.exports = {
         return cors(req, res, async () => {
             console.log('[INFO] Responding to ' +
                 (req.query.test === 'true' ? 'test ' : 'live ') +
-                req.query.action + ' action from ' + req.query.user + '...');
+                req.query.action + ' action...');
             global.db = (req.query.test === 'true') ? admin.firestore()
                 .collection('partitions').doc('test') : admin.firestore()
                 .collection('partitions').doc('default');
-            const user = await Data.getUser(req.query.user);
-            const data = new DataProxy(
-                user,
-                (await admin.auth().verifyIdToken(req.query.token)),
-                req.query.action,
-                req.body,
-            );
-            return data.act().then((result) => {
-                res.json(result);
-                console.log('[INFO] Resolved ' +
-                    (req.query.test === 'true' ? 'test ' : 'live ') +
-                    req.query.action + ' action from ' + user.name + ' (' +
-                    req.query.user + ')...');
-                if (!Stats.dataAction[req.query.action]) return console.warn(
-                    '[WARNING] Data action (' + req.query.action + ') not yet' +
-                    ' tracked.');
-                return Stats.dataAction[req.query.action](
-                    user,
-                    req.body,
-                    result,
-                    (req.query.test === 'true'),
-                );
-            }).catch(async (err) => {
-                console.error('Error while processing ' + req.query.action +
-                    ' action from ' + req.query.user + ':', err);
-                res.send('[ERROR] ' + err.message);
-                if (!Stats.failedDataAction[req.query.action]) return console
-                    .warn('[WARNING] Failed data action (' + req.query.action +
-                        ') not yet tracked.');
-                await Stats.failedDataAction[req.query.action](
+            const auth = /^Bearer\s+(\S+)$/.exec(req.get('Authorization'));
+            if (!auth) return sendError(res, new DataError('unauthenticated',
+                'Requests must include an ID token in their Authorization ' +
+                'header (i.e. `Authorization: Bearer <token>`).',
+                'Authorization'));
+            const [tokenErr, token] = await to(admin.auth()
+                .verifyIdToken(auth[1]));
+            if (tokenErr) return sendError(res, new DataError(
+                'unauthenticated', tokenErr.message, 'Authorization'));
+            // Only ever act on behalf of the user that the verified ID token
+            // belongs to (and not whoever the client claims to be).
+            const [userErr, user] = await to(Data.getUser(token.uid));
+            if (userErr) return sendError(res, new DataError('not-found',
+                userErr.message, 'user'));
+            try {
+                var data = new DataProxy(
                     user,
+                    token,
+                    req.query.action,
                     req.body,
-                    err,
-                    (req.query.test === 'true'),
                 );
-                throw err;
-            });
+            } catch (err) {
+                return sendError(res, err);
+            }
+            const key = req.get('Idempotency-Key');
+            if (key) {
+                const [err, stored] = await to(claimIdempotencyKey(key, user,
+                    req.query.action));
+                if (err) return sendError(res, err);
+                if (stored !== undefined) {
+                    console.log('[INFO] Replaying ' + req.query.action +
+                        ' action response for idempotency key (' + key +
+                        ')...');
+                    return res.status(stored.statusCode).type('json')
+                        .send(stored.response);
+                }
+            }
+            if (req.query.action === 'batch') {
+                const [err, batch] = await to(actBatch(user, token, req.body,
+                    req.query.test === 'true'));
+                if (err) { // Batches only throw before performing any actions
+                    if (key) await releaseIdempotencyKey(key);
+                    return sendError(res, err);
+                }
+                // Retries can only re-run batches that didn't perform any of
+                // their actions (the rest replay their results).
+                const performed = batch.results.some(r => r.status === 'ok');
+                if (batch.error && !performed) {
+                    if (key) await releaseIdempotencyKey(key);
+                    return res.status(batch.error.status).json(batch);
+                }
+                const status = batch.error ? batch.error.status : 200;
+                if (key) await to(resolveIdempotencyKey(key, batch, status));
+                res.status(status).json(batch);
+                return console.log('[INFO] Resolved ' + (req.query.test ===
+                        'true' ? 'test ' : 'live ') + 'batch of ' + batch
+                    .results.length + ' actions from ' + user.name + ' (' +
+                    user.uid + ')...');
+            }
+            const [err, result] = await to(data.act());
+            if (err) {
+                if (!(err instanceof DataError)) console.error('Error while ' +
+                    'processing ' + req.query.action + ' action from ' +
+                    user.name + ' (' + user.uid + '):', err);
+                if (key) await releaseIdempotencyKey(key);
+                sendError(res, err);
+                return trackFailedDataAction(user, req.query.action, req.body,
+                    err, req.query.test === 'true');
+            }
+            // The action was performed so it's key is never released (even if
+            // we can't store or send it's response) to prevent it from being
+            // performed again by a retry.
+            if (key) await to(resolveIdempotencyKey(key, result));
+            res.json(result);
+            console.log('[INFO] Resolved ' +
+                (req.query.test === 'true' ? 'test ' : 'live ') +
+                req.query.action + ' action from ' + user.name + ' (' +
+                user.uid + ')...');
+            return trackDataAction(user, req.query.action, req.body,
+                result, req.query.test === 'true');
         });
     },
+    purgeIdempotencyKeys: async (context) => { // Pub/Sub scheduled trigger
+        const partitions = admin.firestore().collection('partitions');
+        return Promise.all(['default', 'test'].map(async (partition) => {
+            const expired = (await partitions.doc(partition)
+                .collection('idempotencyKeys')
+                .where('expires', '<=', new Date())
+                .get()
+            ).docs;
+            console.log('[DEBUG] Purging ' + expired.length + ' expired ' +
+                partition + ' idempotency keys...');
+            return Promise.all(expired.map(doc => doc.ref.delete()));
+        }));
+    },
+    purgeUndoableActions: async (context) => { // Pub/Sub scheduled trigger
+        const expired = (await admin.firestore()
+            .collectionGroup('undoableActions')
+            .where('expires', '<=', new Date())
+            .get()
+        ).docs;
+        console.log('[DEBUG] Purging ' + expired.length + ' expired undoable ' +
+            'actions...');
+        return Promise.all(expired.map(doc => doc.ref.delete()));
+    },
+    archivePastAppts: async (context) => { // Pub/Sub scheduled trigger
+        const partitions = admin.firestore().collection('partitions');
+        return Promise.all(['default', 'test'].map(async (partition) => {
+            const count = await archivePastAppts(partitions.doc(partition));
+            console.log('[DEBUG] Archived ' + count + ' past one-off ' +
+                partition + ' appointments.');
+        }));
+    },
+    windDownLocations: async (context) => { // Pub/Sub scheduled trigger
+        const partitions = admin.firestore().collection('partitions');
+        return Promise.all(['default', 'test'].map(async (partition) => {
+            const count = await windDownLocations(partitions.doc(partition));
+            console.log('[DEBUG] Canceled ' + count + ' appointments at ' +
+                'archived ' + partition + ' locations.');
+        }));
+    },
+    expireStaleRequests: async (context) => { // Pub/Sub scheduled trigger
+        const partitions = admin.firestore().collection('partitions');
+        return Promise.all(['default', 'test'].map(async (partition) => {
+            const res = await expireStaleRequests(partitions.doc(partition));
+            console.log('[DEBUG] Reminded tutors about ' + res.reminded +
+                ' and rejected ' + res.rejected + ' stale ' + partition +
+                ' requests.');
+        }));
+    },
     onCall: async (data, context) => { // Firebase Function HTTPS Callable trigger
         throw new Error('Tutorbook\'s onCall API is deprecated. Please use ' +
             'the HTTPS REST API (hosted at https://tutorbook-779d8-us-central' +
@@ -1978,7 +4316,8 @@ module.exports = {
             data.body,
         );
         return dataProxy.act().catch((err) => {
-            throw new functions.https.HttpsError('internal', err.message);
+            err = DataError.from(err);
+            throw new functions.https.HttpsError(err.code, err.message);
         });
     },
 };
\ No newline at end of file
@@ -0,0 +1,601 @@
+const DataError = require('./errors.js');
+
+// =============================================================================
+// SCHEMA BUILDING BLOCKS
+// =============================================================================
+
+// Each schema is a plain object with a `type` (one of `string`, `number`,
+// `boolean`, `object`, `array`, `date` or `any`) and (optionally):
+// - `optional`: Whether or not the value can be `undefined` or `null`.
+// - `enum`: An array of values that the value must be one of.
+// - `pattern`: A `RegExp` that (string) values must match.
+// - `properties`: A map of property schemas (for `object` values).
+// - `items`: The schema for `array` items.
+// - `min`: The minimum number of `array` items (or minimum `number` value).
+
+const optional = (schema) => Object.assign({}, schema, {
+    optional: true,
+});
+
+const extend = (schema, properties) => Object.assign({}, schema, {
+    properties: Object.assign({}, schema.properties, properties),
+});
+
+const any = {
+    type: 'any',
+};
+
+const string = {
+    type: 'string',
+};
+
+const number = {
+    type: 'number',
+};
+
+const boolean = {
+    type: 'boolean',
+};
+
+const date = { // Date strings, milliseconds or serialized Firestore Timestamps
+    type: 'date',
+};
+
+const id = { // Firestore document IDs can't contain forward slashes
+    type: 'string',
+    pattern: /^[^\/]+$/,
+};
+
+const dateString = { // Dates (e.g. `2020-03-05`) of appts and their exceptions
+    type: 'string',
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+};
+
+const clockTime = { // Clock times (e.g. `3:45 PM`) as opposed to periods
+    type: 'string',
+    pattern: /^\d{1,2}:\d{2} [AP]M$/,
+};
+
+const user = { // The concise user objects stored in requests and appointments
+    type: 'object',
+    properties: {
+        uid: id,
+        name: string,
+    },
+};
+
+const time = {
+    type: 'object',
+    properties: {
+        day: {
+            type: 'string',
+            enum: [
+                'Sunday',
+                'Monday',
+                'Tuesday',
+                'Wednesday',
+                'Thursday',
+                'Friday',
+                'Saturday',
+            ],
+        },
+        from: string,
+        to: string,
+        date: optional(dateString), // Only set on one-off requests and appts
+    },
+};
+
+const location = {
+    type: 'object',
+    properties: {
+        name: string,
+        id: optional(id),
+    },
+};
+
+const bellSchedule = { // Periods (e.g. `A Period`) and when they're held
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            name: string,
+            from: clockTime,
+            to: clockTime,
+        },
+    },
+};
+
+const locationConfig = { // The schedules that supervisors can configure
+    timezone: optional(string),
+    periods: optional(bellSchedule),
+    schedules: optional({ // Named alternates (e.g. `Minimum Day`)
+        type: 'object',
+    }),
+    rotation: optional({ // Which schedule each weekday follows
+        type: 'object',
+    }),
+    alternates: optional({ // Which schedule specific dates follow
+        type: 'object',
+    }),
+    milestones: optional({ // Service hours (e.g. `25`) that earn certificates
+        type: 'array',
+        items: Object.assign({}, number, {
+            min: 1,
+        }),
+    }),
+    closures: optional({ // Holidays and breaks (single dates or ranges)
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: string,
+                from: dateString,
+                to: optional(dateString),
+            },
+        },
+    }),
+};
+
+const threshold = { // How precisely service hours and times are rounded
+    type: 'string',
+    enum: ['Minute', '5 Minutes', '15 Minutes', '30 Minutes', 'Hour'],
+};
+
+const roundingRules = { // A location's `config.hrs`
+    type: 'object',
+    properties: {
+        rounding: optional({
+            type: 'string',
+            enum: ['Up', 'Down', 'Normally'],
+        }),
+        threshold: optional(threshold),
+        timeThreshold: optional(threshold),
+    },
+};
+
+const request = {
+    type: 'object',
+    properties: {
+        fromUser: user,
+        toUser: user,
+        subject: string,
+        time: time,
+        location: location,
+        payment: {
+            type: 'object',
+            properties: {
+                type: {
+                    type: 'string',
+                    enum: ['Free', 'Paid'],
+                },
+                amount: optional(number),
+            },
+        },
+    },
+};
+
+const appt = {
+    type: 'object',
+    properties: {
+        attendees: {
+            type: 'array',
+            min: 2,
+            items: user,
+        },
+        for: request,
+        time: time,
+        location: extend(location, {
+            id: id,
+        }),
+        capacity: optional(Object.assign({}, number, { // Max # of attendees
+            min: 2,
+        })),
+    },
+};
+
+const clocking = { // Clock-in and clock-out requests
+    type: 'object',
+    properties: {
+        for: appt,
+        sentTimestamp: optional(date),
+    },
+};
+
+const pastClocking = { // Past appts' clock-ins and clock-outs (which aren't
+    // always from requests; e.g. past appts that supervisors add or archive)
+    type: 'object',
+    properties: {
+        for: optional(appt),
+        sentTimestamp: date,
+    },
+};
+
+const pastAppt = extend(appt, {
+    clockIn: pastClocking,
+    clockOut: pastClocking,
+});
+
+const timeRequest = {
+    type: 'object',
+    properties: {
+        appt: pastAppt,
+        sentTimestamp: date,
+    },
+};
+
+const waitlist = { // Waitlists are identified by their tutor and timeslot
+    type: 'object',
+    properties: {
+        tutor: user,
+        location: extend(location, {
+            id: id,
+        }),
+        time: time,
+    },
+};
+
+const profile = {
+    type: 'object',
+    properties: {
+        name: string,
+        email: string,
+    },
+};
+
+// =============================================================================
+// DATA ACTION SCHEMAS
+// =============================================================================
+
+// Maps each data action to the schemas of the properties of it's payload (i.e.
+// the request body sent to our data REST API).
+const actions = {
+    createLocation: {
+        location: {
+            type: 'object',
+            properties: Object.assign({
+                name: string,
+            }, locationConfig),
+        },
+        id: optional(id),
+    },
+    updateLocation: {
+        location: {
+            type: 'object',
+            properties: locationConfig,
+        },
+        id: id,
+    },
+    deleteLocation: {
+        id: id,
+    },
+    archiveLocation: {
+        id: id,
+        until: optional(dateString),
+    },
+    purgeLocation: {
+        id: id,
+    },
+    createProxyUser: {
+        user: profile,
+    },
+    createUser: {
+        uid: optional(id),
+        id: optional(id),
+        email: optional(string),
+    },
+    exportUser: {
+        uid: id,
+    },
+    previewUserDeletion: {
+        uid: id,
+    },
+    deleteUser: {
+        uid: id,
+    },
+    previewUserMerge: {
+        from: id,
+        into: id,
+    },
+    mergeUsers: {
+        from: id,
+        into: id,
+    },
+    adjustHours: {
+        uid: id,
+        seconds: number,
+        reason: string,
+        role: optional({
+            type: 'string',
+            enum: ['Tutor', 'Pupil'],
+        }),
+    },
+    rebuildHours: {
+        uid: id,
+    },
+    previewHoursRounding: {
+        id: id,
+        rules: optional(roundingRules),
+        from: optional(dateString),
+        to: optional(dateString),
+    },
+    applyHoursRounding: {
+        id: id,
+        rules: optional(roundingRules),
+        from: optional(dateString),
+        to: optional(dateString),
+    },
+    newTimeRequest: {
+        request: timeRequest,
+    },
+    modifyTimeRequest: {
+        request: timeRequest,
+        id: id,
+    },
+    approveTimeRequest: {
+        request: timeRequest,
+        id: id,
+    },
+    rejectTimeRequest: {
+        request: timeRequest,
+        id: id,
+    },
+    newRequest: {
+        request: request,
+        payment: optional({
+            type: 'object',
+        }),
+        ignoreConflicts: optional(boolean),
+    },
+    requestPayout: {},
+    requestPaymentFor: {
+        appt: appt,
+        id: id,
+    },
+    approvePayment: {
+        approvedPayment: {
+            type: 'object',
+            properties: {
+                to: user,
+                from: user,
+            },
+        },
+        id: id,
+    },
+    denyPayment: {
+        deniedPayment: {
+            type: 'object',
+        },
+        id: id,
+    },
+    instantClockIn: {
+        appt: appt,
+        id: id,
+    },
+    instantClockOut: {
+        appt: appt,
+        id: id,
+    },
+    rejectClockIn: {
+        clockIn: clocking,
+        id: id,
+    },
+    approveClockIn: {
+        clockIn: clocking,
+        id: id,
+    },
+    rejectClockOut: {
+        clockOut: clocking,
+        id: id,
+    },
+    approveClockOut: {
+        clockOut: clocking,
+        id: id,
+    },
+    clockIn: {
+        appt: appt,
+        id: id,
+        proof: optional({
+            type: 'array',
+            items: any,
+        }),
+    },
+    clockOut: {
+        appt: appt,
+        id: id,
+        proof: optional({
+            type: 'array',
+            items: any,
+        }),
+    },
+    approveRequest: {
+        request: request,
+        id: id,
+        ignoreConflicts: optional(boolean),
+    },
+    modifyAppt: {
+        appt: appt,
+        id: id,
+        ignoreConflicts: optional(boolean),
+    },
+    newPastAppt: {
+        appt: pastAppt,
+    },
+    modifyPastAppt: {
+        appt: pastAppt,
+        id: id,
+    },
+    deletePastAppt: {
+        appt: appt,
+        id: id,
+    },
+    cancelAppt: {
+        appt: appt,
+        id: id,
+    },
+    cancelApptOccurrence: {
+        appt: appt,
+        id: id,
+        date: dateString,
+    },
+    modifyApptOccurrence: {
+        appt: appt,
+        id: id,
+        date: dateString,
+        time: {
+            type: 'object',
+            properties: {
+                date: dateString,
+                from: string,
+                to: string,
+            },
+        },
+    },
+    joinAppt: {
+        appt: appt,
+        id: id,
+        attendee: user,
+    },
+    leaveAppt: {
+        appt: appt,
+        id: id,
+        attendee: user,
+    },
+    joinWaitlist: {
+        waitlist: waitlist,
+        pupil: user,
+        subject: string,
+    },
+    leaveWaitlist: {
+        waitlist: waitlist,
+        pupil: user,
+    },
+    reorderWaitlist: {
+        waitlist: waitlist,
+        order: {
+            type: 'array',
+            items: id,
+        },
+    },
+    rejectRequest: {
+        request: request,
+        id: id,
+    },
+    cancelRequest: {
+        request: request,
+        id: id,
+    },
+    modifyRequest: {
+        request: request,
+        id: id,
+        ignoreConflicts: optional(boolean),
+    },
+    undoAction: {
+        id: id,
+    },
+};
+
+// The schema of batches of data actions (each action in the batch is validated
+// against it's own schema when it's performed).
+const batch = {
+    actions: {
+        type: 'array',
+        min: 1,
+        items: {
+            type: 'object',
+            properties: {
+                action: string,
+                data: optional({
+                    type: 'object',
+                }),
+            },
+        },
+    },
+    mode: optional({
+        type: 'string',
+        enum: ['best-effort', 'check-first'],
+    }),
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+const types = {
+    string: (val) => typeof val === 'string',
+    number: (val) => typeof val === 'number' && !isNaN(val),
+    boolean: (val) => typeof val === 'boolean',
+    object: (val) => typeof val === 'object' && !(val instanceof Array),
+    array: (val) => val instanceof Array,
+    date: (val) => typeof val === 'object' ? !!(val.seconds !== undefined ||
+        val._seconds !== undefined || val instanceof Date) : !isNaN(
+        new Date(val).valueOf()),
+    any: (val) => true,
+};
+
+/**
+ * Checks the given value against the given schema.
+ * @param {Object} schema - The schema to check the value against.
+ * @param {any} val - The value to check.
+ * @param {string} field - The path to the value (e.g. `request.time.day`) that
+ * is reported as the offending `field` if the value is invalid.
+ * @throws {DataError} An `invalid-argument` error if the value doesn't match
+ * the schema.
+ */
+const check = (schema, val, field) => {
+    const invalid = (message) => {
+        throw new DataError('invalid-argument', (field || 'Payload') + ' ' +
+            message + '.', field);
+    };
+    if (val === undefined || val === null) {
+        if (schema.optional) return;
+        return invalid('is required');
+    }
+    if (!types[schema.type](val)) return invalid('must be a(n) ' + schema.type);
+    if (schema.type === 'string' && !val.trim() && !schema.optional)
+        return invalid('cannot be empty');
+    if (schema.enum && schema.enum.indexOf(val) < 0)
+        return invalid('must be one of: ' + schema.enum.join(', '));
+    if (schema.pattern && !schema.pattern.test(val))
+        return invalid('is not valid');
+    if (schema.min && schema.type === 'number' && val < schema.min)
+        return invalid('must be at least ' + schema.min);
+    if (schema.min && schema.type === 'array' && val.length < schema.min)
+        return invalid('must have at least ' + schema.min + ' items');
+    if (schema.items) val.forEach((item, index) => check(schema.items, item,
+        field + '[' + index + ']'));
+    Object.entries(schema.properties || {}).forEach(([key, prop]) => check(
+        prop, val[key], field ? field + '.' + key : key));
+};
+
+/**
+ * Validates the given data action payload before it is acted upon.
+ * @param {string} action - The data action being performed.
+ * @param {Object} data - The data action's payload.
+ * @throws {DataError} An `invalid-argument` error (with the offending `field`)
+ * if the action doesn't exist or the payload doesn't match it's schema.
+ */
+const validate = (action, data) => {
+    if (!actions[action]) throw new DataError('invalid-argument', 'Data ' +
+        'action (' + action + ') does not exist.', 'action');
+    check({
+        type: 'object',
+        properties: actions[action],
+    }, data || {});
+};
+
+/**
+ * Validates the given batch of data actions before any of them are performed.
+ * @param {Object} data - The batch's payload (i.e. it's `actions` and `mode`).
+ * @throws {DataError} An `invalid-argument` error (with the offending `field`)
+ * if the payload doesn't match the batch schema.
+ */
+const validateBatch = (data) => check({
+    type: 'object',
+    properties: batch,
+}, data || {});
+
+module.exports = {
+    actions,
+    validate,
+    validateBatch,
+};
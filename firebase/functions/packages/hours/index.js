@@ -1,20 +1,34 @@
 const axios = require('axios');
 const admin = require('firebase-admin');
+const Utils = require('utils');
 const firestore = admin.firestore();
 const partitions = {
     test: firestore.collection('partitions').doc('test'),
     default: firestore.collection('partitions').doc('default'),
 };
 
-const roundDate = (date, thresholdMins, rounding = 'Normally') => {
+// Returns the offset (in milliseconds) of the given timezone from UTC at the
+// given date.
+const getOffset = (date, timezone) => new Date(date.toLocaleString('en-US', {
+    timeZone: timezone,
+})) - new Date(date.toLocaleString('en-US', {
+    timeZone: 'UTC',
+}));
+
+// Rounds the given date in the given (location's) timezone (so that times in
+// e.g. half-hour offset timezones are rounded to their local hours).
+const roundDate = (date, thresholdMins, rounding = 'Normally',
+    timezone = Utils.DEFAULT_TIMEZONE) => {
     const coeff = 1000 * 60 * thresholdMins;
+    const offset = getOffset(date, timezone);
+    const local = date.getTime() + offset;
     switch (rounding) {
         case 'Up':
-            return new Date(Math.ceil(date.getTime() / coeff) * coeff);
+            return new Date(Math.ceil(local / coeff) * coeff - offset);
         case 'Down':
-            return new Date(Math.floor(date.getTime() / coeff) * coeff);
+            return new Date(Math.floor(local / coeff) * coeff - offset);
         default:
-            return new Date(Math.round(date.getTime() / coeff) * coeff);
+            return new Date(Math.round(local / coeff) * coeff - offset);
     };
 };
 
@@ -29,26 +43,24 @@ const roundDuration = (secs, thresholdSecs, rounding = 'Normally') => {
     };
 };
 
-const getRules = async (locationId, isTest) => {
-    const db = isTest ? partitions.test : partitions.default;
+const getLocation = async (locationId, db) => {
     const doc = await db.collection('locations').doc(locationId).get();
     if (!doc.exists) return console.error('[ERROR] Could not get rounding ' +
         'rules b/c location (' + locationId + ') did not exist.');
-    return doc.data().config.hrs;
+    return doc.data();
 };
 
 const secsDuration = (cIn, cOut) => (cOut - cIn) / 1000;
 
-const roundHours = async (appt, context) => { // Rounds appt clockIn/Out times
+const toDate = (timestamp) => typeof timestamp.toDate === 'function' ?
+    timestamp.toDate() : new Date(timestamp);
+
+// Returns the given past appt's rounded clock-in and clock-out dates (using the
+// rounding rules of the given location).
+const getRoundedDates = (a, location = {}) => {
     // 0) Validate the location's rounding rules and set defaults
-    const isTest = context.params.partition === 'test';
-    const db = isTest ? partitions.test : partitions.default;
-    const a = appt.data();
-    if (!a.clockOut) return console.error('[ERROR] Cannot round hours for ' +
-        'appt w/out clockOut data.');
-    if (!a.clockIn) return console.error('[ERROR] Cannot round hours for appt' +
-        'w/out clockIn data.');
-    const rules = await getRules(a.location.id, isTest);
+    const rules = Object.assign({}, (location.config || {}).hrs);
+    const timezone = Utils.getTimezone(location);
     const thresholdSecs = {
         'Minute': 60,
         '5 Minutes': 5 * 60,
@@ -59,77 +71,167 @@ const roundHours = async (appt, context) => { // Rounds appt clockIn/Out times
     const threshs = ['Minute', '5 Minutes', '15 Minutes', '30 Minutes', 'Hour'];
     const roundings = ['Up', 'Down', 'Normally'];
     if (threshs.indexOf(rules.threshold) < 0) rules.threshold = threshs[0];
+    if (threshs.indexOf(rules.timeThreshold) < 0)
+        rules.timeThreshold = threshs[0];
     if (roundings.indexOf(rules.rounding) < 0) rules.rounding = roundings[0];
     // 1) Round duration up/down/normally to threshold
     const roundedDurationSecs = roundDuration(secsDuration(
-        a.clockIn.sentTimestamp.toDate(),
-        a.clockOut.sentTimestamp.toDate(),
+        toDate(a.clockIn.sentTimestamp),
+        toDate(a.clockOut.sentTimestamp),
     ), thresholdSecs[rules.threshold], rules.rounding);
     console.log('[DEBUG] Rounded duration in minutes:', roundedDurationSecs / 60);
     // 2) Round clockIn time to timeThreshold
     const roundedClockInDate = roundDate(
-        a.clockIn.sentTimestamp.toDate(),
+        toDate(a.clockIn.sentTimestamp),
         thresholdSecs[rules.timeThreshold] / 60,
+        'Normally',
+        timezone,
     );
-    console.log('[DEBUG] Unrounded clock-in date:', a.clockIn.sentTimestamp
-        .toDate().toLocaleTimeString('en-US', {
-            timeZone: 'America/Los_Angeles',
-        }));
-    console.log('[DEBUG] Rounded clock-in date:', roundedClockInDate
-        .toLocaleTimeString('en-US', {
-            timeZone: 'America/Los_Angeles',
-        }));
     // 3) Add rounded duration to rounded clockIn time to get clockOut time
     const roundedClockOutDate = new Date(roundedClockInDate.getTime() +
         roundedDurationSecs * 1000);
-    console.log('[DEBUG] Unrounded clock-out date:', a.clockOut.sentTimestamp
-        .toDate().toLocaleTimeString('en-US', {
-            timeZone: 'America/Los_Angeles',
-        }));
-    console.log('[DEBUG] Rounded clock-out date:', roundedClockOutDate
-        .toLocaleTimeString('en-US', {
-            timeZone: 'America/Los_Angeles',
-        }));
-    // 4) Update appt clockIn and clockOut dates
-    a.clockIn.roundedTimestamp = roundedClockInDate;
-    a.clockOut.roundedTimestamp = roundedClockOutDate;
+    return {
+        clockIn: roundedClockInDate,
+        clockOut: roundedClockOutDate,
+    };
+};
+
+const roundHours = async (appt, context) => { // Rounds appt clockIn/Out times
+    const isTest = context.params.partition === 'test';
+    const db = isTest ? partitions.test : partitions.default;
+    const a = appt.data();
+    if (a.unclocked) return console.log('[DEBUG] Skipping unclocked past appt' +
+        ' (' + appt.ref.path + ').');
+    if (a.restoredTimestamp) return console.log('[DEBUG] Skipping restored ' +
+        'past appt (' + appt.ref.path + ').');
+    if (!a.clockOut) return console.error('[ERROR] Cannot round hours for ' +
+        'appt w/out clockOut data.');
+    if (!a.clockIn) return console.error('[ERROR] Cannot round hours for appt' +
+        'w/out clockIn data.');
+    const rounded = getRoundedDates(a, await getLocation(a.location.id, db));
+    a.clockIn.roundedTimestamp = rounded.clockIn;
+    a.clockOut.roundedTimestamp = rounded.clockOut;
     await appt.ref.update(a);
     console.log('[DEBUG] Updated past appt (' + appt.ref.path + ').');
     return a;
 };
 
-const updateHours = async (appt, context) => {
-    const isTest = context.params.partition === 'test';
-    const db = isTest ? partitions.test : partitions.default;
-    if (!appt.data().clockOut) return console.error('[ERROR] Cannot update ' +
-        'hours for appt w/out clockOut data.');
-    if (!appt.data().clockIn) return console.error('[ERROR] Cannot update ' +
-        'hours for appt w/out clockIn data.');
-    const a = await roundHours(appt, context);
-    const durationInSecs = secsDuration(
-        a.clockIn.roundedTimestamp,
-        a.clockOut.roundedTimestamp,
-    );
-    const user = (await db.collection('users').doc(context.params.user).get())
-        .data();
-
-    switch (user.type) {
-        case 'Tutor':
-            user.secondsTutored = user.secondsTutored || 0;
-            user.secondsTutored += durationInSecs;
-            break;
-        case 'Pupil':
-            user.secondsPupiled = user.secondsPupiled || 0;
-            user.secondsPupiled += durationInSecs;
-            break;
-        default:
-            return console.warn('[WARNING] Could not update hours for (' + user
-                .type + ') invalid user type.');
+// =============================================================================
+// SERVICE HOUR LEDGER
+// =============================================================================
+
+// Each user's service hour totals (i.e. their `secondsTutored` and
+// `secondsPupiled`) are derived from their `hoursLedger` subcollection which
+// contains one entry per (clocked) past appt (w/ the same ID as that past appt)
+// and any manual adjustments made by supervisors. Each entry has a `type` (one
+// of `appt` or `adjustment`), the `role` it counts towards (the user's `type`
+// i.e. one of `Tutor` or `Pupil`) and it's (possibly negative) `seconds`.
+
+const getLedger = (db, uid) => db.collection('users').doc(uid)
+    .collection('hoursLedger');
+
+// Returns the role that the given user's past appts count towards (or
+// `undefined` if their type doesn't have service hours).
+const getRole = async (db, uid) => {
+    const user = (await db.collection('users').doc(uid).get()).data() || {};
+    if (['Tutor', 'Pupil'].indexOf(user.type) >= 0) return user.type;
+    console.warn('[WARNING] Could not update hours for (' + user.type +
+        ') invalid user type.');
+};
+
+// Returns the ledger entry of the given user's past appt (or `undefined` if it
+// doesn't count towards their service hours).
+const getApptEntry = async (db, uid, appt) => {
+    const a = appt.data();
+    if (a.unclocked || !a.clockIn || !a.clockOut) return;
+    const role = await getRole(db, uid);
+    if (!role) return;
+    return getEntry(role, appt, await getLocation(a.location.id, db));
+};
+
+// Returns the ledger entry (counting towards the given role) of a (clocked)
+// past appt rounded w/ the rules of the given location.
+const getEntry = (role, appt, location) => {
+    const a = appt.data();
+    const rounded = getRoundedDates(a, location);
+    return {
+        type: 'appt',
+        role: role,
+        seconds: secsDuration(rounded.clockIn, rounded.clockOut),
+        appt: {
+            id: appt.id,
+            subject: a.for.subject,
+            location: a.location,
+            clockIn: rounded.clockIn,
+            clockOut: rounded.clockOut,
+        },
+    };
+};
+
+// Awards the given tutor a certificate for each service hour milestone (of
+// their locations) that their total just crossed. Each certificate is a doc in
+// their `certificates` subcollection (w/ an ID derived from it's location and
+// milestone so that it's only ever awarded once) that triggers the generation
+// of the actual PDF certificate and the notifications to them and their
+// supervisors.
+const awardMilestones = async (db, user, before, after) => {
+    const names = [user.location].concat(user.locations || []);
+    const locations = (await db.collection('locations').get()).docs
+        .filter(l => names.indexOf(l.data().name) >= 0);
+    const certificates = db.collection('users').doc(user.uid)
+        .collection('certificates');
+    for (const location of locations) {
+        for (const milestone of location.data().milestones || []) {
+            if (before >= milestone * 3600 || after < milestone * 3600)
+                continue;
+            const ref = certificates.doc(location.id + '-' + milestone);
+            if ((await ref.get()).exists) continue;
+            console.log('[DEBUG] Awarding ' + user.name + ' a ' + milestone +
+                ' hour certificate from the ' + location.data().name + '...');
+            await ref.set({
+                milestone: milestone,
+                secondsTutored: after,
+                location: {
+                    id: location.id,
+                    name: location.data().name,
+                },
+                user: {
+                    uid: user.uid,
+                    name: user.name,
+                    email: user.email,
+                },
+                timestamp: new Date(),
+            });
+        }
     }
+};
 
-    console.log('[DEBUG] Updating (' + user.type + ') seconds for ' +
-        user.name + '...');
-    await db.collection('users').doc(context.params.user).update(user);
+// Recomputes the given user's service hour totals from their ledger (so that
+// retried triggers and modified or deleted past appts can't skew them).
+const updateTotals = async (db, uid) => {
+    const totals = {
+        secondsTutored: 0,
+        secondsPupiled: 0,
+    };
+    (await getLedger(db, uid).get()).forEach((entry) => {
+        if (entry.data().role === 'Tutor') {
+            totals.secondsTutored += entry.data().seconds;
+        } else {
+            totals.secondsPupiled += entry.data().seconds;
+        }
+    });
+    const ref = db.collection('users').doc(uid);
+    const user = (await ref.get()).data();
+    if (!user) return console.warn('[WARNING] Could not update hours for ' +
+        'deleted user (' + uid + ').');
+    if (user.secondsTutored === totals.secondsTutored &&
+        user.secondsPupiled === totals.secondsPupiled) return totals;
+    console.log('[DEBUG] Updating ' + user.name + '\'s service hours...');
+    await ref.update(totals);
+    await awardMilestones(db, Object.assign({
+        uid: uid,
+    }, user), user.secondsTutored || 0, totals.secondsTutored);
+    if (db.id === 'test') return totals; // Don't sync the production sheet
     console.log('[DEBUG] Updating service hour sheet...');
     await axios({
         method: 'get',
@@ -139,10 +241,196 @@ const updateHours = async (appt, context) => {
         },
     });
     console.log('[INFO] Updated ' + user.name + '\'s service hours on db and ' +
-        'service hours sheet.');
+        'service hour sheet.');
+    return totals;
+};
+
+// Updates (or removes) the ledger entry of the created, modified or deleted
+// past appt (which then triggers `totalHours` to recompute the user's totals).
+const updateHours = async (change, context) => {
+    const isTest = context.params.partition === 'test';
+    const db = isTest ? partitions.test : partitions.default;
+    const uid = context.params.user;
+    const ref = getLedger(db, uid).doc(context.params.appt);
+    const entry = change.after.exists ? await getApptEntry(db, uid, change
+        .after) : undefined;
+    if (!entry) {
+        console.log('[DEBUG] Removing past appt (' + context.params.appt +
+            ') from ' + uid + '\'s service hour ledger...');
+        return ref.delete();
+    }
+    console.log('[DEBUG] Adding past appt (' + context.params.appt + ') to ' +
+        uid + '\'s service hour ledger...');
+    await ref.set(entry);
+    const a = change.after.data();
+    if (!a.clockIn.roundedTimestamp || !a.clockOut.roundedTimestamp ||
+        toDate(a.clockIn.roundedTimestamp).valueOf() !== entry.appt.clockIn
+        .valueOf() || toDate(a.clockOut.roundedTimestamp).valueOf() !== entry
+        .appt.clockOut.valueOf()) return change.after.ref.update({
+        'clockIn.roundedTimestamp': entry.appt.clockIn,
+        'clockOut.roundedTimestamp': entry.appt.clockOut,
+    }); // Only updates once (the retriggered rounded times will match)
+};
+
+// Recomputes the user's service hour totals whenever their ledger changes.
+const totalHours = async (change, context) => {
+    const isTest = context.params.partition === 'test';
+    const db = isTest ? partitions.test : partitions.default;
+    return updateTotals(db, context.params.user);
+};
+
+// Rebuilds the given user's ledger from their past appts (keeping any manual
+// adjustments) and then recomputes their totals.
+const rebuildHours = async (db, uid) => {
+    const ledger = getLedger(db, uid);
+    const appts = (await db.collection('users').doc(uid)
+        .collection('pastAppointments').get()).docs;
+    const entries = {};
+    for (const appt of appts) {
+        const entry = await getApptEntry(db, uid, appt);
+        if (entry) entries[appt.id] = entry;
+    }
+    const stale = (await ledger.where('type', '==', 'appt').get()).docs
+        .filter(entry => !entries[entry.id]);
+    const writes = Object.entries(entries).map(([id, entry]) => (batch) =>
+        batch.set(ledger.doc(id), entry)).concat(stale.map(entry => (batch) =>
+        batch.delete(entry.ref)));
+    for (var i = 0; i < writes.length; i += 500) { // Firestore's batch limit
+        const batch = firestore.batch();
+        writes.slice(i, i + 500).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return Object.assign({
+        entries: Object.keys(entries).length,
+        removed: stale.length,
+    }, await updateTotals(db, uid));
+};
+
+// =============================================================================
+// ROUNDING RULE CHANGES
+// =============================================================================
+
+// Returns the given location's rules w/ the given (changed) rounding rules.
+const withRules = (location = {}, rules = {}) => Utils.combineMaps(location, {
+    config: Utils.combineMaps(location.config || {}, {
+        hrs: Utils.combineMaps((location.config || {}).hrs || {}, rules),
+    }),
+});
+
+// Returns the (clocked) past appts of the given location whose clock-ins fall
+// within the given (inclusive and optional) range of `YYYY-MM-DD` dates in the
+// location's timezone.
+const getPastAppts = async (db, locationId, location, from, to) => {
+    const timezone = Utils.getTimezone(location);
+    return (await db.collection('locations').doc(locationId)
+        .collection('pastAppointments').get()).docs.filter(appt => {
+        const a = appt.data();
+        if (a.unclocked || !a.clockIn || !a.clockOut) return false;
+        const date = Utils.getDateString(toDate(a.clockIn.sentTimestamp),
+            timezone);
+        return (!from || from <= date) && (!to || date <= to);
+    });
+};
+
+// Previews how re-rounding w/ the given rules would change the service hours
+// that each tutor is currently credited w/ (from the given location's past
+// appts within the given date range) w/out changing anything.
+const previewRounding = async (db, locationId, rules, from, to) => {
+    const location = await getLocation(locationId, db) || {};
+    const proposed = withRules(location, rules);
+    const tutors = {};
+    var changed = 0;
+    const appts = await getPastAppts(db, locationId, location, from, to);
+    appts.forEach((appt) => {
+        const a = appt.data();
+        const uid = a.for.toUser.uid;
+        const rounded = a.clockIn.roundedTimestamp &&
+            a.clockOut.roundedTimestamp; // What the tutor is currently credited
+        const current = rounded ? secsDuration(toDate(a.clockIn
+            .roundedTimestamp), toDate(a.clockOut.roundedTimestamp)) :
+            getEntry('Tutor', appt, location).seconds;
+        const secs = getEntry('Tutor', appt, proposed).seconds;
+        if (current !== secs) changed++;
+        if (!tutors[uid]) tutors[uid] = {
+            uid: uid,
+            name: a.for.toUser.name,
+            appts: 0,
+            current: 0,
+            proposed: 0,
+        };
+        tutors[uid].appts++;
+        tutors[uid].current += current;
+        tutors[uid].proposed += secs;
+    });
+    return {
+        rules: proposed.config.hrs,
+        from: from,
+        to: to,
+        appts: appts.length,
+        changed: changed,
+        tutors: Object.values(tutors).sort((a, b) => a.name
+            .localeCompare(b.name)),
+    };
+};
+
+// Re-rounds the given location's past appts within the given date range w/ the
+// location's current rounding rules (updating each copy of those past appts and
+// their attendees' ledger entries) and then recomputes the totals of every
+// attendee whose service hours changed.
+const reroundHours = async (db, locationId, from, to) => {
+    const location = await getLocation(locationId, db) || {};
+    const appts = await getPastAppts(db, locationId, location, from, to);
+    const writes = [];
+    const uids = [];
+    var changed = 0;
+    for (const appt of appts) {
+        const a = appt.data();
+        const rounded = getRoundedDates(a, location);
+        if (a.clockIn.roundedTimestamp && a.clockOut.roundedTimestamp &&
+            toDate(a.clockIn.roundedTimestamp).valueOf() === rounded.clockIn
+            .valueOf() && toDate(a.clockOut.roundedTimestamp).valueOf() ===
+            rounded.clockOut.valueOf()) continue;
+        const update = {
+            'clockIn.roundedTimestamp': rounded.clockIn,
+            'clockOut.roundedTimestamp': rounded.clockOut,
+        };
+        changed++;
+        writes.push((batch) => batch.update(appt.ref, update));
+        for (const attendee of a.attendees) {
+            const ref = db.collection('users').doc(attendee.uid)
+                .collection('pastAppointments').doc(appt.id);
+            if (!(await ref.get()).exists) continue; // Skip deleted users
+            writes.push((batch) => batch.update(ref, update));
+            const role = await getRole(db, attendee.uid);
+            if (role) writes.push((batch) => batch.set(getLedger(db, attendee
+                .uid).doc(appt.id), getEntry(role, appt, location)));
+            if (uids.indexOf(attendee.uid) < 0) uids.push(attendee.uid);
+        }
+    }
+    for (var i = 0; i < writes.length; i += 500) { // Firestore's batch limit
+        const batch = firestore.batch();
+        writes.slice(i, i + 500).forEach(write => write(batch));
+        await batch.commit();
+    }
+    const users = [];
+    for (const uid of uids) users.push(Object.assign({
+        uid: uid,
+    }, await updateTotals(db, uid)));
+    return {
+        rules: withRules(location).config.hrs,
+        from: from,
+        to: to,
+        appts: appts.length,
+        changed: changed,
+        users: users,
+    };
 };
 
 module.exports = {
     update: updateHours,
     round: roundHours,
+    total: totalHours,
+    rebuild: rebuildHours,
+    preview: previewRounding,
+    reround: reroundHours,
 };
\ No newline at end of file
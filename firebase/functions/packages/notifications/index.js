@@ -39,25 +39,31 @@ const upper = (str) => {
     return str.substring(0, 1).toUpperCase() + str.substring(1, str.length);
 };
 
-const day = () => {
-    return [
-        'Sunday',
-        'Monday',
-        'Tuesday',
-        'Wednesday',
-        'Thursday',
-        'Friday',
-        'Saturday',
-    ][new Date().getDay()];
+// helper - returns today's weekday in the given timezone
+const day = (timezone) => {
+    return Utils.getDay(Utils.getDateString(new Date(), timezone));
+};
+
+// helper - returns the `YYYY-MM-DD` date string of the next given weekday (in
+// the given timezone)
+const nextDate = (weekday, timezone) => {
+    const date = new Date();
+    var count = 0; // Just in case we get an invalid weekday
+    while (Utils.getDay(Utils.getDateString(date, timezone)) !== weekday &&
+        count < 7) {
+        date.setDate(date.getDate() + 1);
+        count++;
+    }
+    return Utils.getDateString(date, timezone);
 };
 
 // DEPRECATED scheduled appt - calls the below apptNotification function every 
 // week as configured in each location's Firestore document
 const dailyApptNotifications = async (context) => {
     const db = getDB(context);
-    const today = day();
     const locations = (await db.collection('locations').get()).docs;
     return Promise.all(locations.map(async (doc) => {
+        const today = day(Utils.getTimezone(doc.data()));
         const config = doc.data().config;
         if (!config.dailyApptNotifications ||
             !config.dailyApptNotifications.email &&
@@ -80,9 +86,9 @@ const dailyApptNotifications = async (context) => {
 };
 const weeklyApptNotifications = async (context) => {
     const db = getDB(context);
-    const today = day();
     const locations = (await db.collection('locations').get()).docs;
     return Promise.all(locations.map(async (doc) => {
+        const today = day(Utils.getTimezone(doc.data()));
         const config = doc.data().config;
         if (!config.weeklyApptNotifications ||
             !config.weeklyApptNotifications.email &&
@@ -133,14 +139,35 @@ const apptNotification = (req, res) => {
         const tutors = [];
         const pupils = [];
         const appts = [];
-        (await admin.firestore() // TODO: Split this query by partition
+        const location = await db.collection('locations')
+            .doc(req.query.location).get();
+        const date = nextDate(upper(req.query.day), Utils.getTimezone(
+            location.data()));
+        const closure = Utils.getClosure(location.data(), date);
+        if (closure) {
+            res.send('[ERROR] ' + location.data().name + ' is closed on ' +
+                date + ' for ' + closure.name + '.');
+            return console.warn('[WARNING] Request did not send any ' +
+                'notifications on a closure (' + closure.name + ').');
+        }
+        const query = admin.firestore() // TODO: Split this query by partition
             .collectionGroup('appointments')
-            .where('location.id', '==', req.query.location)
-            .where('time.day', '==', upper(req.query.day)).get()
-        ).forEach((doc) => {
-            appts.push(doc.data());
+            .where('location.id', '==', req.query.location);
+        const docs = [].concat.apply([], (await Promise.all([
+            query.where('time.day', '==', upper(req.query.day)).get(),
+            query.where('movedTo', 'array-contains', date).get(),
+        ])).map(snapshot => snapshot.docs)).filter((doc, index, docs) => docs
+            .findIndex(d => d.ref.path === doc.ref.path) === index);
+        docs.forEach((doc) => { // Skip canceled or moved (single) occurrences
+            const time = Utils.getOccurrence(doc.data(), date);
+            if (time) appts.push(Utils.combineMaps(doc.data(), {
+                time: time,
+            }));
         });
         await Promise.all((appts).map(async (appt) => {
+            const from = Utils.resolveTime(appt.time, location.data()).from;
+            const at = from === appt.time.from ? from : appt.time.from + ' (' +
+                from + ')'; // Periods are shown w/ their bell schedule time
             if (req.query.tutor === 'true' &&
                 tutors.indexOf(appt.for.toUser.uid) < 0) {
                 tutors.push(appt.for.toUser.uid);
@@ -149,24 +176,24 @@ const apptNotification = (req, res) => {
                 await new SMS(tutor, supervisor.name + ' wanted to ' +
                     'remind you that you have a tutoring session for ' +
                     appt.subject + ' in the ' + appt.location.name + ' on ' +
-                    appt.time.day + ' at ' + appt.time.from + '. Log into ' +
+                    appt.time.day + ' at ' + at + '. Log into ' +
                     'Tutorbook (https://tutorbook.app/app/) to edit, cancel, ' +
                     'or clock into this appointment.',
                     req.query.test === 'true').send();
             }
-            if (req.query.pupil === 'true' &&
-                pupils.indexOf(appt.for.fromUser.uid) < 0) {
-                pupils.push(appt.for.fromUser.uid);
-                const pupil = (await users.doc(appt.for.fromUser.uid).get())
-                    .data();
-                await new SMS(pupil, supervisor.name + ' wanted to ' +
-                    'remind you that you have a tutoring session for ' +
-                    appt.subject + ' in the ' + appt.location.name + ' on ' +
-                    appt.time.day + ' at ' + appt.time.from + '. Log into ' +
-                    'Tutorbook (https://tutorbook.app/app/) to view, edit, or' +
-                    ' cancel this appointment.',
-                    req.query.test === 'true').send();
-            }
+            if (req.query.pupil === 'true') await Promise.all(appt.attendees
+                .filter(a => a.uid !== appt.for.toUser.uid &&
+                    pupils.indexOf(a.uid) < 0).map(async (a) => {
+                    pupils.push(a.uid); // Remind every (group) attendee
+                    const pupil = (await users.doc(a.uid).get()).data();
+                    await new SMS(pupil, supervisor.name + ' wanted to ' +
+                        'remind you that you have a tutoring session for ' +
+                        appt.subject + ' in the ' + appt.location.name +
+                        ' on ' + appt.time.day + ' at ' + at +
+                        '. Log into Tutorbook (https://tutorbook.app/app/) ' +
+                        'to view, edit, or cancel this appointment.',
+                        req.query.test === 'true').send();
+                }));
         }));
         return res.json({
             tutors: tutors,
@@ -448,6 +475,40 @@ const approvedRequestNotification = async (snap, context) => {
         '> <' + u.phone + '>.');
 };
 
+// waitlistedRequestsOut - sms, webpush to pupil when a request is sent on
+// their behalf (b/c a timeslot they were waitlisted for freed up)
+const waitlistedRequestOut = async (snap, context) => {
+    const db = getDB(context);
+    const r = snap.data().for;
+    const u = (await db.collection('users').doc(context.params.user).get())
+        .data();
+    const summary = 'A spot opened up with ' + r.toUser.name + ' on ' +
+        r.time.day + 's at ' + r.time.from + '. Because you were first on ' +
+        'their waitlist, we sent them a lesson request for ' + r.subject +
+        ' on your behalf.';
+    if (getTest(context)) return console.log('[DEBUG] Skipping waitlisted ' +
+        'request out notification (' + summary + ') to ' + u.name + ' (' +
+        u.uid + ') from test partition.');
+    await new SMS({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: true,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' a waitlisted request ' +
+            'notification via SMS.',
+    }).send();
+    await new Webpush({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: false,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' a waitlisted request ' +
+            'webpush notification.',
+    }).send();
+    console.log('[DEBUG] Sent waitlisted request notification to ' + u.name +
+        ' <' + u.email + '> <' + u.phone + '>.');
+};
+
 // pendingClockIns - sms, webpush to the recipient of a clockIn request
 const clockIn = async (snap, context) => {
     console.warn('[WARNING] This notification function has not been ' +
@@ -560,6 +621,193 @@ const canceledRequestIn = async (snap, context) => {
         ' <' + u.email + '> <' + u.phone + '>.');
 };
 
+// remindedRequestsIn - sms, webpush to tutor when a request has gone
+// unanswered for too long
+const remindedRequestIn = async (snap, context) => {
+    const db = getDB(context);
+    const r = snap.data().for;
+    const u = (await db.collection('users').doc(context.params.user).get())
+        .data();
+    const summary = r.fromUser.name + ' is still waiting for you to respond ' +
+        'to their lesson request for ' + r.subject + ' on ' + r.time.day +
+        's at ' + r.time.from + '.' + (snap.data().expire !== 'Never' ? ' ' +
+            'It will be automatically rejected ' + snap.data().expire
+            .toLowerCase() + ' after it was sent.' : '') + ' Login to ' +
+        'Tutorbook (https://tutorbook.app) to approve or reject it.';
+    if (getTest(context)) return console.log('[DEBUG] Skipping reminded ' +
+        'request in notification (' + summary + ') to ' + u.name + ' (' +
+        u.uid + ') from test partition.');
+    await new SMS({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: true,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' a stale request ' +
+            'reminder via SMS.',
+    }).send();
+    await new Webpush({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: false,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' a stale request ' +
+            'reminder webpush notification.',
+    }).send();
+    console.log('[DEBUG] Sent stale request reminder to ' + u.name + ' <' +
+        u.email + '> <' + u.phone + '>.');
+};
+
+// closureNotices - sms, webpush to appt attendees when their appt's location
+// will be closed on (some of) the dates that their appt occurs
+const closureNotice = async (snap, context) => {
+    const db = getDB(context);
+    const notice = snap.data();
+    const a = notice.for;
+    const u = (await db.collection('users').doc(context.params.user).get())
+        .data();
+    const summary = 'Your tutoring session for ' + a.for.subject + ' on ' +
+        a.time.day + 's at ' + a.time.from + ' won\'t meet on ' + notice.dates
+        .join(', ') + ' because the ' + a.location.name + ' is closed for ' +
+        notice.closure.name + '.';
+    if (getTest(context)) return console.log('[DEBUG] Skipping closure ' +
+        'notice (' + summary + ') to ' + u.name + ' (' + u.uid + ') from ' +
+        'test partition.');
+    await new SMS({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: true,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' a closure notice via ' +
+            'SMS.',
+    }).send();
+    await new Webpush({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: false,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' a closure notice ' +
+            'webpush notification.',
+    }).send();
+    console.log('[DEBUG] Sent closure notice to ' + u.name + ' <' + u.email +
+        '> <' + u.phone + '>.');
+};
+
+// archiveNotices - sms, webpush to appt attendees when their appt's location is
+// archived (and their appt will be canceled after the location's last day)
+const archiveNotice = async (snap, context) => {
+    const db = getDB(context);
+    const notice = snap.data();
+    const a = notice.for;
+    const u = (await db.collection('users').doc(context.params.user).get())
+        .data();
+    const summary = 'The ' + notice.location.name + ' is no longer offering ' +
+        'tutoring, so your tutoring session for ' + a.for.subject + ' on ' +
+        a.time.day + 's at ' + a.time.from + ' will be canceled after ' +
+        notice.until + '.';
+    if (getTest(context)) return console.log('[DEBUG] Skipping archive ' +
+        'notice (' + summary + ') to ' + u.name + ' (' + u.uid + ') from ' +
+        'test partition.');
+    await new SMS({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: true,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' an archive notice via ' +
+            'SMS.',
+    }).send();
+    await new Webpush({
+        recipient: u,
+        body: summary,
+        isTest: getTest(context),
+        botOnSuccess: false,
+        botMessage: 'Sent ' + u.name.split(' ')[0] + ' an archive notice ' +
+            'webpush notification.',
+    }).send();
+    console.log('[DEBUG] Sent archive notice to ' + u.name + ' <' + u.email +
+        '> <' + u.phone + '>.');
+};
+
+// expiredRequests - sms, webpush to location supervisors when a stale request
+// is automatically rejected (so that they can rematch the pupil)
+const expiredRequest = async (snap, context) => {
+    const db = getDB(context);
+    const r = snap.data().for;
+    const location = (await db.collection('locations')
+        .doc(context.params.location).get()).data();
+    const summary = r.fromUser.name + '\'s lesson request to ' +
+        r.toUser.name + ' for ' + r.subject + ' was automatically rejected. ' +
+        snap.data().reason + ' Login to Tutorbook ' +
+        '(https://tutorbook.app) to rematch ' + r.fromUser.name.split(' ')[0] +
+        '.';
+    if (getTest(context)) return console.log('[DEBUG] Skipping expired ' +
+        'request notification (' + summary + ') to ' + location.name +
+        ' supervisors from test partition.');
+    return Promise.all((location.supervisors || []).map(async (uid) => {
+        const u = (await db.collection('users').doc(uid).get()).data();
+        await new SMS({
+            recipient: u,
+            body: summary,
+            isTest: getTest(context),
+            botOnSuccess: true,
+            botMessage: 'Sent ' + u.name.split(' ')[0] + ' an expired ' +
+                'request notification via SMS.',
+        }).send();
+        await new Webpush({
+            recipient: u,
+            body: summary,
+            isTest: getTest(context),
+            botOnSuccess: false,
+            botMessage: 'Sent ' + u.name.split(' ')[0] + ' an expired ' +
+                'request webpush notification.',
+        }).send();
+        console.log('[DEBUG] Sent expired request notification to ' + u.name +
+            ' <' + u.email + '> <' + u.phone + '>.');
+    }));
+};
+
+// certificates - sms, webpush to tutor and their location's supervisors when
+// the tutor reaches one of the location's service hour milestones
+const certificateNotification = async (snap, context) => {
+    const db = getDB(context);
+    const c = snap.data();
+    const location = (await db.collection('locations').doc(c.location.id)
+        .get()).data() || {};
+    const tutorSummary = 'Congrats! You\'ve tutored ' + c.milestone + ' ' +
+        'service hours at the ' + c.location.name + '. Login to Tutorbook ' +
+        '(https://tutorbook.app) to download your certificate from your ' +
+        'profile.';
+    const supervisorSummary = c.user.name + ' has tutored ' + c.milestone +
+        ' service hours at the ' + c.location.name + '. Their certificate ' +
+        'is available on their Tutorbook profile.';
+    if (getTest(context)) return console.log('[DEBUG] Skipping certificate ' +
+        'notifications (' + tutorSummary + ') to ' + c.user.name + ' (' + c
+        .user.uid + ') and ' + c.location.name + ' supervisors from test ' +
+        'partition.');
+    const recipients = [c.user.uid].concat(location.supervisors || []);
+    return Promise.all(recipients.map(async (uid) => {
+        const u = (await db.collection('users').doc(uid).get()).data();
+        const summary = uid === c.user.uid ? tutorSummary : supervisorSummary;
+        await new SMS({
+            recipient: u,
+            body: summary,
+            isTest: getTest(context),
+            botOnSuccess: true,
+            botMessage: 'Sent ' + u.name.split(' ')[0] + ' a certificate ' +
+                'notification via SMS.',
+        }).send();
+        await new Webpush({
+            recipient: u,
+            body: summary,
+            isTest: getTest(context),
+            botOnSuccess: false,
+            botMessage: 'Sent ' + u.name.split(' ')[0] + ' a certificate ' +
+                'webpush notification.',
+        }).send();
+        console.log('[DEBUG] Sent certificate notification to ' + u.name +
+            ' <' + u.email + '> <' + u.phone + '>.');
+    }));
+};
+
 // rejectedRequestsOut - sms, webpush to pupil when request is rejected
 const rejectedRequestOut = async (snap, context) => {
     const db = getDB(context);
@@ -569,7 +817,8 @@ const rejectedRequestOut = async (snap, context) => {
         .data();
     const summary = rejectedBy.name + ' rejected your lesson request ' +
         (rejectedBy.uid !== r.toUser.uid ? 'to ' + r.toUser.name + ' ' : '') +
-        'for ' + r.subject + ' on ' + r.time.day + 's at ' + r.time.from + '.';
+        'for ' + r.subject + ' on ' + r.time.day + 's at ' + r.time.from + '.' +
+        (snap.data().reason ? ' ' + snap.data().reason : '');
     if (getTest(context)) return console.log('[DEBUG] Skipping rejected ' +
         'request out notification (' + summary + ') to ' + u.name + ' (' +
         u.uid + ') from test partition.');
@@ -601,9 +850,10 @@ const modifiedAppt = async (snap, context) => {
     const a = snap.data().for;
     const u = (await db.collection('users').doc(context.params.user).get())
         .data();
-    const other = a.attendees[0].uid !== u.uid ? a.attendees[0] : a.attendees[1];
+    const others = a.attendees.filter(o => o.uid !== u.uid &&
+        o.uid !== modifiedBy.uid).map(o => o.name);
     const summary = modifiedBy.name + ' modified your appointment' +
-        (modifiedBy.uid !== other.uid ? ' with ' + other.name : '') +
+        (others.length ? ' with ' + others.join(', ') : '') +
         ' for ' + a.for.subject + ' on ' + a.time.day + 's at ' + a.time.from +
         '.';
     if (getTest(context)) return console.log('[DEBUG] Skipping modified appt ' +
@@ -637,9 +887,10 @@ const canceledAppt = async (snap, context) => {
     const a = snap.data().for;
     const u = (await db.collection('users').doc(context.params.user).get())
         .data();
-    const other = a.attendees[0].uid !== u.uid ? a.attendees[0] : a.attendees[1];
+    const others = a.attendees.filter(o => o.uid !== u.uid &&
+        o.uid !== canceledBy.uid).map(o => o.name);
     const summary = canceledBy.name + ' canceled your appointment' +
-        (canceledBy.uid !== other.uid ? ' with ' + other.name : '') +
+        (others.length ? ' with ' + others.join(', ') : '') +
         ' for ' + a.for.subject + ' on ' + a.time.day + 's at ' + a.time.from +
         '.';
     if (getTest(context)) return console.log('[DEBUG] Skipping canceled appt ' +
@@ -679,6 +930,12 @@ module.exports = {
     canceledIn: canceledRequestIn,
     approvedOut: approvedRequestNotification,
     rejectedOut: rejectedRequestOut,
+    remindedIn: remindedRequestIn,
+    expired: expiredRequest,
+    closure: closureNotice,
+    archive: archiveNotice,
+    certificate: certificateNotification,
+    waitlistedOut: waitlistedRequestOut,
     modifiedOut: modifiedRequestOut,
     modifiedAppt: modifiedAppt,
     canceledAppt: canceledAppt,
@@ -61,10 +61,10 @@ const enumerate = (ob, add, doc) => {
 };
 
 const appts = async (ref, doc) => {
-    const tutor = (appt) => (appt.attendees[0].type === 'Tutor') ? appt
-        .attendees[0].name : appt.attendees[1].name;
-    const pupil = (appt) => (appt.attendees[0].type === 'Pupil') ? appt
-        .attendees[0].name : appt.attendees[1].name;
+    const tutor = (appt) => (appt.attendees.find(a => a.type === 'Tutor') ||
+        appt.for.toUser).name;
+    const pupil = (appt) => appt.attendees.filter(a => a.uid !== appt.for
+        .toUser.uid).map(a => a.name).join(', '); // Groups have many pupils
     const appts = (await ref.collection('appointments').get()).docs;
     if (appts.length === 0) return;
     add('Weekly Appointments', styles.h3, doc);
@@ -72,7 +72,8 @@ const appts = async (ref, doc) => {
         const appt = apptDoc.data();
         add(appt.time.day + 's - ' + appt.for.subject + ': ', styles.bold, doc);
         add('Weekly appointment between ' + tutor(appt) + ' (the tutor) and ' +
-            pupil(appt) + ' (the pupil) at the ' + appt.location.name +
+            pupil(appt) + ' (the pupil' + (appt.attendees.length > 2 ? 's' :
+                '') + ') at the ' + appt.location.name +
             ' from ' + appt.time.from + ' until ' + appt.time.to + '.',
             styles.para, doc);
     }); // TODO: Add pastAppointments as well (make limit configurable in req).
@@ -173,14 +174,27 @@ const addUserServiceHours = async (d, docDefinition, isTest, url) => {
         arr.pop();
         return arr;
     };
-    const timezone = {
-        timeZone: 'America/Los_Angeles',
+    const locations = {}; // Each appt's times are shown in it's location's zone
+    const getLocation = async (location) => {
+        if (!locations[location.id]) locations[location.id] = (await db
+            .collection('locations').doc(location.id).get()).data() || {};
+        return locations[location.id];
     };
-    var a, cIn, roundedCIn, cInSplit, cOut, roundedCOut, cOutSplit,
-        supervisor, duration, runningTotal = '00:00:00';
+    var a, location, timezone, cIn, roundedCIn, cInSplit, cOut, roundedCOut,
+        cOutSplit, supervisor, duration, runningTotal = '00:00:00';
     for (appt of appts) {
         a = appt.data();
+        location = await getLocation(a.location);
+        timezone = {
+            timeZone: Utils.getTimezone(location),
+        };
         cIn = a.clockIn.sentTimestamp.toDate();
+        if (Utils.getClosure(location, Utils.getDateString(cIn, timezone
+                .timeZone))) {
+            console.log('[DEBUG] Skipping past appt (' + appt.id + ') that ' +
+                'occurred while it\'s location was closed.');
+            continue;
+        }
         console.log('[DEBUG] Got clock-in time for past appt (' + appt.id +
             '):', cIn);
         roundedCIn = a.clockIn.roundedTimestamp ?
@@ -396,7 +410,273 @@ const serviceHoursAsPDF = (req, res) => {
     });
 };
 
+/*
+ * Export a location's audit log (i.e. every data action performed on it's
+ * data) as a PDF for compliance reviews.
+ * @param {string} location - ID of location to export the audit log of.
+ * @param {string} [action] - Only export entries for this data action.
+ * @param {string} [actor] - Only export entries for actions performed by the
+ * user with this Firebase user ID.
+ * @param {string} [target] - Only export entries for actions that targeted the
+ * document with this ID.
+ * @param {string} [from] - Only export entries recorded on or after this date.
+ * @param {string} [to] - Only export entries recorded before this date.
+ * @param {bool} test - Whether to use the test partition of our Firestore db.
+ * @param {string} token - Valid supervisor auth token generated by Firebase.
+ * @return {stream} pdf - Audit log in PDF form piped to exp `Response`.
+ */
+const auditLogAsPDF = (req, res) => {
+    return cors(req, res, async () => {
+        const isTest = req.query.test === 'true';
+        console.log('[INFO] Responding to ' + (isTest ? 'test' : 'live') +
+            ' audit log as PDF request for location (' + req.query.location +
+            ')...');
+        try {
+            var token = await admin.auth().verifyIdToken(req.query.token);
+        } catch (err) {
+            return res.status(401).send('[ERROR] Could not verify given ' +
+                'authentication token: ' + err.message);
+        }
+        if (!token.supervisor) return res.status(400).send('[ERROR] Given ' +
+            'authentication token lacks supervisor custom auth.');
+        if (token.locations.indexOf(req.query.location) < 0) return res
+            .status(400).send('[ERROR] Token\'s locations did not contain ' +
+                'requested location.');
+        const db = isTest ? partitions.test : partitions.default;
+        const location = await db.collection('locations').doc(req.query
+            .location).get();
+        if (!location.exists) return res.status(400).send('[ERROR] ' +
+            'Requested location doesn\'t exist.');
+        var query = location.ref.collection('auditLogs');
+        if (req.query.action) query = query.where('action', '==',
+            req.query.action);
+        if (req.query.actor) query = query.where('actor.uid', '==',
+            req.query.actor);
+        if (req.query.target) query = query.where('targets',
+            'array-contains', req.query.target);
+        if (req.query.from) query = query.where('timestamp', '>=',
+            new Date(req.query.from));
+        if (req.query.to) query = query.where('timestamp', '<',
+            new Date(req.query.to));
+        const entries = (await query.orderBy('timestamp', 'desc').get()).docs
+            .map(doc => doc.data());
+        const date = (d) => d.toLocaleString('en-US', {
+            timeZone: Utils.getTimezone(location.data()),
+        });
+        const str = (val) => val && typeof val.toDate === 'function' ?
+            date(val.toDate()) : JSON.stringify(val);
+        const changes = (entry) => entry.changes.map(change => change.path
+            .split('/').slice(2).join('/') + (change.before && change.after ?
+                '' : change.before ? ' (deleted)' : ' (created)') + '\n' +
+            change.fields.map(field => '  ' + field + (entry.redacted ? '' :
+                ': ' + str((change.before || {})[field]) + ' -> ' +
+                str((change.after || {})[field]))).join('\n')).join('\n') +
+            (entry.error ? '\nFailed: ' + entry.error.message : '');
+        const printer = new PdfPrinter({
+            Roboto: {
+                normal: 'fonts/Roboto-Regular.ttf',
+                bold: 'fonts/Roboto-Bold.ttf',
+            },
+            Poppins: {
+                normal: 'fonts/Poppins-Regular.ttf',
+                bold: 'fonts/Poppins-Bold.ttf',
+            },
+        });
+        const doc = printer.createPdfKitDocument({
+            info: {
+                title: 'Tutorbook Audit Log',
+                author: 'Tutorbook',
+                subject: location.data().name + ' Audit Log',
+                creator: 'Tutorbook',
+                producer: 'Tutorbook',
+            },
+            content: [{
+                text: location.data().name + ' Audit Log',
+                style: 'header',
+            }, {
+                text: entries.length + ' data actions recorded (most recent ' +
+                    'first). Exported on ' + date(new Date()) + '.',
+                style: 'subheader',
+            }, {
+                table: {
+                    headerRows: 1,
+                    widths: ['auto', 'auto', 'auto', '*'],
+                    body: [
+                        ['Time', 'Actor', 'Action', 'Changes'].map(h => ({
+                            text: h,
+                            style: 'cellHeader',
+                        })),
+                    ].concat(entries.map(entry => [
+                        str(entry.timestamp),
+                        entry.actor.name + '\n(' + entry.actor.uid + ')',
+                        entry.action,
+                        changes(entry) || 'No changes.',
+                    ].map(text => ({
+                        text: text,
+                        style: 'cell',
+                    })))),
+                },
+                layout: 'lightHorizontalLines',
+            }],
+            styles: {
+                header: {
+                    font: 'Poppins',
+                    fontSize: 18,
+                    bold: true,
+                    margin: [0, 0, 0, 4],
+                },
+                subheader: {
+                    font: 'Poppins',
+                    fontSize: 12,
+                    margin: [0, 0, 0, 10],
+                },
+                cell: {
+                    font: 'Roboto',
+                    fontSize: 8,
+                    margin: [0, 2, 0, 2],
+                },
+                cellHeader: {
+                    font: 'Roboto',
+                    fontSize: 10,
+                    bold: true,
+                },
+            },
+            pageSize: 'LETTER',
+            pageOrientation: 'landscape',
+            pageMargins: [20, 25, 20, 25],
+        });
+        doc.pipe(res);
+        return doc.end();
+    });
+};
+
+/*
+ * Generate a (branded) service hour milestone certificate PDF when a tutor is
+ * awarded one (i.e. when a doc is created in their `certificates`
+ * subcollection) and store it in Cloud Storage (the certificate doc is updated
+ * with it's storage `path` so that it can be downloaded from their profile).
+ * @param {DocumentSnapshot} snap - The newly awarded certificate doc.
+ * @param {Object} context - The Firestore trigger's context.
+ * @return {Promise} Promise that resolves once the PDF has been stored.
+ */
+const certificateAsPDF = async (snap, context) => {
+    const isTest = context.params.partition === 'test';
+    const db = isTest ? partitions.test : partitions.default;
+    const certificate = snap.data();
+    console.log('[INFO] Generating ' + (isTest ? 'test' : 'live') + ' ' +
+        certificate.milestone + ' hour certificate for ' + certificate.user
+        .name + ' (' + certificate.user.uid + ')...');
+    const location = (await db.collection('locations').doc(certificate
+        .location.id).get()).data() || {};
+    const supervisors = (await Promise.all((location.supervisors || []).map(
+        uid => db.collection('users').doc(uid).get()))).filter(d => d.exists)
+        .map(d => d.data().name);
+    const date = snap.createTime.toDate().toLocaleDateString('en-US', {
+        timeZone: Utils.getTimezone(location),
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+    });
+    const printer = new PdfPrinter({
+        Roboto: {
+            normal: 'fonts/Roboto-Regular.ttf',
+            bold: 'fonts/Roboto-Bold.ttf',
+        },
+        Poppins: {
+            normal: 'fonts/Poppins-Regular.ttf',
+            bold: 'fonts/Poppins-Bold.ttf',
+        },
+    });
+    const doc = printer.createPdfKitDocument({
+        info: {
+            title: 'Tutorbook Service Hour Certificate',
+            author: 'Tutorbook',
+            subject: certificate.milestone + ' Service Hour Certificate',
+            creator: 'Tutorbook',
+            producer: 'Tutorbook',
+        },
+        content: [{
+            image: 'img/text-logo-bg.png',
+            width: 792 / 2,
+            alignment: 'center',
+            margin: [0, 0, 0, 24],
+        }, {
+            text: 'Certificate of Service',
+            style: 'header',
+        }, {
+            text: 'This certifies that',
+            style: 'para',
+        }, {
+            text: certificate.user.name,
+            style: 'name',
+        }, {
+            text: 'has completed ' + certificate.milestone + ' hours of ' +
+                'volunteer tutoring at the ' + certificate.location.name +
+                ' as recorded on the Tutorbook web app.',
+            style: 'para',
+        }, {
+            columns: [{
+                text: date,
+                style: 'signature',
+            }, {
+                text: supervisors.join(', ') || certificate.location.name,
+                style: 'signature',
+            }],
+            margin: [0, 48, 0, 0],
+        }],
+        styles: {
+            header: {
+                font: 'Poppins',
+                fontSize: 36,
+                bold: true,
+                alignment: 'center',
+                margin: [0, 0, 0, 18],
+            },
+            name: {
+                font: 'Poppins',
+                fontSize: 28,
+                bold: true,
+                alignment: 'center',
+                margin: [0, 6, 0, 12],
+            },
+            para: {
+                font: 'Roboto',
+                fontSize: 14,
+                alignment: 'center',
+            },
+            signature: {
+                font: 'Roboto',
+                fontSize: 12,
+                alignment: 'center',
+                decoration: 'overline',
+            },
+        },
+        pageSize: 'LETTER',
+        pageOrientation: 'landscape',
+        pageMargins: [60, 50, 60, 50],
+    });
+    const pdf = await new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+    });
+    const path = 'certificates/' + context.params.partition + '/' +
+        context.params.user + '/' + context.params.certificate + '.pdf';
+    await admin.storage().bucket().file(path).save(pdf, {
+        contentType: 'application/pdf',
+    });
+    await snap.ref.update({
+        path: path,
+    });
+    console.log('[INFO] Stored ' + certificate.user.name + '\'s ' + certificate
+        .milestone + ' hour certificate (' + path + ').');
+};
+
 module.exports = {
     backup: backupAsPDF,
     hrs: serviceHoursAsPDF,
+    audit: auditLogAsPDF,
+    certificate: certificateAsPDF,
 };
\ No newline at end of file
@@ -43,6 +43,14 @@ const getUserLocation = async (user, isTest) => {
     return 'NJp0Y6wyMh2fDdxSuRSx'; // Default to Gunn Academic Center
 };
 
+// Helper function that gets the timezone that the given location's times are
+// in (defaulting to the Gunn Academic Center's Pacific Time).
+const getLocationTimezone = async (location, isTest) => {
+    const db = isTest ? partitions.test : partitions.default;
+    const doc = await db.collection('locations').doc(location.id).get();
+    return (doc.data() || {}).timezone || 'America/Los_Angeles';
+};
+
 // Helper function that creates the recentAction document with the given stat 
 // data.
 const createStat = async (user, stat, isTest, id) => {
@@ -80,21 +88,22 @@ const dataAction = {
     newTimeRequest: async (user, data, res, isTest) => {
         const r = data.request;
         const a = r.appt;
+        const timezone = await getLocationTimezone(a.location, isTest);
         const clockIn = new Date(a.clockIn.sentTimestamp).toLocaleTimeString(
             'en-US', {
-                timeZone: 'America/Los_Angeles',
+                timeZone: timezone,
             });
         const clockOut = new Date(a.clockOut.sentTimestamp).toLocaleTimeString(
             'en-US', {
-                timeZone: 'America/Los_Angeles',
+                timeZone: timezone,
             });
-        const pupil = r.sentBy.uid !== a.attendees[0].uid ? a.attendees[0] :
-            a.attendees[1];
+        const pupils = a.attendees.filter(p => p.uid !== r.sentBy.uid)
+            .map(p => p.name).join(', ');
         const stat = {
             title: 'New Time Request',
             subtitle: user.name.split(' ')[0] + ' logged service hours',
             summary: r.sentBy.name + ' logged a tutoring session with ' +
-                pupil.name + ' from ' + clockIn + ' until ' + clockOut + '.',
+                pupils + ' from ' + clockIn + ' until ' + clockOut + '.',
             timestamp: new Date(r.sentTimestamp),
             data: Object.assign(r, {
                 id: res.id,
@@ -198,6 +207,82 @@ const dataAction = {
         };
         return createStat(user, stat, isTest);
     },
+    joinAppt: async (user, data, res, isTest) => {
+        const a = res.appt;
+        const stat = {
+            title: 'Joined Appointment',
+            subtitle: user.name.split(' ')[0] + ' added a group attendee',
+            summary: data.attendee.name + ' joined ' + a.for.toUser.name +
+                '\'s group appointment for ' + a.for.subject + ' on ' +
+                a.time.day + 's at ' + a.time.from + '.',
+            timestamp: new Date(),
+            type: 'joinAppt',
+        };
+        return createStat(user, stat, isTest);
+    },
+    leaveAppt: async (user, data, res, isTest) => {
+        const a = res.appt;
+        const stat = {
+            title: 'Left Appointment',
+            subtitle: user.name.split(' ')[0] + ' removed a group attendee',
+            summary: data.attendee.name + ' left ' + a.for.toUser.name +
+                '\'s group appointment for ' + a.for.subject + ' on ' +
+                a.time.day + 's at ' + a.time.from + '.',
+            timestamp: new Date(),
+            type: 'leaveAppt',
+        };
+        return createStat(user, stat, isTest);
+    },
+    joinWaitlist: async (user, data, res, isTest) => {
+        const w = res.waitlist;
+        const stat = {
+            title: 'Joined Waitlist',
+            subtitle: user.name.split(' ')[0] + ' added a waitlisted pupil',
+            summary: data.pupil.name + ' joined ' + w.tutor.name + '\'s ' +
+                'waitlist for ' + data.subject + ' on ' + w.time.day + 's at ' +
+                w.time.from + ' (as #' + res.position + ').',
+            timestamp: new Date(),
+            type: 'joinWaitlist',
+        };
+        return createStat(user, stat, isTest);
+    },
+    leaveWaitlist: async (user, data, res, isTest) => {
+        const w = res.waitlist;
+        const stat = {
+            title: 'Left Waitlist',
+            subtitle: user.name.split(' ')[0] + ' removed a waitlisted pupil',
+            summary: data.pupil.name + ' left ' + data.waitlist.tutor.name +
+                '\'s waitlist for ' + w.time.day + 's at ' + w.time.from + '.',
+            timestamp: new Date(),
+            type: 'leaveWaitlist',
+        };
+        return createStat(user, stat, isTest);
+    },
+    reorderWaitlist: async (user, data, res, isTest) => {
+        const w = res.waitlist;
+        const stat = {
+            title: 'Reordered Waitlist',
+            subtitle: user.name.split(' ')[0] + ' reordered a waitlist',
+            summary: user.name + ' reordered ' + w.tutor.name + '\'s ' +
+                'waitlist for ' + w.time.day + 's at ' + w.time.from + '.',
+            timestamp: new Date(),
+            type: 'reorderWaitlist',
+        };
+        return createStat(user, stat, isTest);
+    },
+    undoAction: async (user, data, res, isTest) => {
+        const action = res.action.replace(/([A-Z])/g, ' $1').toLowerCase();
+        const stat = {
+            title: 'Undid Action',
+            subtitle: user.name.split(' ')[0] + ' undid a(n) ' + action +
+                ' action',
+            summary: user.name + ' undid their ' + action + ' action (' +
+                'restoring ' + res.restored.length + ' documents).',
+            timestamp: new Date(),
+            type: 'undoAction',
+        };
+        return createStat(user, stat, isTest);
+    },
     modifyPastAppt: async (user, data, res, isTest) => {
         const a = data.appt;
         const r = a.for;
@@ -188,6 +188,96 @@ class Utils {
         return time.toISOString().substr(11, 8);
     }
 
+    // Returns the timezone (e.g. `America/New_York`) of the given location
+    // data (locations that haven't set their own are in `America/Los_Angeles`).
+    static getTimezone(location = {}) {
+        return location.timezone || Utils.DEFAULT_TIMEZONE;
+    }
+
+    // Returns the bell schedule (i.e. the periods, each w/ a `name` and it's
+    // `from` and `to` clock times) that the given location data follows at the
+    // given time (taking into account it's rotating and alternate schedules).
+    static getPeriods(location = {}, time = {}) {
+        const schedules = location.schedules || {};
+        const schedule = (location.alternates || {})[time.date] ||
+            (location.rotation || {})[time.day];
+        return schedules[schedule] || location.periods || [];
+    }
+
+    // Resolves the given time's periods (e.g. `A Period`) to the clock times
+    // that they start and end at on the given location data's bell schedule.
+    static resolveTime(time, location) {
+        const periods = Utils.getPeriods(location, time);
+        const clock = (t, end) => {
+            const period = periods.find(p => p.name === t);
+            return period ? (end ? period.to : period.from) : t;
+        };
+        return Utils.combineMaps(time, {
+            from: clock(time.from),
+            to: clock(time.to, true),
+        });
+    }
+
+    // Returns the closure (i.e. a holiday or break w/ a `name`, a `from` date
+    // and an optional `to` date) that the given location data is closed for on
+    // the given `YYYY-MM-DD` date (or `undefined` if it's open on that date).
+    static getClosure(location = {}, date) {
+        return (location.closures || []).find(c => c.from <= date &&
+            date <= (c.to || c.from));
+    }
+
+    // Returns the time string (e.g. `3:45 PM`) of the given date in the given
+    // (location's) timezone.
+    static getTimeString(date, timezone = Utils.DEFAULT_TIMEZONE) {
+        return date.toLocaleTimeString('en-US', {
+            timeZone: timezone,
+            hour: 'numeric',
+            minute: '2-digit',
+        });
+    }
+
+    // Returns the `YYYY-MM-DD` date string (that keys appointment exceptions)
+    // of the given date in the given (location's) timezone.
+    static getDateString(date = new Date(), timezone = Utils.DEFAULT_TIMEZONE) {
+        const [month, day, year] = date.toLocaleDateString('en-US', {
+            timeZone: timezone,
+        }).split('/');
+        return year + '-' + ('0' + month).slice(-2) + '-' +
+            ('0' + day).slice(-2);
+    }
+
+    static getDay(dateString) {
+        return [
+            'Sunday',
+            'Monday',
+            'Tuesday',
+            'Wednesday',
+            'Thursday',
+            'Friday',
+            'Saturday',
+        ][new Date(dateString + 'T00:00:00Z').getUTCDay()];
+    }
+
+    // Returns the time (i.e. `{ day, from, to }`) of the given appt's
+    // occurrence on the given date (respecting any cancel-once or move-once
+    // exceptions) or `undefined` if it doesn't occur on that date. One-off
+    // appts (i.e. those w/ a `time.date`) only occur on that date.
+    static getOccurrence(appt, dateString) {
+        if (appt.time.date) return appt.time.date === dateString ? appt.time :
+            undefined;
+        const exceptions = appt.exceptions || {};
+        const moved = Object.values(exceptions).find(exception =>
+            exception.moved && exception.moved.date === dateString);
+        if (moved) return {
+            day: Utils.getDay(dateString),
+            from: moved.moved.from,
+            to: moved.moved.to,
+        };
+        if (exceptions[dateString] ||
+            appt.time.day !== Utils.getDay(dateString)) return;
+        return appt.time;
+    }
+
     static getAvailabilityString(data) {
         if ([
                 'Gunn Academic Center',
@@ -302,5 +392,7 @@ class Utils {
     }
 };
 
+// The timezone of locations that haven't set their own `timezone`.
+Utils.DEFAULT_TIMEZONE = 'America/Los_Angeles';
 
 module.exports = Utils;
\ No newline at end of file
@@ -5,6 +5,7 @@
 const fs = require('fs');
 const path = require('path');
 const firebasePort = require('../../firebase.json').emulators.firestore.port;
+const pubsubPort = require('../../firebase.json').emulators.pubsub.port;
 
 const {
     TUTOR,
@@ -30,6 +31,8 @@ const PROJECT_ID = 'tutorbook-779d8';
 const COVERAGE_URL = 'http://localhost:' + PORT + '/emulator/v1/projects/' +
     PROJECT_ID + ':ruleCoverage.html';
 const FUNCTIONS_URL = 'http://localhost:5001/' + PROJECT_ID + '/us-central1/';
+const PUBSUB_URL = 'http://localhost:' + (pubsubPort || 8085) +
+    '/v1/projects/' + PROJECT_ID + '/topics/';
 const FILTERS = {
     'grade': ['==', TUTOR.grade],
     'gender': ['==', TUTOR.gender],
@@ -61,6 +64,7 @@ module.exports = {
     COVERAGE_URL,
     FIRESTORE_RULES,
     FUNCTIONS_URL,
+    PUBSUB_URL,
     FILTERS,
     SORTERS,
     USER_SUBCOLLECTIONS,
@@ -172,6 +172,13 @@ const PUPIL = {
     }],
 };
 
+const GROUP_PUPIL = Object.assign(cloneMap(PUPIL), {
+    name: 'Group Pupil Tutorbook',
+    email: 'group-pupil@tutorbook.app',
+    id: 'group-pupil@tutorbook.app',
+    uid: 'Zy7sDqVzWHf3rGm8b1kPnT2xLc94',
+});
+
 const SUPERVISOR = {
     name: 'Supervisor Tutorbook',
     email: 'supervisor@tutorbook.app',
@@ -401,6 +408,7 @@ module.exports = {
     WEBSITE,
     WEBSITE_ID,
     PUPIL,
+    GROUP_PUPIL,
     TUTOR,
     SUPERVISOR,
     REQUEST,
@@ -6,9 +6,11 @@ const {
     PROJECT_ID,
     FIRESTORE_RULES,
     FUNCTIONS_URL,
+    PUBSUB_URL,
 } = require('./config.js');
 const {
     PUPIL,
+    GROUP_PUPIL,
     TUTOR,
     SUPERVISOR,
     LOCATION,
@@ -37,10 +39,13 @@ const {
     combineMaps,
     authedApp,
     data,
+    get,
+    getAll,
 } = require('./utils.js');
 
 const fs = require('fs');
 const path = require('path');
+const assert = require('assert');
 const axios = require('axios');
 const admin = require('firebase-admin')
 admin.initializeApp({
@@ -89,7 +94,7 @@ describe('Tutorbook\'s REST API', () => {
         return token;
     };
 
-    async function post(user, action, data) {
+    async function post(user, action, data, headers = {}) {
         const uid = (user === PUPIL.email) ? PUPIL.uid :
             (user === TUTOR.email) ? TUTOR.uid :
             (user === SUPERVISOR.email) ? SUPERVISOR.uid : null;
@@ -97,19 +102,44 @@ describe('Tutorbook\'s REST API', () => {
         return axios({
             method: 'post',
             url: FUNCTIONS_URL + 'data',
+            headers: combineMaps({
+                'Authorization': 'Bearer ' + (await getToken(uid)),
+            }, headers),
             params: {
-                user: uid,
                 action: action,
-                token: (await getToken(uid)),
             },
             data: data,
-        }).then((res) => {
-            if (typeof res.data === 'string' && res.data.indexOf('ERROR') > 0)
-                throw new Error(res.data.replace('[ERROR] ', ''));
-            return res;
+        }).catch((err) => {
+            if (!err.response || !err.response.data ||
+                !err.response.data.error) throw err;
+            const error = err.response.data.error;
+            throw Object.assign(new Error(error.message), {
+                code: error.code,
+                field: error.field,
+                status: err.response.status,
+                results: err.response.data.results,
+            });
         });
     };
 
+    async function trigger(name, check) { // Runs scheduled functions
+        await axios.post(PUBSUB_URL + 'firebase-schedule-' + name +
+            ':publish', {
+                messages: [{
+                    data: Buffer.from('{}').toString('base64'),
+                }],
+            });
+        return waitFor(check);
+    };
+
+    async function waitFor(check) { // Waits for triggered functions to finish
+        for (var i = 0; i < 60; i++) {
+            if (await check()) return;
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        throw new Error('Triggered functions did not finish.');
+    };
+
     // =========================================================================
     // USERs
     // =========================================================================
@@ -141,6 +171,67 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    it('replays responses for repeated idempotency keys', async () => {
+        await createUsers();
+        const headers = {
+            'Idempotency-Key': 'test-new-request-key',
+        };
+        const first = await post(PUPIL.email, 'newRequest', {
+            request: REQUEST,
+            payment: {}
+        }, headers);
+        const second = await post(PUPIL.email, 'newRequest', {
+            request: REQUEST,
+            payment: {}
+        }, headers);
+        assert.deepEqual(second.data, first.data);
+    });
+
+    it('rejects requests with invalid payloads', async () => {
+        await createUsers();
+        const request = combineMaps(REQUEST, {
+            time: combineMaps(REQUEST.time, {
+                day: 'Funday',
+            }),
+        });
+        await assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: request,
+            payment: {}
+        }), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'request.time.day',
+        });
+    });
+
+    it('does not let users send requests for other users', async () => {
+        await createUsers();
+        await assert.rejects(post(TUTOR.email, 'newRequest', {
+            request: REQUEST,
+            payment: {}
+        }), {
+            status: 403,
+            code: 'permission-denied',
+        });
+    });
+
+    it('requires ID tokens in the Authorization header', async () => {
+        await createUsers();
+        await assert.rejects(axios({
+            method: 'post',
+            url: FUNCTIONS_URL + 'data',
+            params: {
+                user: PUPIL.uid,
+                action: 'newRequest',
+                token: (await getToken(PUPIL.uid)),
+            },
+            data: {
+                request: REQUEST,
+                payment: {}
+            },
+        }), (err) => err.response.status === 401);
+    });
+
     it('lets the sender modify a request', async () => {
         [request, id] = await createRequest();
         request.time.day = 'Wednesday';
@@ -194,6 +285,238 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    it('lets proxies send requests for the users they proxy', async () => {
+        await createUsers();
+        const request = combineMaps(REQUEST, {
+            fromUser: combineMaps(REQUEST.fromUser, {
+                name: GROUP_PUPIL.name,
+                email: GROUP_PUPIL.email,
+                id: GROUP_PUPIL.id,
+                uid: GROUP_PUPIL.uid,
+            }),
+        });
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = GROUP_PUPIL;
+        await data(state);
+        await assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: request,
+            payment: {},
+        }), {
+            status: 403,
+            code: 'permission-denied',
+        });
+        state['users/' + GROUP_PUPIL.uid] = combineMaps(GROUP_PUPIL, {
+            proxy: [PUPIL.uid],
+        });
+        await data(state);
+        const res = await post(PUPIL.email, 'newRequest', {
+            request: request,
+            payment: {},
+        });
+        assert.equal(res.data.request.proxiedBy.uid, PUPIL.uid);
+    });
+
+    async function createStaleRequest(days) {
+        await createUsers();
+        const request = combineMaps(REQUEST, {
+            timestamp: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+        });
+        const state = {};
+        state['users/' + TUTOR.uid + '/requestsIn/' + REQUEST_ID] = request;
+        state['users/' + PUPIL.uid + '/requestsOut/' + REQUEST_ID] = request;
+        await data(state);
+        return [request, REQUEST_ID];
+    };
+
+    it('reminds tutors about stale requests', async () => {
+        [request, id] = await createStaleRequest(5);
+        const path = 'users/' + TUTOR.uid + '/remindedRequestsIn/' + id;
+        await trigger('expireStaleRequests', () => get(path));
+        assert.equal((await get(path)).expire, '14 Days');
+        assert.ok((await get('users/' + TUTOR.uid + '/requestsIn/' + id))
+            .remindedTimestamp);
+    });
+
+    it('rejects expired requests', async () => {
+        [request, id] = await createStaleRequest(20);
+        const path = 'users/' + PUPIL.uid + '/rejectedRequestsOut/' + id;
+        await trigger('expireStaleRequests', () => get(path));
+        assert.equal((await get(path)).rejectedBy.uid, 'operator');
+        assert.equal(await get('users/' + TUTOR.uid + '/requestsIn/' + id),
+            undefined);
+        assert.ok(await get('locations/' + LOCATION_ID + '/expiredRequests/' +
+            id));
+    });
+
+    it('lets supervisors adjust and rebuild service hours', async () => {
+        await createUsers();
+        await createLocation();
+        const adjustment = {
+            uid: TUTOR.uid,
+            seconds: 3600,
+            reason: 'Tutored at the open house before clocking in.',
+        };
+        await assert.rejects(post(PUPIL.email, 'adjustHours', adjustment), {
+            status: 403,
+            code: 'permission-denied',
+        });
+        const res = await post(SUPERVISOR.email, 'adjustHours', adjustment);
+        assert.equal(res.data.entry.role, 'Tutor');
+        const totals = await post(SUPERVISOR.email, 'rebuildHours', {
+            uid: TUTOR.uid,
+        });
+        assert.equal(totals.data.secondsTutored, 3600);
+    });
+
+    it('awards certificates for service hour milestones', async () => {
+        await createUsers();
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            milestones: [1, 5],
+        });
+        await data(state);
+        await post(SUPERVISOR.email, 'adjustHours', {
+            uid: TUTOR.uid,
+            seconds: 2 * 3600,
+            reason: 'Tutored at the open house before clocking in.',
+        });
+        const path = 'users/' + TUTOR.uid + '/certificates';
+        await waitFor(() => get(path + '/' + LOCATION_ID + '-1'));
+        const certificate = await get(path + '/' + LOCATION_ID + '-1');
+        assert.equal(certificate.milestone, 1);
+        assert.equal(certificate.location.id, LOCATION_ID);
+        assert.equal(certificate.user.uid, TUTOR.uid);
+        await post(SUPERVISOR.email, 'rebuildHours', {
+            uid: TUTOR.uid,
+        });
+        assert.equal((await getAll(path)).length, 1);
+    });
+
+    it('lets supervisors merge duplicate users', async () => {
+        await approveRequest();
+        await createLocation();
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = GROUP_PUPIL;
+        await data(state);
+        const merge = {
+            from: PUPIL.uid,
+            into: GROUP_PUPIL.uid,
+        };
+        const report = await post(SUPERVISOR.email, 'previewUserMerge', merge);
+        assert.ok(report.data.moves.find(m => m.to.endsWith('/users/' +
+            GROUP_PUPIL.uid + '/appointments/' + APPT_ID)));
+        const res = await post(SUPERVISOR.email, 'mergeUsers', merge);
+        assert.equal(res.data.into.uid, GROUP_PUPIL.uid);
+        return assert.rejects(post(SUPERVISOR.email, 'mergeUsers', merge), {
+            status: 404,
+            code: 'not-found',
+            field: 'from',
+        });
+    });
+
+    it('does not merge users that share documents', async () => {
+        await approveRequest();
+        await createLocation();
+        await assert.rejects(post(SUPERVISOR.email, 'mergeUsers', {
+            from: PUPIL.uid,
+            into: TUTOR.uid,
+        }), {
+            status: 400,
+            code: 'failed-precondition',
+            field: 'into',
+        });
+    });
+
+    it('does not let supervisors merge users at other locations', async () => {
+        await createUsers();
+        await createLocation();
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = combineMaps(GROUP_PUPIL, {
+            location: 'Palo Alto High School',
+        });
+        await data(state);
+        return assert.rejects(post(SUPERVISOR.email, 'mergeUsers', {
+            from: GROUP_PUPIL.uid,
+            into: PUPIL.uid,
+        }), {
+            status: 403,
+            code: 'permission-denied',
+        });
+    });
+
+    it('lets users export their own data', async () => {
+        await approveRequest();
+        const res = await post(PUPIL.email, 'exportUser', {
+            uid: PUPIL.uid,
+        });
+        const archive = (await axios.get(res.data.url)).data;
+        assert.equal(archive.profile.uid, PUPIL.uid);
+        assert.ok(archive.subcollections.appointments[APPT_ID]);
+        return assert.rejects(post(TUTOR.email, 'exportUser', {
+            uid: PUPIL.uid,
+        }), {
+            status: 403,
+            code: 'permission-denied',
+        });
+    });
+
+    it('lets supervisors preview and delete users', async () => {
+        await createUsers();
+        await createLocation();
+        const request = combineMaps(REQUEST, {
+            fromUser: combineMaps(REQUEST.fromUser, {
+                name: GROUP_PUPIL.name,
+                email: GROUP_PUPIL.email,
+                id: GROUP_PUPIL.id,
+                uid: GROUP_PUPIL.uid,
+            }),
+        });
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = GROUP_PUPIL;
+        state['users/' + GROUP_PUPIL.uid + '/requestsOut/' + REQUEST_ID] =
+            request;
+        state['users/' + TUTOR.uid + '/requestsIn/' + REQUEST_ID] = request;
+        await data(state);
+        const preview = await post(SUPERVISOR.email, 'previewUserDeletion', {
+            uid: GROUP_PUPIL.uid,
+        });
+        assert.deepEqual(preview.data.requestsOut.map(r => r.id), [REQUEST_ID]);
+        const res = await post(SUPERVISOR.email, 'deleteUser', {
+            uid: GROUP_PUPIL.uid,
+        });
+        assert.deepEqual(res.data.requests, [REQUEST_ID]);
+        const entries = (await firebase.initializeAdminApp({
+            projectId: PROJECT_ID,
+        }).firestore().collectionGroup('auditLogs').where('action', '==',
+            'deleteUser').get()).docs.map(doc => doc.data());
+        assert.equal(entries.length, 1);
+        entries[0].changes.forEach(change => [change.before, change.after]
+            .forEach(values => assert.deepEqual(values || {}, {})));
+        return assert.rejects(post(SUPERVISOR.email, 'deleteUser', {
+            uid: GROUP_PUPIL.uid,
+        }), {
+            status: 404,
+            code: 'not-found',
+            field: 'uid',
+        });
+    });
+
+    it('does not let supervisors delete users at other locations', async () => {
+        await createUsers();
+        await createLocation();
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = combineMaps(GROUP_PUPIL, {
+            location: 'Palo Alto High School',
+        });
+        await data(state);
+        return assert.rejects(post(SUPERVISOR.email, 'deleteUser', {
+            uid: GROUP_PUPIL.uid,
+        }), {
+            status: 403,
+            code: 'permission-denied',
+        });
+    });
+
     it('lets supervisors create requests', async () => {
         await createUsers();
         return post(SUPERVISOR.email, 'newRequest', {
@@ -266,6 +589,450 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    function nextWeeksDate(day) { // Returns `YYYY-MM-DD` date strings
+        const date = new Date();
+        date.setDate(date.getDate() + 7);
+        while (date.getDay() !== [
+                'Sunday',
+                'Monday',
+                'Tuesday',
+                'Wednesday',
+                'Thursday',
+                'Friday',
+                'Saturday',
+            ].indexOf(day)) date.setDate(date.getDate() + 1);
+        return date.getFullYear() + '-' +
+            ('0' + (date.getMonth() + 1)).slice(-2) + '-' +
+            ('0' + date.getDate()).slice(-2);
+    };
+
+    it('lets attendees skip a single occurrence', async () => {
+        [appt, id] = await approveRequest();
+        const res = await post(PUPIL.email, 'cancelApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: nextWeeksDate(appt.time.day),
+        });
+        assert(res.data.appt.exceptions[nextWeeksDate(appt.time.day)]
+            .canceled);
+    });
+
+    it('lets attendees reschedule a single occurrence', async () => {
+        [appt, id] = await approveRequest();
+        await post(TUTOR.email, 'modifyApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: nextWeeksDate(appt.time.day),
+            time: {
+                date: nextWeeksDate('Tuesday'),
+                from: appt.time.from,
+                to: appt.time.to,
+            },
+        });
+        const stored = await get('locations/' + LOCATION_ID +
+            '/appointments/' + id);
+        const moved = stored.exceptions[nextWeeksDate(appt.time.day)].moved;
+        assert.deepEqual(moved, {
+            date: nextWeeksDate('Tuesday'),
+            from: appt.time.from,
+            to: appt.time.to,
+        });
+        assert.deepEqual(stored.movedTo, [nextWeeksDate('Tuesday')]);
+    });
+
+    it('does not reschedule occurrences into booked slots', async () => {
+        [appt, id] = await approveRequest();
+        const other = combineMaps(APPT, {
+            time: combineMaps(APPT.time, {
+                day: 'Tuesday',
+            }),
+        });
+        const state = {};
+        state['users/' + TUTOR.uid + '/appointments/other-appt'] = other;
+        await data(state);
+        return assert.rejects(post(PUPIL.email, 'modifyApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: nextWeeksDate(appt.time.day),
+            time: {
+                date: nextWeeksDate('Tuesday'),
+                from: appt.time.from,
+                to: appt.time.to,
+            },
+        }), {
+            status: 409,
+            code: 'already-exists',
+            field: 'time',
+        });
+    });
+
+    it('does not reschedule occurrences onto closures', async () => {
+        [appt, id] = await approveRequest();
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            closures: [{
+                name: 'Spring Break',
+                from: nextWeeksDate('Tuesday'),
+            }],
+        });
+        await data(state);
+        return assert.rejects(post(PUPIL.email, 'modifyApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: nextWeeksDate(appt.time.day),
+            time: {
+                date: nextWeeksDate('Tuesday'),
+                from: appt.time.from,
+                to: appt.time.to,
+            },
+        }), {
+            status: 400,
+            code: 'failed-precondition',
+            field: 'time.date',
+        });
+    });
+
+    it('does not let attendees skip dates without occurrences', async () => {
+        [appt, id] = await approveRequest();
+        await assert.rejects(post(PUPIL.email, 'cancelApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: nextWeeksDate('Friday'),
+        }), {
+            status: 400,
+            field: 'date',
+        });
+    });
+
+    it('lets users send one-off requests', async () => {
+        await createUsers();
+        return post(PUPIL.email, 'newRequest', {
+            request: combineMaps(REQUEST, {
+                time: combineMaps(REQUEST.time, {
+                    date: nextWeeksDate(REQUEST.time.day),
+                }),
+            }),
+            payment: {}
+        });
+    });
+
+    it('rejects one-off requests with dates on other days', async () => {
+        await createUsers();
+        await assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: combineMaps(REQUEST, {
+                time: combineMaps(REQUEST.time, {
+                    date: nextWeeksDate('Friday'),
+                }),
+            }),
+            payment: {}
+        }), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'request.time.day',
+        });
+    });
+
+    it('rejects requests that overlap existing appointments', async () => {
+        await approveRequest();
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            periods: [{
+                name: 'A Period',
+                from: '3:15 PM',
+                to: '4:15 PM',
+            }],
+        });
+        await data(state);
+        await assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: REQUEST,
+            payment: {},
+        }), {
+            status: 409,
+            code: 'already-exists',
+            field: 'request.time',
+        });
+        return assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: combineMaps(REQUEST, {
+                time: combineMaps(REQUEST.time, {
+                    from: 'A Period',
+                    to: 'A Period',
+                }),
+            }),
+            payment: {},
+        }), {
+            status: 409,
+            code: 'already-exists',
+            field: 'request.time',
+        });
+    });
+
+    it('lets supervisors knowingly double-book appointments', async () => {
+        await approveRequest();
+        const res = await post(SUPERVISOR.email, 'newRequest', {
+            request: REQUEST,
+            payment: {},
+            ignoreConflicts: true,
+        });
+        assert.equal(res.data.conflicts.length, 1);
+    });
+
+    it('does not let pupils double-book appointments', async () => {
+        await approveRequest();
+        return assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: REQUEST,
+            payment: {},
+            ignoreConflicts: true,
+        }), {
+            status: 409,
+            code: 'already-exists',
+            field: 'request.time',
+        });
+    });
+
+    it('rejects requests for tutors who are at capacity', async () => {
+        await approveRequest();
+        const state = {};
+        state['users/' + TUTOR.uid] = combineMaps(TUTOR, {
+            limits: {
+                sessions: 1,
+            },
+        });
+        await data(state);
+        return assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: combineMaps(REQUEST, {
+                time: combineMaps(REQUEST.time, {
+                    day: 'Tuesday',
+                }),
+            }),
+            payment: {},
+        }), {
+            status: 429,
+            code: 'resource-exhausted',
+            field: 'request.toUser',
+        });
+    });
+
+    it('resolves periods with rotating bell schedules', async () => {
+        await approveRequest();
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            periods: [{
+                name: 'A Period',
+                from: '3:15 PM',
+                to: '4:15 PM',
+            }],
+            schedules: {
+                'B Day': [{
+                    name: 'A Period',
+                    from: '8:15 AM',
+                    to: '9:15 AM',
+                }],
+            },
+            rotation: {
+                Monday: 'B Day',
+            },
+        });
+        await data(state);
+        const request = (period) => combineMaps(REQUEST, {
+            time: combineMaps(REQUEST.time, {
+                from: period,
+                to: period,
+            }),
+        });
+        await post(PUPIL.email, 'newRequest', { // Mondays are B Days
+            request: request('A Period'),
+            payment: {},
+        });
+        return assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: request('Z Period'),
+            payment: {},
+        }), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'request.time.from',
+        });
+    });
+
+    async function createGroupAppt() {
+        await approveRequest();
+        const appt = combineMaps(APPT, {
+            capacity: 3,
+        });
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = GROUP_PUPIL;
+        state['users/' + PUPIL.uid + '/appointments/' + APPT_ID] = appt;
+        state['users/' + TUTOR.uid + '/appointments/' + APPT_ID] = appt;
+        state['locations/' + LOCATION_ID + '/appointments/' + APPT_ID] = appt;
+        await data(state);
+        return [appt, APPT_ID];
+    };
+
+    it('lets supervisors add pupils to group appointments', async () => {
+        [appt, id] = await createGroupAppt();
+        const res = await post(SUPERVISOR.email, 'joinAppt', {
+            appt: appt,
+            id: id,
+            attendee: GROUP_PUPIL,
+        });
+        assert.equal(res.data.appt.attendees.length, 3);
+    });
+
+    it('does not let pupils join appointments at other locations', async () => {
+        [appt, id] = await createGroupAppt();
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = combineMaps(GROUP_PUPIL, {
+            location: 'Palo Alto High School',
+        });
+        await data(state);
+        await assert.rejects(post(SUPERVISOR.email, 'joinAppt', {
+            appt: appt,
+            id: id,
+            attendee: GROUP_PUPIL,
+        }), {
+            status: 403,
+            code: 'permission-denied',
+            field: 'attendee',
+        });
+    });
+
+    it('does not add missing pupils to group appointments', async () => {
+        [appt, id] = await createGroupAppt();
+        await assert.rejects(post(SUPERVISOR.email, 'joinAppt', {
+            appt: appt,
+            id: id,
+            attendee: combineMaps(GROUP_PUPIL, {
+                uid: 'missing-pupil',
+            }),
+        }), {
+            status: 404,
+            code: 'not-found',
+            field: 'attendee',
+        });
+    });
+
+    it('does not let pupils join full appointments', async () => {
+        [appt, id] = await approveRequest();
+        const state = {};
+        state['users/' + GROUP_PUPIL.uid] = GROUP_PUPIL;
+        await data(state);
+        await assert.rejects(post(SUPERVISOR.email, 'joinAppt', {
+            appt: appt,
+            id: id,
+            attendee: GROUP_PUPIL,
+        }), {
+            status: 400,
+            code: 'failed-precondition',
+        });
+    });
+
+    it('does not let tutors leave their own appointments', async () => {
+        [appt, id] = await createGroupAppt();
+        await assert.rejects(post(TUTOR.email, 'leaveAppt', {
+            appt: appt,
+            id: id,
+            attendee: TUTOR,
+        }), {
+            status: 400,
+            field: 'attendee',
+        });
+    });
+
+    async function bookTutor(booked = true) {
+        [appt, id] = await approveRequest();
+        const availability = {};
+        availability[LOCATION.name] = {
+            Monday: [{
+                open: appt.time.from,
+                close: appt.time.to,
+                booked: booked,
+            }],
+        };
+        const state = {};
+        state['users/' + TUTOR.uid] = combineMaps(TUTOR, {
+            availability: availability,
+        });
+        state['users/' + GROUP_PUPIL.uid] = GROUP_PUPIL;
+        await data(state);
+        return [appt, id, {
+            tutor: appt.for.toUser,
+            location: appt.location,
+            time: appt.time,
+        }];
+    };
+
+    it('lets supervisors add pupils to waitlists', async () => {
+        [appt, id, waitlist] = await bookTutor();
+        const res = await post(SUPERVISOR.email, 'joinWaitlist', {
+            waitlist: waitlist,
+            pupil: GROUP_PUPIL,
+            subject: appt.for.subject,
+        });
+        assert.equal(res.data.position, 1);
+    });
+
+    it('does not let pupils waitlist available timeslots', async () => {
+        [appt, id, waitlist] = await bookTutor(false);
+        await assert.rejects(post(SUPERVISOR.email, 'joinWaitlist', {
+            waitlist: waitlist,
+            pupil: GROUP_PUPIL,
+            subject: appt.for.subject,
+        }), {
+            status: 400,
+            code: 'failed-precondition',
+            field: 'waitlist.time',
+        });
+    });
+
+    it('sends the first waitlisted pupil a request on cancel', async () => {
+        [appt, id, waitlist] = await bookTutor();
+        await post(SUPERVISOR.email, 'joinWaitlist', {
+            waitlist: waitlist,
+            pupil: GROUP_PUPIL,
+            subject: appt.for.subject,
+        });
+        await post(TUTOR.email, 'cancelAppt', {
+            appt: appt,
+            id: id,
+        });
+        await assert.rejects(post(SUPERVISOR.email, 'leaveWaitlist', {
+            waitlist: waitlist,
+            pupil: GROUP_PUPIL,
+        }), {
+            status: 404,
+            field: 'pupil',
+        });
+    });
+
+    it('lets users undo canceled appointments', async () => {
+        [appt, id, waitlist] = await bookTutor();
+        await post(SUPERVISOR.email, 'joinWaitlist', {
+            waitlist: waitlist,
+            pupil: GROUP_PUPIL,
+            subject: appt.for.subject,
+        });
+        const res = await post(TUTOR.email, 'cancelAppt', {
+            appt: appt,
+            id: id,
+        });
+        await assert.rejects(post(PUPIL.email, 'undoAction', {
+            id: res.data.undo.id,
+        }), {
+            status: 404,
+            field: 'id',
+        });
+        await post(TUTOR.email, 'undoAction', {
+            id: res.data.undo.id,
+        });
+        await post(SUPERVISOR.email, 'leaveWaitlist', {
+            waitlist: waitlist,
+            pupil: GROUP_PUPIL,
+        });
+        return post(PUPIL.email, 'cancelAppt', {
+            appt: appt,
+            id: id,
+        });
+    });
+
     it('lets supervisors modify appointments', async () => {
         [appt, id] = await approveRequest();
         appt.time.day = 'Wednesday';
@@ -311,6 +1078,29 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    it('does not let tutors clock-in while locations are closed', async () => {
+        const [appt, id] = await approveRequest();
+        const day = 24 * 60 * 60 * 1000;
+        const date = (ms) => new Date(ms).toISOString().slice(0, 10);
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            closures: [{
+                name: 'Winter Break',
+                from: date(Date.now() - day),
+                to: date(Date.now() + day),
+            }],
+        });
+        await data(state);
+        return assert.rejects(post(TUTOR.email, 'clockIn', {
+            appt: appt,
+            id: id,
+        }), {
+            status: 400,
+            code: 'failed-precondition',
+            field: 'id',
+        });
+    });
+
     it('lets supervisors clock tutors into appointments', async () => {
         const [appt, id] = await approveRequest();
         return post(SUPERVISOR.email, 'clockIn', {
@@ -381,6 +1171,110 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    it('lets supervisors preview and re-apply rounding rules', async () => {
+        await createLocation();
+        await approveClockOut();
+        const rounding = {
+            id: LOCATION_ID,
+            rules: {
+                rounding: 'Down',
+                threshold: 'Hour',
+            },
+        };
+        await assert.rejects(post(TUTOR.email, 'previewHoursRounding',
+            rounding), {
+            status: 403,
+            code: 'permission-denied',
+        });
+        await assert.rejects(post(SUPERVISOR.email, 'previewHoursRounding',
+            combineMaps(rounding, {
+                from: '2020-02-01',
+                to: '2020-01-01',
+            })), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'to',
+        });
+        const preview = await post(SUPERVISOR.email, 'previewHoursRounding',
+            rounding);
+        assert.equal(preview.data.appts, 1);
+        assert.equal(preview.data.tutors[0].uid, TUTOR.uid);
+        const res = await post(SUPERVISOR.email, 'applyHoursRounding',
+            rounding);
+        assert.equal(res.data.rules.threshold, 'Hour');
+    });
+
+    it('lets supervisors add past appointments', async () => {
+        await createUsers();
+        await createLocation();
+        const supervisor = {
+            uid: SUPERVISOR.uid,
+            name: SUPERVISOR.name,
+        };
+        const clocking = () => ({ // What the "New Record" dialog sends
+            sentBy: supervisor,
+            sentTimestamp: new Date(),
+            approvedBy: supervisor,
+            approvedTimestamp: new Date(),
+        });
+        const res = await post(SUPERVISOR.email, 'newPastAppt', {
+            appt: combineMaps(APPT, {
+                clockIn: clocking(),
+                clockOut: clocking(),
+                timestamp: new Date(),
+            }),
+        });
+        const paths = ['locations/' + LOCATION_ID, 'users/' + TUTOR.uid,
+            'users/' + PUPIL.uid];
+        for (const path of paths) {
+            const appt = await get(path + '/pastAppointments/' + res.data.id);
+            assert.equal(appt.for.subject, APPT.for.subject);
+            assert.equal(appt.clockIn.sentBy.uid, SUPERVISOR.uid);
+            assert.equal(appt.clockOut.approvedBy.uid, SUPERVISOR.uid);
+        }
+    });
+
+    it('rounds service hours in their location\'s timezone', async () => {
+        await createUsers();
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            timezone: 'Asia/Kolkata', // A half-hour offset from UTC
+            config: {
+                hrs: {
+                    rounding: 'Normally',
+                    threshold: 'Minute',
+                    timeThreshold: 'Hour',
+                },
+            },
+        });
+        await data(state);
+        const supervisor = {
+            uid: SUPERVISOR.uid,
+            name: SUPERVISOR.name,
+        };
+        const clocking = (date) => ({
+            sentBy: supervisor,
+            sentTimestamp: new Date(date),
+            approvedBy: supervisor,
+            approvedTimestamp: new Date(date),
+        });
+        const res = await post(SUPERVISOR.email, 'newPastAppt', {
+            appt: combineMaps(APPT, {
+                clockIn: clocking('2020-01-06T04:40:00Z'), // 10:10 AM IST
+                clockOut: clocking('2020-01-06T05:40:00Z'),
+                timestamp: new Date(),
+            }),
+        });
+        const path = 'locations/' + LOCATION_ID + '/pastAppointments/' +
+            res.data.id;
+        await waitFor(async () => (await get(path)).clockIn.roundedTimestamp);
+        const appt = await get(path);
+        assert.equal(appt.clockIn.roundedTimestamp.toDate().toISOString(),
+            '2020-01-06T04:30:00.000Z'); // 10:00 AM IST
+        assert.equal(appt.clockOut.roundedTimestamp.toDate().toISOString(),
+            '2020-01-06T05:30:00.000Z');
+    });
+
     it('lets supervisors modify past appointments', async () => {
         await createLocation();
         const [appt, id] = await approveClockOut();
@@ -411,6 +1305,58 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    // =========================================================================
+    // BATCHes
+    // =========================================================================
+
+    it('performs the rest of best-effort batches after errors', async () => {
+        await createUsers();
+        const res = await post(PUPIL.email, 'batch', {
+            actions: [{
+                action: 'createLocation',
+                data: {
+                    location: LOCATION,
+                    id: LOCATION_ID,
+                },
+            }, {
+                action: 'newRequest',
+                data: {
+                    request: REQUEST,
+                    payment: {},
+                },
+            }],
+        });
+        assert.deepEqual(res.data.results.map(r => r.status), ['error', 'ok']);
+        assert.equal(res.data.results[0].error.code, 'permission-denied');
+    });
+
+    it('does not perform any of an invalid check-first batch', async () => {
+        await createUsers();
+        await assert.rejects(post(PUPIL.email, 'batch', {
+            mode: 'check-first',
+            actions: [{
+                action: 'newRequest',
+                data: {
+                    request: REQUEST,
+                    payment: {},
+                },
+            }, {
+                action: 'createLocation',
+                data: {
+                    location: LOCATION,
+                    id: LOCATION_ID,
+                },
+            }],
+        }), (err) => {
+            assert.equal(err.status, 403);
+            assert.deepEqual(err.results.map(r => r.status), [
+                'aborted',
+                'error',
+            ]);
+            return true;
+        });
+    });
+
     // =========================================================================
     // TODO: PAYMENTs
     // =========================================================================
@@ -438,6 +1384,53 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    it('rejects locations with invalid timezones', async () => {
+        await createUsers();
+        const [location, id] = await createLocation();
+        await assert.rejects(post(SUPERVISOR.email, 'updateLocation', {
+            location: combineMaps(location, {
+                timezone: 'America/Palo_Alto',
+            }),
+            id: id,
+        }), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'location.timezone',
+        });
+    });
+
+    it('rejects bell schedules that refer to missing schedules', async () => {
+        await createUsers();
+        const [location, id] = await createLocation();
+        await assert.rejects(post(SUPERVISOR.email, 'updateLocation', {
+            location: combineMaps(location, {
+                rotation: {
+                    Wednesday: 'Minimum Day',
+                },
+            }),
+            id: id,
+        }), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'location.rotation.Wednesday',
+        });
+    });
+
+    it('rejects invalid service hour milestones', async () => {
+        await createUsers();
+        const [location, id] = await createLocation();
+        await assert.rejects(post(SUPERVISOR.email, 'updateLocation', {
+            location: combineMaps(location, {
+                milestones: [10, 0],
+            }),
+            id: id,
+        }), {
+            status: 400,
+            code: 'invalid-argument',
+            field: 'location.milestones[1]',
+        });
+    });
+
     it('lets supervisors delete locations', async () => {
         await createUsers();
         const [location, id] = await createLocation();
@@ -446,6 +1439,115 @@ describe('Tutorbook\'s REST API', () => {
         });
     });
 
+    it('rejects requests to archived locations', async () => {
+        await createUsers();
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            archived: {
+                by: {
+                    uid: SUPERVISOR.uid,
+                    name: SUPERVISOR.name,
+                },
+                until: '2020-01-01',
+            },
+        });
+        await data(state);
+        return assert.rejects(post(PUPIL.email, 'newRequest', {
+            request: REQUEST,
+            payment: {},
+        }), {
+            status: 400,
+            code: 'failed-precondition',
+            field: 'request.location',
+        });
+    });
+
+    it('sends archive notices and winds down archived locations', async () => {
+        await approveRequest();
+        await createLocation();
+        const until = nextWeeksDate('Monday');
+        const res = await post(SUPERVISOR.email, 'archiveLocation', {
+            id: LOCATION_ID,
+            until: until,
+        });
+        assert.equal(res.data.canceled, 0);
+        for (const user of [PUPIL, TUTOR]) {
+            const notices = await getAll('users/' + user.uid +
+                '/archiveNotices');
+            assert.equal(notices.length, 1);
+            assert.equal(notices[0].id, APPT_ID);
+            assert.equal(notices[0].until, until);
+        }
+        const path = 'locations/' + LOCATION_ID + '/appointments/' + APPT_ID;
+        assert.ok(await get(path));
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            archived: {
+                by: {
+                    uid: SUPERVISOR.uid,
+                    name: SUPERVISOR.name,
+                },
+                until: '2020-01-01', // Last day passed
+            },
+        });
+        await data(state);
+        await trigger('windDownLocations', async () => !(await get(path)));
+        for (const user of [PUPIL, TUTOR]) {
+            assert.equal(await get('users/' + user.uid + '/appointments/' +
+                APPT_ID), undefined);
+            assert.ok(await get('users/' + user.uid +
+                '/canceledAppointments/' + APPT_ID));
+        }
+        assert.ok(await get('locations/' + LOCATION_ID +
+            '/canceledAppointments/' + APPT_ID));
+    });
+
+    it('sends archive notices in batches of 500', async () => {
+        await createUsers();
+        await createLocation();
+        const state = {};
+        for (var i = 0; i < 260; i++) state['locations/' + LOCATION_ID +
+            '/appointments/' + APPT_ID + i] = APPT; // 520 notices
+        await data(state);
+        await post(SUPERVISOR.email, 'archiveLocation', {
+            id: LOCATION_ID,
+            until: nextWeeksDate('Monday'),
+        });
+        for (const user of [PUPIL, TUTOR]) assert.equal((await getAll('users/' +
+            user.uid + '/archiveNotices')).length, 260);
+    });
+
+    it('archives one-off appointments at their local times', async () => {
+        await createUsers();
+        const appt = combineMaps(APPT, {
+            time: {
+                day: 'Monday',
+                from: '3:00 PM',
+                to: '4:00 PM',
+                date: '2020-01-06',
+            },
+        });
+        const state = {};
+        state['locations/' + LOCATION_ID] = combineMaps(LOCATION, {
+            timezone: 'America/New_York',
+        });
+        state['users/' + PUPIL.uid + '/appointments/' + APPT_ID] = appt;
+        state['users/' + TUTOR.uid + '/appointments/' + APPT_ID] = appt;
+        state['locations/' + LOCATION_ID + '/appointments/' + APPT_ID] = appt;
+        await data(state);
+        const path = 'locations/' + LOCATION_ID + '/pastAppointments';
+        await trigger('archivePastAppts', async () => (await getAll(path))
+            .length);
+        const [pastAppt] = await getAll(path);
+        assert.ok(pastAppt.unclocked);
+        assert.equal(pastAppt.clockIn.sentTimestamp.toDate().toISOString(),
+            '2020-01-06T20:00:00.000Z'); // 3:00 PM EST
+        assert.equal(pastAppt.clockOut.sentTimestamp.toDate().toISOString(),
+            '2020-01-06T21:00:00.000Z');
+        assert.equal(await get('locations/' + LOCATION_ID + '/appointments/' +
+            APPT_ID), undefined);
+    });
+
     it('lets supervisors download PDF backups of database', async () => {
         await approveRequest();
         await createLocation();
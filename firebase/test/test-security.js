@@ -448,6 +448,32 @@ describe('Tutorbook\'s Database Security', async () => {
         await firebase.assertFails(query.get());
     });
 
+    it('lets supervisors read their location\'s audit log', async () => {
+        await createLocation();
+        const db = authedApp({
+            uid: SUPERVISOR.uid,
+            supervisor: true,
+            locations: [LOCATION_ID],
+        });
+        const query = db.collection('locations').doc(LOCATION_ID)
+            .collection('auditLogs');
+        await firebase.assertSucceeds(query.get());
+    });
+
+    it('prevents supervisors from changing audit logs', async () => {
+        await createLocation();
+        const db = authedApp({
+            uid: SUPERVISOR.uid,
+            supervisor: true,
+            locations: [LOCATION_ID],
+        });
+        const ref = db.collection('locations').doc(LOCATION_ID)
+            .collection('auditLogs').doc();
+        await firebase.assertFails(ref.set({
+            action: 'createLocation',
+        }));
+    });
+
     it('lets users read their approved clock-in requests', async () => {
         await createApprovedClockIn();
         const db = authedApp({
@@ -64,6 +64,37 @@ const data = async (data, partition = 'default') => {
     for (const key in data) await db.doc(partition + '/' + key).set(data[key]);
 };
 
+/**
+ * Gets the data of the Firestore document at the given path.
+ * @param {string} path - The document's path (within the partition).
+ * @param {string} [partition='default'] - The database partition to get the
+ * document from.
+ * @return {Promise<Object>} Promise that resolves with the document's data (or
+ * `undefined` if it doesn't exist).
+ */
+const get = async (path, partition = 'default') => {
+    const db = firebase.initializeAdminApp({
+        projectId: PROJECT_ID,
+    }).firestore().collection('partitions');
+    return (await db.doc(partition + '/' + path).get()).data();
+};
+
+/**
+ * Gets the data of every Firestore document in the collection at the given
+ * path.
+ * @param {string} path - The collection's path (within the partition).
+ * @param {string} [partition='default'] - The database partition to get the
+ * documents from.
+ * @return {Promise<Object[]>} Promise that resolves with each document's data.
+ */
+const getAll = async (path, partition = 'default') => {
+    const db = firebase.initializeAdminApp({
+        projectId: PROJECT_ID,
+    }).firestore().collection('partitions');
+    return (await db.collection(partition + '/' + path).get()).docs
+        .map(doc => doc.data());
+};
+
 /**
  * Returns the combination of `mapA` and `mapB` while always giving priority to
  * `mapB` (i.e. if they both have the same key, the value at that key in the
@@ -147,4 +178,6 @@ module.exports = {
     combinations,
     authedApp,
     data,
+    get,
+    getAll,
 };
\ No newline at end of file
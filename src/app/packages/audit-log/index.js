@@ -0,0 +1,257 @@
+/**
+ * Package that contains the supervisor audit log screen.
+ * @module @tutorbook/audit-log
+ * @see {@link https://npmjs.com/package/@tutorbook/audit-log}
+ *
+ * @license
+ * Copyright (C) 2020 Tutorbook
+ *
+ * This program is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option) any
+ * later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more
+ * details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see {@link https://www.gnu.org/licenses/}.
+ */
+
+import {
+    MDCTextField
+} from '@material/textfield/index';
+
+import * as $ from 'jquery';
+import to from 'await-to-js';
+
+import Card from '@tutorbook/card';
+import Utils from '@tutorbook/utils';
+import Data from '@tutorbook/data';
+
+/**
+ * Class that represents the audit log screen that enables supervisors to see
+ * (and export for compliance reviews) every data action performed on their
+ * locations' data:
+ * - Who performed the action (the actor)
+ * - Which documents the action targeted
+ * - How those documents changed (their before and after values)
+ * @todo Paginate entries (we only show the most recent 50 for now).
+ */
+export default class AuditLog {
+    constructor(locations = window.app.data.locations) {
+        this.locations = locations;
+        this.filters = {
+            location: (locations[0] || {}).id,
+            action: 'Any',
+            actor: '',
+            target: '',
+            from: '',
+            before: '',
+        };
+        this.render = window.app.render;
+        this.renderSelf();
+    }
+
+    renderSelf() {
+        this.main = this.render.template('audit-log');
+        this.header = this.render.header('header-back', {
+            title: 'Audit Log',
+        });
+
+        const add = (el) => $(this.main).find('#filters').append(el);
+        const location = this.locations.find(l => l.id === this.filters
+            .location) || {};
+
+        add(this.render.actionDivider('Filters', {
+            export: () => this.export(),
+        }));
+        add(this.render.selectItem('Location', location.name, this.locations
+            .map(l => l.name)));
+        add(this.render.selectItem('Action', this.filters.action, ['Any']
+            .concat(AuditLog.actions)));
+        add(this.render.textFieldItem('Actor', this.filters.actor));
+        add(this.render.textFieldItem('Target', this.filters.target));
+        add(this.render.textFieldItem('From', this.filters.from));
+        add(this.render.textFieldItem('Before', this.filters.before));
+        add(this.render.listDivider('Entries'));
+    }
+
+    view() {
+        window.app.intercom.view(true);
+        window.app.view(this.header, this.main);
+        if (!this.managed) this.manage();
+        this.viewEntries();
+    }
+
+    manage() {
+        this.managed = true;
+        Utils.attachHeader(this.header);
+        const s = (id, a) => {
+            const s = Utils.attachSelect($(this.main).find('#' + id)[0]);
+            s.listen('MDCSelect:change', () => a(s.value));
+        };
+        const t = (id, a) => {
+            const t = MDCTextField.attachTo($(this.main).find('#' + id)[0]);
+            t.listen('change', () => a(t.value.trim()));
+            return t;
+        };
+        const filter = (key) => (value) => {
+            this.filters[key] = value;
+            this.viewEntries();
+        };
+        s('Location', (name) => filter('location')(this.locations
+            .find(l => l.name === name).id));
+        s('Action', filter('action'));
+        this.textFields = {
+            actor: t('Actor', filter('actor')),
+            target: t('Target', filter('target')),
+        };
+        ['from', 'before'].forEach(key => {
+            const f = t(Utils.caps(key), (value) => {
+                if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value))
+                    return setTimeout(() => f.valid = false, 50);
+                filter(key)(value);
+            });
+        });
+    }
+
+    /**
+     * Gets the audit log query that matches the current filters (where `from`
+     * and `before` are `YYYY-MM-DD` dates).
+     * @return {external:Query} The audit log query (ordered by most recent).
+     */
+    get query() {
+        var query = window.app.db.collection('locations')
+            .doc(this.filters.location).collection('auditLogs');
+        if (this.filters.action !== 'Any') query = query.where('action', '==',
+            this.filters.action);
+        if (this.filters.actor) query = query.where('actor.uid', '==',
+            this.filters.actor);
+        if (this.filters.target) query = query.where('targets',
+            'array-contains', this.filters.target);
+        if (this.filters.from) query = query.where('timestamp', '>=',
+            new Date(this.filters.from));
+        if (this.filters.before) query = query.where('timestamp', '<',
+            new Date(this.filters.before));
+        return query.orderBy('timestamp', 'desc').limit(50);
+    }
+
+    async viewEntries() {
+        const cards = $(this.main).find('#cards').empty();
+        if (!this.filters.location) return cards.append(this.renderEmpty());
+        const [err, snapshot] = await to(this.query.get());
+        if (err) {
+            console.error('[ERROR] Could not get audit log b/c of ', err);
+            return window.app.snackbar.view('Could not get audit log.');
+        }
+        if (!snapshot.size) return cards.append(this.renderEmpty());
+        snapshot.docs.forEach(doc => cards.append(this.renderCard(doc)));
+    }
+
+    renderCard(doc) {
+        const entry = doc.data();
+        const filter = (key, value) => {
+            this.filters[key] = value;
+            this.textFields[key].value = value;
+            this.viewEntries();
+        };
+        const title = Utils.caps(entry.action.replace(/([A-Z])/g, ' $1')
+            .toLowerCase());
+        const subtitle = 'By ' + entry.actor.name + ' on ' + entry.timestamp
+            .toDate().toLocaleString();
+        const summary = entry.changes.map(c => (!c.before ? 'Created ' :
+            !c.after ? 'Deleted ' : 'Changed ' + c.fields.join(', ') + ' on ') +
+            c.path.split('/').slice(-2).join('/') + '.').join(' ') + (entry
+            .error ? ' Failed: ' + entry.error.message : '') || 'No changes.';
+        const actions = {
+            options: {
+                'Filter by actor': () => filter('actor', entry.actor.uid),
+                'Filter by target': () => filter('target', entry.targets[0]),
+                'Raw Data': () => Utils.viewRaw(doc),
+            },
+            primary: () => Utils.viewRaw(doc),
+        };
+        const card = Card.renderCard(title, subtitle, summary, actions);
+        $(card).attr('id', doc.id).attr('type', 'auditLogs');
+        return card;
+    }
+
+    renderEmpty() {
+        return this.render.template('centered-text', {
+            text: 'No audit log entries.',
+        });
+    }
+
+    async export() {
+        window.app.snackbar.view('Generating audit log...');
+        const [err, url] = await to(Data.getAuditLog({
+            location: this.filters.location,
+            action: this.filters.action !== 'Any' ? this.filters.action : '',
+            actor: this.filters.actor,
+            target: this.filters.target,
+            from: this.filters.from,
+            to: this.filters.before,
+        }));
+        if (err) return window.app.snackbar.view('Could not generate audit ' +
+            'log.');
+        window.app.snackbar.view('Generated audit log.', 'view',
+            () => window.open(url), true, -1);
+    }
+};
+
+/**
+ * The data actions that are recorded in our audit log (and that supervisors
+ * can filter their audit logs by).
+ * @type {string[]}
+ */
+AuditLog.actions = [
+    'adjustHours',
+    'applyHoursRounding',
+    'approveClockIn',
+    'approveClockOut',
+    'approvePayment',
+    'approveRequest',
+    'approveTimeRequest',
+    'archiveLocation',
+    'cancelAppt',
+    'cancelApptOccurrence',
+    'cancelRequest',
+    'clockIn',
+    'clockOut',
+    'createLocation',
+    'createProxyUser',
+    'createUser',
+    'deleteLocation',
+    'deletePastAppt',
+    'deleteUser',
+    'denyPayment',
+    'instantClockIn',
+    'instantClockOut',
+    'joinAppt',
+    'joinWaitlist',
+    'leaveAppt',
+    'leaveWaitlist',
+    'mergeUsers',
+    'modifyAppt',
+    'modifyApptOccurrence',
+    'modifyPastAppt',
+    'modifyRequest',
+    'modifyTimeRequest',
+    'newPastAppt',
+    'newRequest',
+    'newTimeRequest',
+    'purgeLocation',
+    'rebuildHours',
+    'rejectClockIn',
+    'rejectClockOut',
+    'rejectRequest',
+    'rejectTimeRequest',
+    'reorderWaitlist',
+    'requestPaymentFor',
+    'requestPayout',
+    'undoAction',
+    'updateLocation',
+];
@@ -38,6 +38,7 @@ import {
     ViewActiveApptDialog,
     ViewCanceledApptDialog,
     ConfirmationDialog,
+    DeleteUserDialog,
 } from '@tutorbook/dialogs';
 
 // Users
@@ -220,7 +221,7 @@ Card.renderUserCard = (doc) => {
                 View: () => User.viewUser(p.uid),
                 Edit: () => new EditProfile(p).view(),
                 Match: () => new window.app.MatchingDialog(p).view(),
-                Delete: () => new ConfirmationDialog('Delete Account?',
+                Delete: () => new DeleteUserDialog('Delete Account?',
                     'You are about to permanently delete ' + p.name +
                     '\'s account data. This action cannot be undone. Please ' +
                     'ensure to check with your fellow supervisors before ' +
@@ -229,7 +230,17 @@ Card.renderUserCard = (doc) => {
                         if (err) return window.app.snackbar.view('Could not ' +
                             'delete ' + p.name + '\'s account.');
                         window.app.snackbar.view('Deleted account.');
-                    }).view(),
+                    }, p.uid).view(),
+                'Rebuild Hours': async () => {
+                    window.app.snackbar.view('Rebuilding ' + p.name + '\'s ' +
+                        'service hours...');
+                    const [err, res] = await to(Data.rebuildHours(p.uid));
+                    if (err) return window.app.snackbar.view('Could not ' +
+                        'rebuild ' + p.name + '\'s service hours.');
+                    window.app.snackbar.view('Rebuilt service hours (' + Utils
+                        .getDurationStringFromSecs(p.type === 'Tutor' ? res
+                            .secondsTutored : res.secondsPupiled) + ').');
+                },
                 'Raw Data': () => Utils.viewRaw(doc),
             },
         });
@@ -664,6 +675,7 @@ Card.renderRejectedRequestOutCard = function(doc) {
         var summary = data.rejectedBy.name.split(' ')[0] + ' rejected the ' +
             'request you sent. Please ensure to address these changes as necessary.';
     }
+    if (data.reason) summary = data.reason + ' ' + summary;
     const actions = {
         primary: () => {
             new ViewRejectedRequestDialog(data, doc.id).view();
@@ -745,18 +757,15 @@ Card.renderModifiedApptCard = function(doc) {
 // Render function that returns a populated canceledAppointments dashboard card
 Card.renderCanceledApptCard = function(doc) {
     const data = doc.data();
-    if (data.canceledBy.email !== data.for.attendees[0].email) {
-        var otherUser = data.for.attendees[0];
-    } else {
-        var otherUser = data.for.attendees[1];
-    }
+    const others = Utils.getAttendeeNames(data.for.attendees.filter(a =>
+        a.email !== data.canceledBy.email), true);
     const summary = (app.user.type === 'Supervisor') ? data.canceledBy.name +
         ' canceled ' + Utils.getPronoun(data.canceledBy.gender) +
-        ' tutoring appointment with ' + otherUser.name + '. Please ' +
+        ' tutoring appointment with ' + others + '. Please ' +
         'ensure to address these changes as necessary.' :
-        ([data.for.attendees[0].email, data.for.attendees[1].email].indexOf(data.canceledBy.email) < 0) ?
+        (data.for.attendees.map(a => a.email).indexOf(data.canceledBy.email) < 0) ?
         data.canceledBy.name + ' canceled your ' +
-        'appointment with ' + otherUser.name + '. Please ensure to address these changes as necessary.' :
+        'appointment with ' + others + '. Please ensure to address these changes as necessary.' :
         data.canceledBy.name + ' canceled your ' +
         'appointment together. Please ensure to address these changes as necessary.';
     const subtitle = data.canceledBy.name.split(' ')[0] + ' canceled ' +
@@ -797,11 +806,12 @@ Card.renderRequestInCard = function(doc) {
                 [err, res] = await to(Data.rejectRequest(request, doc.id));
                 if (err) {
                     $(card).show();
-                    return window.app.snackbar.view('Could not reject request.');
+                    return window.app.snackbar.view(Data.errorMessage(err,
+                        'Could not reject request.'));
                 }
                 $(card).remove();
-                window.app.snackbar.view('Rejected request from ' +
-                    request.fromUser.email + '.');
+                Utils.viewUndoSnackbar('Rejected request from ' +
+                    request.fromUser.email + '.', res, 'request');
             })
             .view();
     };
@@ -840,11 +850,12 @@ Card.renderRequestOutCard = function(doc) {
             const [err, res] = await to(Data.cancelRequest(request, doc.id));
             if (err) {
                 $(card).show();
-                return window.app.snackbar.view('Could not cancel request.');
+                return window.app.snackbar.view(Data.errorMessage(err,
+                    'Could not cancel request.'));
             }
             $(card).remove();
-            window.app.snackbar.view('Canceled request to ' +
-                request.toUser.email + '.');
+            Utils.viewUndoSnackbar('Canceled request to ' +
+                request.toUser.email + '.', res, 'request');
         }).view();
     };
     actions.edit = function() {
@@ -861,24 +872,21 @@ Card.renderRequestOutCard = function(doc) {
 Card.renderActiveApptCard = function(doc) {
     const appt = doc.data();
 
-    if (appt.attendees[0].email == window.app.user.email) {
-        var withUser = appt.attendees[1];
-    } else {
-        var withUser = appt.attendees[0];
-    }
-
     if (app.user.type === 'Supervisor') {
-        var subtitle = "Between " + appt.attendees[0].name + ' and ' +
-            appt.attendees[1].name;
-        var summary = 'Tutoring session right now between ' + appt.attendees[0].name + ' and ' +
-            appt.attendees[1].name + ' for ' +
+        var subtitle = "Between " + Utils.getAttendeeNames(appt.attendees,
+            true);
+        var summary = 'Tutoring session right now between ' +
+            Utils.getAttendeeNames(appt.attendees, true) + ' for ' +
             appt.for.subject + " on " + appt.time.day + "s at " +
-            appt.clockIn.sentTimestamp.toDate().toLocaleTimeString() + ".";
+            Utils.dateToTimestring(appt.clockIn.sentTimestamp.toDate(),
+                Utils.getTimezone(appt.location)) + ".";
     } else {
-        var subtitle = "With " + withUser.name;
-        var summary = "Tutoring session right now with " + withUser.name +
+        var subtitle = "With " + Utils.getAttendeeNames(appt.attendees);
+        var summary = "Tutoring session right now with " +
+            Utils.getAttendeeNames(appt.attendees) +
             " for " + appt.for.subject + " on " + appt.time.day + "s at " +
-            appt.clockIn.sentTimestamp.toDate().toLocaleTimeString() + ".";
+            Utils.dateToTimestring(appt.clockIn.sentTimestamp.toDate(),
+                Utils.getTimezone(appt.location)) + ".";
     }
 
     const actions = {
@@ -890,8 +898,8 @@ Card.renderActiveApptCard = function(doc) {
         actions.clockout = async () => {
             window.app.snackbar.view('Sending request...');
             const [err, res] = await to(Data.clockOut(appt, doc.id));
-            if (err) return window.app.snackbar.view('Could not send clock-' +
-                'out request.');
+            if (err) return window.app.snackbar.view(Data.errorMessage(err,
+                'Could not send clock-out request.'));
             window.app.snackbar.view('Sent clock-out request to ' +
                 res.recipient.name + '.');
             ViewApptDialog.listen(
@@ -909,29 +917,25 @@ Card.renderActiveApptCard = function(doc) {
 Card.renderApptCard = function(doc) {
     const appt = doc.data();
 
-    if (appt.attendees[0].email == window.app.user.email) {
-        var withUser = appt.attendees[1];
-    } else {
-        var withUser = appt.attendees[0];
-    }
-
     if (app.user.type === 'Supervisor') {
-        var subtitle = "Between " + appt.attendees[0].name + ' and ' +
-            appt.attendees[1].name;
-        var summary = appt.attendees[0].name + ' and ' +
-            appt.attendees[1].name + ' have tutoring sessions for ' +
+        var subtitle = "Between " + Utils.getAttendeeNames(appt.attendees,
+            true);
+        var summary = Utils.getAttendeeNames(appt.attendees, true) +
+            ' have tutoring sessions for ' +
             appt.for.subject + " on " + appt.time.day + "s at " +
             appt.time.from + ".";
     } else {
-        var subtitle = "With " + withUser.name;
-        var summary = "You have tutoring sessions with " + withUser.name +
+        var subtitle = "With " + Utils.getAttendeeNames(appt.attendees);
+        var summary = "You have tutoring sessions with " +
+            Utils.getAttendeeNames(appt.attendees) +
             " for " + appt.for.subject + " on " + appt.time.day + "s at " +
             appt.time.from + ".";
     }
     const actions = {};
     var card;
     actions.cancel = function() {
-        var summary = "Cancel sessions with " + withUser.name + " for " +
+        var summary = "Cancel sessions with " + Utils.getAttendeeNames(
+            appt.attendees) + " for " +
             appt.for.subject + " at " + appt.time.from + " on " +
             appt.time.day + "s.";
         new ConfirmationDialog('Cancel Appointment?', summary, async () => {
@@ -940,11 +944,13 @@ Card.renderApptCard = function(doc) {
             const [err, res] = await to(Data.cancelAppt(appt, doc.id));
             if (err) {
                 $(card).show();
-                return app.snackbar.view('Could not cancel appointment.');
+                return app.snackbar.view(Data.errorMessage(err,
+                    'Could not cancel appointment.'));
             }
             $(card).remove();
-            app.snackbar.view('Canceled appointment with ' + withUser.email +
-                '.');
+            Utils.viewUndoSnackbar('Canceled appointment with ' +
+                Utils.getAttendeeNames(appt.attendees) + '.', res,
+                'appointment');
         }).view()
     };
     actions.view = function() {
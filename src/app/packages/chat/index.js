@@ -61,8 +61,8 @@ export class Chat {
     }
 
     toString() {
-        return 'Chat between ' + this.chat.chatters[0].name + ' and ' +
-            this.chat.chatters[1].name;
+        return 'Chat between ' + Utils.getAttendeeNames(this.chat.chatters,
+            true);
     }
 
     renderSelf() {
@@ -220,7 +220,8 @@ export class Chats {
 
         const chat = new Chat(doc.id, doc.data());
         this.chats[doc.id] = chat;
-        this.chatsByUID[getOther(doc.data().chatterUIDs)] = chat;
+        if (doc.data().chatterUIDs.length === 2) // Skip group chats
+            this.chatsByUID[getOther(doc.data().chatterUIDs)] = chat;
         const el = this.render.template('chat-list-item',
             Utils.combineMaps(doc.data(), {
                 open_chat: () => {
@@ -256,7 +257,8 @@ export class Chats {
             docs.push(chat);
         });
         for (var i = 0; i < docs.length; i++) {
-            if (docs[i].data().chatterUIDs.indexOf(user.uid) >= 0) {
+            if (docs[i].data().chatterUIDs.length === 2 &&
+                docs[i].data().chatterUIDs.indexOf(user.uid) >= 0) {
                 return new Chat(docs[i].id, docs[i].data());
             }
         }
@@ -119,16 +119,16 @@ export class ConfirmClockInDialog extends ConfirmDialog {
     async approve() {
         window.app.snackbar.view('Approving clock-in request...');
         const [err, res] = await to(Data.approveClockIn(this.request, this.id));
-        if (err) return window.app.snackbar.view('Could not approve clock-in ' +
-            'request.');
+        if (err) return window.app.snackbar.view(Data.errorMessage(err,
+            'Could not approve clock-in request.'));
         window.app.snackbar.view('Approved clock-in request.');
     }
 
     async reject() {
         window.app.snackbar.view('Rejecting clock-in request...');
         const [err, res] = await to(Data.rejectClockIn(this.request, this.id));
-        if (err) return window.app.snackbar.view('Could not reject clock-in ' +
-            'request.');
+        if (err) return window.app.snackbar.view(Data.errorMessage(err,
+            'Could not reject clock-in request.'));
         window.app.snackbar.view('Rejected clock-in request.');
     }
 }
@@ -174,16 +174,16 @@ export class ConfirmClockOutDialog extends ConfirmDialog {
     async approve() {
         window.app.snackbar.view('Approving clock-out request...');
         const [er, res] = await to(Data.approveClockOut(this.request, this.id));
-        if (er) return window.app.snackbar.view('Could not approve clock-out' +
-            ' request.');
+        if (er) return window.app.snackbar.view(Data.errorMessage(er,
+            'Could not approve clock-out request.'));
         window.app.snackbar.view('Approved clock-out request.');
     }
 
     async reject() {
         window.app.snackbar.view('Rejecting clock-out request...');
         const [err, res] = await to(Data.rejectClockOut(this.request, this.id));
-        if (err) return window.app.snackbar.view('Could not reject clock-out ' +
-            'request.');
+        if (err) return window.app.snackbar.view(Data.errorMessage(err,
+            'Could not reject clock-out request.'));
         window.app.snackbar.view('Rejected clock-out request.');
     }
 }
\ No newline at end of file
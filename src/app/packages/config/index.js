@@ -40,6 +40,7 @@ import {
 import Card from '@tutorbook/card';
 import HorzScroller from '@tutorbook/horz-scroller';
 import HrsConfig from '@tutorbook/hrs-config';
+import AuditLog from '@tutorbook/audit-log';
 import Data from '@tutorbook/data';
 import Utils from '@tutorbook/utils';
 
@@ -51,6 +52,7 @@ import Utils from '@tutorbook/utils';
  * - Edit list of grades
  * - Edit school schedule
  * - Define service hour rounding rules
+ * - Review (and export) their locations' audit logs
  */
 export default class Config {
     /**
@@ -138,6 +140,15 @@ export default class Config {
             actions: {
                 primary: () => this.hrsConfig.view(),
             },
+        }, {
+            title: 'Audit Log',
+            subtitle: 'Review every change to your data',
+            summary: 'See (and export for compliance reviews) who changed ' +
+                'what and when across your locations.',
+            actions: {
+                primary: () => (this.auditLog = this.auditLog ||
+                    new AuditLog()).view(),
+            },
         }, {
             title: 'Bell Schedule',
             subtitle: 'Configure your bell schedule',
@@ -199,25 +210,42 @@ export default class Config {
                 this.locations[doc.id] = d;
                 this.updateHrsConfig();
                 const dialog = new EditLocationDialog(d, doc.id);
-                const actions = {
-                    delete: () => new ConfirmationDialog('Delete Location?',
+                const archived = doc.data().archived;
+                const actions = archived ? {
+                    purge: () => new ConfirmationDialog('Purge Location?',
                         'You are about to permanently delete all ' + d.name +
-                        ' data. This action cannot be undone. Please ensure ' +
-                        'to check with your fellow supervisors before ' +
-                        'continuing.', async () => {
-                            window.app.snackbar.view('Deleting location...');
+                        ' data (including it\'s past appointments and ' +
+                        'service hours). This action cannot be undone. ' +
+                        'Please ensure to check with your fellow supervisors ' +
+                        'before continuing.', async () => {
+                            window.app.snackbar.view('Purging location...');
+                            const [err, res] = await to(Data
+                                .purgeLocation(doc.id));
+                            if (err) return window.app.snackbar.view('Could ' +
+                                'not purge location.');
+                            window.app.snackbar.view('Purged location.');
+                        }).view(),
+                    primary: () => dialog.view(),
+                } : {
+                    archive: () => new ConfirmationDialog('Archive Location?',
+                        'You are about to archive ' + d.name + '. It will ' +
+                        'no longer accept new requests and it\'s remaining ' +
+                        'appointments will be canceled (it\'s past ' +
+                        'appointments and service hours will still be ' +
+                        'available).', async () => {
+                            window.app.snackbar.view('Archiving location...');
                             const [err, res] = await to(Data
-                                .deleteLocation(doc.id));
+                                .archiveLocation(doc.id));
                             if (err) return window.app.snackbar.view('Could ' +
-                                'not delete location.');
-                            window.app.snackbar.view('Deleted location.');
+                                'not archive location.');
+                            window.app.snackbar.view('Archived location.');
                         }).view(),
                     edit: () => dialog.view(),
                     primary: () => dialog.view(),
                 };
                 const card = Card.renderCard(
                     d.name,
-                    Object.keys(d.hours).join(', '),
+                    archived ? 'Archived' : Object.keys(d.hours).join(', '),
                     d.description,
                     actions,
                 );
@@ -359,15 +359,18 @@ export class SupervisorDashboard extends Dashboard {
                     const senderPronoun = Utils.getPronoun(r.sentBy.gender);
                     const clockIn = r.appt.clockIn.sentTimestamp.toDate();
                     const clockOut = r.appt.clockOut.sentTimestamp.toDate();
+                    const timezone = Utils.getTimezone(r.appt.location);
                     const confirmTitle = 'Reject Time Request?';
                     const confirmSummary = 'Reject service hours request ' +
                         'from ' + r.sentBy.name + ' for ' + senderPronoun +
                         ' tutoring session with ' + other.name + ' for ' +
                         r.appt.for.subject + ' on ' +
-                        clockIn.toLocaleDateString() + ' from ' +
-                        Utils.dateToTimestring(clockIn) + ' to ' +
-                        Utils.dateToTimestring(clockOut) + '? This action ' +
-                        'cannot be undone.';
+                        clockIn.toLocaleDateString('en-US', {
+                            timeZone: timezone,
+                        }) + ' from ' +
+                        Utils.dateToTimestring(clockIn, timezone) + ' to ' +
+                        Utils.dateToTimestring(clockOut, timezone) + '? This ' +
+                        'action cannot be undone.';
                     const confirmAction = async () => {
                         window.app.snackbar.view('Rejecting time request...');
                         const [err, res] = await to(
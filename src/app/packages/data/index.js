@@ -83,6 +83,7 @@ export default class Data {
             this.locationDataByName[location.name] = location;
             this.locationsByID[location.id] = location.name;
             this.locationDataByID[location.id] = location;
+            if (location.archived) return; // Archived locations aren't options
             this.locationNames.push(location.name);
             this.locationIDs.push(location.id);
         });
@@ -139,12 +140,20 @@ export default class Data {
     }
 
     /**
-     * Uses web app location data to add periods to local data.
+     * Uses web app location data (i.e. each location's bell schedules and the
+     * periods in it's open hours) to add periods to local data.
      * @param {Object[]} [locations=window.app.locations] - The array of 
      * locations to get periods from.
      */
     initPeriods() {
         const times = {};
+        this.locations.forEach(location => Data.days.forEach(d => Data
+            .getPeriods(location, {
+                day: d,
+            }).forEach(p => {
+                if (!times[d]) times[d] = [];
+                if (times[d].indexOf(p.name) < 0) times[d].push(p.name);
+            })));
         this.locations.forEach(location => {
             Object.entries(location.hours).forEach(([d, a]) => a.forEach(s => {
                 if (!times[d]) times[d] = [];
@@ -378,6 +387,21 @@ export default class Data {
         });
     }
 
+    static async getAuditLog(params) {
+        return axios({
+            method: 'get',
+            url: window.app.functionsURL + 'auditLogAsPDF',
+            responseType: 'blob',
+            params: Data.combineMaps({
+                token: (await firebase.auth().currentUser.getIdToken(true)),
+                location: window.app.location.id,
+                test: window.app.test,
+            }, params),
+        }).then((res) => {
+            return window.URL.createObjectURL(res.data);
+        });
+    }
+
     static concatArr(arrA, arrB) {
         var result = [];
         arrA.forEach((item) => {
@@ -523,8 +547,30 @@ export default class Data {
         });
     }
 
-    static deleteLocation(id) {
-        return Data.post('deleteLocation', {
+    /**
+     * Archives the given location (archived locations no longer accept new
+     * requests and their remaining appointments are canceled after `until`).
+     * @param {string} id - The location's Firestore document ID.
+     * @param {string} [until] - The location's last `YYYY-MM-DD` day (omit it
+     * to cancel the location's remaining appointments right away).
+     * @return {Promise} Promise that resolves with the `res.data` once the 
+     * location has been archived.
+     */
+    static archiveLocation(id, until) {
+        return Data.post('archiveLocation', {
+            id: id,
+            until: until,
+        });
+    }
+
+    /**
+     * Permanently deletes the given (archived and wound down) location.
+     * @param {string} id - The location's Firestore document ID.
+     * @return {Promise} Promise that resolves with the `res.data` once the 
+     * location has been purged.
+     */
+    static purgeLocation(id) {
+        return Data.post('purgeLocation', {
             id: id,
         });
     }
@@ -570,13 +616,151 @@ export default class Data {
         }
     }
 
-    static deleteUser(id) {
-        if (!id) {
+    /**
+     * Exports everything that we store about the given user (i.e. their
+     * profile, requests, appointments, payments, chats and service hours) as
+     * a JSON archive.
+     * @param {string} uid - The ID of the user to export.
+     * @return {Promise<Object>} Promise that resolves with the archive's
+     * download `url` (that `expires` in a week) and it's `summary`.
+     */
+    static exportUser(uid) {
+        return Data.post('exportUser', {
+            uid: uid,
+        });
+    }
+
+    /**
+     * Previews everything that deleting the given user touches (i.e. the
+     * appointments, requests and chats that are canceled or deleted).
+     * @param {string} uid - The ID of the user to delete.
+     * @return {Promise<Object>} Promise that resolves with the user's `appts`,
+     * `requestsIn`, `requestsOut`, `chats` and the paths of their own `docs`.
+     */
+    static previewUserDeletion(uid) {
+        return Data.post('previewUserDeletion', {
+            uid: uid,
+        });
+    }
+
+    /**
+     * Deletes the given user (after canceling their appointments and
+     * requests, deleting their chats and removing their Firebase
+     * Authentication account).
+     * @param {string} uid - The ID of the user to delete.
+     * @return {Promise<Object>} Promise that resolves with the deletion's
+     * tombstone.
+     */
+    static deleteUser(uid) {
+        if (!uid) {
             throw new Error('Could not delete user b/c id was undefined.');
-        } else if (id.indexOf('@') >= 0) {
+        } else if (uid.indexOf('@') >= 0) {
             throw new Error('Using an email as a user ID is deprecated.');
         }
-        return window.app.db.collection('users').doc(id).delete();
+        return Data.post('deleteUser', {
+            uid: uid,
+        });
+    }
+
+    /**
+     * Rebuilds the given user's hours ledger from their past appointments
+     * (keeping any manual adjustments) and recomputes their service hours.
+     * @param {string} uid - The ID of the user whose hours to rebuild.
+     * @return {Promise<Object>} Promise that resolves with the user's
+     * recomputed `secondsTutored` and `secondsPupiled`.
+     */
+    static rebuildHours(uid) {
+        return Data.post('rebuildHours', {
+            uid: uid,
+        });
+    }
+
+    /**
+     * Previews how re-rounding the given location's past appointments (within
+     * the given date range) with the given rounding rules would change each
+     * tutor's service hours.
+     * @param {string} id - The location's Firestore document ID.
+     * @param {Object} rules - The location's `rounding`, `threshold` and
+     * `timeThreshold`.
+     * @param {string} [from] - The first `YYYY-MM-DD` date of the range.
+     * @param {string} [to] - The last `YYYY-MM-DD` date of the range.
+     * @return {Promise<Object>} Promise that resolves with the number of past
+     * `appts` in range (and how many of them would be `changed`) and each
+     * tutor's `current` and `proposed` seconds tutored.
+     */
+    static previewHoursRounding(id, rules, from, to) {
+        return Data.post('previewHoursRounding', {
+            id: id,
+            rules: rules,
+            from: from || undefined,
+            to: to || undefined,
+        });
+    }
+
+    /**
+     * Saves the given rounding rules and re-rounds the given location's past
+     * appointments (within the given date range) with them (rebuilding the
+     * service hours of each of their attendees).
+     * @param {string} id - The location's Firestore document ID.
+     * @param {Object} rules - The location's `rounding`, `threshold` and
+     * `timeThreshold`.
+     * @param {string} [from] - The first `YYYY-MM-DD` date of the range.
+     * @param {string} [to] - The last `YYYY-MM-DD` date of the range.
+     * @return {Promise<Object>} Promise that resolves with the number of past
+     * `appts` in range (and how many of them were `changed`) and the
+     * recomputed service hours of the affected `users`.
+     */
+    static applyHoursRounding(id, rules, from, to) {
+        return Data.post('applyHoursRounding', {
+            id: id,
+            rules: rules,
+            from: from || undefined,
+            to: to || undefined,
+        });
+    }
+
+    /**
+     * Gets the other accounts that share the given user's name (e.g. the
+     * account that a pupil created by signing in after their supervisor already
+     * created a proxy account for them).
+     * @param {Profile} profile - The user to find duplicates of.
+     * @return {Promise<Profile[]>} Promise that resolves with the duplicates.
+     */
+    static async getDuplicateUsers(profile) {
+        return (await window.app.db.collection('users')
+            .where('name', '==', profile.name).get()).docs
+            .map(doc => doc.data()).filter(user => user.uid !== profile.uid);
+    }
+
+    /**
+     * Reports everything that merging the given (duplicate) user into another
+     * user touches (i.e. a dry run of `Data.mergeUsers`).
+     * @param {string} from - The ID of the (duplicate) user to merge.
+     * @param {string} into - The ID of the user to merge them into.
+     * @return {Promise<Object>} Promise that resolves with the `moves` and
+     * `rewrites` of documents and the service `hours` that are moved.
+     */
+    static previewUserMerge(from, into) {
+        return Data.post('previewUserMerge', {
+            from: from,
+            into: into,
+        });
+    }
+
+    /**
+     * Merges the given (duplicate) user into another user (i.e. moves their
+     * appointments, requests, past appointments, chats, service hours and
+     * payment records and then deletes their account).
+     * @param {string} from - The ID of the (duplicate) user to merge.
+     * @param {string} into - The ID of the user to merge them into.
+     * @return {Promise<Object>} Promise that resolves with the merge's
+     * tombstone.
+     */
+    static mergeUsers(from, into) {
+        return Data.post('mergeUsers', {
+            from: from,
+            into: into,
+        });
     }
 
     static createUser(user) {
@@ -617,30 +801,80 @@ export default class Data {
     // 2a) axios will throw a "Network Error" for uncaught errors server-side
     // 2b) res.data will be "ERROR" for known errors server-side
     // 2c) res.data will be "SUCCESS" when there are no errors server-side
-    // Whenever a data function is called, the app will wait for a "SUCCESS" 
-    // before showing the user a snackbar. If an error is thrown, we show the 
+    // Whenever a data function is called, the app will wait for a "SUCCESS"
+    // before showing the user a snackbar. If an error is thrown, we show the
     // user an error message snackbar.
-    static async post(action, data) {
+    // Every call is sent with an `Idempotency-Key` header that is reused when
+    // we retry after network errors (so the server only performs it once).
+    static async post(action, data, key = Data.idempotencyKey(), retries = 2) {
         return axios({
             method: 'post',
             url: window.app.functionsURL + 'data',
+            headers: {
+                'Authorization': 'Bearer ' +
+                    (await firebase.auth().currentUser.getIdToken(true)),
+                'Idempotency-Key': key,
+            },
             params: {
                 test: window.app.test,
-                user: window.app.user.uid,
                 action: action,
-                token: (await firebase.auth().currentUser.getIdToken(true)),
             },
             data: data,
         }).then((res) => {
-            if (typeof res.data === 'string' && res.data.indexOf('ERROR') > 0)
-                throw new Error(res.data.replace('[ERROR] ', ''));
             return res.data;
         }).catch((err) => {
+            if (!err.response && err.request && retries > 0) {
+                console.warn('[WARNING] Retrying ' + action + ' REST API ' +
+                    'call after network error...', err);
+                return Data.post(action, data, key, retries - 1);
+            }
             console.error('[ERROR] During ' + action + ' REST API call.', err);
-            throw err;
+            if (!err.response || !err.response.data ||
+                !err.response.data.error) throw err;
+            const error = err.response.data.error;
+            throw Object.assign(new Error(error.message), {
+                code: error.code,
+                field: error.field,
+                status: err.response.status,
+                results: err.response.data.results, // Only sent for batches
+            });
         });
     }
 
+    /**
+     * Generates a snackbar message describing why a data action failed.
+     * @param {Error} err - The error thrown by `Data.post` (which includes the
+     * machine-readable `code` and offending `field` sent by our REST API).
+     * @param {string} message - The generic failure message (e.g. `Could not
+     * send request.`).
+     * @return {string} The generic failure message followed by the precise
+     * reason (when our REST API sent one).
+     */
+    static errorMessage(err, message) {
+        if (!err || !err.code) return message;
+        switch (err.code) {
+            case 'permission-denied':
+                return message + ' You are not allowed to do that.';
+            case 'not-found':
+                return message + ' It no longer exists.';
+            case 'unauthenticated':
+                return message + ' Please sign in again.';
+            case 'internal':
+                return message;
+            default:
+                return message + ' ' + err.message;
+        };
+    }
+
+    /**
+     * Generates a random idempotency key for our data REST API.
+     * @return {string} A random key (e.g. `k8yfx2o1-3n4pwz8q0rj`).
+     */
+    static idempotencyKey() {
+        const random = () => Math.random().toString(36).substr(2, 10);
+        return Date.now().toString(36) + '-' + random() + random();
+    }
+
     static requestPayout() {
         return Data.post('requestPayout');
     }
@@ -702,6 +936,23 @@ export default class Data {
         return result;
     }
 
+    /**
+     * Gets the bell schedule (i.e. the periods, each w/ a `name` and it's
+     * `from` and `to` clock times) that the given location follows at the
+     * given time. Locations define their regular `periods` and (optionally)
+     * named alternate `schedules` that they follow on certain weekdays (their
+     * `rotation`) or on certain dates (their `alternates`).
+     * @param {Location} location - The location's data.
+     * @param {Object} time - The time (i.e. `{ day, from, to, date }`).
+     * @return {Object[]} The periods that the location follows at that time.
+     */
+    static getPeriods(location = {}, time = {}) {
+        const schedules = location.schedules || {};
+        const schedule = (location.alternates || {})[time.date] ||
+            (location.rotation || {})[time.day];
+        return schedules[schedule] || location.periods || [];
+    }
+
     static cloneMap(map) { // Don't create dependency loops by require('@tutorbook/utils')
         var clone = {};
         for (var i in map) {
@@ -755,17 +1006,19 @@ export default class Data {
         });
     }
 
-    static approveRequest(request, id) {
+    static approveRequest(request, id, ignoreConflicts = false) {
         return Data.post('approveRequest', {
             request: request,
             id: id,
+            ignoreConflicts: ignoreConflicts,
         });
     }
 
-    static modifyAppt(appt, id) {
+    static modifyAppt(appt, id, ignoreConflicts = false) {
         return Data.post('modifyAppt', {
             appt: appt,
             id: id,
+            ignoreConflicts: ignoreConflicts,
         });
     }
 
@@ -796,6 +1049,94 @@ export default class Data {
         });
     }
 
+    static cancelApptOccurrence(appt, id, date) {
+        return Data.post('cancelApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: date,
+        });
+    }
+
+    static modifyApptOccurrence(appt, id, date, time) {
+        return Data.post('modifyApptOccurrence', {
+            appt: appt,
+            id: id,
+            date: date,
+            time: time,
+        });
+    }
+
+    static joinAppt(appt, id, attendee) {
+        return Data.post('joinAppt', {
+            appt: appt,
+            id: id,
+            attendee: attendee,
+        });
+    }
+
+    static leaveAppt(appt, id, attendee) {
+        return Data.post('leaveAppt', {
+            appt: appt,
+            id: id,
+            attendee: attendee,
+        });
+    }
+
+    static joinWaitlist(waitlist, pupil, subject) {
+        return Data.post('joinWaitlist', {
+            waitlist: waitlist,
+            pupil: pupil,
+            subject: subject,
+        });
+    }
+
+    static leaveWaitlist(waitlist, pupil) {
+        return Data.post('leaveWaitlist', {
+            waitlist: waitlist,
+            pupil: pupil,
+        });
+    }
+
+    static reorderWaitlist(waitlist, order) {
+        return Data.post('reorderWaitlist', {
+            waitlist: waitlist,
+            order: order,
+        });
+    }
+
+    /**
+     * Performs the given data actions (in order) in a single REST API call.
+     * @param {Object[]} actions - The data actions to perform (each w/ an
+     * `action` and it's `data`).
+     * @param {string} [mode='best-effort'] - Either `best-effort` (perform
+     * every action even if some fail) or `check-first` (don't perform any of
+     * the actions if any of them are invalid or not allowed and stop at the
+     * first action that fails; actions that were already performed are kept).
+     * @return {Promise<Object>} Promise that resolves with the `results` of
+     * every action (each w/ a `status` of `ok`, `error` or `aborted`).
+     */
+    static batch(actions, mode = 'best-effort') {
+        return Data.post('batch', {
+            actions: actions,
+            mode: mode,
+        });
+    }
+
+    /**
+     * Undoes a canceled appointment or request, a rejected request or a
+     * deleted past appointment (within a short window after it was performed).
+     * @param {string} id - The ID of the undoable action (i.e. the `undo.id`
+     * returned by the `cancelAppt`, `cancelRequest`, `rejectRequest` or
+     * `deletePastAppt` data action).
+     * @return {Promise<Object>} Promise that resolves with the undone `action`
+     * and the paths of the `restored` documents.
+     */
+    static undo(id) {
+        return Data.post('undoAction', {
+            id: id,
+        });
+    }
+
     static rejectRequest(request, id) {
         return Data.post('rejectRequest', {
             request: request,
@@ -810,10 +1151,11 @@ export default class Data {
         });
     }
 
-    static modifyRequest(request, id) {
+    static modifyRequest(request, id, ignoreConflicts = false) {
         return Data.post('modifyRequest', {
             request: request,
             id: id,
+            ignoreConflicts: ignoreConflicts,
         });
     }
 
@@ -838,10 +1180,11 @@ export default class Data {
         return result;
     }
 
-    static newRequest(request, payment) {
+    static newRequest(request, payment, ignoreConflicts = false) {
         return Data.post('newRequest', {
             request: request,
             payment: payment,
+            ignoreConflicts: ignoreConflicts,
         });
     }
 
@@ -902,6 +1245,33 @@ Data.roundings = ['Up', 'Down', 'Normally'];
 // Round durations to the nearest (e.g. 'Minute' : 23.3 mins --> 23 mins).
 Data.thresholds = ['Minute', '5 Minutes', '15 Minutes', '30 Minutes', 'Hour'];
 
+// Remind tutors about requests they haven't responded to after this long.
+Data.requestReminders = [
+    '1 Day',
+    '2 Days',
+    '3 Days',
+    '5 Days',
+    '7 Days',
+    'Never',
+];
+
+// Automatically reject requests that haven't been responded to after this long.
+Data.requestExpiries = ['7 Days', '14 Days', '21 Days', '30 Days', 'Never'];
+
+// The name of each location's regular bell schedule (i.e. it's `periods`).
+Data.regularSchedule = 'Regular';
+
+// The (IANA) timezones that locations' appointment times can be in.
+Data.timezones = [
+    'America/Los_Angeles',
+    'America/Denver',
+    'America/Phoenix',
+    'America/Chicago',
+    'America/New_York',
+    'America/Anchorage',
+    'Pacific/Honolulu',
+];
+
 /**
  * An open hours object that represents/stores when a location is open for
  * tutoring.
@@ -919,6 +1289,18 @@ Data.thresholds = ['Minute', '5 Minutes', '15 Minutes', '30 Minutes', 'Hour'];
  * @property {string} name - The location's name (e.g. Gunn Academic Center).
  * @property {string} [description=''] - The location's description.
  * @property {string} [city='Palo Alto, CA'] - The location's city.
+ * @property {string} [timezone='America/Los_Angeles'] - The timezone that the
+ * location's appointment times (and service hours) are in.
+ * @property {Object[]} [periods=[]] - The location's regular bell schedule
+ * (i.e. it's periods, each w/ a `name` and it's `from` and `to` clock times).
+ * @property {Object} [schedules={}] - Named alternate bell schedules (e.g. `B
+ * Day` or `Minimum Day`).
+ * @property {Object} [rotation={}] - Which alternate schedule each weekday
+ * follows (e.g. `{ Wednesday: 'B Day' }`).
+ * @property {Object} [alternates={}] - Which alternate schedule specific
+ * `YYYY-MM-DD` dates follow (e.g. `{ '2020-03-05': 'Minimum Day' }`).
+ * @property {Object[]} [closures=[]] - Holidays and breaks (each w/ a `name`,
+ * a `from` date and an optional `to` date) that the location is closed for.
  * @property {Hours} hours - The location's open hours.
  * @property {Object} config - Configuration data (e.g. service hour rounding).
  * @property {string[]} supervisors - An array of supervisor uIDs.
@@ -931,6 +1313,12 @@ Data.emptyLocation = {
     name: '',
     description: '',
     city: 'Palo Alto, CA',
+    timezone: Data.timezones[0],
+    periods: [],
+    schedules: {},
+    rotation: {},
+    alternates: {},
+    closures: [],
     hours: {},
     config: {
         hrs: {
@@ -938,6 +1326,10 @@ Data.emptyLocation = {
             threshold: Data.thresholds[0],
             rounding: Data.roundings[0],
         },
+        requests: {
+            remind: Data.requestReminders[2],
+            expire: Data.requestExpiries[1],
+        },
     },
     supervisors: [],
     timestamp: new Date(),
@@ -976,6 +1368,7 @@ Data.emptyProfile = {
     numRatings: 0,
     subjects: [],
     cards: {},
+    limits: {},
     config: {
         showPayments: false,
         showProfile: true,
@@ -1002,64 +1395,6 @@ Data.emptyProfile = {
     locations: window.app ? [window.app.location.name] : [],
 };
 
-Data.gunnSchedule = {
-    // TODO: Actually populate this with the right daily schedule
-    Monday: [
-        'A Period',
-        'B Period',
-        'C Period',
-        'F Period',
-    ],
-    Tuesday: [
-        'D Period',
-        'Flex',
-        'E Period',
-        'A Period',
-        'G Period',
-    ],
-    Wednesday: [
-        'B Period',
-        'C Period',
-        'D Period',
-        'F Period',
-    ],
-    Thursday: [
-        'E Period',
-        'Flex',
-        'B Period',
-        'A Period',
-        'G Period',
-    ],
-    Friday: [
-        'C Period',
-        'D Period',
-        'E Period',
-        'F Period',
-        'G Period',
-    ],
-    Saturday: ['No school'],
-    Sunday: ['No school'],
-};
-
-Data.periods = [
-    'A Period', // Gunn
-    'B Period',
-    'C Period',
-    'D Period',
-    'E Period',
-    'F Period',
-    'G Period',
-    'Flex',
-    '3rd Period', // Paly
-    '4th Period',
-    '5th Period',
-    '6th Period',
-    '7th Period',
-    'Lunch',
-    'Tutorial',
-    'Afterschool',
-];
-
 Data.locations = ['Gunn Academic Center', 'Paly Peer Tutoring Center'];
 
 Data.addresses = {
@@ -1418,6 +1753,12 @@ Data.types = [
     'Supervisor',
 ];
 
+// The options for each of a tutor's capacity limits (i.e. their maximum weekly
+// sessions, weekly hours and distinct pupils).
+Data.limits = ['No limit'].concat(Array.from({
+    length: 20,
+}, (_, i) => (i + 1).toString()));
+
 Data.grades = [
     'Adult',
     'Senior', // High School
@@ -826,6 +826,288 @@ export class ConfirmationDialog {
     }
 };
 
+/**
+ * Class that represents the confirmation dialog that previews everything that
+ * deleting a user touches (i.e. the appointments, requests and chats that are
+ * canceled or deleted) before asking to delete them.
+ * @extends ConfirmationDialog
+ */
+export class DeleteUserDialog extends ConfirmationDialog {
+
+    /**
+     * Renders the dialog with the given message and title.
+     * @param {string} title - The title of the dialog (e.g. 'Delete Account?').
+     * @param {string} message - The summary of what the user is about to do
+     * (that the deletion preview is appended to).
+     * @param {actionCallback} action - The callback to do when the user
+     * confirms that they want to delete the user.
+     * @param {string} uid - The ID of the user being deleted.
+     */
+    constructor(title, message, action, uid) {
+        super(title, message, action);
+        this.uid = uid;
+    }
+
+    /**
+     * Gets the summary of the given deletion preview.
+     * @param {Object} preview - The deletion preview (from our data REST API's
+     * `previewUserDeletion` action).
+     * @return {string} The summary (e.g. `This will cancel 2 appointments,
+     * cancel or reject 1 request, delete 1 chat and delete 12 other
+     * documents.`).
+     */
+    static getSummary(preview) {
+        const count = (items, noun) => items.length + ' ' + noun +
+            (items.length === 1 ? '' : 's');
+        return 'This will cancel ' + count(preview.appts, 'appointment') +
+            ', cancel or reject ' + count(preview.requestsIn.concat(preview
+                .requestsOut), 'request') + ', delete ' + count(preview.chats,
+                'chat') + ' and delete ' + count(preview.docs, 'other ' +
+                'document') + '.';
+    }
+
+    /**
+     * Previews the deletion (and adds it's summary to the dialog) before
+     * viewing the dialog.
+     */
+    async view() {
+        window.app.snackbar.view('Previewing account deletion...');
+        const [err, preview] = await to(Data.previewUserDeletion(this.uid));
+        if (err) return window.app.snackbar.view('Could not preview account ' +
+            'deletion.');
+        this.message += ' ' + DeleteUserDialog.getSummary(preview);
+        this.renderSelf();
+        super.view();
+    }
+};
+
+/**
+ * Class that represents the confirmation dialog that reports everything that
+ * merging a (duplicate) user into another user touches (i.e. a dry run of the
+ * merge) before asking to merge them.
+ * @extends ConfirmationDialog
+ */
+export class MergeUsersDialog extends ConfirmationDialog {
+
+    /**
+     * Renders the dialog with the given message and title.
+     * @param {string} title - The title of the dialog (e.g. 'Merge Accounts?').
+     * @param {string} message - The summary of what the user is about to do
+     * (that the dry run report is appended to).
+     * @param {actionCallback} action - The callback to do when the user
+     * confirms that they want to merge the users.
+     * @param {string} from - The ID of the (duplicate) user being merged.
+     * @param {string} into - The ID of the user they're being merged into.
+     */
+    constructor(title, message, action, from, into) {
+        super(title, message, action);
+        this.from = from;
+        this.into = into;
+    }
+
+    /**
+     * Gets the summary of the given merge report.
+     * @param {Object} report - The dry run report (from our data REST API's
+     * `previewUserMerge` action).
+     * @return {string} The summary (e.g. `This will move 12 documents, update
+     * 4 other documents and move 2.50 service hours.`).
+     */
+    static getSummary(report) {
+        const count = (items, noun) => items.length + ' ' + noun +
+            (items.length === 1 ? '' : 's');
+        const hrs = (report.hours.secondsTutored + report.hours
+            .secondsPupiled) / 3600;
+        return 'This will move ' + count(report.moves, 'document') +
+            ', update ' + count(report.rewrites, 'other document') +
+            ' and move ' + hrs.toFixed(2) + ' service hours.';
+    }
+
+    /**
+     * Runs the merge as a dry run (and adds it's report to the dialog) before
+     * viewing the dialog (users that share documents, e.g. appointments that
+     * they both attend, can't be merged).
+     */
+    async view() {
+        window.app.snackbar.view('Previewing account merge...');
+        const [err, report] = await to(Data.previewUserMerge(this.from,
+            this.into));
+        if (err) return window.app.snackbar.view('Could not preview account ' +
+            'merge.');
+        const conflicts = report.moves.filter(m => m.conflict).length;
+        if (conflicts) return window.app.snackbar.view('Cannot merge accounts ' +
+            'that share ' + conflicts + ' document' + (conflicts === 1 ? '' :
+                's') + '.');
+        this.message += ' ' + MergeUsersDialog.getSummary(report);
+        this.renderSelf();
+        super.view();
+    }
+};
+
+/**
+ * Class that represents the confirmation dialog that asks pupils which of a
+ * tutor's subjects they want to be sent a request for (when the booked timeslot
+ * frees up) before they join that tutor's waitlist.
+ * @extends ConfirmationDialog
+ */
+export class JoinWaitlistDialog extends ConfirmationDialog {
+
+    /**
+     * A callback function that joins the waitlist for the selected subject.
+     * @callback subjectCallback
+     * @param {string} subject - The subject that the pupil selected.
+     */
+
+    /**
+     * Renders the dialog with the given message, title and subject select.
+     * @param {string} title - The title of the dialog (e.g. 'Join Waitlist?').
+     * @param {string} message - The summary of what the pupil is about to do.
+     * @param {subjectCallback} action - The callback to do (with the selected
+     * subject) when the pupil confirms that they want to join the waitlist.
+     * @param {string[]} subjects - The tutor's subjects.
+     */
+    constructor(title, message, action, subjects) {
+        super(title, message, () => action(this.subject));
+        this.subjects = subjects;
+        this.subject = subjects[0];
+        this.renderSelf();
+    }
+
+    renderSelf() {
+        super.renderSelf();
+        if (!this.subjects) return; // Not rendered until we have the subjects
+        $(this.el).find('.mdc-dialog__content').append(this.render.select(
+            'Subject', this.subject, this.subjects));
+    }
+
+    view() {
+        super.view();
+        const select = Utils.attachSelect($(this.el).find('.mdc-select')[0]);
+        select.listen('MDCSelect:change', () => this.subject = select.value);
+    }
+};
+
+/**
+ * Class that represents the confirmation dialog that asks supervisors which of
+ * their location's pupils they want to add to a group appointment.
+ * @extends ConfirmationDialog
+ */
+export class AddPupilDialog extends ConfirmationDialog {
+
+    /**
+     * A callback function that adds the selected pupil.
+     * @callback pupilCallback
+     * @param {Object} pupil - The (concise) pupil that the supervisor selected.
+     */
+
+    /**
+     * Renders the dialog with the given message, title and pupil select.
+     * @param {string} title - The title of the dialog (e.g. 'Add Pupil?').
+     * @param {string} message - The summary of what the supervisor is about to
+     * do.
+     * @param {pupilCallback} action - The callback to do (with the selected
+     * pupil) when the supervisor confirms that they want to add the pupil.
+     * @param {Object[]} pupils - The (concise) pupils that can be added.
+     */
+    constructor(title, message, action, pupils) {
+        super(title, message, () => action(this.pupil));
+        this.pupils = pupils;
+        this.pupil = pupils[0];
+        this.renderSelf();
+    }
+
+    /**
+     * Gets the given pupil's select label.
+     * @param {Object} pupil - The (concise) pupil.
+     * @return {string} The label (e.g. `Jane Doe (jane@example.com)`).
+     */
+    static getLabel(pupil) {
+        return pupil.name + ' (' + pupil.email + ')';
+    }
+
+    renderSelf() {
+        super.renderSelf();
+        if (!this.pupils) return; // Not rendered until we have the pupils
+        $(this.el).find('.mdc-dialog__content').append(this.render.select(
+            'Pupil', AddPupilDialog.getLabel(this.pupil), this.pupils.map(p =>
+                AddPupilDialog.getLabel(p))));
+    }
+
+    view() {
+        super.view();
+        const select = Utils.attachSelect($(this.el).find('.mdc-select')[0]);
+        select.listen('MDCSelect:change', () => this.pupil = this.pupils.find(
+            p => AddPupilDialog.getLabel(p) === select.value));
+    }
+};
+
+/**
+ * Class that represents the confirmation dialog that previews how re-rounding
+ * a location's past appointments with it's (changed) service hour rounding
+ * rules would change each tutor's service hours before asking to re-round them.
+ * @extends ConfirmationDialog
+ */
+export class HoursRoundingDialog extends ConfirmationDialog {
+
+    /**
+     * Renders the dialog with the given message and title.
+     * @param {string} title - The title of the dialog (e.g. 'Re-round Hours?').
+     * @param {string} message - The summary of what the user is about to do
+     * (that the preview is appended to).
+     * @param {actionCallback} action - The callback to do when the user
+     * confirms that they want to re-round the past appointments.
+     * @param {string} id - The ID of the location whose hours are re-rounded.
+     * @param {Object} rules - The location's `rounding`, `threshold` and
+     * `timeThreshold`.
+     * @param {string} [from] - The first `YYYY-MM-DD` date of the range.
+     * @param {string} [to] - The last `YYYY-MM-DD` date of the range.
+     */
+    constructor(title, message, action, id, rules, from, to) {
+        super(title, message, action);
+        this.id = id;
+        this.rules = rules;
+        this.from = from;
+        this.to = to;
+    }
+
+    /**
+     * Gets the summary of the given re-rounding preview.
+     * @param {Object} preview - The preview (from our data REST API's
+     * `previewHoursRounding` action).
+     * @return {string} The summary (e.g. `This will change 3 of 40 past
+     * appointments: Jane Doe (10.00 to 9.75 hours) and John Doe (4.50 to 4.75
+     * hours).`).
+     */
+    static getSummary(preview) {
+        const hrs = (secs) => (secs / 3600).toFixed(2);
+        const tutors = preview.tutors.filter(t => t.current !== t.proposed)
+            .map(t => t.name + ' (' + hrs(t.current) + ' to ' +
+                hrs(t.proposed) + ' hours)');
+        if (!tutors.length) return 'This won\'t change any of the ' +
+            preview.appts + ' past appointments.';
+        return 'This will change ' + preview.changed + ' of ' + preview.appts +
+            ' past appointments: ' + (tutors.length > 1 ? tutors.slice(0, -1)
+                .join(', ') + ' and ' : '') + tutors.slice(-1)[0] + '.';
+    }
+
+    /**
+     * Previews the re-rounding (and adds it's summary to the dialog) before
+     * viewing the dialog.
+     */
+    async view() {
+        window.app.snackbar.view('Previewing service hours...');
+        const [err, preview] = await to(Data.previewHoursRounding(this.id,
+            this.rules, this.from, this.to));
+        if (err) {
+            this.noAction();
+            return window.app.snackbar.view('Could not preview service ' +
+                'hours.');
+        }
+        this.message += ' ' + HoursRoundingDialog.getSummary(preview);
+        this.renderSelf();
+        super.view();
+    }
+};
+
 /**
  * Class that represents the "View Request" view/dialog within our web app.
  */
@@ -881,6 +1163,7 @@ export class ViewRequestDialog {
         addD('At');
         addT('Location', request.location.name);
         addT('Day', request.time.day);
+        if (request.time.date) addT('Date', request.time.date);
         addT('From', request.time.from);
         addT('To', request.time.to);
         addD('For');
@@ -899,13 +1182,16 @@ export class ViewRequestDialog {
             showEdit: true,
             showApprove: window.app.user.email === this.request.toUser.email,
             approve: async () => {
+                const approve = async (ignoreConflicts) => {
+                    window.app.snackbar.view('Approving request...');
+                    const [err, res] = await to(Data.approveRequest(this
+                        .request, this.id, ignoreConflicts));
+                    if (err) return Utils.viewConflictSnackbar(err, 'Could ' +
+                        'not approve request.', () => approve(true));
+                    window.app.snackbar.view('Approved request.');
+                };
                 window.app.nav.back();
-                window.app.snackbar.view('Approving request...');
-                const [err, res] = await to(Data.approveRequest(this.request,
-                    this.id));
-                if (err) return window.app.snackbar.view('Could not approve ' +
-                    'request.');
-                window.app.snackbar.view('Approved request.');
+                approve(false);
             },
         });
 
@@ -1210,6 +1496,7 @@ export class EditLocationDialog {
         Utils.sync(Utils.filterLocationData(location), this);
         this.id = id;
         this.location = Utils.filterLocationData(location);
+        this.timezones = Utils.concatArr(Data.timezones, [this.timezone]);
         this.render = window.app.render;
         this.renderSelf();
     }
@@ -1219,14 +1506,27 @@ export class EditLocationDialog {
      * 1. A "Basic info" list divider
      * 2. A "Name" text field
      * 3. A "Description" text area
-     * 4. A "Service hour rules" list divider
-     * 5. A "Round service hours" select
-     * 6. A "To the nearest" select
-     * 7. A "Round times to the nearest" select
-     * 8. An "Open hours" list divider
-     * 9. A bunch of "Hour" inputs (text fields that open up 
+     * 4. A "Timezone" select
+     * 5. A "Bell schedules" list divider
+     * 6. A "Periods" text area (see
+     * [parseBellSchedules]{@link Utils#parseBellSchedules})
+     * 7. A "Rotation" text area (see
+     * [parseScheduleRotation]{@link Utils#parseScheduleRotation})
+     * 8. A "Closures" text area (see
+     * [parseClosures]{@link Utils#parseClosures})
+     * 9. A "Service hour rules" list divider
+     * 10. A "Round service hours" select
+     * 11. A "To the nearest" select
+     * 12. A "Round times to the nearest" select
+     * 13. A "Milestones" text field (see
+     * [parseMilestones]{@link Utils#parseMilestones})
+     * 14. A "Stale requests" list divider
+     * 15. A "Remind tutors after" select
+     * 16. A "Reject requests after" select
+     * 17. An "Open hours" list divider
+     * 18. A bunch of "Hour" inputs (text fields that open up 
      * [EditHourDialog]{@link module:@tutorbook/dialogs~EditHourDialog}s).
-     * 10. A "Delete Location" button
+     * 19. A "Archive Location" button
      * to the dialog's `this.main` `HTMLElement`.
      * @todo Add supervisor search text field input items to designate who is 
      * able to approve/reject clock-in/out requests.
@@ -1256,11 +1556,25 @@ export class EditLocationDialog {
         addD('Basic info');
         addT('Name', this.name);
         add(this.render.textAreaItem('Description', this.description));
+        addS('Timezone', this.timezone, this.timezones);
+        addD('Bell schedules');
+        add(this.render.textAreaItem('Periods', Utils
+            .getBellSchedulesString(this)));
+        add(this.render.textAreaItem('Rotation', Utils
+            .getScheduleRotationString(this)));
+        add(this.render.textAreaItem('Closures', Utils
+            .getClosuresString(this)));
         addD('Service hour rules');
         addS('Round service hours', this.config.hrs.rounding, Data.roundings);
         addS('To the nearest', this.config.hrs.threshold, Data.thresholds);
         addS('Round times to the nearest', this.config.hrs.timeThreshold, Data
             .timeThresholds);
+        addT('Milestones', Utils.getMilestonesString(this));
+        addD('Stale requests');
+        addS('Remind tutors after', this.config.requests.remind, Data
+            .requestReminders);
+        addS('Reject requests after', this.config.requests.expire, Data
+            .requestExpiries);
         addActionD('Open hours', {
             add: () => this.addHourInput(),
             remove: () => this.removeHourInput(),
@@ -1274,18 +1588,19 @@ export class EditLocationDialog {
          *this.addSupervisorInputs();
          */
         add(this.render.template('delete-user-input', {
-            label: 'Delete Location',
-            delete: () => new ConfirmationDialog('Delete Location?', 'You are' +
-                ' about to permanently delete all ' + this.name + ' data. ' +
-                'This action cannot be undone. Please ensure to check with ' +
-                'your fellow supervisors before continuing.', async () => {
+            label: 'Archive Location',
+            delete: () => new ConfirmationDialog('Archive Location?', 'You ' +
+                'are about to archive ' + this.name + '. It will no longer ' +
+                'accept new requests and it\'s remaining appointments will ' +
+                'be canceled (it\'s past appointments and service hours will ' +
+                'still be available).', async () => {
                     window.app.nav.back();
-                    window.app.snackbar.view('Deleting location...');
+                    window.app.snackbar.view('Archiving location...');
                     const [err, res] = await to(Data
-                        .deleteLocation(this.id));
+                        .archiveLocation(this.id));
                     if (err) return window.app.snackbar.view('Could ' +
-                        'not delete location.');
-                    window.app.snackbar.view('Deleted location.');
+                        'not archive location.');
+                    window.app.snackbar.view('Archived location.');
                 }).view(),
         }));
     }
@@ -1331,6 +1646,14 @@ export class EditLocationDialog {
         this.nameTextField = t('#Name');
         $(this.main).find('#Name input').attr('disabled', 'disabled');
         this.descriptionTextArea = t('#Description');
+        this.periodsTextArea = t('#Periods');
+        this.rotationTextArea = t('#Rotation');
+        this.closuresTextArea = t('#Closures');
+        this.milestonesTextField = t('#Milestones');
+        this.timezoneSelect = s('#Timezone', s => {
+            if (this.timezones.indexOf(s.value) < 0) return s.valid = false;
+            this.timezone = s.value;
+        });
         this.roundingSelect = s('[id="Round service hours"]', s => {
             if (Data.roundings.indexOf(s.value) < 0) return s.valid = false;
             this.config.hrs.rounding = s.value;
@@ -1343,6 +1666,16 @@ export class EditLocationDialog {
             if (Data.timeThresholds.indexOf(s.value) < 0) return s.valid = false;
             this.config.hrs.timeThreshold = s.value;
         });
+        this.remindSelect = s('[id="Remind tutors after"]', s => {
+            if (Data.requestReminders.indexOf(s.value) < 0)
+                return s.valid = false;
+            this.config.requests.remind = s.value;
+        });
+        this.expireSelect = s('[id="Reject requests after"]', s => {
+            if (Data.requestExpiries.indexOf(s.value) < 0)
+                return s.valid = false;
+            this.config.requests.expire = s.value;
+        });
         this.supervisorTextFields = ts('[id="Supervisor"]');
         $(this.main).find('[id="Open"]').each(function() {
             const textField = new MDCTextField(this);
@@ -1353,7 +1686,10 @@ export class EditLocationDialog {
     }
 
     /**
-     * Updates the location's data if all inputs are valid.
+     * Updates the location's data if all inputs are valid. If the service hour
+     * rounding rules were changed, the supervisor is first shown how they
+     * would change each tutor's service hours (and the location is only
+     * updated and it's past appointments re-rounded once they confirm).
      * @example
      * const EditLocationDialog = require('@tutorbook/dialogs').editLocation;
      * const dialog = new EditLocationDialog(locationData, locationId);
@@ -1364,13 +1700,37 @@ export class EditLocationDialog {
      */
     async save() {
         if (!this.valid) return;
+        if (Utils.identicalMaps(this.config.hrs, this.location.config.hrs))
+            return this.update();
+        return new HoursRoundingDialog('Change Service Hour Rules?', 'You ' +
+            'are about to change the ' + this.name + '\'s service hour rules ' +
+            'and re-round all of it\'s past appointments with them.', () =>
+            this.update(true), this.id, this.config.hrs).view();
+    }
+
+    /**
+     * Updates the location's data (and re-rounds it's past appointments with
+     * it's new service hour rules).
+     * @param {bool} [reround=false] - Whether to re-round the location's past
+     * appointments once it has been updated.
+     * @return {Promise<undefined>} Promise that resolves once the location has
+     * been updated (or if we've encountered an error while updating it).
+     */
+    async update(reround = false) {
         window.app.nav.back();
         window.app.snackbar.view('Updating location...');
         this.location = Utils.filterLocationData(this);
         const [err, res] = await to(Data.updateLocation(Utils
             .filterLocationData(this), this.id));
         if (err) return window.app.snackbar.view('Could not update location.');
-        window.app.snackbar.view('Updated location.');
+        if (!reround) return window.app.snackbar.view('Updated location.');
+        window.app.snackbar.view('Re-rounding service hours...');
+        const [e, rounded] = await to(Data.applyHoursRounding(this.id, this
+            .config.hrs));
+        if (e) return window.app.snackbar.view('Updated location but could ' +
+            'not re-round service hours.');
+        window.app.snackbar.view('Updated location and re-rounded ' + rounded
+            .changed + ' past appointments.');
     }
 
     /**
@@ -1402,7 +1762,13 @@ export class EditLocationDialog {
      * Checks and validates all currently inputted/selected values while:
      * - Updating location hours and description from their values within their
      *   corresponding text fields.
-     * - Updating the service hour rounding rules.
+     * - Updating the location's timezone.
+     * - Updating the location's bell schedules (ensuring that it's rotation
+     *   only refers to alternate schedules that exist).
+     * - Updating the location's closures (e.g. holidays and breaks).
+     * - Updating the service hour rounding rules and milestones.
+     * - Updating the stale request thresholds (tutors must be reminded about
+     *   requests before they're automatically rejected).
      * @example
      * if (this.valid) this.save(); // Save location changes if they're valid.
      * @return {bool} If the currently inputted/selected values are valid.
@@ -1418,15 +1784,52 @@ export class EditLocationDialog {
         });
         this.hours = Utils.parseHourStrings(strings);
         this.description = this.descriptionTextArea.value;
+        if (this.timezones.indexOf(this.timezoneSelect.value) < 0)
+            return invalid(this.timezoneSelect);
+        const parse = (textArea, parser) => {
+            try {
+                return Object.assign(this, parser(textArea.value));
+            } catch (err) {
+                return invalid(textArea);
+            }
+        };
+        if (!parse(this.periodsTextArea, Utils.parseBellSchedules) ||
+            !parse(this.rotationTextArea, Utils.parseScheduleRotation))
+            return false;
+        try {
+            this.closures = Utils.parseClosures(this.closuresTextArea.value);
+        } catch (err) {
+            return invalid(this.closuresTextArea);
+        }
+        try {
+            this.milestones = Utils.parseMilestones(this.milestonesTextField
+                .value);
+        } catch (err) {
+            return invalid(this.milestonesTextField);
+        }
+        if (Object.values(this.rotation).concat(Object.values(this
+                .alternates)).some(schedule => !this.schedules[schedule]))
+            return invalid(this.rotationTextArea);
         if (Data.thresholds.indexOf(this.thresholdSelect.value) < 0)
             return invalid(this.thresholdSelect);
         if (Data.roundings.indexOf(this.roundingSelect.value) < 0)
             return invalid(this.roundingSelect);
         if (Data.timeThresholds.indexOf(this.timeThresholdSelect.value) < 0)
             return invalid(this.timeThresholdSelect);
+        if (Data.requestReminders.indexOf(this.remindSelect.value) < 0)
+            return invalid(this.remindSelect);
+        if (Data.requestExpiries.indexOf(this.expireSelect.value) < 0)
+            return invalid(this.expireSelect);
+        const days = (s) => new Number(s.value.split(' ')[0]).valueOf();
+        if (this.remindSelect.value !== 'Never' && this.expireSelect.value !==
+            'Never' && days(this.expireSelect) <= days(this.remindSelect))
+            return invalid(this.expireSelect); // Remind before rejecting
+        this.timezone = this.timezoneSelect.value;
         this.config.hrs.threshold = this.thresholdSelect.value;
         this.config.hrs.rounding = this.roundingSelect.value;
         this.config.hrs.timeThreshold = this.timeThresholdSelect.value;
+        this.config.requests.remind = this.remindSelect.value;
+        this.config.requests.expire = this.expireSelect.value;
         return true;
     }
 
@@ -1615,6 +2018,7 @@ export class EditRequestDialog {
         addD('At');
         addS('Location', request.location.name, locations.concat(['Custom']));
         addS('Day', request.time.day, days);
+        add(this.render.textFieldItem('Date', request.time.date));
         addS('Time', timeslot, timeslots);
         addD('For');
         addS('Subject', request.subject, user.subjects);
@@ -1651,10 +2055,12 @@ export class EditRequestDialog {
         if (!this.managed) this.manage();
     }
 
-    async modifyRequest() {
-        window.app.nav.back();
-        const [err, res] = await to(Data.modifyRequest(this.request, this.id));
-        if (err) return window.app.snackbar.view('Could not modify request.');
+    async modifyRequest(ignoreConflicts = false) {
+        if (!ignoreConflicts) window.app.nav.back();
+        const [err, res] = await to(Data.modifyRequest(this.request, this.id,
+            ignoreConflicts));
+        if (err) return Utils.viewConflictSnackbar(err, 'Could not modify ' +
+            'request.', () => this.modifyRequest(true));
         window.app.snackbar.view('Modified request.');
     }
 
@@ -1694,6 +2100,29 @@ export class EditRequestDialog {
             that.refreshTimeSelects(request, availability);
         });
 
+        // One-off sessions (e.g. exam reviews) only happen on the given date
+        // (and otherwise are weekly sessions on the selected day).
+        const dateEl = dialog.querySelector('#Date');
+        if (dateEl) {
+            $(dateEl).find('input').attr('type', 'date');
+            const dateTextField = MDCTextField.attachTo(dateEl);
+            dateTextField.listen('change', () => {
+                if (!dateTextField.value) return delete request.time.date;
+                request.time.date = dateTextField.value;
+                request.time.day = Data.days[Utils.getDateFromString(
+                    request.time.date).getDay()];
+                that.refreshDayAndTimeSelects(request, availability);
+            });
+            this.req.push({
+                input: dateTextField,
+                id: 'Date',
+                valid: () => !request.time.date || (request.time.date >=
+                    Utils.getDateString() && Data.days[Utils
+                        .getDateFromString(request.time.date).getDay()] ===
+                    request.time.day),
+            });
+        }
+
         const timeslotEl = dialog.querySelector('#Time');
         const timeslotSelect = Utils.attachSelect(timeslotEl);
         timeslotSelect.listen('MDCSelect:change', () => {
@@ -1926,11 +2355,14 @@ export class NewRequestDialog extends EditRequestDialog {
         });
     }
 
-    async sendRequest() { // Override modify to create a new request
-        window.app.nav.back();
+    // Override modify to create a new request
+    async sendRequest(ignoreConflicts = false) {
+        if (!ignoreConflicts) window.app.nav.back();
         window.app.snackbar.view('Sending request...');
-        const [err, res] = await to(Data.newRequest(this.request, this.payment));
-        if (err) return window.app.snackbar.view('Could not send request.');
+        const [err, res] = await to(Data.newRequest(this.request, this.payment,
+            ignoreConflicts));
+        if (err) return Utils.viewConflictSnackbar(err, 'Could not send ' +
+            'request.', () => this.sendRequest(true));
         window.app.snackbar.view(
             'Sent ' + this.request.toUser.name + ' request.',
             'Undo',
@@ -1968,10 +2400,10 @@ export class PaidRequestDialog extends NewRequestDialog {
         };
     }
 
-    sendRequest() {
+    sendRequest(ignoreConflicts = false) {
         if (!this.payment.transaction) return window.app.snackbar.view(
             'Please add a valid payment method.');
-        return super.sendRequest();
+        return super.sendRequest(ignoreConflicts);
     }
 
     async renderSelf() {
@@ -2077,13 +2509,13 @@ export class StripeRequestDialog extends PaidRequestDialog {
             'pk_live_rospM71ihUDYWBArO9JKmanT00L5dZ36vA');
     }
 
-    async sendRequest() {
+    async sendRequest(ignoreConflicts = false) {
         const res = await this.stripe.createToken(this.card);
         if (res.error) return $(this.main).find('#Method')[0].scrollIntoView({
             behavior: 'smooth'
         });
         this.payment.transaction = res.token;
-        return super.sendRequest();
+        return super.sendRequest(ignoreConflicts);
     }
 
     renderPayments() {
@@ -2200,6 +2632,33 @@ export class ViewApptDialog extends ViewRequestDialog {
             $(this.main).find('#clocking').addClass('second-fab');
             $(this.main).append(this.render.fab('requestTime'));
         }
+        const next = Utils.getNextOccurrence(this.appt);
+        if (!this.appt.time.date) $(this.render.actionDivider('Next session ' +
+            'on ' + next.time.day + ', ' + (next.date.getMonth() + 1) + '/' +
+            next.date.getDate() + ' at ' + next.time.from, {
+                'Skip': () => this.skip(next),
+                'Reschedule': () => new EditApptOccurrenceDialog(this.appt,
+                    this.id, next.original).view(),
+            })).attr('id', 'Next session').insertBefore(
+            $(this.main).find('[id="At"]'));
+        const attendees = this.appt.attendees;
+        const capacity = this.appt.capacity || 2;
+        if (attendees.length > 2 || capacity > 2) {
+            const canLeave = attendees.length > 2 && attendees.find(a =>
+                a.uid === window.app.user.uid) && this.appt.for.toUser.uid !==
+                window.app.user.uid;
+            const canAdd = attendees.length < capacity && window.app.userClaims
+                .supervisor;
+            const actions = {};
+            if (canLeave) actions['Leave'] = () => this.leave();
+            if (canAdd) actions['Add pupil'] = () => this.add();
+            $(this.render.actionDivider('Group session', actions))
+                .attr('id', 'Group session').insertBefore(
+                $(this.main).find('[id="At"]'));
+            $(this.render.textFieldItem('Attendees', Utils.getAttendeeNames(
+                attendees, true) + ' (' + attendees.length + ' of ' +
+                capacity + ')')).insertBefore($(this.main).find('[id="At"]'));
+        }
         this.header = this.render.header('header-action', {
             showEdit: true,
             edit: () => new EditApptDialog(this.appt, this.id).view(),
@@ -2207,6 +2666,77 @@ export class ViewApptDialog extends ViewRequestDialog {
         });
     }
 
+    /**
+     * Removes the current user from this group appointment (without canceling
+     * it for the rest of it's attendees).
+     */
+    leave() {
+        return new ConfirmationDialog('Leave Group Session?', 'Leave the ' +
+            'group tutoring sessions for ' + this.appt.for.subject + ' with ' +
+            Utils.getAttendeeNames(this.appt.attendees) + '? The rest of the ' +
+            'group will remain scheduled.', async () => {
+                window.app.nav.back();
+                window.app.snackbar.view('Leaving group session...');
+                const [err, res] = await to(Data.leaveAppt(this.appt, this.id,
+                    window.app.conciseUser));
+                if (err) return window.app.snackbar.view(Data.errorMessage(err,
+                    'Could not leave group session.'));
+                window.app.snackbar.view('Left group session.');
+            }).view();
+    }
+
+    /**
+     * Lets supervisors add one of the appointment's location's pupils to this
+     * group appointment (and to it's group chat).
+     */
+    async add() {
+        const [err, snapshot] = await to(window.app.db.collection('users')
+            .where('access', 'array-contains-any', window.app.user.access)
+            .where('location', '==', this.appt.location.name)
+            .where('type', '==', 'Pupil')
+            .get());
+        if (err) return window.app.snackbar.view('Could not get pupils.');
+        const pupils = snapshot.docs
+            .map(doc => Utils.filterRequestUserData(doc.data()))
+            .filter(p => !this.appt.attendees.find(a => a.uid === p.uid))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (!pupils.length) return window.app.snackbar.view('No other pupils ' +
+            'at ' + this.appt.location.name + '.');
+        return new AddPupilDialog('Add Pupil?', 'Add a pupil to the group ' +
+            'tutoring sessions for ' + this.appt.for.subject + ' with ' +
+            Utils.getAttendeeNames(this.appt.attendees) + '?', async (p) => {
+                window.app.nav.back();
+                window.app.snackbar.view('Adding ' + p.name + '...');
+                const [err, res] = await to(Data.joinAppt(this.appt, this.id,
+                    p));
+                if (err) return window.app.snackbar.view(Data.errorMessage(err,
+                    'Could not add ' + p.name + '.'));
+                window.app.snackbar.view('Added ' + p.name + '.');
+            }, pupils).view();
+    }
+
+    /**
+     * Cancels a single occurrence of this (weekly) appointment (without
+     * canceling the rest of the series).
+     * @param {Occurrence} occurrence - The occurrence to skip.
+     */
+    skip(occurrence) {
+        const date = (occurrence.date.getMonth() + 1) + '/' +
+            occurrence.date.getDate();
+        return new ConfirmationDialog('Skip Session?', 'Cancel only the ' +
+            'tutoring session on ' + occurrence.time.day + ', ' + date +
+            ' at ' + occurrence.time.from + '? The rest of your weekly ' +
+            'sessions will remain scheduled.', async () => {
+                window.app.nav.back();
+                window.app.snackbar.view('Skipping session...');
+                const [err, res] = await to(Data.cancelApptOccurrence(
+                    this.appt, this.id, occurrence.original));
+                if (err) return window.app.snackbar.view(Data.errorMessage(err,
+                    'Could not skip session.'));
+                window.app.snackbar.view('Skipped session on ' + date + '.');
+            }).view();
+    }
+
     /**
      * Adds click listeners (i.e. on the FAB button(s)) and attaches the
      * necessary MDC components.
@@ -2272,8 +2802,9 @@ export class ViewApptDialog extends ViewRequestDialog {
                 reset();
                 return window.app.snackbar.view('Could not clock-in.');
             }
-            window.app.snackbar.view('Clocked in at ' + new Date(r.clockIn
-                .sentTimestamp).toLocaleTimeString() + '.');
+            window.app.snackbar.view('Clocked in at ' + Utils.dateToTimestring(
+                r.clockIn.sentTimestamp, Utils.getTimezone(this.appt
+                    .location)) + '.');
         } else {
             const [canceled, proof] = await to(new CaptureProofDialog().view());
             if (canceled) {
@@ -2385,8 +2916,9 @@ export class ViewApptDialog extends ViewRequestDialog {
                 reset();
                 return window.app.snackbar.view('Could not clock-out.');
             }
-            window.app.snackbar.view('Clocked out at ' + new Date(r.clockOut
-                .sentTimestamp).toLocaleTimeString() + '.');
+            window.app.snackbar.view('Clocked out at ' + Utils.dateToTimestring(
+                r.clockOut.sentTimestamp, Utils.getTimezone(this.appt
+                    .location)) + '.');
         } else {
             const [canceled, proof] = await to(new CaptureProofDialog().view());
             if (canceled) {
@@ -2500,18 +3032,98 @@ export class EditApptDialog extends EditRequestDialog {
                 this.request.toUser.type.toLowerCase() + '"] h4'
             ).text('Attendees');
         }
+        $(this.render.textFieldItem('Capacity', this.appt.capacity || 2))
+            .insertAfter($(this.main).find('#Time').parent());
         this.header = this.render.header('header-action', {
             title: 'Edit Appointment',
             ok: () => {},
         });
     }
 
+    /**
+     * Adds the (group) appointment "Capacity" text field listener and
+     * validation (on top of the "Edit Request" dialog's managers).
+     */
+    manage() {
+        super.manage();
+        const capacityEl = $(this.main).find('#Capacity')[0];
+        if (!capacityEl) return;
+        const capacityTextField = MDCTextField.attachTo(capacityEl);
+        const capacity = () => new Number(capacityTextField.value).valueOf();
+        capacityTextField.listen('change', () => {
+            if (capacity() >= this.appt.attendees.length)
+                this.appt.capacity = capacity();
+        });
+        this.req.push({
+            input: capacityTextField,
+            id: 'Capacity',
+            valid: () => Number.isInteger(capacity()) && capacity() >= Math
+                .max(2, this.appt.attendees.length),
+        });
+    }
+
+    async modifyRequest(ignoreConflicts = false) {
+        if (!ignoreConflicts) window.app.nav.back();
+        const [err, res] = await to(Data.modifyAppt(this.appt, this.id,
+            ignoreConflicts));
+        if (err) return Utils.viewConflictSnackbar(err, 'Could not modify ' +
+            'appointment.', () => this.modifyRequest(true));
+        window.app.snackbar.view('Modified appointment.');
+    }
+};
+
+/**
+ * Class that represents a "Reschedule Session" dialog that enables users to
+ * move a single occurrence of their weekly appointments (without modifying the
+ * rest of the series).
+ * @extends EditApptDialog
+ */
+export class EditApptOccurrenceDialog extends EditApptDialog {
+    /**
+     * Creates and renders a new "Reschedule Session" dialog.
+     * @param {Appointment} appt - The weekly appointment.
+     * @param {string} id - The appointment's Firestore document ID.
+     * @param {string} date - The `YYYY-MM-DD` date that the occurrence was
+     * originally scheduled for.
+     */
+    constructor(appt, id, date) {
+        super(Utils.cloneMap(appt), id); // Don't change the rest of the series
+        this.date = date;
+    }
+
+    async renderSelf() {
+        await super.renderSelf();
+        $(this.main).find('#Date').parent().remove();
+        $(this.main).find('#Capacity').parent().remove();
+        this.header = this.render.header('header-action', {
+            title: 'Reschedule Session',
+            ok: () => {},
+        });
+    }
+
+    /**
+     * Moves the occurrence to the selected day (the first one on or after the
+     * occurrence's original date, so sessions are never moved into the past)
+     * and time.
+     */
     async modifyRequest() {
         window.app.nav.back();
-        const [err, res] = await to(Data.modifyAppt(this.appt, this.id));
-        if (err) return window.app.snackbar.view('Could not modify ' +
-            'appointment.');
-        window.app.snackbar.view('Modified appointment.');
+        const original = Utils.getDateFromString(this.date);
+        const date = new Date(original.getFullYear(), original.getMonth(),
+            original.getDate() + (Data.days.indexOf(this.request.time.day) -
+                original.getDay() + 7) % 7);
+        window.app.snackbar.view('Rescheduling session...');
+        const [err, res] = await to(Data.modifyApptOccurrence(this.appt,
+            this.id, this.date, {
+                date: Utils.getDateString(date),
+                from: this.request.time.from,
+                to: this.request.time.to,
+            }));
+        if (err) return window.app.snackbar.view(Data.errorMessage(err,
+            'Could not reschedule session.'));
+        window.app.snackbar.view('Rescheduled session to ' +
+            this.request.time.day + ', ' + (date.getMonth() + 1) + '/' + date
+            .getDate() + ' at ' + this.request.time.from + '.');
     }
 };
 
@@ -3044,15 +3656,17 @@ export class ViewPastApptDialog extends ViewApptDialog {
      */
     async renderSelf() {
         await super.renderSelf();
+        $(this.main)
+            .find('[id="Next session"]').remove().end()
+            .find('[id="Group session"] button').remove();
         this.header = this.render.header('header-action', {
             title: 'Past Appointment',
             showDelete: true,
             delete: () => {
                 return new ConfirmationDialog('Delete Past Appointment?',
-                    'Are you sure you want to permanently delete this ' +
-                    'past appointment between ' + this.appt.attendees[0].name +
-                    ' and ' + this.appt.attendees[1].name + '? This action ' +
-                    'cannot be undone.', async () => {
+                    'Are you sure you want to delete this past appointment ' +
+                    'between ' + Utils.getAttendeeNames(this.appt.attendees,
+                        true) + '?', async () => {
                         window.app.snackbar.view('Deleting past ' +
                             'appointment...');
                         window.app.nav.back();
@@ -3060,7 +3674,8 @@ export class ViewPastApptDialog extends ViewApptDialog {
                             Data.deletePastAppt(this.appt, this.id));
                         if (err) return window.app.snackbar.view('Could not ' +
                             'delete past appointment.');
-                        window.app.snackbar.view('Deleted past appointment.');
+                        Utils.viewUndoSnackbar('Deleted past appointment.', res,
+                            'past appointment');
                     }).view();
             },
         });
@@ -3095,11 +3710,13 @@ export class ViewPastApptDialog extends ViewApptDialog {
         )).insertAfter($(this.main).find('#Current').parent());
         $(this.main).find('#Current').replaceWith($(this.render.textField(
                 'Clock-in',
-                this.appt.clockIn.sentTimestamp.toDate().toLocaleTimeString()
+                Utils.dateToTimestring(this.appt.clockIn.sentTimestamp
+                    .toDate(), Utils.getTimezone(this.appt.location))
             )).attr('style', 'margin-right:20px;')).end()
             .find('#Total').replaceWith(this.render.textField(
                 'Clock-out',
-                this.appt.clockOut.sentTimestamp.toDate().toLocaleTimeString()
+                Utils.dateToTimestring(this.appt.clockOut.sentTimestamp
+                    .toDate(), Utils.getTimezone(this.appt.location))
             )).end().find('.mdc-fab').remove();
     }
 
@@ -3239,7 +3856,10 @@ export class ViewActiveApptDialog extends ViewApptDialog {
         this.header = this.render.header('header-action', {
             title: 'Active Appointment',
         });
-        $(this.main).find('.mdc-fab__label').text('ClockOut');
+        $(this.main)
+            .find('[id="Next session"]').remove().end()
+            .find('[id="Group session"] button').remove().end()
+            .find('.mdc-fab__label').text('ClockOut');
     }
 
     /**
@@ -3275,6 +3895,8 @@ export class ViewCanceledApptDialog extends ViewApptDialog {
             title: 'Canceled Appointment',
         });
         $(this.main)
+            .find('[id="Next session"]').remove().end()
+            .find('[id="Group session"] button').remove().end()
             .find('[id="Hours clocked"]').remove().end()
             .find('#Current').parent().remove().end()
             .find('.mdc-fab').remove();
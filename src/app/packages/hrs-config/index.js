@@ -20,9 +20,16 @@
  * along with this program.  If not, see {@link https://www.gnu.org/licenses/}.
  */
 
+import {
+    MDCTextField
+} from '@material/textfield/index';
+
 import * as $ from 'jquery';
 import to from 'await-to-js';
 
+import {
+    HoursRoundingDialog,
+} from '@tutorbook/dialogs';
 import Utils from '@tutorbook/utils';
 import Data from '@tutorbook/data';
 
@@ -31,6 +38,9 @@ import Data from '@tutorbook/data';
  * create and edit service hour rounding rules:
  * - Round all service hours within the nearest minute/5 mins/15 mins/30 mins/hour
  * - Always round up/round down/round normally
+ * - Preview how changing those rules changes each tutor's service hours
+ *   (within a range of dates) before saving them and re-rounding past
+ *   appointments with them
  * @todo Finish documentation.
  */
 export default class HrsConfig {
@@ -53,21 +63,78 @@ export default class HrsConfig {
         });
 
         const add = (el) => $(this.main).append(el);
-        const addD = (label) => add(this.render.listDivider(label));
+        const addActionD = (l, a) => add(this.render.actionDivider(l, a));
         const addS = (l, v = '', d = [], id = l) => add($(this.render
             .selectItem(l, v, Utils.concatArr(d, [v]))).attr('id', id)[0]);
+        const addT = (l, id = l) => add($(this.render.textFieldItem(l))
+            .attr('id', id)[0]);
 
         this.rules.forEach(rule => {
-            addD(rule.location.name);
+            addActionD(rule.location.name, {
+                reround: () => this.reround(rule),
+            });
             addS('Round service hours', rule.rounding, Data.roundings, rule
                 .location.id + '-rounding');
             addS('To the nearest', rule.threshold, Data.thresholds, rule
                 .location.id + '-threshold');
             addS('Round times to the nearest', rule.timeThreshold, Data
                 .timeThresholds, rule.location.id + '-timeThreshold');
+            addT('Re-round hours from', rule.location.id + '-from');
+            addT('Re-round hours to', rule.location.id + '-to');
         });
     }
 
+    /**
+     * Previews how re-rounding the given location's past appointments (within
+     * the inputted range of `YYYY-MM-DD` dates) with the given rules would
+     * change each tutor's service hours before asking to save those rules and
+     * re-round them (the selects are reset if the supervisor doesn't confirm).
+     * @param {Object} rule - The location's current `rounding`, `threshold`
+     * and `timeThreshold` (and it's `location`).
+     * @param {Object} [proposed=rule] - The (changed) rules to preview.
+     */
+    reround(rule, proposed = rule) {
+        const reset = () => ['rounding', 'threshold', 'timeThreshold']
+            .forEach(id => this[id + 'Selects'][this.rules.indexOf(rule)]
+                .value = rule[id]); // Ignored by the selects' listeners
+        const [from, to] = ['from', 'to'].map(id => this[id + 'TextFields'][
+            rule.location.id]);
+        const invalid = [from, to].filter(t => t.value.trim() &&
+            !/^\d{4}-\d{2}-\d{2}$/.test(t.value.trim()));
+        if (invalid.length) {
+            reset();
+            return invalid.forEach(t => t.valid = false);
+        }
+        const rules = {
+            rounding: proposed.rounding,
+            threshold: proposed.threshold,
+            timeThreshold: proposed.timeThreshold,
+        };
+        const name = rule.location.name;
+        const [title, message] = proposed === rule ? ['Re-round Hours?',
+            'You are about to re-round the ' + name + '\'s past appointments ' +
+            'with it\'s current service hour rules.'
+        ] : ['Change Service Hour Rules?', 'You are about to change the ' +
+            name + '\'s service hour rules and re-round it\'s past ' +
+            'appointments with them.'
+        ];
+        const dialog = new HoursRoundingDialog(title, message, async () => {
+            window.app.snackbar.view('Re-rounding service hours...');
+            const [err, res] = await to(Data.applyHoursRounding(rule
+                .location.id, rules, from.value.trim(), to.value.trim()));
+            if (err) {
+                reset();
+                return window.app.snackbar.view('Could not re-round ' +
+                    'service hours.');
+            }
+            Object.assign(rule, rules);
+            window.app.snackbar.view('Re-rounded ' + res.changed +
+                ' past appointments.');
+        }, rule.location.id, rules, from.value.trim(), to.value.trim());
+        dialog.noAction = reset;
+        return dialog.view();
+    }
+
     view() {
         window.app.intercom.view(true);
         window.app.view(this.header, this.main);
@@ -86,22 +153,19 @@ export default class HrsConfig {
         [
             'rounding', 'threshold', 'timeThreshold',
         ].forEach(id => this[id + 'Selects'] = this.rules.map(r => s(r.location
-            .id + '-' + id, async (s) => {
+            .id + '-' + id, (s) => {
                 if (Data[id + 's'].indexOf(s.value) < 0) return s.valid = false;
-                const [err, res] = await to(Data.updateLocation({
-                    config: Utils.combineMaps(this.locs[r.location.id].config, {
-                        hrs: {
-                            rounding: id === 'rounding' ? s.value : r.rounding,
-                            threshold: id === 'threshold' ? s.value : r
-                                .threshold,
-                            timeThreshold: id === 'timeThreshold' ? s.value : r
-                                .timeThreshold,
-                        },
-                    }),
-                }, r.location.id));
-                if (err) return window.app.snackbar.view('Could not update ' +
-                    'the ' + r.location.name + '\'s service hour rules.');
-                window.app.snackbar.view('Updated service hour rules.');
+                if (s.value === r[id]) return; // Unchanged (or being reset)
+                this.reround(r, Utils.combineMaps(r, {
+                    [id]: s.value,
+                }));
             })));
+        [
+            'from', 'to',
+        ].forEach(id => this[id + 'TextFields'] = this.rules.reduce((res,
+            r) => Object.assign(res, {
+            [r.location.id]: new MDCTextField($(this.main).find('#' + r
+                .location.id + '-' + id + ' .mdc-text-field')[0]),
+        }), {}));
     }
 }
\ No newline at end of file
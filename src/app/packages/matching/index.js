@@ -43,6 +43,8 @@ import {
 } from '@tutorbook/profile';
 import {
     ConfirmationDialog,
+    DeleteUserDialog,
+    MergeUsersDialog,
     EditRequestDialog,
     ViewRequestDialog,
 } from '@tutorbook/dialogs';
@@ -215,6 +217,18 @@ export class Matching {
             view: new ViewRequestDialog(request, doc.id),
             match: new MatchingDialog(pupil.profile),
         };
+        const approve = async (ignoreConflicts) => {
+            window.app.snackbar.view('Approving request and creating ' +
+                'appointment...');
+            const [err, res] = await to(Data.approveRequest(request, doc.id,
+                ignoreConflicts));
+            if (err) return Utils.viewConflictSnackbar(err, 'Could not ' +
+                'approve request.', () => approve(true));
+            $(this.main).find('[id="' + tutor.email + '"]').remove();
+            $(this.main).find('[id="' + pupil.email + '"]').remove();
+            window.app.snackbar.view('Approved request and created ' +
+                'appointment.');
+        };
         const actions = {
             primary: () => {},
             cancel: () => {
@@ -224,9 +238,9 @@ export class Matching {
                 new ConfirmationDialog('Cancel Request?', summary, async () => {
                     Card.remove(doc, 'requestsOut');
                     window.app.snackbar.view('Canceling request...');
-                    await Data.cancelRequest(request, doc.id);
-                    window.app.snackbar.view('Canceled request to ' +
-                        request.toUser.email + '.');
+                    const res = await Data.cancelRequest(request, doc.id);
+                    Utils.viewUndoSnackbar('Canceled request to ' +
+                        request.toUser.email + '.', res, 'request');
                 }).view();
             },
             view: () => {
@@ -245,18 +259,7 @@ export class Matching {
                 'Rematch': () => {
                     dialogs.match.view();
                 },
-                'Approve': async () => {
-                    window.app.snackbar.view('Approving request and creating ' +
-                        'appointment...');
-                    const [err, res] = await to(
-                        Data.approveRequest(request, doc.id));
-                    if (err) return window.app.snackbar.view('Could not ' +
-                        'approve request.');
-                    $(this.main).find('[id="' + tutor.email + '"]').remove();
-                    $(this.main).find('[id="' + pupil.email + '"]').remove();
-                    window.app.snackbar.view('Approved request and created ' +
-                        'appointment.');
-                },
+                'Approve': () => approve(false),
                 'Raw Data': () => Utils.viewRaw(doc),
             },
         };
@@ -326,6 +329,8 @@ export class Matching {
 
     async viewCards() {
         this.cardsViewed = true;
+        this.viewWaitlists();
+        this.viewExpiredRequests();
         // Shows unmatched tutors/pupils and matched tutors/pupils (who haven't 
         // created past appts).
         await this.initDismissedCards();
@@ -353,6 +358,141 @@ export class Matching {
             }));
     }
 
+    viewWaitlists() { // Shows the waitlists of booked tutors' timeslots
+        const recycler = {
+            display: (doc, type, index) => {
+                $(this.main).find('.centered-text').remove();
+                this.viewCard($(this.renderWaitlistCard(doc))
+                    .attr('index', index)[0]);
+            },
+            remove: (doc) => $(this.main)
+                .find('#cards [type="waitlists"][id="' + doc.id + '"]')
+                .remove(),
+            empty: (type, index) => $(this.main)
+                .find('#cards [type="waitlists"][index="' + index + '"]')
+                .remove(),
+        };
+        Utils.recycle({
+            waitlists: window.app.data.locations.map(location => window.app.db
+                .collection('locations').doc(location.id)
+                .collection('waitlists')),
+        }, recycler);
+    }
+
+    viewExpiredRequests() { // Shows automatically rejected (stale) requests
+        const recycler = {
+            display: (doc, type, index) => {
+                $(this.main).find('.centered-text').remove();
+                this.viewCard($(this.renderExpiredRequestCard(doc))
+                    .attr('index', index)[0]);
+            },
+            remove: (doc) => $(this.main)
+                .find('#cards [type="expiredRequests"][id="' + doc.id + '"]')
+                .remove(),
+            empty: (type, index) => $(this.main)
+                .find('#cards [type="expiredRequests"][index="' + index + '"]')
+                .remove(),
+        };
+        Utils.recycle({
+            expiredRequests: window.app.data.locations.map(location => window
+                .app.db.collection('locations').doc(location.id)
+                .collection('expiredRequests')),
+        }, recycler);
+    }
+
+    renderExpiredRequestCard(doc) {
+        const request = doc.data().for;
+        const title = 'Expired Request';
+        const subtitle = 'From ' + request.fromUser.name + ' to ' +
+            request.toUser.name;
+        const summary = request.fromUser.name.split(' ')[0] + '\'s request ' +
+            'for ' + request.subject + ' on ' + request.time.day + 's at ' +
+            request.time.from + ' was automatically rejected. ' +
+            doc.data().reason + ' Tap to rematch ' + request.fromUser.name
+            .split(' ')[0] + '.';
+        const rematch = async () => {
+            const [err, pupil] = await to(Data.getUser(request.fromUser.uid));
+            if (err) return window.app.snackbar.view('Could not get ' +
+                request.fromUser.name + '\'s profile.');
+            new MatchingDialog(pupil, {
+                subject: request.subject,
+            }).view();
+        };
+        var card;
+        const actions = {
+            dismiss: async () => {
+                $(card).hide();
+                const [err, res] = await to(doc.ref.delete());
+                if (err) {
+                    window.app.snackbar.view('Could not dismiss expired ' +
+                        'request.');
+                    return $(card).show();
+                }
+                $(card).remove();
+            },
+            rematch: () => rematch(),
+            primary: () => rematch(),
+        };
+        card = Card.renderCard(title, subtitle, summary, actions);
+        $(card)
+            .attr('id', doc.id)
+            .attr('type', 'expiredRequests');
+        return card;
+    }
+
+    renderWaitlistCard(doc) {
+        const waitlist = doc.data();
+        const data = { // Waitlists are identified by their tutor and timeslot
+            tutor: waitlist.tutor,
+            location: waitlist.location,
+            time: waitlist.time,
+        };
+        const title = 'Waitlist';
+        const subtitle = 'For ' + waitlist.tutor.name + ' on ' +
+            waitlist.time.day + 's at ' + waitlist.time.from;
+        const summary = waitlist.pupils.map((p, index) => (index + 1) + '. ' +
+            p.name + ' (' + p.subject + ')').join(', ') + '. The first pupil ' +
+            'is sent a request when ' + waitlist.tutor.name.split(' ')[0] +
+            '\'s appointment at this time is canceled.';
+        const reorder = async (pupil, index) => {
+            const order = waitlist.pupils.map(p => p.uid)
+                .filter(uid => uid !== pupil.uid);
+            order.splice(index, 0, pupil.uid);
+            window.app.snackbar.view('Reordering waitlist...');
+            const [err, res] = await to(Data.reorderWaitlist(data, order));
+            if (err) return window.app.snackbar.view(Data.errorMessage(err,
+                'Could not reorder waitlist.'));
+            window.app.snackbar.view('Reordered waitlist.');
+        };
+        const remove = (pupil) => new ConfirmationDialog('Remove Pupil?',
+            'Remove ' + pupil.name + ' from ' + waitlist.tutor.name + '\'s ' +
+            'waitlist for ' + waitlist.time.day + 's at ' + waitlist.time
+            .from + '?', async () => {
+                window.app.snackbar.view('Removing ' + pupil.name + '...');
+                const [err, res] = await to(Data.leaveWaitlist(data, pupil));
+                if (err) return window.app.snackbar.view(Data.errorMessage(
+                    err, 'Could not remove ' + pupil.name + '.'));
+                window.app.snackbar.view('Removed ' + pupil.name + '.');
+            }).view();
+        const options = {};
+        waitlist.pupils.forEach((pupil, index) => {
+            if (index > 0) options['Move ' + pupil.name + ' up'] = () =>
+                reorder(pupil, index - 1);
+            if (index < waitlist.pupils.length - 1) options['Move ' +
+                pupil.name + ' down'] = () => reorder(pupil, index + 1);
+        });
+        waitlist.pupils.forEach((pupil) => options['Remove ' + pupil.name] =
+            () => remove(pupil));
+        options['Raw Data'] = () => Utils.viewRaw(doc);
+        const card = Card.renderCard(title, subtitle, summary, {
+            options: options,
+        });
+        $(card)
+            .attr('id', doc.id)
+            .attr('type', 'waitlists');
+        return card;
+    }
+
     addUserQuery(id) { // Starts listening for matches for the given user
         this.queries[id] = [];
         [
@@ -469,7 +609,7 @@ export class Matching {
             match: () => match.view(),
             options: {
                 'Edit': () => dialog.view(),
-                'Delete': () => new ConfirmationDialog('Delete Proxy Account?',
+                'Delete': () => new DeleteUserDialog('Delete Proxy Account?',
                     'You are about to permanently delete ' + profile.name +
                     '\'s account data. This action cannot be undone. Please ' +
                     'ensure to check with your fellow supervisors before ' +
@@ -478,7 +618,25 @@ export class Matching {
                         if (err) window.app.snackbar.view('Could not delete ' +
                             'account.');
                         window.app.snackbar.view('Deleted account.');
-                    }).view(),
+                    }, doc.id).view(),
+                'Merge': async () => {
+                    const [e, users] = await to(Data.getDuplicateUsers(
+                        profile));
+                    if (e) return window.app.snackbar.view('Could not find ' +
+                        'duplicate accounts.');
+                    if (!users.length) return window.app.snackbar.view('No ' +
+                        'other accounts are named ' + profile.name + '.');
+                    new MergeUsersDialog('Merge Proxy Account?', 'You are ' +
+                        'about to merge ' + profile.name + '\'s proxy ' +
+                        'account into their ' + users[0].email + ' account. ' +
+                        'This action cannot be undone.', async () => {
+                            const [err, res] = await to(Data.mergeUsers(doc
+                                .id, users[0].uid));
+                            if (err) return window.app.snackbar.view('Could ' +
+                                'not merge accounts.');
+                            window.app.snackbar.view('Merged accounts.');
+                        }, doc.id, users[0].uid).view();
+                },
                 'Raw Data': () => Utils.viewRaw(doc),
             },
         };
@@ -44,6 +44,7 @@ import {
     EditSubjectsDialog,
     NotificationDialog,
     ConfirmationDialog,
+    DeleteUserDialog,
 } from '@tutorbook/dialogs';
 import Data from '@tutorbook/data';
 import Utils from '@tutorbook/utils';
@@ -115,8 +116,15 @@ export class Profile {
         const email = t('#Email', (input) => {
             p.email = input.val();
         });
+        $(this.main).find('[data-fir-click="export"]').click(async () => {
+            window.app.snackbar.view('Exporting data...');
+            const [err, res] = await to(Data.exportUser(p.uid));
+            if (err) return window.app.snackbar.view('Could not export data.');
+            window.app.snackbar.view('Exported data.', 'download',
+                () => window.open(res.url), true, -1);
+        });
         $(this.main).find('[data-fir-click="delete"]').click(() => {
-            new ConfirmationDialog('Delete Account?',
+            new DeleteUserDialog('Delete Account?',
                 'You are about to permanently delete all of your account data' +
                 ' (including any appointments, requests, messages, or service' +
                 ' hours that you might have). This action cannot be undone. ' +
@@ -126,7 +134,7 @@ export class Profile {
                         'delete account.');
                     window.app.signOut();
                     window.app.snackbar.view('Deleted account and signed out.');
-                }).view();
+                }, p.uid).view();
         });
     }
 
@@ -297,10 +305,30 @@ export class Profile {
             this.addEventListener('click', () => dialog.view());
             MDCTextField.attachTo(this);
         });
+        Object.entries({
+            sessions: 'Max sessions per week',
+            hours: 'Max hours per week',
+            pupils: 'Max pupils',
+        }).forEach(([key, label]) => {
+            if (!$(this.main).find('[id="' + label + '"]').length) return;
+            const limit = s('[id="' + label + '"]');
+            listen(limit, () => {
+                if (!p.limits) p.limits = {};
+                p.limits[key] = Utils.parseLimit(limit.value);
+            });
+        });
         if (dontUpdate) return;
+        MDCRipple.attachTo($(this.main).find('[data-fir-click="export"]')[0]);
+        $(this.main).find('[data-fir-click="export"]').click(async () => {
+            window.app.snackbar.view('Exporting data...');
+            const [err, res] = await to(Data.exportUser(p.uid));
+            if (err) return window.app.snackbar.view('Could not export data.');
+            window.app.snackbar.view('Exported data.', 'download',
+                () => window.open(res.url), true, -1);
+        });
         MDCRipple.attachTo($(this.main).find('[data-fir-click="delete"]')[0]);
         $(this.main).find('[data-fir-click="delete"]').click(() => {
-            new ConfirmationDialog('Delete Account?',
+            new DeleteUserDialog('Delete Account?',
                 'You are about to permanently delete all of your account data' +
                 ' (including any appointments, requests, messages, or service' +
                 ' hours that you might have). This action cannot be undone. ' +
@@ -310,7 +338,7 @@ export class Profile {
                         'delete account.');
                     window.app.signOut();
                     window.app.snackbar.view('Deleted account and signed out.');
-                }).view();
+                }, p.uid).view();
         });
     }
 
@@ -326,8 +354,8 @@ export class Profile {
         this.main = this.render.template('profile');
         const that = this;
 
-        function add(e, el) { // Add split input item to profile
-            that.main.appendChild(that.render.splitListItem(e, el));
+        function add(e, el, elC) { // Add split input item to profile
+            that.main.appendChild(that.render.splitListItem(e, el, elC));
         };
 
         function s(l, v, d) { // Render select
@@ -377,6 +405,19 @@ export class Profile {
             },
         });
         this.addAvailabilityInputs();
+        if (profile.type === 'Tutor') {
+            const l = (key) => Utils.getLimitString((profile.limits || {})[
+                key]);
+            addD('Capacity');
+            add(
+                s('Max sessions per week', l('sessions'), Data.limits),
+                s('Max hours per week', l('hours'), Data.limits),
+                s('Max pupils', l('pupils'), Data.limits)
+            );
+        }
+        $(this.main).append(this.render.template('export-user-input', {
+            export: () => {},
+        }));
         $(this.main).append(this.render.template('delete-user-input', {
             delete: () => {},
         }));
@@ -567,7 +608,8 @@ export class NewProfile extends Profile {
             const res = await index.search(query, {
                 facetFilters: !window.app.id ? [] : [
                     'payments.type:Free',
-                    window.app.locations.map(l => 'location:' + l.name),
+                    window.app.locations.filter(l => !l.archived)
+                        .map(l => 'location:' + l.name),
                 ],
             });
             $(textFieldItem).find('#results').empty();
@@ -835,7 +877,7 @@ export class EditProfile extends NewProfile {
         });
         this.styleEmailInput();
         $(this.main).append(this.render.template('delete-user-input', {
-            delete: () => new ConfirmationDialog('Delete Account?',
+            delete: () => new DeleteUserDialog('Delete Account?',
                 'You are about to permanently delete ' + this.profile.name +
                 '\'s account data. This action cannot be undone. Please ' +
                 'ensure to check with your fellow supervisors before ' +
@@ -846,7 +888,7 @@ export class EditProfile extends NewProfile {
                     if (err) return window.app.snackbar.view('Could not ' +
                         'delete account.');
                     window.app.snackbar.view('Deleted account.');
-                }).view(),
+                }, this.profile.uid).view(),
         }));
         $(this.main).find('#Type').replaceWith(this.render.select('Type', this
             .profile.type, Data.types));
@@ -882,7 +924,9 @@ export class EditProfile extends NewProfile {
 export class TutorProfile extends Profile {
     /**
      * Renders the tutor profile view by replacing the bio field with a service 
-     * hours field (shows the tutor how many service hours they've tracked).
+     * hours field (shows the tutor how many service hours they've tracked) and
+     * adding download buttons for any service hour milestone certificates that
+     * they've been awarded.
      */
     renderSelf() {
         super.renderSelf();
@@ -890,6 +934,39 @@ export class TutorProfile extends Profile {
             'Service hours',
             Utils.getDurationStringFromSecs(this.profile.secondsTutored || 0),
         )).attr('style', 'margin-right:20px;'));
+        this.renderCertificates();
+    }
+
+    /**
+     * Adds a download button for each of the tutor's certificates (once their
+     * PDFs have been generated) above the "Download my data" button.
+     * @return {Promise<undefined>} Promise that resolves once the certificate
+     * buttons have been added.
+     */
+    async renderCertificates() {
+        const main = this.main;
+        const [err, snapshot] = await to(window.app.db.collection('users')
+            .doc(this.profile.uid).collection('certificates')
+            .orderBy('milestone').get());
+        if (err) return console.error('[ERROR] While getting certificates:',
+            err);
+        snapshot.forEach((doc) => {
+            const certificate = doc.data();
+            if (!certificate.path) return;
+            const el = this.render.template('certificate-input', {
+                label: certificate.milestone + ' hour certificate (' +
+                    certificate.location.name + ')',
+                download: async () => {
+                    const [e, url] = await to(firebase.storage()
+                        .ref(certificate.path).getDownloadURL());
+                    if (e) return window.app.snackbar.view('Could not ' +
+                        'download certificate.');
+                    window.open(url);
+                },
+            });
+            $(main).find('.export-user-input').before(el);
+            MDCRipple.attachTo($(el).find('.mdc-button')[0]);
+        });
     }
 
     manage(dontUpdate) {
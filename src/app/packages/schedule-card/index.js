@@ -78,8 +78,8 @@ class Event {
             'Edit': () => this.editDialog.view(),
             'Cancel': () => {
                 return new ConfirmationDialog('Cancel Appointment?',
-                    'Cancel tutoring sessions between ' + this.attendees[0].name +
-                    ' and ' + this.attendees[1].name + ' for ' +
+                    'Cancel tutoring sessions between ' + Utils
+                    .getAttendeeNames(this.attendees, true) + ' for ' +
                     this.for.subject + ' at ' + this.time.from + ' at the ' +
                     this.location.name + '.', async () => {
                         window.app.snackbar.view('Canceling appointment...');
@@ -92,7 +92,8 @@ class Event {
                                 ' appointment.');
                         }
                         $(this.el).remove();
-                        window.app.snackbar.view('Canceled appointment.');
+                        Utils.viewUndoSnackbar('Canceled appointment.', r,
+                            'appointment');
                     }).view();
             },
             'Raw Data': () => Utils.viewRaw({
@@ -120,9 +121,15 @@ class Event {
     renderSelf() {
         const title = this.for.toUser.name.split(' ')[0] + ' and ' +
             this.for.fromUser.name.split(' ')[0];
-        const subtitle = this.for.subject + ((window.app.data.periods[this.time
-                .day] || []).indexOf(this.time.from) < 0 ? ' at ' :
-            ' during ') + this.time.from;
+        const time = this.next ? this.next.time : this.time;
+        const from = Utils.resolveTime(time, this.location).from;
+        const subtitle = this.for.subject + ((window.app.data.periods[time
+            .day] || []).indexOf(time.from) < 0 ? ' at ' : ' during ') +
+            time.from + (from !== time.from ? ' (' + from + ')' : '') +
+            (this.next && this.next.moved ? ' (moved)' : '') +
+            (this.next && this.next.closure ? ' (closed for ' + this.next
+                .closure.name + ')' : '') +
+            (time.date ? ' on ' + time.date.slice(5).replace('-', '/') : '');
         this.el = $(this.render.template('card-event', {
             title: title,
             subtitle: subtitle,
@@ -165,6 +172,7 @@ class Appt extends Event {
 
     constructor(appt, id, colors, index) {
         super(appt, id, colors || {}, 'appts', index);
+        this.next = Utils.getNextOccurrence(appt);
         this.actions['Clock-in'] = () => this.clockIn();
         this.renderSelf();
     }
@@ -181,10 +189,11 @@ class Appt extends Event {
         const [e, r] = await to(Data.instantClockIn(
             Utils.filterApptData(this), this.id));
         $(this.el).css('background', this.color);
-        if (e) return window.app.snackbar.view('Could not clock in.');
+        if (e) return window.app.snackbar.view(Data.errorMessage(e,
+            'Could not clock in.'));
         window.app.snackbar.view('Clocked in for ' + this.for.toUser.name
-            .split(' ')[0] + ' at ' + new Date(r.clockIn.sentTimestamp)
-            .toLocaleTimeString() + '.');
+            .split(' ')[0] + ' at ' + Utils.dateToTimestring(r.clockIn
+                .sentTimestamp, Utils.getTimezone(this.location)) + '.');
     }
 }
 
@@ -236,10 +245,11 @@ class ActiveAppt extends Event {
             '...');
         const [e, r] = await to(Data.instantClockOut(
             Utils.filterApptData(this), this.id));
-        if (e) return window.app.snackbar.view('Could not clock out.');
+        if (e) return window.app.snackbar.view(Data.errorMessage(e,
+            'Could not clock out.'));
         window.app.snackbar.view('Clocked out for ' + this.for.toUser.name
-            .split(' ')[0] + ' at ' + new Date(r.clockOut.sentTimestamp)
-            .toLocaleTimeString() + '.');
+            .split(' ')[0] + ' at ' + Utils.dateToTimestring(r.clockOut
+                .sentTimestamp, Utils.getTimezone(this.location)) + '.');
     }
 }
 
@@ -300,8 +310,9 @@ export default class ScheduleCard {
                         index,
                     );
                 }
-                $(this.main).find('#' + this[type][index][doc.id].time.day +
-                    ' .schedule-list').append(this[type][index][doc.id].el);
+                const event = this[type][index][doc.id];
+                $(this.main).find('#' + (event.next || event).time.day +
+                    ' .schedule-list').append(event.el);
                 if (this.displayHook) this.displayHook(doc, type, index);
             },
             remove: (doc, type, index) => {
@@ -99,10 +99,16 @@ export class Appt extends Event {
     constructor(doc) {
         super(doc);
         this.other = Utils.getOtherUser(this.attendees[0], this.attendees[1]);
-        this.title = "Upcoming Appointment with " + this.other.name;
+        this.title = "Upcoming Appointment with " +
+            Utils.getAttendeeNames(this.attendees);
         this.subtitle = "Tutoring session for " + this.for.subject + " at the " +
             this.location.name + ".";
-        this.timestamp = Utils.getNextDateWithDay(this.time.day);
+        const next = Utils.getNextOccurrence(this);
+        if (next.moved) this.subtitle += " Rescheduled to " + next.time.from +
+            " this time.";
+        if (this.time.date) this.subtitle += " One-time session on " +
+            next.date.toDateString() + ".";
+        this.timestamp = next.date;
         this.dialog = new ViewApptDialog(doc.data(), doc.id);
         this.data = {
             type: 'appointments',
@@ -110,7 +116,8 @@ export class Appt extends Event {
             actionLabel: 'Cancel',
             action: () => {
                 return new ConfirmationDialog('Cancel Appointment?', 'Cancel ' +
-                    'tutoring sessions with ' + this.other.name + ' for ' +
+                    'tutoring sessions with ' + Utils.getAttendeeNames(
+                        this.attendees) + ' for ' +
                     this.for.subject + ' at ' + this.time.from + ' at the ' +
                     this.location.name + '.', async () => {
                         window.app.snackbar.view('Canceling appointment...');
@@ -125,8 +132,8 @@ export class Appt extends Event {
                                 ' appointment.');
                         }
                         $(this.el).remove();
-                        window.app.snackbar.view('Canceled appointment with ' +
-                            this.other.email + '.');
+                        Utils.viewUndoSnackbar('Canceled appointment with ' +
+                            this.other.email + '.', res, 'appointment');
                     }).view();
             },
         };
@@ -137,11 +144,16 @@ export class Appt extends Event {
 export class SupervisorAppt extends Event {
     constructor(doc) {
         super(doc);
-        this.title = "Upcoming Appointment between " + this.attendees[0].name +
-            " and " + this.attendees[1].name;
+        this.title = "Upcoming Appointment between " +
+            Utils.getAttendeeNames(this.attendees, true);
         this.subtitle = "Tutoring session for " + this.for.subject + " at the " +
             this.location.name + ".";
-        this.timestamp = Utils.getNextDateWithDay(this.time.day);
+        const next = Utils.getNextOccurrence(this);
+        if (next.moved) this.subtitle += " Rescheduled to " + next.time.from +
+            " this time.";
+        if (this.time.date) this.subtitle += " One-time session on " +
+            next.date.toDateString() + ".";
+        this.timestamp = next.date;
         this.dialog = new ViewApptDialog(doc.data(), doc.id);
         this.data = {
             photoA: this.attendees[0].photo,
@@ -157,8 +169,8 @@ export class SupervisorAppt extends Event {
             actionLabel: 'Cancel',
             action: () => {
                 return new ConfirmationDialog('Cancel Appointment?', 'Cancel ' +
-                    'tutoring sessions between ' + this.attendees[0].name +
-                    ' and ' + this.attendees[1].name + ' for ' +
+                    'tutoring sessions between ' + Utils.getAttendeeNames(
+                        this.attendees, true) + ' for ' +
                     this.for.subject + ' at ' + this.time.from + ' at the ' +
                     this.location.name + '?', async () => {
                         window.app.snackbar.view('Canceling appointment...');
@@ -173,7 +185,8 @@ export class SupervisorAppt extends Event {
                                 ' appointment.');
                         }
                         $(this.el).remove();
-                        window.app.snackbar.view('Canceled appointment.');
+                        Utils.viewUndoSnackbar('Canceled appointment.', res,
+                            'appointment');
                     }).view();
             },
         };
@@ -189,7 +202,8 @@ export class CanceledAppt extends Event {
         this.title = "Canceled Appointment with " + this.canceledBy.name;
         this.subtitle = this.canceledBy.name + " canceled this upcoming " +
             "appointment. Please ensure to address these changes.";
-        this.timestamp = Utils.getNextDateWithDay(this.for.time.day);
+        this.timestamp = Utils.getNextDateWithDay(this.for.time.day, Utils
+            .getTimezone(this.for.location));
         this.dialog = new ViewCanceledApptDialog(doc.data(), doc.id);
         this.data = {
             type: 'canceledAppointments',
@@ -211,11 +225,12 @@ export class CanceledAppt extends Event {
 export class SupervisorCanceledAppt extends Event {
     constructor(doc) {
         super(doc);
-        this.title = "Canceled Appointment between " + this.for.attendees[0].name +
-            " and " + this.for.attendees[1].name;
+        this.title = "Canceled Appointment between " +
+            Utils.getAttendeeNames(this.for.attendees, true);
         this.subtitle = this.canceledBy.name + " canceled this upcoming " +
             "appointment. Please ensure to address these changes.";
-        this.timestamp = Utils.getNextDateWithDay(this.for.time.day);
+        this.timestamp = Utils.getNextDateWithDay(this.for.time.day, Utils
+            .getTimezone(this.for.location));
         this.dialog = new ViewCanceledApptDialog(doc.data(), doc.id);
         this.data = {
             photoA: this.for.attendees[0].photo,
@@ -250,7 +265,8 @@ export class ModifiedAppt extends Event {
         this.title = "Modified Appointment with " + this.modifiedBy.name;
         this.subtitle = this.modifiedBy.name + " modified this upcoming " +
             "appointment. Please ensure to address these changes.";
-        this.timestamp = Utils.getNextDateWithDay(this.for.time.day);
+        this.timestamp = Utils.getNextDateWithDay(this.for.time.day, Utils
+            .getTimezone(this.for.location));
         this.dialog = new ViewApptDialog(doc.data().for, doc.id);
         this.data = {
             type: 'modifiedAppointments',
@@ -272,11 +288,12 @@ export class ModifiedAppt extends Event {
 export class SupervisorModifiedAppt extends Event {
     constructor(doc) {
         super(doc);
-        this.title = "Modified Appointment between " + this.for.attendees[0].name +
-            " and " + this.for.attendees[1].name;
+        this.title = "Modified Appointment between " +
+            Utils.getAttendeeNames(this.for.attendees, true);
         this.subtitle = this.modifiedBy.name + " modified this upcoming " +
             "appointment. Please ensure to address these changes.";
-        this.timestamp = Utils.getNextDateWithDay(this.for.time.day);
+        this.timestamp = Utils.getNextDateWithDay(this.for.time.day, Utils
+            .getTimezone(this.for.location));
         this.dialog = new ViewModifiedApptDialog(doc.data().for, doc.id);
         this.data = {
             photoA: modifiedAppt.for.attendees[0].photo,
@@ -307,7 +324,8 @@ export class ActiveAppt extends Event {
     constructor(doc) {
         super(doc);
         this.other = Utils.getOtherUser(this.attendees[0], this.attendees[1]);
-        this.title = "Active Appointment with " + this.other.name;
+        this.title = "Active Appointment with " +
+            Utils.getAttendeeNames(this.attendees);
         this.subtitle = "Tutoring session right now for " + this.for.subject +
             " at the " + this.location.name + ".";
         this.timestamp = (typeof this.clockIn.sentTimestamp === 'string') ?
@@ -321,8 +339,8 @@ export class ActiveAppt extends Event {
             action: async () => {
                 window.app.snackbar.view('Sending request...');
                 const [err, res] = await to(Data.clockOut(doc.data(), doc.id));
-                if (err) return window.app.snackbar.view('Could not send ' +
-                    'clock-out request.');
+                if (err) return window.app.snackbar.view(Data.errorMessage(
+                    err, 'Could not send clock-out request.'));
                 window.app.snackbar.view('Sent clock-out request to ' +
                     res.recipient.name + '.');
                 ViewApptDialog.listen(
@@ -339,8 +357,8 @@ export class ActiveAppt extends Event {
 export class SupervisorActiveAppt extends Event {
     constructor(doc) {
         super(doc);
-        this.title = "Active Appointment between " + this.attendees[0].name +
-            " and " + this.attendees[1].name;
+        this.title = "Active Appointment between " +
+            Utils.getAttendeeNames(this.attendees, true);
         this.subtitle = "Tutoring session right now for " + this.for.subject +
             " at the " + this.location.name + ".";
         this.timestamp = (typeof this.clockIn.sentTimestamp === 'string') ?
@@ -364,9 +382,11 @@ export class SupervisorActiveAppt extends Event {
                     this.for.toUser.name.split(' ')[0] + '...');
                 const [e, r] = await to(
                     Data.instantClockOut(doc.data(), doc.id));
-                if (e) return window.app.snackbar.view('Could not clock-out.');
-                window.app.snackbar.view('Clocked out at ' + new Date(r.clockOut
-                    .sentTimestamp).toLocaleTimeString() + '.');
+                if (e) return window.app.snackbar.view(Data.errorMessage(e,
+                    'Could not clock-out.'));
+                window.app.snackbar.view('Clocked out at ' + Utils
+                    .dateToTimestring(r.clockOut.sentTimestamp, Utils
+                        .getTimezone(this.location)) + '.');
                 window.app.schedule.refresh();
             },
         };
@@ -378,7 +398,8 @@ export class PastAppt extends Event {
     constructor(doc) {
         super(doc);
         this.other = Utils.getOtherUser(this.attendees[0], this.attendees[1]);
-        this.title = "Past Appointment with " + this.other.name;
+        this.title = "Past Appointment with " +
+            Utils.getAttendeeNames(this.attendees);
         this.subtitle = "Tutoring session for " + this.for.subject +
             " at the " + this.location.name + ".";
         this.timestamp = (typeof this.clockOut.sentTimestamp === 'string') ?
@@ -391,9 +412,9 @@ export class PastAppt extends Event {
             actionLabel: 'Delete',
             action: async () => {
                 return new ConfirmationDialog('Delete Past Appointment?',
-                    'Are you sure you want to permanently delete this ' +
-                    'past appointment with ' + this.other.name +
-                    '? This action cannot be undone.', async () => {
+                    'Are you sure you want to delete this past appointment ' +
+                    'with ' + Utils.getAttendeeNames(this.attendees) + '?',
+                    async () => {
                         $(this.el).hide();
                         window.app.schedule.refresh();
                         window.app.snackbar.view('Deleting past ' +
@@ -409,8 +430,8 @@ export class PastAppt extends Event {
                         }
                         $(this.el).remove();
                         window.app.schedule.refresh();
-                        return window.app.snackbar.view('Deleted past ' +
-                            'appointment.');
+                        return Utils.viewUndoSnackbar('Deleted past ' +
+                            'appointment.', res, 'past appointment');
                     }).view();
             },
         };
@@ -421,8 +442,8 @@ export class PastAppt extends Event {
 export class SupervisorPastAppt extends Event {
     constructor(doc) {
         super(doc);
-        this.title = "Past Appointment between " + this.attendees[0].name +
-            " and " + this.attendees[1].name;
+        this.title = "Past Appointment between " +
+            Utils.getAttendeeNames(this.attendees, true);
         this.subtitle = "Tutoring session for " + this.for.subject +
             " at the " + this.location.name + ".";
         this.timestamp = (typeof this.clockOut.sentTimestamp === 'string') ?
@@ -443,10 +464,9 @@ export class SupervisorPastAppt extends Event {
             actionLabel: 'Delete',
             action: async () => {
                 return new ConfirmationDialog('Delete Past Appointment?',
-                    'Are you sure you want to permanently delete this ' +
-                    'past appointment between ' + this.attendees[0].name +
-                    ' and ' + this.attendees[1].name + '? This action ' +
-                    'cannot be undone.', async () => {
+                    'Are you sure you want to delete this past appointment ' +
+                    'between ' + Utils.getAttendeeNames(this.attendees, true) +
+                    '?', async () => {
                         $(this.el).hide();
                         window.app.schedule.refresh();
                         window.app.snackbar.view('Deleting past ' +
@@ -462,8 +482,8 @@ export class SupervisorPastAppt extends Event {
                         }
                         $(this.el).remove();
                         window.app.schedule.refresh();
-                        return window.app.snackbar.view('Deleted past ' +
-                            'appointment.');
+                        return Utils.viewUndoSnackbar('Deleted past ' +
+                            'appointment.', res, 'past appointment');
                     }).view();
             },
         };
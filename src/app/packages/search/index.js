@@ -79,7 +79,8 @@ export class SearchHeader {
         const [err, res] = await to(that.index.search(query, {
             facetFilters: window.app.id === 'root' ? [] : [
                 'payments.type:Free',
-                window.app.locations.map(l => 'location:' + l.name),
+                window.app.locations.filter(l => !l.archived)
+                    .map(l => 'location:' + l.name),
             ],
         }));
         if (err) return console.error('[ERROR] Could not search users b/c of',
@@ -188,6 +189,8 @@ export class SearchHeader {
             window.app.snackbar.view('Generated service hour log.', 'view',
                 () => window.open(res), true, -1);
         };
+        listItemData.full = profile.type === 'Tutor' &&
+            Utils.atCapacity(hit);
         listItemData.grade = profile.grade || 'No Grade';
         listItemData.type = profile.type || 'No Type';
 
@@ -305,6 +308,8 @@ export class Search {
             return false;
         } else if (!this.matchesAvailability(profile)) {
             return false;
+        } else if (Utils.atCapacity(profile)) { // Tutor can't take more pupils
+            return false;
         }
         return true;
     }
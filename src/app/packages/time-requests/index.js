@@ -218,8 +218,8 @@ export class NewTimeRequestDialog {
             if (event.detail.action !== 'send') return;
             window.app.snackbar.view('Sending time request...');
             const [err, res] = await to(Data.newTimeRequest(this.request));
-            if (err) return window.app.snackbar.view('Could not send time ' +
-                'request.');
+            if (err) return window.app.snackbar.view(Data.errorMessage(err,
+                'Could not send time request.'));
             window.app.snackbar.view('Sent time request to ' +
                 res.recipient.name + '.');
         });
@@ -254,21 +254,22 @@ export class NewTimeRequestDialog {
         clockIn = this.request.appt.clockIn.sentTimestamp,
         clockOut = this.request.appt.clockOut.sentTimestamp,
     ) {
+        const timezone = Utils.getTimezone(this.request.appt.location);
         if (typeof clockIn === 'string' && typeof clockOut === 'string') {
             const valid =
                 Utils.validClockInTime(clockIn, clockOut) &&
                 Utils.validClockOutTime(clockOut, clockIn);
             if (!valid) return setTimeout(() => this.invalidBoth(), 50);
-            clockIn = Utils.timestringToDate(clockIn);
-            clockOut = Utils.timestringToDate(clockOut);
+            clockIn = Utils.timestringToDate(clockIn, timezone);
+            clockOut = Utils.timestringToDate(clockOut, timezone);
         } else if (typeof clockIn === 'string') {
             const valid = Utils.validClockInTime(clockIn, clockOut);
             if (!valid) return setTimeout(() => this.invalidClockIn(), 50);
-            clockIn = Utils.timestringToDate(clockIn);
+            clockIn = Utils.timestringToDate(clockIn, timezone);
         } else if (typeof clockOut === 'string') {
             const valid = Utils.validClockOutTime(clockOut, clockIn);
             if (!valid) return setTimeout(() => this.invalidClockOut(), 50);
-            clockOut = Utils.timestringToDate(clockOut);
+            clockOut = Utils.timestringToDate(clockOut, timezone);
         }
         this.request.appt.clockIn.sentTimestamp = clockIn;
         this.request.appt.clockOut.sentTimestamp = clockOut;
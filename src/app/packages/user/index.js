@@ -30,6 +30,7 @@ import {
 import * as $ from 'jquery';
 
 import {
+    JoinWaitlistDialog,
     NewRequestDialog,
     PaidRequestDialog,
     StripeRequestDialog,
@@ -37,6 +38,8 @@ import {
 import Utils from '@tutorbook/utils';
 import Data from '@tutorbook/data';
 
+import to from 'await-to-js';
+
 /** 
  * Class that represents the user view in Tutorbook's web app.
  * @todo Make this more like a CRM user view for supervisors (e.g. show all of
@@ -55,6 +58,16 @@ export default class User {
         this.render = app.render;
         profile.availableTimes = Utils
             .getAvailabilityStrings(profile.availability);
+        this.bookedTimeslots = Utils.getBookedTimeslots(profile.availability);
+        profile.bookedTimes = this.bookedTimeslots.map(t => Utils
+            .getAvailabilityString({
+                day: t.time.day,
+                location: t.location.name,
+                fromTime: t.time.from,
+                toTime: t.time.to,
+            }) + '.');
+        profile.showWaitlists = window.app.user.type === 'Pupil' &&
+            profile.type === 'Tutor' && profile.bookedTimes.length > 0;
         if (profile.payments.type === 'Paid') {
             profile.paid = true;
             profile.showAbout = true;
@@ -185,6 +198,14 @@ export default class User {
             });
         });
 
+        // WAITLISTS
+        const timeslots = this.bookedTimeslots;
+        const join = (timeslot) => this.joinWaitlist(timeslot);
+        $(this.main).find('#waitlists .mdc-list-item').each(function(index) {
+            MDCRipple.attachTo(this);
+            this.addEventListener('click', () => join(timeslots[index]));
+        });
+
         // MESSAGE FAB
         const messageFab = this.main.querySelector('#message-button');
         MDCRipple.attachTo(messageFab);
@@ -206,4 +227,42 @@ export default class User {
         MDCTopAppBar.attachTo(this.header);
     }
 
+    /**
+     * Asks the current (pupil) user to confirm that they want to join the
+     * waitlist of the given booked timeslot (and which of the tutor's subjects
+     * they want to be sent a request for when it frees up).
+     * @param {Object} timeslot - The booked timeslot's `location` and `time`.
+     */
+    joinWaitlist(timeslot) {
+        const waitlist = {
+            tutor: Utils.filterRequestUserData(this.profile),
+            location: timeslot.location,
+            time: timeslot.time,
+        };
+        new JoinWaitlistDialog('Join Waitlist?', this.profile.name + ' is ' +
+            'already booked on ' + timeslot.time.day + 's at ' + timeslot.time
+            .from + '. Join their waitlist to automatically send them a ' +
+            'request for the subject below when that time frees up.',
+            (subject) => this.sendJoinWaitlist(waitlist, subject), this
+            .profile.subjects).view();
+    }
+
+    async sendJoinWaitlist(waitlist, subject) {
+        window.app.snackbar.view('Joining waitlist...');
+        const [err, res] = await to(Data.joinWaitlist(waitlist,
+            window.app.conciseUser, subject));
+        if (err) return window.app.snackbar.view(Data.errorMessage(err,
+            'Could not join waitlist.'));
+        window.app.snackbar.view('Joined ' + this.profile.name.split(' ')[0] +
+            '\'s waitlist (you\'re #' + res.position + ').', 'Undo',
+            async () => {
+                window.app.snackbar.view('Leaving waitlist...');
+                const [err, res] = await to(Data.leaveWaitlist(waitlist,
+                    window.app.conciseUser));
+                if (err) return window.app.snackbar.view('Could not leave ' +
+                    'waitlist.');
+                window.app.snackbar.view('Left waitlist.');
+            });
+    }
+
 };
\ No newline at end of file
@@ -59,37 +59,124 @@ export default class Utils {
     }
 
     /**
-     * Converts a timestring into a `Date` assuming that the day was today. If
-     * the time was a period (i.e. not actually one of `window.app.data
+     * Gets the timezone (e.g. `America/New_York`) that the given location's
+     * appointment times are in.
+     * @param {(Object|string)} [location=window.app.location] - The location
+     * (or it's ID or name) to get the timezone of.
+     * @return {string} The location's timezone (locations that haven't set
+     * their own are in [the default timezone]{@link Utils.DEFAULT_TIMEZONE}).
+     */
+    static getTimezone(location = window.app.location) {
+        return Utils.getLocationData(location).timezone ||
+            Utils.DEFAULT_TIMEZONE;
+    }
+
+    /**
+     * Gets the full (locally synced) data of the given location.
+     * @param {(Object|string)} [location=window.app.location] - The location
+     * (or it's ID or name) to get the data of.
+     * @return {Location} The location's data (or the given location if we
+     * haven't synced it's data).
+     */
+    static getLocationData(location = window.app.location) {
+        if (typeof location === 'string') location = {
+            id: location,
+            name: location,
+        };
+        if (!location) return {};
+        return window.app.data.locations.find(l => l.id === location.id ||
+            l.name === location.name) || location;
+    }
+
+    /**
+     * Gets the closure (i.e. a holiday or break w/ a `name`, a `from` date and
+     * an optional `to` date) that the given location is closed for on the
+     * given date.
+     * @param {(Object|string)} location - The location (or it's ID or name).
+     * @param {string} date - The `YYYY-MM-DD` date string.
+     * @return {(Object|undefined)} The closure (or `undefined` if the location
+     * is open on that date).
+     */
+    static getClosure(location, date) {
+        return (Utils.getLocationData(location).closures || []).find(c =>
+            c.from <= date && date <= (c.to || c.from));
+    }
+
+    /**
+     * Resolves the given time's periods (e.g. `A Period`) to the clock times
+     * that they start and end at on the given location's bell schedule.
+     * @param {Object} time - The time (i.e. `{ day, from, to, date }`).
+     * @param {(Object|string)} [location=window.app.location] - The location
+     * (or it's ID or name) whose bell schedule we use.
+     * @return {Object} The time w/ clock `from` and `to` times (periods that
+     * aren't on the location's bell schedule are left as is).
+     */
+    static resolveTime(time, location = window.app.location) {
+        const periods = Data.getPeriods(Utils.getLocationData(location), time);
+        const clock = (t, end) => {
+            const period = periods.find(p => p.name === t);
+            return period ? (end ? period.to : period.from) : t;
+        };
+        return Utils.combineMaps(time, {
+            from: clock(time.from),
+            to: clock(time.to, true),
+        });
+    }
+
+    /**
+     * Gets the offset (in milliseconds) of the given timezone from UTC at the
+     * given date (e.g. `-7 * 60 * 60 * 1000` for Pacific Daylight Time).
+     * @param {Date} date - The date to get the offset at.
+     * @param {string} timezone - The timezone to get the offset of.
+     * @return {number} The timezone's offset from UTC.
+     */
+    static getOffset(date, timezone) {
+        return new Date(date.toLocaleString('en-US', {
+            timeZone: timezone,
+        })) - new Date(date.toLocaleString('en-US', {
+            timeZone: 'UTC',
+        }));
+    }
+
+    /**
+     * Converts a timestring into a `Date` assuming that the day was today (in
+     * the given timezone, regardless of the browser's own timezone). If the
+     * time was a period (i.e. not actually one of `window.app.data
      * .timeStrings`), this method defaults to returning `now`.
      * @param {string} timestring - The time string to convert (e.g. '2:45 PM').
+     * @param {string} [timezone=Utils.getTimezone()] - The timezone that the
+     * time string is in (i.e. the timezone of the appointment's location).
      * @return {Date} The time string in date format (assuming that it was 
      * today).
      */
-    static timestringToDate(timestring) {
+    static timestringToDate(timestring, timezone = Utils.getTimezone()) {
         const now = new Date();
         if (window.app.data.timeStrings.indexOf(timestring) < 0) return now;
         const parts = timestring.split(':');
         const min = new Number(parts[1].split(' ')[0]);
         const ampm = parts[1].split(' ')[1];
-        const hour = new Number(parts[0]);
-        now.setHours(ampm === 'PM' ? hour + 12 : hour);
-        now.setMinutes(min);
-        now.setSeconds(0);
-        return now;
+        const hour = new Number(parts[0]) % 12 + (ampm === 'PM' ? 12 : 0);
+        const [year, month, day] = Utils.getDateString(now, timezone)
+            .split('-').map(n => new Number(n));
+        const utc = new Date(Date.UTC(year, month - 1, day, hour, min, 0, 0));
+        return new Date(utc.getTime() - Utils.getOffset(utc, timezone));
     }
 
     /**
      * Converts a date into a timestring.
      * @param {Date} date - The date to convert.
+     * @param {string} [timezone] - The timezone to get the timestring in
+     * (defaults to the browser's timezone).
      * @return {string} The date converted into a timestring (e.g. '2:45 PM').
      */
-    static dateToTimestring(date) {
+    static dateToTimestring(date, timezone) {
         if (!(date instanceof Date)) date = new Date(date);
         if (date.toString() === 'Invalid Date')
             throw new Error('Invalid date passed to `dateToTimestring`.');
         try {
-            const untrimmed = date.toLocaleTimeString();
+            const untrimmed = date.toLocaleTimeString('en-US', {
+                timeZone: timezone,
+            });
             const ampm = untrimmed.split(' ')[1];
             const time = untrimmed.split(' ')[0];
             const splitTime = time.split(':');
@@ -278,13 +365,62 @@ export default class Utils {
         w.document.close();
     }
 
-    static getNextDateWithDay(day) {
-        const now = new Date();
-        const date = new Date(
-            now.getFullYear(),
-            now.getMonth(),
-            now.getDate(),
-            0, 0, 0, 0);
+    /**
+     * Shows a snackbar that lets the user undo the destructive data action
+     * (e.g. `cancelAppt`) that they just performed (for as long as the server
+     * lets them).
+     * @param {string} message - The message to show (e.g. `Canceled
+     * appointment.`).
+     * @param {Object} res - The data action's result (that includes the `id`
+     * of it's undoable action as `undo`).
+     * @param {string} [label='action'] - What was undone (e.g. `appointment`)
+     * in the messages shown after the user taps "Undo".
+     */
+    static viewUndoSnackbar(message, res, label = 'action') {
+        if (!res || !res.undo) return window.app.snackbar.view(message);
+        const undo = () => {
+            window.app.snackbar.view('Restoring ' + label + '...');
+            return Data.undo(res.undo.id).then(() => window.app.snackbar
+                .view('Restored ' + label + '.')).catch((err) => window.app
+                .snackbar.view(Data.errorMessage(err, 'Could not restore ' +
+                    label + '.')));
+        };
+        const timeout = new Date(res.undo.expires).getTime() - Date.now();
+        window.app.snackbar.view(message, 'Undo', undo, true, Math.min(
+            Math.max(timeout, 4000), 10000));
+    }
+
+    /**
+     * Shows why the given data action failed. If it failed because it overlaps
+     * one of the attendees' existing appointments, we name that appointment
+     * (and let supervisors and tutors book it anyway as our data REST API
+     * doesn't let pupils ignore conflicts).
+     * @param {Error} err - The error thrown by `Data.post`.
+     * @param {string} message - The generic failure message (e.g. `Could not
+     * send request.`).
+     * @param {Function} retry - Function that performs the data action again
+     * (ignoring any conflicts).
+     */
+    static viewConflictSnackbar(err, message, retry) {
+        if (err.code !== 'already-exists') return window.app.snackbar.view(
+            Data.errorMessage(err, message));
+        if (!window.app.userClaims.supervisor && window.app.user.type !==
+            'Tutor') return window.app.snackbar.view(err.message);
+        window.app.snackbar.view(err.message, 'Book anyway', retry, true,
+            10000);
+    }
+
+    /**
+     * Gets the (local, midnight) date of the next given weekday (starting from
+     * today in the given timezone).
+     * @param {string} day - The weekday to get the next date of.
+     * @param {string} [timezone] - The timezone that determines what day it is
+     * today (defaults to the browser's timezone).
+     * @return {Date} The next date with the given weekday.
+     */
+    static getNextDateWithDay(day, timezone) {
+        const date = Utils.getDateFromString(Utils.getDateString(new Date(),
+            timezone));
         var count = 0;
         // Added counter just in case we get something that goes on forever
         while (Data.days[date.getDay()] !== day && count <= 256) {
@@ -294,6 +430,106 @@ export default class Utils {
         return date;
     }
 
+    /**
+     * Gets the `YYYY-MM-DD` date string (that we use to key appointment
+     * exceptions) of the given date.
+     * @param {Date} [date=new Date()] - The date to get the string of.
+     * @param {string} [timezone] - The timezone to get the date string in
+     * (defaults to the browser's timezone).
+     * @return {string} The date string (e.g. `2020-03-05`).
+     */
+    static getDateString(date = new Date(), timezone) {
+        if (timezone) {
+            const [month, day, year] = date.toLocaleDateString('en-US', {
+                timeZone: timezone,
+            }).split('/');
+            return year + '-' + ('0' + month).slice(-2) + '-' +
+                ('0' + day).slice(-2);
+        }
+        return date.getFullYear() + '-' +
+            ('0' + (date.getMonth() + 1)).slice(-2) + '-' +
+            ('0' + date.getDate()).slice(-2);
+    }
+
+    /**
+     * Gets the (local, midnight) date of the given `YYYY-MM-DD` date string.
+     * @param {string} dateString - The date string (e.g. `2020-03-05`).
+     * @return {Date} The date at midnight (local time) on that day.
+     */
+    static getDateFromString(dateString) {
+        const [year, month, day] = dateString.split('-');
+        return new Date(year, month - 1, day, 0, 0, 0, 0);
+    }
+
+    /**
+     * An upcoming occurrence of a weekly (or one-off) appointment.
+     * @typedef {Object} Occurrence
+     * @property {Date} date - The date the occurrence happens on.
+     * @property {Object} time - The occurrence's time (i.e. `{ day, from, to
+     * }`).
+     * @property {string} original - The `YYYY-MM-DD` date that the occurrence
+     * was originally scheduled for (i.e. what it's exceptions are keyed by).
+     * @property {bool} moved - Whether the occurrence was moved (once).
+     * @property {Object} [closure] - The closure (e.g. a holiday) that the
+     * occurrence's location is closed for (only set on one-off appointments as
+     * we skip closed occurrences of weekly appointments).
+     */
+
+    /**
+     * Gets the next upcoming occurrence of a weekly appointment (skipping any
+     * canceled occurrences or those on it's location's closures and respecting
+     * any move-once exceptions) or the
+     * only occurrence of a one-off appointment (i.e. one w/ a `time.date`).
+     * Upcoming occurrences are determined from today in the appointment's
+     * location's timezone.
+     * @param {Appointment} appt - The weekly (or one-off) appointment.
+     * @return {Occurrence} The appointment's next upcoming occurrence.
+     */
+    static getNextOccurrence(appt) {
+        const location = Utils.getLocationData(appt.location);
+        if (appt.time.date) return {
+            date: Utils.getDateFromString(appt.time.date),
+            time: appt.time,
+            original: appt.time.date,
+            moved: false,
+            closure: Utils.getClosure(location, appt.time.date),
+        };
+        const timezone = Utils.getTimezone(appt.location);
+        const today = Utils.getDateString(new Date(), timezone);
+        const exceptions = appt.exceptions || {};
+        const date = Utils.getNextDateWithDay(appt.time.day, timezone);
+        const skip = (date) => exceptions[date] || Utils.getClosure(location,
+            date);
+        var count = 0;
+        while (skip(Utils.getDateString(date)) && count <= 52) {
+            date.setDate(date.getDate() + 7);
+            count++;
+        }
+        const next = {
+            date: date,
+            time: appt.time,
+            original: Utils.getDateString(date),
+            moved: false,
+        };
+        Object.entries(exceptions).forEach(([original, exception]) => {
+            if (!exception.moved || exception.moved.date < today ||
+                Utils.getClosure(location, exception.moved.date)) return;
+            const moved = Utils.getDateFromString(exception.moved.date);
+            if (moved >= next.date) return;
+            Object.assign(next, {
+                date: moved,
+                time: {
+                    day: Data.days[moved.getDay()],
+                    from: exception.moved.from,
+                    to: exception.moved.to,
+                },
+                original: original,
+                moved: true,
+            });
+        });
+        return next;
+    }
+
     static color(time, colors) {
         if (!colors || typeof colors !== 'object') colors = {};
         if (colors[time.day] && colors[time.day][time.from])
@@ -482,11 +718,13 @@ export default class Utils {
             date.getDate(), 0, 0, 0, 0);
     }
 
-    static getTimeString(timestamp) {
+    static getTimeString(timestamp, timezone = Utils.getTimezone()) {
         // NOTE: Although we create timestamp objects here as new Date() objects,
         // Firestore converts them to Google's native Timestamp() objects and thus
         // we must call toDate() to access any Date() methods.
-        var timeString = timestamp.toDate().toLocaleTimeString();
+        var timeString = timestamp.toDate().toLocaleTimeString('en-US', {
+            timeZone: timezone,
+        });
         var timeStringSplit = timeString.split(':');
         var hour = timeStringSplit[0];
         var min = timeStringSplit[1];
@@ -513,6 +751,20 @@ export default class Utils {
         return attendees[0];
     }
 
+    /**
+     * Gets the (human-readable) list of the names of the given appointment
+     * attendees (e.g. `Nick, Bob and Jane` for group appointments).
+     * @param {Profile[]} attendees - The appointment's attendees.
+     * @param {bool} [all=false] - Whether to include the current user's name.
+     * @return {string} The attendees' names.
+     */
+    static getAttendeeNames(attendees, all = false) {
+        const names = attendees.filter(a => all ||
+            a.uid !== window.app.user.uid).map(a => a.name);
+        if (names.length < 2) return names.join('');
+        return names.slice(0, -1).join(', ') + ' and ' + names.slice(-1)[0];
+    }
+
     /**
      * Capitalizes every word in a string (i.e. the first letter of each set
      * of characters separated by a space).
@@ -637,6 +889,39 @@ export default class Utils {
         return profile.payments || defaultPayments;
     }
 
+    /**
+     * Gets the select value (e.g. `No limit` or `5`) of the given capacity
+     * limit.
+     * @param {number} [limit] - The limit (if any).
+     * @return {string} The select value.
+     */
+    static getLimitString(limit) {
+        return typeof limit === 'number' ? limit.toString() : 'No limit';
+    }
+
+    /**
+     * Parses the given capacity limit select value.
+     * @param {string} val - The select value (e.g. `No limit` or `5`).
+     * @return {?number} The limit (or `null` if there isn't one).
+     */
+    static parseLimit(val) {
+        return val === 'No limit' ? null : new Number(val).valueOf();
+    }
+
+    /**
+     * Checks if the given tutor has reached any of their capacity limits (i.e.
+     * their maximum weekly sessions, weekly hours or distinct pupils).
+     * @param {Object} profile - The tutor's profile (w/ the `limits` they set
+     * and the `load` our data API keeps updated).
+     * @return {bool} Whether the tutor is at capacity.
+     */
+    static atCapacity(profile) {
+        const limits = profile.limits || {};
+        const load = profile.load || {};
+        return ['sessions', 'hours', 'pupils'].some(key => typeof limits[
+            key] === 'number' && (load[key] || 0) >= limits[key]);
+    }
+
     static filterProfile(profile) {
         return {
             'name': Utils.getName(profile),
@@ -654,6 +939,7 @@ export default class Utils {
             'numRatings': profile.numRatings || 0,
             'subjects': profile.subjects || [],
             'cards': Utils.getCards(profile.cards),
+            'limits': profile.limits || {},
             'settings': profile.settings || {},
             'availability': profile.availability || {},
             'payments': Utils.getPayments(profile),
@@ -907,16 +1193,14 @@ export default class Utils {
 
     // Helper function to return an array of timeStrings (e.g. '11:00 AM') for every
     // 30 min between the startTime and endTime. (Or for every period in that day's
-    // schedule if the startTime and endTime are given as periods.)
-    // TODO: Make sure to sync w/ the Gunn App to be able to have an up to date
-    // daily period/schedule data.
+    // bell schedule if the startTime and endTime are given as periods.)
     getTimesBetween(start, end, day) {
         var times = [];
         // First check if the time is a period
-        if (this.data.periods[day].indexOf(start) >= 0) {
+        if ((this.data.periods[day] || []).indexOf(start) >= 0) {
             // Check the day given and return the times between those two
-            // periods on that given day.
-            var periods = Data.gunnSchedule[day];
+            // periods on that given day (our locations' bell schedules).
+            var periods = this.data.periods[day];
             for (
                 var i = periods.indexOf(start); i <= periods.indexOf(end); i++
             ) {
@@ -1375,6 +1659,197 @@ export default class Utils {
         return hour.day + 's from ' + hour.open + ' to ' + hour.close;
     }
 
+    /**
+     * Parses the bell schedules that supervisors type into the "Edit Location"
+     * dialog (i.e. blocks of period lines that each start w/ the name of their
+     * schedule).
+     * @example
+     * Utils.parseBellSchedules('Regular\nA Period: 8:25 AM - 9:45 AM\n\n' +
+     *     'Minimum Day\nA Period: 8:25 AM - 9:05 AM');
+     * // The code above returns {
+     * //   periods: [
+     * //     { name: 'A Period', from: '8:25 AM', to: '9:45 AM' },
+     * //   ],
+     * //   schedules: {
+     * //     'Minimum Day': [
+     * //       { name: 'A Period', from: '8:25 AM', to: '9:05 AM' },
+     * //     ],
+     * //   },
+     * // };
+     * @param {string} string - The bell schedules to parse.
+     * @return {Object} The location's regular `periods` and it's named
+     * alternate `schedules`.
+     * @throws {Error} If a period is formatted incorrectly.
+     */
+    static parseBellSchedules(string) {
+        const res = {
+            periods: [],
+            schedules: {},
+        };
+        const time = '(\\d{1,2}:\\d{2} [AP]M)';
+        const regex = new RegExp('^(.+?):\\s*' + time + '\\s*-\\s*' + time +
+            '$');
+        string.trim().split(/\n\s*\n/).filter(b => b.trim()).forEach(b => {
+            const [name, ...lines] = b.trim().split('\n').map(l => l.trim());
+            const periods = lines.map(line => {
+                const [match, period, from, to] = regex.exec(line) || [];
+                if (!match) throw new Error('Invalid period: ' + line);
+                return {
+                    name: period.trim(),
+                    from: from,
+                    to: to,
+                };
+            });
+            if (name === Data.regularSchedule) return res.periods = periods;
+            res.schedules[name] = periods;
+        });
+        return res;
+    }
+
+    /**
+     * Gets the bell schedules string (that supervisors can edit) of the given
+     * location.
+     * @see {@link Utils#parseBellSchedules}
+     * @param {Location} location - The location to get the bell schedules of.
+     * @return {string} The location's bell schedules (or an empty string if it
+     * hasn't defined any).
+     */
+    static getBellSchedulesString(location) {
+        const schedules = Object.entries(location.schedules || {});
+        if (!(location.periods || []).length && !schedules.length) return '';
+        return [
+            [Data.regularSchedule, location.periods || []],
+        ].concat(schedules).map(([name, periods]) => [name].concat(periods
+            .map(p => p.name + ': ' + p.from + ' - ' + p.to)).join('\n'))
+            .join('\n\n');
+    }
+
+    /**
+     * Parses the schedule rotation that supervisors type into the "Edit
+     * Location" dialog (i.e. lines that name the alternate bell schedule that
+     * a weekday or a specific `YYYY-MM-DD` date follows).
+     * @example
+     * Utils.parseScheduleRotation('Wednesday: B Day\n' +
+     *     '2020-03-05: Minimum Day');
+     * // The code above returns {
+     * //   rotation: { Wednesday: 'B Day' },
+     * //   alternates: { '2020-03-05': 'Minimum Day' },
+     * // };
+     * @param {string} string - The schedule rotation to parse.
+     * @return {Object} The location's `rotation` and `alternates`.
+     * @throws {Error} If a line is formatted incorrectly.
+     */
+    static parseScheduleRotation(string) {
+        const res = {
+            rotation: {},
+            alternates: {},
+        };
+        string.split('\n').filter(l => l.trim()).forEach(line => {
+            const [match, key, schedule] = /^([^:]+):\s*(.+)$/.exec(line
+                .trim()) || [];
+            if (!match) throw new Error('Invalid rotation: ' + line);
+            if (Data.days.indexOf(key.trim()) >= 0)
+                return res.rotation[key.trim()] = schedule.trim();
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(key.trim()))
+                throw new Error('Invalid weekday or date: ' + key);
+            res.alternates[key.trim()] = schedule.trim();
+        });
+        return res;
+    }
+
+    /**
+     * Parses the closures that supervisors type into the "Edit Location"
+     * dialog (i.e. lines that name the holiday or break that the location is
+     * closed for on a single date or on a range of dates).
+     * @example
+     * Utils.parseClosures('2020-11-26: Thanksgiving\n' +
+     *     '2020-12-21 to 2021-01-01: Winter Break');
+     * // The code above returns [
+     * //   { name: 'Thanksgiving', from: '2020-11-26' },
+     * //   { name: 'Winter Break', from: '2020-12-21', to: '2021-01-01' },
+     * // ];
+     * @param {string} string - The closures to parse.
+     * @return {Object[]} The location's `closures`.
+     * @throws {Error} If a line is formatted incorrectly (or if a closure ends
+     * before it starts).
+     */
+    static parseClosures(string) {
+        const date = '(\\d{4}-\\d{2}-\\d{2})';
+        const regex = new RegExp('^' + date + '(?:\\s+to\\s+' + date +
+            ')?:\\s*(.+)$');
+        return string.split('\n').filter(l => l.trim()).map(line => {
+            const [match, from, to, name] = regex.exec(line.trim()) || [];
+            if (!match || (to && to < from))
+                throw new Error('Invalid closure: ' + line);
+            return to ? {
+                name: name.trim(),
+                from: from,
+                to: to,
+            } : {
+                name: name.trim(),
+                from: from,
+            };
+        });
+    }
+
+    /**
+     * Gets the closures string (that supervisors can edit) of the given
+     * location.
+     * @see {@link Utils#parseClosures}
+     * @param {Location} location - The location to get the closures of.
+     * @return {string} The location's closures.
+     */
+    static getClosuresString(location) {
+        return (location.closures || []).map(c => c.from + (c.to ? ' to ' +
+            c.to : '') + ': ' + c.name).join('\n');
+    }
+
+    /**
+     * Parses the service hour milestones that supervisors type into the "Edit
+     * Location" dialog (i.e. a comma separated list of hours that tutors are
+     * awarded certificates for reaching).
+     * @example
+     * Utils.parseMilestones('10, 25, 50'); // Returns [10, 25, 50]
+     * @param {string} string - The milestones to parse.
+     * @return {number[]} The location's (sorted and de-duplicated)
+     * `milestones`.
+     * @throws {Error} If a milestone isn't a positive number.
+     */
+    static parseMilestones(string) {
+        const res = string.split(',').filter(m => m.trim()).map(m => {
+            const hrs = Number(m.trim());
+            if (isNaN(hrs) || hrs < 1) throw new Error('Invalid milestone: ' +
+                m);
+            return hrs;
+        });
+        return res.filter((m, i) => res.indexOf(m) === i).sort((a, b) => a -
+            b);
+    }
+
+    /**
+     * Gets the milestones string (that supervisors can edit) of the given
+     * location.
+     * @see {@link Utils#parseMilestones}
+     * @param {Location} location - The location to get the milestones of.
+     * @return {string} The location's service hour milestones.
+     */
+    static getMilestonesString(location) {
+        return (location.milestones || []).join(', ');
+    }
+
+    /**
+     * Gets the schedule rotation string (that supervisors can edit) of the
+     * given location.
+     * @see {@link Utils#parseScheduleRotation}
+     * @param {Location} location - The location to get the rotation of.
+     * @return {string} The location's schedule rotation.
+     */
+    static getScheduleRotationString(location) {
+        return Object.entries(location.rotation || {}).concat(Object.entries(
+            location.alternates || {}).sort()).map(([key, schedule]) => key +
+            ': ' + schedule).join('\n');
+    }
+
     static getHourStrings(hours = {}) {
         // @param hours: {
         //   Friday: [
@@ -1396,6 +1871,31 @@ export default class Utils {
         return strings;
     }
 
+    /**
+     * Gets the booked timeslots (i.e. the timeslots that pupils can join the
+     * waitlists of) in the given availability.
+     * @param {Object} [availability={}] - The availability to search.
+     * @return {Array<Object>} The booked timeslots' `location` and (weekly)
+     * `time` (i.e. the data that identifies their waitlists).
+     */
+    static getBookedTimeslots(availability = {}) {
+        const timeslots = [];
+        Object.entries(availability).forEach(([location, days]) => Object
+            .entries(days).forEach(([day, times]) => times
+                .filter(t => t.booked).forEach(t => timeslots.push({
+                    location: {
+                        name: location,
+                        id: window.app.data.locationsByName[location],
+                    },
+                    time: {
+                        day: day,
+                        from: t.open,
+                        to: t.close,
+                    },
+                }))));
+        return timeslots;
+    }
+
     static getAvailabilityStrings(availability = {}) {
         // NOTE: User availability is stored in the Firestore database as:
         // availability: {
@@ -1506,13 +2006,26 @@ export default class Utils {
             'rounding': Data.roundings[0],
             'timeThreshold': Data.timeThresholds[0],
         };
+        const requestsConfig = {
+            'remind': Data.requestReminders[2],
+            'expire': Data.requestExpiries[1],
+        };
         return {
             'name': data.name,
             'city': data.city,
+            'timezone': data.timezone || Utils.DEFAULT_TIMEZONE,
+            'periods': Utils.cloneArr(data.periods || []),
+            'schedules': Utils.cloneMap(data.schedules || {}),
+            'rotation': Utils.cloneMap(data.rotation || {}),
+            'alternates': Utils.cloneMap(data.alternates || {}),
+            'closures': Utils.cloneArr(data.closures || []),
+            'milestones': Utils.cloneArr(data.milestones || []),
             'hours': Utils.cloneMap(data.hours),
             'config': {
                 'hrs': data.config ? Utils.cloneMap(data.config.hrs ||
                     hrsConfig) : hrsConfig,
+                'requests': data.config ? Utils.cloneMap(data.config
+                    .requests || requestsConfig) : requestsConfig,
             },
             'description': data.description,
             'supervisors': data.supervisors,
@@ -1608,6 +2121,7 @@ export default class Utils {
             },
             location: data.location,
             timestamp: data.timestamp,
+            exceptions: data.exceptions || {},
             id: data.id || '', // NOTE: We use this to be able to access and 
             // update the Firestore document across different functions within 
             // the app all using the same `this.currentRequest` map.
@@ -1762,4 +2276,9 @@ export default class Utils {
         };
     }
 
-};
\ No newline at end of file
+};
+/**
+ * The timezone of locations that haven't set their own `timezone`.
+ * @type {string}
+ */
+Utils.DEFAULT_TIMEZONE = 'America/Los_Angeles';